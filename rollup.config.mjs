@@ -66,6 +66,25 @@ export default [
     ],
     external: externalDependencies(),
     plugins: corePlugins()
+  },
+  {
+    input: 'src/headless.js',
+    output: [
+      {
+        sourcemap: true,
+        format: 'commonjs',
+        file: 'dist/headless.js'
+      },
+      {
+        sourcemap: true,
+        format: 'esm',
+        file: 'dist/headless.esm.js'
+      }
+    ],
+
+    // bundle bpmn-js utilities, which cannot be imported in Node
+    external: externalDependencies([ 'bpmn-js', 'diagram-js' ]),
+    plugins: corePlugins()
   }
 ];
 
@@ -105,10 +124,10 @@ function corePlugins(plugins = []) {
   ];
 }
 
-function externalDependencies() {
+function externalDependencies(bundledDependencies = []) {
   return id => {
     return nonbundledDependencies.find(dep => id.startsWith(dep)) &&
-      !nonExternalDependencies.find(dep => id.startsWith(dep));
+      ![ ...nonExternalDependencies, ...bundledDependencies ].find(dep => id.startsWith(dep));
   };
 }
 
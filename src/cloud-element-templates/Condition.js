@@ -1,15 +1,86 @@
 import { isEventSubProcess } from 'bpmn-js/lib/util/DiUtil';
 import { getPropertyValue } from './util/propertyUtil';
-import { is } from 'bpmn-js/lib/util/ModelUtil';
+import { getBusinessObject, is } from 'bpmn-js/lib/util/ModelUtil';
+
+import {
+  MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE,
+  ZEEBE_TASK_DEFINITION,
+  ZEEBE_TASK_DEFINITION_TYPE_TYPE
+} from './util/bindingTypes';
+
+import { expandRepeatableGroups } from './util/repeatableGroups';
+
+import {
+  has,
+  isArray,
+  isNil,
+  isNumber,
+  isObject,
+  isString
+} from 'min-dash';
+
+/**
+ * Operators that compare the value of the referenced property.
+ */
+export const CONDITION_OPERATORS = [
+  'equals',
+  'oneOf',
+  'isActive',
+  'greaterThan',
+  'lessThan',
+  'matches',
+  'isEmpty'
+];
+
+/**
+ * Checks of element conditions (`{ element: { ... } }`) against
+ * the element the template is applied to.
+ */
+const ELEMENT_MATCHERS = {
+  type: (element, types) => toArray(types).some(type => is(element, type)),
+  eventDefinition: (element, types) => getEventDefinitions(element).some(
+    eventDefinition => toArray(types).some(type => is(eventDefinition, type))
+  ),
+  isMultiInstance: (element, expected) => isMultiInstance(element) === expected,
+  hasBoundaryEvents: (element, expected) => !!getAttachers(element).length === expected,
+  isEventSubProcess: (element, expected) => !!isEventSubProcess(element) === expected,
+  parent: (element, condition) => isElementConditionMet(getParent(element), condition)
+};
+
+export const ELEMENT_CONDITION_KEYS = Object.keys(ELEMENT_MATCHERS);
 
 /**
- * Based on conditions, remove properties from the template.
+ * Conditions applying to properties independent of the template.
  */
-export function applyConditions(element, elementTemplate) {
+const BUILT_IN_CONDITIONS = [
+  {
+
+    // correlation keys are not supported by message start events
+    // outside of event sub-processes
+    appliesTo: ({ binding }) => (
+      binding.type === MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE &&
+      binding.name === 'correlationKey'
+    ),
+    condition: {
+      anyMatch: [
+        { not: { element: { type: 'bpmn:StartEvent' } } },
+        { element: { parent: { isEventSubProcess: true } } }
+      ]
+    }
+  }
+];
+
+/**
+ * Based on conditions, remove properties from the template. Properties of
+ * repeatable groups are expanded to the group instances of the element first.
+ */
+export function applyConditions(element, elementTemplate, bindingTypeRegistry) {
+  elementTemplate = expandRepeatableGroups(element, elementTemplate);
+
   const { properties } = elementTemplate;
 
   const filteredProperties = properties.filter(property => {
-    return isPropertyAllowed(element, property) && isConditionMet(element, properties, property);
+    return isPropertyAllowed(element, property) && isConditionMet(element, properties, property, bindingTypeRegistry);
   });
 
   return {
@@ -18,7 +89,7 @@ export function applyConditions(element, elementTemplate) {
   };
 }
 
-export function isConditionMet(element, properties, property) {
+export function isConditionMet(element, properties, property, bindingTypeRegistry) {
   const { condition } = property;
 
   // If no condition is defined, return true.
@@ -26,21 +97,51 @@ export function isConditionMet(element, properties, property) {
     return true;
   }
 
+  return isConditionGroupMet(element, properties, condition, bindingTypeRegistry);
+}
+
+/**
+ * Evaluate a (possibly nested) condition.
+ *
+ * @param {djs.model.Base} element
+ * @param {Array<Object>} properties
+ * @param {Object} condition
+ * @param {BindingTypeRegistry} [bindingTypeRegistry]
+ *
+ * @return {boolean}
+ */
+function isConditionGroupMet(element, properties, condition, bindingTypeRegistry) {
+
   // multiple ("and") conditions
   if (condition.allMatch) {
-    const conditions = condition.allMatch;
+    return condition.allMatch.every(
+      condition => isConditionGroupMet(element, properties, condition, bindingTypeRegistry)
+    );
+  }
 
-    return conditions.every(
-      condition => isSimpleConditionMet(element, properties, condition)
+  // alternative ("or") conditions
+  if (condition.anyMatch) {
+    return condition.anyMatch.some(
+      condition => isConditionGroupMet(element, properties, condition, bindingTypeRegistry)
     );
   }
 
+  // negated condition
+  if (condition.not) {
+    return !isConditionGroupMet(element, properties, condition.not, bindingTypeRegistry);
+  }
+
+  // element condition
+  if (condition.element) {
+    return isElementConditionMet(element, condition.element);
+  }
+
   // single condition
-  return isSimpleConditionMet(element, properties, condition);
+  return isSimpleConditionMet(element, properties, condition, bindingTypeRegistry);
 }
 
-function isSimpleConditionMet(element, properties, condition) {
-  const { property, equals, oneOf, isActive } = condition;
+function isSimpleConditionMet(element, properties, condition, bindingTypeRegistry) {
+  const { property, isActive } = condition;
 
   if (typeof isActive !== 'undefined') {
     const relatedCondition = properties.find(p => p.id === property);
@@ -49,44 +150,318 @@ function isSimpleConditionMet(element, properties, condition) {
       return !isActive;
     }
 
-    return isActive ? isConditionMet(element, properties, relatedCondition) : !isConditionMet(element, properties, relatedCondition);
+    return isActive
+      ? isConditionMet(element, properties, relatedCondition, bindingTypeRegistry)
+      : !isConditionMet(element, properties, relatedCondition, bindingTypeRegistry);
   }
 
-  const propertyValue = getValue(element, properties, property);
+  const propertyValue = getValue(element, properties, property, bindingTypeRegistry);
 
-  if (equals) {
-    return propertyValue === equals;
+  if (has(condition, 'equals')) {
+    return propertyValue === condition.equals;
   }
 
-  if (oneOf) {
-    return oneOf.includes(propertyValue);
+  if (condition.oneOf) {
+    return condition.oneOf.includes(propertyValue);
+  }
+
+  if (has(condition, 'greaterThan')) {
+    return toNumber(propertyValue) > condition.greaterThan;
+  }
+
+  if (has(condition, 'lessThan')) {
+    return toNumber(propertyValue) < condition.lessThan;
+  }
+
+  if (has(condition, 'matches')) {
+    return matchesPattern(propertyValue, condition.matches);
+  }
+
+  if (has(condition, 'isEmpty')) {
+    return isEmptyValue(propertyValue) === condition.isEmpty;
   }
 
   return false;
 }
 
-export function getValue(element, properties, propertyId) {
+export function getValue(element, properties, propertyId, bindingTypeRegistry) {
   const property = properties.find(p => p.id === propertyId);
 
   if (!property) {
     return;
   }
 
-  return getPropertyValue(element, property);
+  return getPropertyValue(element, property, bindingTypeRegistry);
+}
+
+/**
+ * Get the ids of all properties a (possibly nested) condition depends on.
+ *
+ * @param {Object} [condition]
+ *
+ * @return {Array<string>}
+ */
+export function getConditionDependencies(condition) {
+  if (!isObject(condition)) {
+    return [];
+  }
+
+  const groups = [
+    ...(isArray(condition.allMatch) ? condition.allMatch : []),
+    ...(isArray(condition.anyMatch) ? condition.anyMatch : []),
+    ...(condition.not ? [ condition.not ] : [])
+  ];
+
+  const dependencies = isString(condition.property) ? [ condition.property ] : [];
+
+  groups.forEach(condition => {
+    getConditionDependencies(condition).forEach(dependency => {
+      if (!dependencies.includes(dependency)) {
+        dependencies.push(dependency);
+      }
+    });
+  });
+
+  return dependencies;
+}
+
+/**
+ * Find properties with conditions that (transitively) depend on themselves.
+ *
+ * @example
+ *
+ * findConditionCycle([
+ *   { id: 'a', condition: { property: 'b', equals: 'foo' } },
+ *   { id: 'b', condition: { property: 'a', isActive: true } }
+ * ]); // [ 'a', 'b', 'a' ]
+ *
+ * @param {Array<Object>} properties
+ *
+ * @return {Array<string>|null} ids of the properties forming the first cycle found
+ */
+export function findConditionCycle(properties) {
+  const visited = [];
+
+  function visit(id, path) {
+    if (path.includes(id)) {
+      return [ ...path.slice(path.indexOf(id)), id ];
+    }
+
+    if (visited.includes(id)) {
+      return null;
+    }
+
+    visited.push(id);
+
+    const property = properties.find(p => p.id === id);
+
+    const dependencies = getConditionDependencies(property && property.condition);
+
+    for (const dependency of dependencies) {
+      const cycle = visit(dependency, [ ...path, id ]);
+
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    return null;
+  }
+
+  for (const property of properties) {
+    const cycle = property.id && visit(property.id, []);
+
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether two templates with conditions applied differ in the
+ * bindings of their properties, i.e. the element must be updated.
+ *
+ * @param {Object} sourceTemplate
+ * @param {Object} targetTemplate
+ *
+ * @return {boolean}
+ */
+export function hasDifferentPropertyBindings(sourceTemplate, targetTemplate) {
+  return hasNewProperties(sourceTemplate, targetTemplate) || hasRemovedProperties(sourceTemplate, targetTemplate);
 }
 
 function isPropertyAllowed(element, property) {
-  const { binding } = property;
-  const { type } = binding;
-
-  if (
-    type === 'bpmn:Message#zeebe:subscription#property' &&
-    binding.name === 'correlationKey' &&
-    is(element, 'bpmn:StartEvent') &&
-    !isEventSubProcess(element.parent)
-  ) {
+  return BUILT_IN_CONDITIONS.every(({ appliesTo, condition }) => {
+    return !appliesTo(property) || isConditionGroupMet(element, [], condition);
+  });
+}
+
+/**
+ * Check an element condition, e.g. `{ type: 'bpmn:StartEvent', parent: { isEventSubProcess: true } }`.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ * @param {Object} condition
+ *
+ * @return {boolean}
+ */
+function isElementConditionMet(element, condition) {
+  if (!element) {
+    return false;
+  }
+
+  return Object.keys(condition).every(key => {
+    const matcher = ELEMENT_MATCHERS[ key ];
+
+    return matcher && matcher(element, condition[ key ]);
+  });
+}
+
+
+// helpers //////////
+
+function toNumber(value) {
+  if (isNumber(value)) {
+    return value;
+  }
+
+  if (isString(value) && value.trim()) {
+    return Number(value);
+  }
+
+  return NaN;
+}
+
+function matchesPattern(value, pattern) {
+  if (!isString(value) && !isNumber(value)) {
     return false;
   }
 
-  return true;
+  try {
+    return new RegExp(pattern).test(String(value));
+  } catch (error) {
+    return false;
+  }
+}
+
+function isEmptyValue(value) {
+  return isNil(value) || value === '' || (isArray(value) && !value.length);
+}
+
+function toArray(value) {
+  return isArray(value) ? value : [ value ];
+}
+
+function getEventDefinitions(element) {
+  const businessObject = getBusinessObject(element);
+
+  return is(businessObject, 'bpmn:Event') && businessObject.get('eventDefinitions') || [];
+}
+
+function isMultiInstance(element) {
+  const businessObject = getBusinessObject(element);
+
+  return is(businessObject, 'bpmn:Activity') &&
+    is(businessObject.get('loopCharacteristics'), 'bpmn:MultiInstanceLoopCharacteristics');
+}
+
+/**
+ * Conditions are checked for shapes and, during linting, for moddle elements.
+ */
+function getParent(element) {
+  return element.businessObject ? element.parent : element.$parent;
+}
+
+function getAttachers(element) {
+  if (element.businessObject) {
+    return element.attachers || [];
+  }
+
+  const flowElements = element.$parent && element.$parent.get('flowElements') || [];
+
+  return flowElements.filter(flowElement => {
+    return is(flowElement, 'bpmn:BoundaryEvent') && flowElement.get('attachedToRef') === element;
+  });
+}
+
+function hasNewProperties(sourceTemplate, targetTemplate) {
+  let properties = targetTemplate.properties;
+
+  return properties.some(targetProp =>!(
+    sourceTemplate.properties.find(sourceProp => compareProps(sourceProp, targetProp))
+  ));
+}
+
+function hasRemovedProperties(oldTemplate, newTemplate) {
+  const oldProperties = getMissingProperties(newTemplate, oldTemplate);
+
+  // ensure XML properties are mantained for properties with
+  // different conditions but same bindings
+  return oldProperties.some(property =>
+    !findPropertyWithBinding(newTemplate, property)
+  );
+}
+
+function getMissingProperties(sourceTemplate, targetTemplate) {
+
+  let properties = targetTemplate.properties;
+
+  return properties.filter(targetProp =>!(
+    sourceTemplate.properties.find(sourceProp => compareProps(sourceProp, targetProp))
+  ));
+}
+
+function compareProps(sourceProp, targetProp) {
+  return (
+    areBindingsEqual(sourceProp.binding, targetProp.binding) &&
+    equals(sourceProp.condition, targetProp.condition)
+  );
+}
+
+function findPropertyWithBinding(template, prop1) {
+  return template.properties.some(
+    prop2 => areBindingsEqual(prop1.binding, prop2.binding)
+  );
+}
+
+function normalizeReplacer(key, value) {
+
+  if (isObject(value)) {
+    const keys = Object.keys(value).sort();
+
+    return keys.reduce((obj, key) => {
+      obj[key] = value[key];
+
+      return obj;
+    }, {});
+  }
+
+  return value;
+}
+
+function areBindingsEqual(binding1, binding2) {
+  binding1 = normalizeBinding(binding1);
+  binding2 = normalizeBinding(binding2);
+
+  return equals(binding1, binding2);
+}
+
+/**
+ * Convert deprecated binding type to new type.
+ */
+function normalizeBinding(binding) {
+  if (binding.type === ZEEBE_TASK_DEFINITION_TYPE_TYPE) {
+    return {
+      ...binding,
+      type: ZEEBE_TASK_DEFINITION,
+      property: 'type'
+    };
+  }
+
+  return binding;
+}
+
+function equals(a, b) {
+  return JSON.stringify(a, normalizeReplacer) === JSON.stringify(b, normalizeReplacer);
 }
@@ -67,6 +67,29 @@ export function createTaskHeader(binding, value, bpmnFactory) {
   });
 }
 
+/**
+ * Create an execution listener representing the given
+ * binding and job type.
+ *
+ * @param {PropertyBinding} binding
+ * @param {String} value
+ * @param {BpmnFactory} bpmnFactory
+ *
+ * @return {ModdleElement}
+ */
+export function createExecutionListener(binding, value, bpmnFactory) {
+  const {
+    eventType,
+    retries
+  } = binding;
+
+  return bpmnFactory.create('zeebe:ExecutionListener', {
+    eventType,
+    type: value,
+    retries
+  });
+}
+
 /**
  * Create a task definition representing the given value.
  *
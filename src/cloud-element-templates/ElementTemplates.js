@@ -1,8 +1,16 @@
+import { isNumber } from 'min-dash';
+
 import {
   getTemplateId,
   getTemplateVersion
 } from './Helper';
 
+import { previewTemplateChange } from './util/previewUtil';
+
+import { getDefaultBindingTypeRegistry } from './binding-types/BindingTypeRegistry';
+
+import { Validator } from './Validator';
+
 import { default as DefaultElementTemplates } from '../element-templates/ElementTemplates';
 
 /**
@@ -23,6 +31,17 @@ export default class ElementTemplates extends DefaultElementTemplates {
     return getTemplateVersion(element);
   }
 
+  _createValidator() {
+    return new Validator(this._injector.get('moddle'), this._getBindingTypeRegistry());
+  }
+
+  /**
+   * @return {BindingTypeRegistry} registered or default binding type registry
+   */
+  _getBindingTypeRegistry() {
+    return this._injector.get('bindingTypeRegistry', false) || getDefaultBindingTypeRegistry();
+  }
+
   /**
    * Create an element based on an element template.
    *
@@ -75,6 +94,125 @@ export default class ElementTemplates extends DefaultElementTemplates {
 
     return context.element;
   }
+
+  /**
+   * Preview the changes applying a template to an element would cause.
+   * The element is not changed.
+   *
+   * @param {djs.model.Base} element
+   * @param {ElementTemplate} newTemplate
+   *
+   * @return {Object} changes to properties and extension elements
+   */
+  previewApply(element, newTemplate) {
+    if (!newTemplate) {
+      throw new Error('template is missing');
+    }
+
+    const oldTemplate = this.get(element);
+
+    return {
+      element,
+      oldTemplate,
+      newTemplate,
+      ...previewTemplateChange(element, oldTemplate, newTemplate, this._getBindingTypeRegistry())
+    };
+  }
+
+  /**
+   * Update all elements linked to an outdated template to the latest
+   * (non-deprecated) version of that template.
+   *
+   * All updates are executed as a single command and can be
+   * undone in one step.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.filter] update only elements matching the filter
+   *
+   * @return {Array<{ element: djs.model.Base, oldTemplate: ElementTemplate, newTemplate: ElementTemplate }>} report of updated elements
+   */
+  updateAll(options = {}) {
+    const {
+      filter = () => true
+    } = options;
+
+    const elementRegistry = this._injector.get('elementRegistry');
+
+    const updates = elementRegistry.filter(element => {
+      return !isLabel(element) && this._getTemplateId(element) && filter(element);
+    }).map(element => {
+      return {
+        element,
+        oldTemplate: this.get(element),
+        newTemplate: this._getNewerTemplate(element)
+      };
+    }).filter(({ newTemplate }) => newTemplate);
+
+    if (!updates.length) {
+      return [];
+    }
+
+    const commands = updates.map(({ element, oldTemplate, newTemplate }) => {
+      return {
+        cmd: 'propertiesPanel.zeebe.changeTemplate',
+        context: {
+          element,
+          newTemplate,
+          oldTemplate
+        }
+      };
+    });
+
+    this._commandStack.execute('element-templates.multi-command-executor', commands);
+
+    return updates.map(({ oldTemplate, newTemplate }, index) => {
+
+      // element may have been replaced during the update
+      const element = commands[ index ].context.element;
+
+      this._eventBus.fire('elementTemplates.update', { element, newTemplate });
+
+      return {
+        element,
+        oldTemplate,
+        newTemplate
+      };
+    });
+  }
+
+  /**
+   * Get the newest non-deprecated version of the template applied to the
+   * element that is newer than the applied version, if any.
+   *
+   * @param {djs.model.Base} element
+   *
+   * @return {ElementTemplate|null}
+   */
+  _getNewerTemplate(element) {
+    const template = this.get(element);
+
+    if (!template) {
+      return null;
+    }
+
+    const { version } = template;
+
+    return this.getAll(template.id).reduce((newerTemplate, candidate) => {
+      if (candidate.deprecated || !isNumber(candidate.version)) {
+        return newerTemplate;
+      }
+
+      if (isNumber(version) && candidate.version <= version) {
+        return newerTemplate;
+      }
+
+      if (newerTemplate && newerTemplate.version >= candidate.version) {
+        return newerTemplate;
+      }
+
+      return candidate;
+    }, null);
+  }
 }
 
 ElementTemplates.$inject = [
@@ -84,3 +222,10 @@ ElementTemplates.$inject = [
   'modeling',
   'injector'
 ];
+
+
+// helpers //////////
+
+function isLabel(element) {
+  return element.type === 'label';
+}
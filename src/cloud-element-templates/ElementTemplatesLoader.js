@@ -1,31 +1,78 @@
+import { isFunction } from 'min-dash';
+
 import { Validator } from './Validator';
 
 import { default as TemplatesLoader } from '../element-templates/ElementTemplatesLoader';
 
+/**
+ * @typedef { {
+ *   autoUpgrade?: 'patch'|((oldTemplate: ElementTemplate, newTemplate: ElementTemplate) => boolean)
+ * } } ElementTemplatesLoaderConfig
+ */
+
+/**
+ * Loads Camunda 8 element templates.
+ *
+ * Configure `config.elementTemplatesLoader.autoUpgrade` to upgrade linked
+ * elements once a newer template version gets loaded. With `patch`, only
+ * versions that keep the template's element type and property bindings are
+ * upgraded; a function decides per upgrade.
+ *
+ * @param {Array<TemplateDescriptor>|Function} loadTemplates
+ * @param {EventBus} eventBus
+ * @param {ElementTemplates} elementTemplates
+ * @param {Moddle} moddle
+ * @param {BindingTypeRegistry} bindingTypeRegistry
+ * @param {Injector} injector
+ * @param {ElementTemplatesLoaderConfig} [config]
+ */
 export default class ElementTemplatesLoader extends TemplatesLoader {
-  constructor(loadTemplates, eventBus, elementTemplates, moddle) {
+  constructor(loadTemplates, eventBus, elementTemplates, moddle, bindingTypeRegistry, injector, config = {}) {
 
-    super(loadTemplates, eventBus, elementTemplates, moddle);
+    super(loadTemplates, eventBus, elementTemplates, moddle, injector);
 
     this._elementTemplates = elementTemplates;
+    this._bindingTypeRegistry = bindingTypeRegistry;
+    this._config = config;
+  }
+
+  _createValidator() {
+    return new Validator(this._moddle, this._bindingTypeRegistry);
   }
 
-  setTemplates(templates) {
-    const elementTemplates = this._elementTemplates,
-          moddle = this._moddle;
+  /**
+   * Upgrade outdated elements according to `autoUpgrade` configuration.
+   *
+   * @param {Array<{ element: djs.model.Base, newState: TemplateState }>} changes
+   *
+   * @return {Array<{ element: djs.model.Base, oldTemplate: ElementTemplate, newTemplate: ElementTemplate }>}
+   */
+  _autoUpgrade(changes) {
+    const elementTemplates = this._elementTemplates;
 
-    const validator = new Validator(moddle).addAll(templates);
+    const shouldUpgrade = getUpgradeFilter(this._config.autoUpgrade);
 
-    const errors = validator.getErrors(),
-          validTemplates = validator.getValidTemplates();
+    if (!shouldUpgrade) {
+      return [];
+    }
 
-    elementTemplates.set(validTemplates);
+    const outdated = changes
+      .filter(({ newState }) => newState.type === 'OUTDATED_TEMPLATE')
+      .map(({ element }) => element);
 
-    if (errors.length) {
-      this.templateErrors(errors);
+    if (!outdated.length) {
+      return [];
     }
 
-    this.templatesChanged();
+    return elementTemplates.updateAll({
+      filter: element => {
+        const newTemplate = elementTemplates._getNewerTemplate(element);
+
+        return outdated.includes(element) &&
+          newTemplate &&
+          shouldUpgrade(elementTemplates.get(element), newTemplate);
+      }
+    });
   }
 }
 
@@ -33,5 +80,56 @@ ElementTemplatesLoader.$inject = [
   'config.elementTemplates',
   'eventBus',
   'elementTemplates',
-  'moddle'
-];
\ No newline at end of file
+  'moddle',
+  'bindingTypeRegistry',
+  'injector',
+  'config.elementTemplatesLoader'
+];
+
+
+// helpers //////////
+
+function getUpgradeFilter(autoUpgrade) {
+  if (autoUpgrade === 'patch') {
+    return isPatchUpgrade;
+  }
+
+  if (isFunction(autoUpgrade)) {
+    return autoUpgrade;
+  }
+
+  return null;
+}
+
+/**
+ * An upgrade is a patch if the new version keeps element type
+ * and property bindings, i.e. only values or metadata change.
+ *
+ * @param {ElementTemplate} oldTemplate
+ * @param {ElementTemplate} newTemplate
+ *
+ * @return {boolean}
+ */
+function isPatchUpgrade(oldTemplate, newTemplate) {
+  return getElementType(oldTemplate) === getElementType(newTemplate) &&
+    getBindings(oldTemplate) === getBindings(newTemplate);
+}
+
+function getElementType(template) {
+  return template.elementType && template.elementType.value;
+}
+
+function getBindings(template) {
+  return (template.properties || [])
+    .map(property => JSON.stringify(sortKeys(property.binding)))
+    .sort()
+    .join();
+}
+
+function sortKeys(object = {}) {
+  return Object.keys(object).sort().reduce((sorted, key) => {
+    sorted[ key ] = object[ key ];
+
+    return sorted;
+  }, {});
+}
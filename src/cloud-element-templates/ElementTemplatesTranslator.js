@@ -0,0 +1,114 @@
+import { isObject, isString } from 'min-dash';
+
+import { translateTemplate } from './util/templateTranslations';
+
+/**
+ * @typedef { {
+ *   locale?: string
+ * } } ElementTemplatesTranslatorConfig
+ */
+
+/**
+ * Translates the texts of element templates, e.g. property labels,
+ * into the configured locale.
+ *
+ * Texts are looked up in the template's `translations` for the locale,
+ * then for its language (`de` for `de-AT`), and are otherwise passed
+ * to the diagram's `translate` service.
+ *
+ * @param {ElementTemplatesTranslatorConfig} [config]
+ * @param {EventBus} eventBus
+ * @param {Function} translate
+ */
+export default class ElementTemplatesTranslator {
+  constructor(config = {}, eventBus, translate) {
+    this._eventBus = eventBus;
+    this._translate = translate;
+
+    this._locale = config.locale || null;
+
+    this._cache = new WeakMap();
+  }
+
+  /**
+   * @return {string|null}
+   */
+  getLocale() {
+    return this._locale;
+  }
+
+  /**
+   * Change the locale and fire `elementTemplates.localeChanged`.
+   *
+   * @param {string|null} locale
+   */
+  setLocale(locale) {
+    if (locale === this._locale) {
+      return;
+    }
+
+    this._locale = locale || null;
+
+    this._cache = new WeakMap();
+
+    this._eventBus.fire('elementTemplates.localeChanged', { locale: this._locale });
+  }
+
+  /**
+   * Translate a text of the given template.
+   *
+   * @param {ElementTemplate} template
+   * @param {string} text
+   *
+   * @return {string}
+   */
+  translateText(template, text) {
+    const translations = getLocaleTranslations(template, this._locale);
+
+    const translation = translations.find(translations => isString(translations[ text ]));
+
+    return translation ? translation[ text ] : this._translate(text);
+  }
+
+  /**
+   * Get a copy of the template with all texts translated.
+   *
+   * @param {ElementTemplate} template
+   *
+   * @return {ElementTemplate}
+   */
+  translateTemplate(template) {
+    let translated = this._cache.get(template);
+
+    if (!translated) {
+      translated = translateTemplate(template, text => this.translateText(template, text));
+
+      this._cache.set(template, translated);
+    }
+
+    return translated;
+  }
+}
+
+ElementTemplatesTranslator.$inject = [
+  'config.elementTemplatesTranslator',
+  'eventBus',
+  'translate'
+];
+
+
+// helpers //////////
+
+function getLocaleTranslations(template, locale) {
+  const { translations } = template;
+
+  if (!locale || !isObject(translations)) {
+    return [];
+  }
+
+  const language = locale.split('-')[0];
+
+  return [ locale, language ]
+    .map(key => translations[ key ])
+    .filter(isObject);
+}
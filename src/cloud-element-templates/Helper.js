@@ -2,8 +2,22 @@ import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
 
 import { is, isAny } from 'bpmn-js/lib/util/ModelUtil';
 
+import { isObject } from 'min-dash';
+
 import { v4 as uuid } from 'uuid';
 
+import {
+  isListProperty,
+  parseList,
+  serializeList
+} from './util/listValue';
+
+import {
+  isKeyValueProperty,
+  parseKeyValue,
+  serializeKeyValue
+} from './util/keyValue';
+
 /**
  * The BPMN 2.0 extension attribute name under
  * which the element template ID is stored.
@@ -130,6 +144,23 @@ export function findTaskHeader(taskHeaders, binding) {
   });
 }
 
+/**
+ * Find the execution listener bound by a property, i.e. with the
+ * event type of the binding and the property value as job type.
+ *
+ * @param {ModdleElement} executionListeners
+ * @param {Object} property
+ *
+ * @return {ModdleElement|undefined}
+ */
+export function findExecutionListener(executionListeners, property) {
+  const listeners = executionListeners.get('listeners');
+
+  return listeners.find((listener) => {
+    return listener.eventType === property.binding.eventType && listener.type === getDefaultValue(property);
+  });
+}
+
 export function findMessage(businessObject) {
   if (is(businessObject, 'bpmn:Event')) {
     const eventDefinitions = businessObject.get('eventDefinitions');
@@ -148,6 +179,50 @@ export function findMessage(businessObject) {
   return businessObject.get('messageRef');
 }
 
+/**
+ * Find the root element, i.e. message, signal, error or escalation,
+ * referenced by an element or its event definition.
+ *
+ * @param {ModdleElement} businessObject
+ *
+ * @return {ModdleElement|undefined}
+ */
+export function findReferencedRootElement(businessObject) {
+  if (is(businessObject, 'bpmn:Event')) {
+    businessObject = businessObject.get('eventDefinitions')[0];
+  }
+
+  const referenceProperty = getRootElementReferenceProperty(businessObject);
+
+  return referenceProperty && businessObject.get(referenceProperty);
+}
+
+/**
+ * Get the name of the property an element or event definition
+ * references a root element with, e.g. `signalRef`.
+ *
+ * @param {ModdleElement} [businessObject]
+ *
+ * @return {string|undefined}
+ */
+export function getRootElementReferenceProperty(businessObject) {
+  if (isAny(businessObject, [ 'bpmn:ReceiveTask', 'bpmn:SendTask', 'bpmn:MessageEventDefinition' ])) {
+    return 'messageRef';
+  }
+
+  if (is(businessObject, 'bpmn:SignalEventDefinition')) {
+    return 'signalRef';
+  }
+
+  if (is(businessObject, 'bpmn:ErrorEventDefinition')) {
+    return 'errorRef';
+  }
+
+  if (is(businessObject, 'bpmn:EscalationEventDefinition')) {
+    return 'escalationRef';
+  }
+}
+
 export function findZeebeSubscription(message) {
   return findExtension(message, 'zeebe:Subscription');
 }
@@ -155,7 +230,7 @@ export function findZeebeSubscription(message) {
 export function getDefaultValue(property) {
 
   if (property.value !== undefined) {
-    return property.value;
+    return serializeValue(property);
   }
 
   if (property.generatedValue) {
@@ -166,3 +241,23 @@ export function getDefaultValue(property) {
     }
   }
 }
+
+
+// helpers //////////
+
+/**
+ * Serialize list and key/value template values to the format they are stored in.
+ */
+function serializeValue(property) {
+  const { value } = property;
+
+  if (isListProperty(property)) {
+    return serializeList(parseList(value), property);
+  }
+
+  if (isKeyValueProperty(property) && isObject(value)) {
+    return serializeKeyValue(parseKeyValue(value));
+  }
+
+  return value;
+}
@@ -6,21 +6,170 @@ import {
 
 import semverCompare from 'semver-compare';
 
+import {
+  has,
+  isArray,
+  isNumber,
+  isObject,
+  isString,
+  isUndefined,
+  omit,
+  values
+} from 'min-dash';
+
 import {
   validateZeebe as validateAgainstSchema,
   getZeebeSchemaPackage as getTemplateSchemaPackage,
   getZeebeSchemaVersion as getTemplateSchemaVersion
 } from '@bpmn-io/element-templates-validator';
 
+import {
+  MESSAGE_PROPERTY_TYPE,
+  MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE,
+  PROPERTY_TYPE,
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_CALLED_ELEMENT,
+  ZEEBE_OUTPUT_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  ZEEBE_TASK_DEFINITION,
+  ZEEBE_TASK_DEFINITION_TYPE_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+} from './util/bindingTypes';
+
+import { resolveExtends } from './util/templateExtends';
+
+import { getDefaultBindingTypeRegistry } from './binding-types/BindingTypeRegistry';
+
+import { getTranslationsError } from './util/templateTranslations';
+
+import { getChoicesSourceError } from './util/choicesSource';
+
+import {
+  getRepeatableGroupError,
+  isRepeatableGroup
+} from './util/repeatableGroups';
+
+import { getDefaultValue } from './Helper';
+
+import {
+  getListPropertyError,
+  isListProperty
+} from './util/listValue';
+
+import {
+  getKeyValuePropertyError,
+  isKeyValueProperty
+} from './util/keyValue';
+
+import {
+  getSecretPropertyError,
+  isSecretProperty
+} from './util/secrets';
+
+import {
+  CONDITION_OPERATORS,
+  ELEMENT_CONDITION_KEYS,
+  findConditionCycle,
+  getConditionDependencies
+} from './Condition';
+
 const SUPPORTED_SCHEMA_VERSION = getTemplateSchemaVersion();
 const SUPPORTED_SCHEMA_PACKAGE = getTemplateSchemaPackage();
 
+/**
+ * Binding types known to the template JSON schema.
+ */
+const SCHEMA_BINDING_TYPES = [
+  PROPERTY_TYPE,
+  ZEEBE_TASK_DEFINITION_TYPE_TYPE,
+  ZEEBE_TASK_DEFINITION,
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_OUTPUT_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  ZEEBE_TASK_HEADER_TYPE,
+  MESSAGE_PROPERTY_TYPE,
+  MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE,
+  ZEEBE_CALLED_ELEMENT
+];
+
+/**
+ * Keys of conditions known to the template JSON schema.
+ */
+const SCHEMA_CONDITION_KEYS = [ 'property', 'equals', 'oneOf', 'isActive' ];
+
+const CONDITION_GROUPS = [ 'allMatch', 'anyMatch', 'not' ];
+
+/**
+ * Event definitions unknown to the template JSON schema.
+ */
+const EXTENDED_EVENT_DEFINITIONS = [
+  'bpmn:SignalEventDefinition',
+  'bpmn:ErrorEventDefinition',
+  'bpmn:EscalationEventDefinition',
+  'bpmn:TimerEventDefinition'
+];
+
 /**
  * A Camunda Cloud element template validator.
+ *
+ * Properties of binding types unknown to the JSON schema, registered with
+ * the given or the default binding type registry, are validated by their
+ * binding type handler.
+ *
+ * Templates extending a base template are validated and added with
+ * the properties, groups and `entriesVisible` of the base merged in.
+ *
+ * Translations of a template must only reference texts of the template.
  */
 export class Validator extends BaseValidator {
-  constructor(moddle) {
+  constructor(moddle, bindingTypeRegistry) {
     super(moddle);
+
+    this._bindingTypeRegistry = bindingTypeRegistry || getDefaultBindingTypeRegistry();
+
+    this._pendingTemplates = [];
+  }
+
+  /**
+   * Adds the templates. Templates may extend other templates added
+   * at once, in any order.
+   *
+   * @param {Array<TemplateDescriptor>} templates
+   *
+   * @return {Validator}
+   */
+  addAll(templates) {
+    this._pendingTemplates = isArray(templates) ? templates : [];
+
+    super.addAll(templates);
+
+    this._pendingTemplates = [];
+
+    return this;
+  }
+
+  /**
+   * Add the given element template, if it is valid.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {Validator}
+   */
+  add(template) {
+    let resolvedTemplate;
+
+    try {
+      resolvedTemplate = resolveExtends(template, {
+        findBase: ref => this._findBaseTemplate(ref),
+        isResolved: template => this._isRegistered(template)
+      });
+    } catch (error) {
+      this._logError(error.message, template);
+
+      return this;
+    }
+
+    return super.add(resolvedTemplate);
   }
 
   /**
@@ -77,8 +226,58 @@ export class Validator extends BaseValidator {
       return elementTypeError;
     }
 
-    // (5) JSON schema compliance
-    const validationResult = validateAgainstSchema(template);
+    // (5) custom binding types
+    const customBindingsError = this._validateCustomBindings(template);
+
+    if (customBindingsError) {
+      return customBindingsError;
+    }
+
+    // (6) conditions
+    const conditionsError = this._validateConditions(template);
+
+    if (conditionsError) {
+      return conditionsError;
+    }
+
+    // (7) choices sources
+    const choicesSourcesError = this._validateChoicesSources(template);
+
+    if (choicesSourcesError) {
+      return choicesSourcesError;
+    }
+
+    // (8) list, key/value and secret properties
+    const valuePropertiesError = this._validateValueProperties(template);
+
+    if (valuePropertiesError) {
+      return valuePropertiesError;
+    }
+
+    // (9) repeatable groups
+    const groupsError = this._validateRepeatableGroups(template);
+
+    if (groupsError) {
+      return groupsError;
+    }
+
+    // (10) translations
+    const translationsError = getTranslationsError(template);
+
+    if (translationsError) {
+      return this._logError(translationsError, template);
+    }
+
+    // (11) JSON schema compliance
+    const validationResult = validateAgainstSchema(
+      this._replaceValueProperties(
+        this._replaceChoicesSources(
+          this._replaceExtendedElementType(
+            this._replaceExtendedConditions(this._replaceCustomBindings(template))
+          )
+        )
+      )
+    );
 
     const {
       errors,
@@ -96,7 +295,540 @@ export class Validator extends BaseValidator {
     return err;
   }
 
+  /**
+   * Find base template with given ID and version or, if no version is
+   * given, the latest version among registered and pending templates.
+   *
+   * @param { { id: string, version?: number } } ref
+   *
+   * @return {TemplateDescriptor|null}
+   */
+  _findBaseTemplate({ id, version }) {
+    const candidates = [
+      ...values(this._templatesById[ id ] || {}),
+      ...this._pendingTemplates.filter(template => template && template.id === id)
+    ];
+
+    if (!isUndefined(version)) {
+      return candidates.find(template => template.version === version) || null;
+    }
+
+    return candidates.reduce((latest, template) => {
+      return !latest || (template.version || 0) > (latest.version || 0) ? template : latest;
+    }, null);
+  }
+
+  _isRegistered(template) {
+    return values(this._templatesById[ template.id ] || {}).includes(template);
+  }
+
+  /**
+   * Validate elementType for given template and return error (if any).
+   * Event definitions unknown to the JSON schema are validated here.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {Error} validation error, if any
+   */
+  _validateElementType(template) {
+    const err = super._validateElementType(template);
+
+    if (err || !isExtendedEventDefinition(template)) {
+      return err;
+    }
+
+    const {
+      eventDefinition,
+      value
+    } = template.elementType;
+
+    if (!value || !this._isType(value, 'bpmn:Event')) {
+      return this._logError(`event definition <${ eventDefinition }> requires element type to be an event`, template);
+    }
+  }
+
   isSchemaValid(schema) {
     return schema && schema.includes(SUPPORTED_SCHEMA_PACKAGE);
   }
+
+  _validateCustomBindings(template) {
+    let err;
+
+    getCustomBindingProperties(template, this._bindingTypeRegistry).forEach(property => {
+      const handler = this._bindingTypeRegistry.get(property.binding.type);
+
+      const message = handler.validate && handler.validate(property, template);
+
+      if (message) {
+        err = this._logError(message, template);
+      }
+    });
+
+    return err;
+  }
+
+  _validateConditions(template) {
+    const { properties } = template;
+
+    if (!Array.isArray(properties)) {
+      return;
+    }
+
+    let err;
+
+    properties.forEach(property => {
+      const condition = property && property.condition;
+
+      if (!condition || isSchemaCondition(condition)) {
+        return;
+      }
+
+      const message = getConditionError(condition);
+
+      if (message) {
+        err = this._logError(`invalid condition of property <${ property.id || property.label }>: ${ message }`, template);
+      }
+    });
+
+    if (err) {
+      return err;
+    }
+
+    const cycle = findConditionCycle(properties.filter(isObject));
+
+    if (cycle) {
+      return this._logError(`conditions of properties <${ cycle.join(' -> ') }> form a cycle`, template);
+    }
+  }
+
+  _validateChoicesSources(template) {
+    const { properties } = template;
+
+    if (!Array.isArray(properties)) {
+      return;
+    }
+
+    let err;
+
+    properties.forEach(property => {
+      if (!property || isUndefined(property.choicesSource)) {
+        return;
+      }
+
+      const message = getChoicesSourceError(property);
+
+      if (message) {
+        err = this._logError(`invalid choicesSource of property <${ property.id || property.label }>: ${ message }`, template);
+      }
+    });
+
+    return err;
+  }
+
+  /**
+   * Remove choices sources unknown to the JSON schema. Dropdowns with a
+   * choices source may omit static `choices`. Choices sources are validated
+   * separately, cf. `Validator#_validateChoicesSources`.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {TemplateDescriptor}
+   */
+  _replaceChoicesSources(template) {
+    if (!Array.isArray(template.properties)) {
+      return template;
+    }
+
+    return {
+      ...template,
+      properties: template.properties.map(property => {
+        if (!property || isUndefined(property.choicesSource)) {
+          return property;
+        }
+
+        return {
+          choices: [],
+          ...omit(property, [ 'choicesSource' ])
+        };
+      })
+    };
+  }
+
+  _validateValueProperties(template) {
+    const { properties } = template;
+
+    if (!Array.isArray(properties)) {
+      return;
+    }
+
+    let err;
+
+    properties.forEach(property => {
+      if (!property || !isValueProperty(property)) {
+        return;
+      }
+
+      const message = getValuePropertyError(property);
+
+      if (message) {
+        err = this._logError(`invalid property <${ property.id || property.label }>: ${ message }`, template);
+      }
+    });
+
+    return err;
+  }
+
+  _validateRepeatableGroups(template) {
+    const { groups } = template;
+
+    if (!Array.isArray(groups)) {
+      return;
+    }
+
+    let err;
+
+    groups.forEach(group => {
+      if (!isObject(group)) {
+        return;
+      }
+
+      const message = getRepeatableGroupError(group, template) || getGroupDependencyError(group, template);
+
+      if (message) {
+        err = this._logError(`invalid group <${ group.id || group.label }>: ${ message }`, template);
+      }
+    });
+
+    return err;
+  }
+
+  /**
+   * Replace list, key/value and secret properties unknown to the JSON
+   * schema with `String` properties holding the serialized value. These
+   * are validated separately, cf. `Validator#_validateValueProperties`.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {TemplateDescriptor}
+   */
+  _replaceValueProperties(template) {
+    if (!Array.isArray(template.properties)) {
+      return template;
+    }
+
+    return {
+      ...template,
+      properties: template.properties.map(property => {
+        if (!property || !isValueProperty(property)) {
+          return property;
+        }
+
+        const {
+          constraints,
+          value
+        } = property;
+
+        return {
+          ...omit(property, [ 'choices', 'constraints', 'value' ]),
+          type: 'String',
+          ...(isUndefined(value) ? {} : { value: getDefaultValue(property) }),
+          ...(isUndefined(constraints) ? {} : { constraints: omit(constraints, [ 'maxItems', 'minItems', 'uniqueItems' ]) })
+        };
+      })
+    };
+  }
+
+  /**
+   * Remove conditions unknown to the JSON schema. These are validated
+   * separately, cf. `Validator#_validateConditions`.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {TemplateDescriptor}
+   */
+  _replaceExtendedConditions(template) {
+    if (!Array.isArray(template.properties)) {
+      return template;
+    }
+
+    return {
+      ...template,
+      properties: template.properties.map(property => {
+        if (!property || !property.condition || isSchemaCondition(property.condition)) {
+          return property;
+        }
+
+        return omit(property, [ 'condition' ]);
+      })
+    };
+  }
+
+  /**
+   * Remove event definitions unknown to the JSON schema. These are validated
+   * separately, cf. `Validator#_validateElementType`.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {TemplateDescriptor}
+   */
+  _replaceExtendedElementType(template) {
+    if (!isExtendedEventDefinition(template)) {
+      return template;
+    }
+
+    return {
+      ...template,
+      elementType: omit(template.elementType, [ 'eventDefinition' ])
+    };
+  }
+
+  /**
+   * Replace bindings unknown to the JSON schema with a placeholder
+   * so that the remaining property attributes can still be validated.
+   *
+   * @param {TemplateDescriptor} template
+   *
+   * @return {TemplateDescriptor}
+   */
+  _replaceCustomBindings(template) {
+    const customProperties = getCustomBindingProperties(template, this._bindingTypeRegistry);
+
+    if (!customProperties.length) {
+      return template;
+    }
+
+    return {
+      ...template,
+      properties: template.properties.map((property, index) => {
+        if (!customProperties.includes(property)) {
+          return property;
+        }
+
+        return {
+          ...property,
+          binding: {
+            type: ZEEBE_PROPERTY_TYPE,
+            name: `${ property.binding.type }#${ index }`
+          }
+        };
+      })
+    };
+  }
+}
+
+
+// helpers //////////
+
+/**
+ * Check whether a property holds a list, key/value or secret value.
+ * Properties without binding are left to the JSON schema validation.
+ *
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+function isValueProperty(property) {
+  return isObject(property.binding) && (isListProperty(property) || isKeyValueProperty(property) || isSecretProperty(property));
+}
+
+function getValuePropertyError(property) {
+  if (isListProperty(property)) {
+    return getListPropertyError(property);
+  }
+
+  if (isKeyValueProperty(property)) {
+    return getKeyValuePropertyError(property);
+  }
+
+  return getSecretPropertyError(property);
+}
+
+/**
+ * Properties outside of a repeatable group cannot depend on properties
+ * of the group, as these exist once per group instance.
+ *
+ * @param {Object} group
+ * @param {TemplateDescriptor} template
+ *
+ * @return {string|undefined} error message, if any
+ */
+function getGroupDependencyError(group, template) {
+  if (!isRepeatableGroup(group) || !Array.isArray(template.properties)) {
+    return;
+  }
+
+  const properties = template.properties.filter(isObject);
+
+  const groupPropertyIds = properties
+    .filter(property => property.group === group.id)
+    .map(property => property.id);
+
+  for (const property of properties) {
+    if (property.group === group.id) {
+      continue;
+    }
+
+    const dependency = getConditionDependencies(property.condition).find(id => groupPropertyIds.includes(id));
+
+    if (dependency) {
+      return `property <${ property.id || property.label }> outside of the group must not depend on property <${ dependency }>`;
+    }
+  }
+}
+
+/**
+ * Check whether a condition is supported by the JSON schema, i.e. it is
+ * a simple `equals`, `oneOf` or `isActive` condition or an `allMatch`
+ * of those.
+ *
+ * @param {Object} condition
+ *
+ * @return {boolean}
+ */
+function isSchemaCondition(condition) {
+  if (condition.allMatch) {
+    return Object.keys(condition).length === 1 &&
+      Array.isArray(condition.allMatch) &&
+      condition.allMatch.every(isSimpleSchemaCondition);
+  }
+
+  return isSimpleSchemaCondition(condition);
+}
+
+function isSimpleSchemaCondition(condition) {
+  return isObject(condition) && Object.keys(condition).every(
+    key => SCHEMA_CONDITION_KEYS.includes(key)
+  );
+}
+
+/**
+ * Validate a (possibly nested) condition.
+ *
+ * @param {Object} condition
+ *
+ * @return {string|undefined} error message, if any
+ */
+function getConditionError(condition) {
+  if (!isObject(condition)) {
+    return 'condition must be an object';
+  }
+
+  const groupKeys = CONDITION_GROUPS.filter(key => has(condition, key));
+
+  if (groupKeys.length) {
+    if (groupKeys.length > 1 || Object.keys(condition).length > 1) {
+      return `<${ groupKeys[0] }> must not be combined with other keys`;
+    }
+
+    const [ key ] = groupKeys;
+
+    if (key === 'not') {
+      return getConditionError(condition.not);
+    }
+
+    if (!Array.isArray(condition[ key ]) || !condition[ key ].length) {
+      return `<${ key }> must be a non-empty array`;
+    }
+
+    return condition[ key ].map(getConditionError).find(message => message);
+  }
+
+  if (has(condition, 'element')) {
+    if (Object.keys(condition).length > 1) {
+      return '<element> must not be combined with other keys';
+    }
+
+    return getElementConditionError(condition.element);
+  }
+
+  if (!isString(condition.property)) {
+    return 'missing <property>';
+  }
+
+  const operators = CONDITION_OPERATORS.filter(key => has(condition, key));
+
+  if (operators.length !== 1 || Object.keys(condition).length !== 2) {
+    return `expected exactly one of <${ CONDITION_OPERATORS.join(', ') }>`;
+  }
+
+  const [ operator ] = operators;
+
+  const value = condition[ operator ];
+
+  if (operator === 'oneOf' && !Array.isArray(value)) {
+    return '<oneOf> must be an array';
+  }
+
+  if ([ 'isActive', 'isEmpty' ].includes(operator) && typeof value !== 'boolean') {
+    return `<${ operator }> must be a boolean`;
+  }
+
+  if ([ 'greaterThan', 'lessThan' ].includes(operator) && !isNumber(value)) {
+    return `<${ operator }> must be a number`;
+  }
+
+  if (operator === 'matches') {
+    if (!isString(value)) {
+      return '<matches> must be a string';
+    }
+
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return '<matches> must be a valid regular expression';
+    }
+  }
+}
+
+function isExtendedEventDefinition(template) {
+  const { elementType } = template;
+
+  return isObject(elementType) && EXTENDED_EVENT_DEFINITIONS.includes(elementType.eventDefinition);
+}
+
+function getCustomBindingProperties(template, bindingTypeRegistry) {
+  if (!bindingTypeRegistry || !Array.isArray(template.properties)) {
+    return [];
+  }
+
+  return template.properties.filter(property => {
+    const type = property && property.binding && property.binding.type;
+
+    return type && !SCHEMA_BINDING_TYPES.includes(type) && bindingTypeRegistry.has(type);
+  });
+}
+
+/**
+ * Validate an element condition, e.g. `{ type: 'bpmn:StartEvent' }`.
+ *
+ * @param {Object} condition
+ *
+ * @return {string|undefined} error message, if any
+ */
+function getElementConditionError(condition) {
+  if (!isObject(condition) || !Object.keys(condition).length) {
+    return '<element> must be a non-empty object';
+  }
+
+  for (const key of Object.keys(condition)) {
+    const value = condition[ key ];
+
+    if (!ELEMENT_CONDITION_KEYS.includes(key)) {
+      return `unknown element condition <${ key }>, expected one of <${ ELEMENT_CONDITION_KEYS.join(', ') }>`;
+    }
+
+    if (key === 'parent') {
+      const message = getElementConditionError(value);
+
+      if (message) {
+        return message;
+      }
+    } else if ([ 'type', 'eventDefinition' ].includes(key)) {
+      if (!isString(value) && !(Array.isArray(value) && value.length && value.every(isString))) {
+        return `<element.${ key }> must be a string or a non-empty array of strings`;
+      }
+    } else if (typeof value !== 'boolean') {
+      return `<element.${ key }> must be a boolean`;
+    }
+  }
 }
@@ -1,20 +1,31 @@
 import {
-  applyConditions
+  applyConditions,
+  hasDifferentPropertyBindings
 } from '../Condition';
 
-import { isObject } from 'min-dash';
+import { has } from 'min-dash';
 import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
 
-import { ZEEBE_TASK_DEFINITION, ZEEBE_TASK_DEFINITION_TYPE_TYPE } from '../util/bindingTypes';
-
 const HIGH_PRIORITY = 2500;
 
+const UPDATE_COMMANDS = [
+  'element.updateProperties',
+  'element.updateModdleProperties'
+];
+
+const ELEMENT_CONTEXT_COMMANDS = [
+  'shape.create',
+  'shape.move',
+  'element.updateAttachment',
+  ...UPDATE_COMMANDS
+];
+
 /**
  * Checks the conditions of an element template and sets/resets the
  * corresponding properties on the element.
  */
 export default class ConditionalBehavior extends CommandInterceptor {
-  constructor(eventBus, elementTemplates, commandStack, bpmnFactory, injector) {
+  constructor(eventBus, elementTemplates, commandStack, bpmnFactory, injector, bindingTypeRegistry) {
     super(eventBus);
 
     this._eventBus = eventBus;
@@ -22,10 +33,9 @@ export default class ConditionalBehavior extends CommandInterceptor {
     this._commandStack = commandStack;
     this._bpmnFactory = bpmnFactory;
     this._injector = injector;
+    this._bindingTypeRegistry = bindingTypeRegistry;
 
-    this.preExecute([
-      'element.updateProperties', 'element.updateModdleProperties'
-    ], this._saveConditionalState, true, this);
+    this.preExecute(UPDATE_COMMANDS, this._saveConditionalState, true, this);
 
     this.postExecute([
       'element.updateProperties',
@@ -34,6 +44,12 @@ export default class ConditionalBehavior extends CommandInterceptor {
       'element.move'
     ], this._applyConditions, true, this);
 
+    // Element conditions might change if an element is created or moved,
+    // boundary events are (de-)attached or the parent becomes multi-instance.
+    this.preExecute(ELEMENT_CONTEXT_COMMANDS, this._saveElementContextState, true, this);
+
+    this.postExecute(ELEMENT_CONTEXT_COMMANDS, this._applyElementContextConditions, true, this);
+
     // Apply Conditions before changing properties. This persists the template so we can check if conditions apply
     // after upgrading the template.
     this.preExecute([ 'propertiesPanel.zeebe.changeTemplate' ], HIGH_PRIORITY, this._handleTemplateUpgrade, true, this);
@@ -49,7 +65,7 @@ export default class ConditionalBehavior extends CommandInterceptor {
       return;
     }
 
-    context.newTemplate = applyConditions(context.element, context.newTemplate);
+    context.newTemplate = applyConditions(context.element, context.newTemplate, this._bindingTypeRegistry);
   }
 
   _saveConditionalState(context) {
@@ -63,7 +79,7 @@ export default class ConditionalBehavior extends CommandInterceptor {
       return;
     }
 
-    context.oldTemplateWithConditions = applyConditions(element, template);
+    context.oldTemplateWithConditions = applyConditions(element, template, this._bindingTypeRegistry);
   }
 
   _applyConditions(context) {
@@ -71,18 +87,53 @@ export default class ConditionalBehavior extends CommandInterceptor {
       element
     } = context;
 
-
-    const template = this._elementTemplates.get(element);
-
     // New Template is persisted before applying default values,
     // new conditions might apply after the defaults are present.
     const oldTemplate = context.oldTemplateWithConditions || context.newTemplate;
 
+    this._updateConditionalProperties(element, oldTemplate);
+  }
+
+  _saveElementContextState(context, command) {
+    context.oldTemplatesWithConditions = getElementContextElements(command, context).reduce((states, element) => {
+      const template = this._elementTemplates.get(element);
+
+      if (template) {
+        states.push({
+          element,
+          template: applyConditions(element, template, this._bindingTypeRegistry)
+        });
+      }
+
+      return states;
+    }, []);
+  }
+
+  _applyElementContextConditions(context) {
+    const {
+      oldTemplatesWithConditions = []
+    } = context;
+
+    oldTemplatesWithConditions.forEach(({ element, template }) => {
+      this._updateConditionalProperties(element, template);
+    });
+  }
+
+  /**
+   * Update the properties of the element if the result of
+   * applying the conditions changed.
+   *
+   * @param {djs.model.Base} element
+   * @param {Object} oldTemplate template with conditions applied before the change
+   */
+  _updateConditionalProperties(element, oldTemplate) {
+    const template = this._elementTemplates.get(element);
+
     if (!template || !oldTemplate || template.id !== oldTemplate.id) {
       return;
     }
 
-    const newTemplate = applyConditions(element, template);
+    const newTemplate = applyConditions(element, template, this._bindingTypeRegistry);
 
     if (!hasDifferentPropertyBindings(newTemplate, oldTemplate)) {
       return;
@@ -104,93 +155,44 @@ ConditionalBehavior.$inject = [
   'elementTemplates',
   'commandStack',
   'bpmnFactory',
-  'injector'
+  'injector',
+  'bindingTypeRegistry'
 ];
 
 
 // helpers
 
-function hasDifferentPropertyBindings(sourceTemplate, targetTemplate) {
-  return hasNewProperties(sourceTemplate, targetTemplate) || hasRemovedProperties(sourceTemplate, targetTemplate);
-}
-
-function hasNewProperties(sourceTemplate, targetTemplate) {
-  let properties = targetTemplate.properties;
-
-  return properties.some(targetProp =>!(
-    sourceTemplate.properties.find(sourceProp => compareProps(sourceProp, targetProp))
-  ));
-}
-
-function hasRemovedProperties(oldTemplate, newTemplate) {
-  const oldProperties = getMissingProperties(newTemplate, oldTemplate);
-
-  // ensure XML properties are mantained for properties with
-  // different conditions but same bindings
-  return oldProperties.some(property =>
-    !findPropertyWithBinding(newTemplate, property)
-  );
-}
-
-function getMissingProperties(sourceTemplate, targetTemplate) {
-
-  let properties = targetTemplate.properties;
-
-  return properties.filter(targetProp =>!(
-    sourceTemplate.properties.find(sourceProp => compareProps(sourceProp, targetProp))
-  ));
-}
-
-function compareProps(sourceProp, targetProp) {
-  return (
-    areBindingsEqual(sourceProp.binding, targetProp.binding) &&
-    equals(sourceProp.condition, targetProp.condition)
-  );
-}
-
-function findPropertyWithBinding(template, prop1) {
-  return template.properties.some(
-    prop2 => areBindingsEqual(prop1.binding, prop2.binding)
-  );
-}
-
-function normalizeReplacer(key, value) {
-
-  if (isObject(value)) {
-    const keys = Object.keys(value).sort();
-
-    return keys.reduce((obj, key) => {
-      obj[key] = value[key];
-
-      return obj;
-    }, {});
-  }
-
-  return value;
-}
-
-function areBindingsEqual(binding1, binding2) {
-  binding1 = normalizeBinding(binding1);
-  binding2 = normalizeBinding(binding2);
-
-  return equals(binding1, binding2);
-}
-
 /**
- * Convert deprecated binding type to new type.
+ * Get elements whose element conditions might be affected by a command.
+ *
+ * @param {string} command
+ * @param {Object} context
+ *
+ * @return {Array<djs.model.Base>}
  */
-function normalizeBinding(binding) {
-  if (binding.type === ZEEBE_TASK_DEFINITION_TYPE_TYPE) {
-    return {
-      ...binding,
-      type: ZEEBE_TASK_DEFINITION,
-      property: 'type'
-    };
+function getElementContextElements(command, context) {
+  const {
+    element,
+    newHost,
+    properties,
+    shape
+  } = context;
+
+  let elements = [];
+
+  if (command === 'shape.create' || command === 'shape.move') {
+    elements = [ shape ];
   }
 
-  return binding;
-}
+  // (de-)attaching boundary events, also when these are created or deleted
+  if (command === 'element.updateAttachment') {
+    elements = [ newHost, shape.host ];
+  }
+
+  // (un-)setting multi-instance affects the children of an element
+  if (UPDATE_COMMANDS.includes(command) && properties && has(properties, 'loopCharacteristics')) {
+    elements = element.children || [];
+  }
 
-function equals(a, b) {
-  return JSON.stringify(a, normalizeReplacer) === JSON.stringify(b, normalizeReplacer);
+  return elements.filter((element, index) => element && elements.indexOf(element) === index);
 }
@@ -0,0 +1,63 @@
+import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
+
+import { getDefaultValue } from '../Helper';
+
+import { DEFAULT_FLOW_TYPE } from '../util/bindingTypes';
+
+import { getPropertiesByType } from '../binding-types/util';
+
+import { setPropertyValue } from '../util/propertyUtil';
+
+/**
+ * Makes templated sequence flows the default flow of their source once
+ * connected, as specified by the `bpmn:SequenceFlow#default` binding.
+ */
+export class DefaultFlowBehavior extends CommandInterceptor {
+
+  /**
+   * @param {*} eventBus
+   * @param {*} bpmnFactory
+   * @param {*} commandStack
+   * @param {import('../ElementTemplates').default} elementTemplates
+   * @param {*} bindingTypeRegistry
+   */
+  constructor(eventBus, bpmnFactory, commandStack, elementTemplates, bindingTypeRegistry) {
+    super(eventBus);
+
+    this._bpmnFactory = bpmnFactory;
+    this._commandStack = commandStack;
+    this._elementTemplates = elementTemplates;
+    this._bindingTypeRegistry = bindingTypeRegistry;
+
+    this.postExecuted('connection.create', this._applyDefaultFlow, true, this);
+  }
+
+  _applyDefaultFlow(context) {
+    const { connection } = context;
+
+    const template = this._elementTemplates.get(connection);
+
+    if (!template) {
+      return;
+    }
+
+    getPropertiesByType(template, [ DEFAULT_FLOW_TYPE ]).forEach(property => {
+      setPropertyValue(
+        this._bpmnFactory,
+        this._commandStack,
+        connection,
+        property,
+        getDefaultValue(property),
+        this._bindingTypeRegistry
+      );
+    });
+  }
+}
+
+DefaultFlowBehavior.$inject = [
+  'eventBus',
+  'bpmnFactory',
+  'commandStack',
+  'elementTemplates',
+  'bindingTypeRegistry'
+];
@@ -7,7 +7,7 @@ import { getPropertyValue, setPropertyValue } from '../util/propertyUtil';
  * Handles generated value properties.
  */
 export class GeneratedValueBehavior extends CommandInterceptor {
-  constructor(eventBus, elementTemplates, modeling, commandStack, bpmnFactory) {
+  constructor(eventBus, elementTemplates, modeling, commandStack, bpmnFactory, bindingTypeRegistry) {
     super(eventBus);
 
     this._eventBus = eventBus;
@@ -25,13 +25,13 @@ export class GeneratedValueBehavior extends CommandInterceptor {
       const generatedProps = template.properties.filter(p => p.generatedValue);
 
       generatedProps.forEach(p => {
-        if (!getPropertyValue(element, p)) {
+        if (!getPropertyValue(element, p, bindingTypeRegistry)) {
           return;
         }
 
         const value = getDefaultValue(p);
 
-        setPropertyValue(bpmnFactory, commandStack, element, p, value);
+        setPropertyValue(bpmnFactory, commandStack, element, p, value, bindingTypeRegistry);
       });
     }, true);
   }
@@ -42,5 +42,6 @@ GeneratedValueBehavior.$inject = [
   'elementTemplates',
   'modeling',
   'commandStack',
-  'bpmnFactory'
+  'bpmnFactory',
+  'bindingTypeRegistry'
 ];
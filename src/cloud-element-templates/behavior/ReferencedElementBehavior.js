@@ -1,15 +1,21 @@
-import { getBusinessObject, isAny } from 'bpmn-js/lib/util/ModelUtil';
+import { getBusinessObject, is, isAny } from 'bpmn-js/lib/util/ModelUtil';
 import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
 import { isString } from 'min-dash';
 
-import { findMessage, getTemplateId, TEMPLATE_ID_ATTR } from '../Helper';
+import {
+  findReferencedRootElement,
+  getRootElementReferenceProperty,
+  getTemplateId,
+  TEMPLATE_ID_ATTR
+} from '../Helper';
 import {
   getReferringElement,
   removeRootElement
 } from '../util/rootElementUtil';
 
 /**
- * Handles referenced elements.
+ * Handles referenced elements, i.e. templated messages, signals, errors
+ * and escalations.
  */
 export class ReferencedElementBehavior extends CommandInterceptor {
   constructor(eventBus, elementTemplates, modeling, injector, moddleCopy, bpmnFactory) {
@@ -65,10 +71,10 @@ export class ReferencedElementBehavior extends CommandInterceptor {
     }
 
     const bo = getBusinessObject(element);
-    const message = findMessage(bo);
+    const rootElement = findReferencedRootElement(bo);
 
-    if (message && getTemplateId(message)) {
-      this._modeling.updateModdleProperties(element, message, {
+    if (rootElement && getTemplateId(rootElement)) {
+      this._modeling.updateModdleProperties(element, rootElement, {
         [TEMPLATE_ID_ATTR]: null
       });
     }
@@ -88,18 +94,18 @@ export class ReferencedElementBehavior extends CommandInterceptor {
     }
 
     const bo = getBusinessObject(oldShape);
-    const message = findMessage(bo);
+    const rootElement = findReferencedRootElement(bo);
 
-    if (!message || !getTemplateId(message)) {
+    if (!rootElement || !getTemplateId(rootElement)) {
       return;
     }
 
     if (!canHaveReferencedElement(newShape) || !newTemplate) {
-      removeRootElement(message, this._injector);
+      removeRootElement(rootElement, this._injector);
       return;
     }
 
-    this._addMessage(newShape, message);
+    this._addRootElement(newShape, rootElement);
   }
 
   _handleRemoval(context) {
@@ -118,18 +124,27 @@ export class ReferencedElementBehavior extends CommandInterceptor {
     }
 
     const bo = getBusinessObject(shape);
-    const message = findMessage(bo);
+    const rootElement = findReferencedRootElement(bo);
 
-    if (message && getTemplateId(message)) {
-      removeRootElement(message, this._injector);
+    if (rootElement && getTemplateId(rootElement)) {
+      removeRootElement(rootElement, this._injector);
     }
   }
 
-  _addMessage(element, message) {
+  _addRootElement(element, rootElement) {
     const bo = getReferringElement(element);
 
+    const referenceProperty = getRootElementReferenceProperty(bo);
+
+    // new element cannot reference the root element, e.g. a signal
+    // event replaced with a message event
+    if (!referenceProperty || !is(rootElement, bo.$descriptor.propertiesByName[ referenceProperty ].type)) {
+      removeRootElement(rootElement, this._injector);
+      return;
+    }
+
     this._modeling.updateModdleProperties(element, bo, {
-      'messageRef': message
+      [ referenceProperty ]: rootElement
     });
   }
 }
@@ -4,20 +4,28 @@ import UpdatePropertiesOrderBehavior from './UpdatePropertiesOrderBehavior';
 import { ReferencedElementBehavior } from './ReferencedElementBehavior';
 import { GeneratedValueBehavior } from './GeneratedValueBehavior';
 import { CalledElementBehavior } from './CalledElementBehavior';
+import { DefaultFlowBehavior } from './DefaultFlowBehavior';
+
+import bindingTypesModule from '../binding-types';
 
 export default {
+  __depends__: [
+    bindingTypesModule
+  ],
   __init__: [
     'elementTemplatesReplaceBehavior',
     'elementTemplatesConditionalBehavior',
     'elementTemplatesGeneratedValueBehavior',
     'elementTemplatesReferencedElementBehavior',
     'elementTemplatesUpdatePropertiesOrderBehavior',
-    'elementTemplatesCalledElementBehavior'
+    'elementTemplatesCalledElementBehavior',
+    'elementTemplatesDefaultFlowBehavior'
   ],
   elementTemplatesReplaceBehavior: [ 'type', ReplaceBehavior ],
   elementTemplatesConditionalBehavior: [ 'type', ConditionalBehavior ],
   elementTemplatesGeneratedValueBehavior: [ 'type', GeneratedValueBehavior ],
   elementTemplatesReferencedElementBehavior: [ 'type', ReferencedElementBehavior ],
   elementTemplatesUpdatePropertiesOrderBehavior: [ 'type', UpdatePropertiesOrderBehavior ],
-  elementTemplatesCalledElementBehavior: [ 'type', CalledElementBehavior ]
+  elementTemplatesCalledElementBehavior: [ 'type', CalledElementBehavior ],
+  elementTemplatesDefaultFlowBehavior: [ 'type', DefaultFlowBehavior ]
 };
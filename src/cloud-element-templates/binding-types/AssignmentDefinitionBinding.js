@@ -0,0 +1,13 @@
+import { ZEEBE_ASSIGNMENT_DEFINITION } from '../util/bindingTypes';
+
+import createExtensionElementBinding from './ExtensionElementBinding';
+
+/**
+ * Binding of a `zeebe:AssignmentDefinition` property (`zeebe:assignmentDefinition`).
+ */
+export default createExtensionElementBinding({
+  bindingType: ZEEBE_ASSIGNMENT_DEFINITION,
+  extensionType: 'zeebe:AssignmentDefinition',
+  properties: [ 'assignee', 'candidateGroups', 'candidateUsers' ],
+  elementTypes: [ 'bpmn:UserTask' ]
+});
@@ -0,0 +1,270 @@
+import {
+  find,
+  isArray,
+  isFunction
+} from 'min-dash';
+
+import {
+  PROPERTY_TYPE,
+  ZEEBE_TASK_DEFINITION_TYPE_TYPE,
+  ZEEBE_TASK_DEFINITION,
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_OUTPUT_TYPE,
+  ZEEBE_TASK_HEADER_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  MESSAGE_PROPERTY_TYPE,
+  MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE,
+  ZEEBE_CALLED_ELEMENT,
+  ZEEBE_EXECUTION_LISTENER,
+  ZEEBE_FORM_DEFINITION,
+  ZEEBE_ASSIGNMENT_DEFINITION,
+  ZEEBE_TASK_SCHEDULE,
+  ZEEBE_USER_TASK,
+  ZEEBE_SCRIPT,
+  ZEEBE_CALLED_DECISION,
+  SIGNAL_PROPERTY_TYPE,
+  ERROR_PROPERTY_TYPE,
+  ESCALATION_PROPERTY_TYPE,
+  TIMER_EVENT_DEFINITION_PROPERTY_TYPE,
+  ZEEBE_LOOP_CHARACTERISTICS,
+  DEFAULT_FLOW_TYPE
+} from '../util/bindingTypes';
+
+import PropertyBinding from './PropertyBinding';
+import TaskDefinitionBinding from './TaskDefinitionBinding';
+import InputOutputBinding from './InputOutputBinding';
+import TaskHeaderBinding from './TaskHeaderBinding';
+import ZeebePropertyBinding from './ZeebePropertyBinding';
+import MessageBinding from './MessageBinding';
+import CalledElementBinding from './CalledElementBinding';
+import ExecutionListenerBinding from './ExecutionListenerBinding';
+import FormDefinitionBinding from './FormDefinitionBinding';
+import AssignmentDefinitionBinding from './AssignmentDefinitionBinding';
+import TaskScheduleBinding from './TaskScheduleBinding';
+import UserTaskBinding from './UserTaskBinding';
+import ScriptBinding from './ScriptBinding';
+import CalledDecisionBinding from './CalledDecisionBinding';
+import SignalBinding from './SignalBinding';
+import ErrorBinding from './ErrorBinding';
+import EscalationBinding from './EscalationBinding';
+import TimerEventDefinitionBinding from './TimerEventDefinitionBinding';
+import LoopCharacteristicsBinding from './LoopCharacteristicsBinding';
+import DefaultFlowBinding from './DefaultFlowBinding';
+
+/**
+ * @typedef {Object} BindingTypeHandler
+ *
+ * @property {Function} get
+ *   (element, property) => value, read the current value of a property
+ * @property {Function} set
+ *   (element, property, value, { bpmnFactory }) => Array<Command>, commands to set a value
+ * @property {Function} unset
+ *   (element, property) => Array<Command>, commands to remove a value
+ * @property {Function} [create]
+ *   (element, { property, bpmnFactory }) => void, bind a property to a newly created element
+ * @property {Function} [upgrade]
+ *   (element, oldTemplate, newTemplate, { bpmnFactory, commandStack, modeling, injector }) => void,
+ *   update an element to a new template; defaults to `set` and `unset` of changed properties
+ * @property {Function} [order]
+ *   (element, properties) => Array<Command>, commands to restore the template's property order
+ * @property {Function} [matches]
+ *   (oldBinding, newBinding, oldProperty, newProperty) => boolean, whether two bindings
+ *   target the same value; defaults to same type and name
+ * @property {Function} [validate]
+ *   (property, template) => string|undefined, validate a property not covered by the template schema
+ * @property {Array<ExtensionElementDescriptor>} [extensionElements]
+ *   extension elements the bound values are stored in
+ */
+
+/**
+ * @typedef {Object} ExtensionElementDescriptor
+ *
+ * @property {string} type
+ *   type of the extension element, e.g. `zeebe:IoMapping`
+ * @property {Array<string>} [bindingTypes]
+ *   binding types stored in the extension element; defaults to all types of the handler
+ * @property {string} [listName]
+ *   name of the list holding one entry per bound property, e.g. `inputParameters`
+ * @property {string} [label]
+ *   label of list entries in messages, e.g. `Input mapping`
+ * @property {Function} [getName]
+ *   (entry) => string, name identifying a list entry
+ * @property {Function} [getBindingName]
+ *   (binding, property) => string, name of the list entry a property is bound to
+ */
+
+/**
+ * A registry of binding types supported by element templates.
+ *
+ * Built-in bindings are registered on creation, custom binding types
+ * may be registered by third parties:
+ *
+ * @example
+ *
+ * bindingTypeRegistry.register('acme:retry', {
+ *   get(element, property) { ... },
+ *   set(element, property, value, { bpmnFactory }) { ... },
+ *   unset(element, property) { ... }
+ * });
+ */
+export default class BindingTypeRegistry {
+  constructor() {
+    this._handlers = {};
+
+    this._registerBuiltIns();
+  }
+
+  /**
+   * Register a handler for one or many binding types.
+   *
+   * @param {string|Array<string>} types
+   * @param {BindingTypeHandler} handler
+   *
+   * @return {BindingTypeRegistry}
+   */
+  register(types, handler) {
+    types = isArray(types) ? types : [ types ];
+
+    if (!handler || !isFunction(handler.get) || !isFunction(handler.set) || !isFunction(handler.unset)) {
+      throw new Error(`handler for binding type <${ types.join(', ') }> must implement <get>, <set> and <unset>`);
+    }
+
+    handler = {
+      matches: matchesByName,
+      ...handler,
+      types
+    };
+
+    types.forEach(type => {
+      this._handlers[ type ] = handler;
+    });
+
+    return this;
+  }
+
+  /**
+   * Get the handler registered for a binding type.
+   *
+   * @param {string} type
+   *
+   * @return {BindingTypeHandler|null}
+   */
+  get(type) {
+    return this._handlers[ type ] || null;
+  }
+
+  /**
+   * @param {string} type
+   *
+   * @return {boolean}
+   */
+  has(type) {
+    return !!this.get(type);
+  }
+
+  /**
+   * Get all registered handlers in order of registration.
+   *
+   * @return {Array<BindingTypeHandler>}
+   */
+  getAll() {
+    return Object.values(this._handlers).reduce((handlers, handler) => {
+      return handlers.includes(handler) ? handlers : [ ...handlers, handler ];
+    }, []);
+  }
+
+  /**
+   * Get the extension elements bound values are stored in.
+   *
+   * @return {Array<ExtensionElementDescriptor>}
+   */
+  getExtensionElements() {
+    return this.getAll().reduce((extensionElements, handler) => {
+      return [
+        ...extensionElements,
+        ...(handler.extensionElements || []).map(extensionElement => ({
+          bindingTypes: handler.types,
+          ...extensionElement
+        }))
+      ];
+    }, []);
+  }
+
+  /**
+   * Get the types of extension elements bound values are stored in, along
+   * with the binding types stored in each of them.
+   *
+   * @return {Array<{ type: string, bindingTypes: Array<string> }>}
+   */
+  getExtensionElementTypes() {
+    return this.getExtensionElements().reduce((extensionElementTypes, { type, bindingTypes }) => {
+      const existing = find(extensionElementTypes, extensionElementType => extensionElementType.type === type);
+
+      if (!existing) {
+        return [ ...extensionElementTypes, { type, bindingTypes } ];
+      }
+
+      existing.bindingTypes = [
+        ...existing.bindingTypes,
+        ...bindingTypes.filter(bindingType => !existing.bindingTypes.includes(bindingType))
+      ];
+
+      return extensionElementTypes;
+    }, []);
+  }
+
+  /**
+   * Get all registered binding types.
+   *
+   * @return {Array<string>}
+   */
+  getTypes() {
+    return Object.keys(this._handlers);
+  }
+
+  _registerBuiltIns() {
+    this.register(PROPERTY_TYPE, PropertyBinding);
+    this.register([ ZEEBE_TASK_DEFINITION_TYPE_TYPE, ZEEBE_TASK_DEFINITION ], TaskDefinitionBinding);
+    this.register([ ZEBBE_INPUT_TYPE, ZEEBE_OUTPUT_TYPE ], InputOutputBinding);
+    this.register(ZEEBE_TASK_HEADER_TYPE, TaskHeaderBinding);
+    this.register(ZEEBE_PROPERTY_TYPE, ZeebePropertyBinding);
+    this.register([ MESSAGE_PROPERTY_TYPE, MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE ], MessageBinding);
+    this.register(ZEEBE_CALLED_ELEMENT, CalledElementBinding);
+    this.register(ZEEBE_EXECUTION_LISTENER, ExecutionListenerBinding);
+    this.register(ZEEBE_USER_TASK, UserTaskBinding);
+    this.register(ZEEBE_FORM_DEFINITION, FormDefinitionBinding);
+    this.register(ZEEBE_ASSIGNMENT_DEFINITION, AssignmentDefinitionBinding);
+    this.register(ZEEBE_TASK_SCHEDULE, TaskScheduleBinding);
+    this.register(ZEEBE_SCRIPT, ScriptBinding);
+    this.register(ZEEBE_CALLED_DECISION, CalledDecisionBinding);
+    this.register(SIGNAL_PROPERTY_TYPE, SignalBinding);
+    this.register(ERROR_PROPERTY_TYPE, ErrorBinding);
+    this.register(ESCALATION_PROPERTY_TYPE, EscalationBinding);
+    this.register(TIMER_EVENT_DEFINITION_PROPERTY_TYPE, TimerEventDefinitionBinding);
+    this.register(ZEEBE_LOOP_CHARACTERISTICS, LoopCharacteristicsBinding);
+    this.register(DEFAULT_FLOW_TYPE, DefaultFlowBinding);
+  }
+}
+
+let defaultBindingTypeRegistry;
+
+/**
+ * Get a shared registry of the built-in binding types. Used wherever
+ * no registry is provided, e.g. outside of a modeler.
+ *
+ * @return {BindingTypeRegistry}
+ */
+export function getDefaultBindingTypeRegistry() {
+  if (!defaultBindingTypeRegistry) {
+    defaultBindingTypeRegistry = new BindingTypeRegistry();
+  }
+
+  return defaultBindingTypeRegistry;
+}
+
+
+// helpers //////////
+
+function matchesByName(oldBinding, newBinding) {
+  return oldBinding.type === newBinding.type && oldBinding.name === newBinding.name;
+}
@@ -0,0 +1,16 @@
+import { ZEEBE_CALLED_DECISION } from '../util/bindingTypes';
+
+import { CalledDecisionBindingProvider } from '../create/CalledDecisionBindingProvider';
+
+import createExtensionElementBinding from './ExtensionElementBinding';
+
+/**
+ * Binding of a `zeebe:CalledDecision` property (`zeebe:calledDecision`).
+ */
+export default createExtensionElementBinding({
+  bindingType: ZEEBE_CALLED_DECISION,
+  extensionType: 'zeebe:CalledDecision',
+  properties: [ 'decisionId', 'resultVariable' ],
+  elementTypes: [ 'bpmn:BusinessRuleTask' ],
+  create: CalledDecisionBindingProvider.create
+});
@@ -0,0 +1,202 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  getDefaultValue
+} from '../Helper';
+
+import { createCalledElement } from '../CreateHelper';
+
+import { CalledElementBindingProvider } from '../create/CalledElementBindingProvider';
+
+import { ZEEBE_CALLED_ELEMENT } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  findMatchingProperty,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  shouldKeepValue
+} from './util';
+
+/**
+ * Binding of a `zeebe:CalledElement` property (`zeebe:calledElement`).
+ */
+export default {
+  create: CalledElementBindingProvider.create,
+  get,
+  set,
+  unset,
+  upgrade,
+  matches,
+  extensionElements: [ { type: 'zeebe:CalledElement' } ]
+};
+
+function get(element, property) {
+  const calledElement = findExtension(element, 'zeebe:CalledElement');
+
+  return calledElement ? calledElement.get(property.binding.property) : '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const commands = [];
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  const calledElement = findExtension(extensionElements, 'zeebe:CalledElement');
+
+  const properties = {
+    [ property.binding.property ]: value || ''
+  };
+
+  if (calledElement) {
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        properties,
+        moddleElement: calledElement
+      }
+    });
+  } else {
+    const newCalledElement = createElement('zeebe:CalledElement', properties, extensionElements, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: extensionElements,
+        properties: { values: [ ...extensionElements.get('values'), newCalledElement ] }
+      }
+    });
+  }
+
+  return commands;
+}
+
+function unset(element, property) {
+  const calledElement = findExtension(element, 'zeebe:CalledElement');
+
+  if (!calledElement) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: calledElement,
+        properties: {
+          [ property.binding.property ]: undefined
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Update `zeebe:CalledElement` properties of specified business object. This
+ * can only exist in `bpmn:ExtensionElements`.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, [ ZEEBE_CALLED_ELEMENT ]);
+
+  const businessObject = getOrCreateExtensionElements(element, getBusinessObject(element), context);
+  let calledElement = findExtension(businessObject, 'zeebe:CalledElement');
+
+  // (1) remove old called element if no new properties specified
+  if (!newProperties.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: without(businessObject.get('values'), calledElement)
+      }
+    });
+
+    return;
+  }
+
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          newPropertyValue = getDefaultValue(newProperty),
+          propertyName = newProperty.binding.property;
+
+    // (2) update old called element
+    if (calledElement) {
+
+      if (!shouldKeepValue(calledElement.get(propertyName), oldProperty, newProperty)) {
+        const properties = {
+          [propertyName]: newPropertyValue
+        };
+
+        commandStack.execute('element.updateModdleProperties', {
+          element,
+          moddleElement: calledElement,
+          properties
+        });
+      }
+    }
+
+    // (3) add new called element
+    else {
+      const properties = {
+        [propertyName]: newPropertyValue
+      };
+
+      calledElement = createCalledElement(properties, bpmnFactory);
+
+      calledElement.$parent = businessObject;
+
+      commandStack.execute('element.updateModdleProperties', {
+        element,
+        moddleElement: businessObject,
+        properties: {
+          values: [ ...businessObject.get('values'), calledElement ]
+        }
+      });
+    }
+  });
+
+  // (4) remove properties no longer templated
+  const oldProperties = getPropertiesByType(oldTemplate, [ ZEEBE_CALLED_ELEMENT ]).filter((oldProperty) => {
+    return !newProperties.find((newProperty) => newProperty.binding.property === oldProperty.binding.property);
+  });
+
+  oldProperties.forEach((oldProperty) => {
+    const properties = {
+      [oldProperty.binding.property]: undefined
+    };
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: calledElement,
+      properties
+    });
+  });
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === ZEEBE_CALLED_ELEMENT && oldBinding.property === newBinding.property;
+}
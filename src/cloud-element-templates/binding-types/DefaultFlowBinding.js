@@ -0,0 +1,85 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { DEFAULT_FLOW_TYPE } from '../util/bindingTypes';
+
+import {
+  NO_OP,
+  getElementTypeError
+} from './util';
+
+/**
+ * Binding of a sequence flow being the default flow of its source
+ * (`bpmn:SequenceFlow#default`). Sequence flows without a source, e.g.
+ * created but not connected yet, are made default once connected.
+ */
+export default {
+  get,
+  set,
+  unset,
+  matches,
+  validate
+};
+
+function get(element) {
+  const source = getSource(element);
+
+  return !!source && getBusinessObject(source).get('default') === getBusinessObject(element);
+}
+
+function set(element, property, value) {
+  const source = getSource(element);
+
+  if (!source || !canHaveDefaultFlow(source)) {
+    return [ NO_OP ];
+  }
+
+  const isDefault = get(element);
+
+  if (toBoolean(value) === isDefault) {
+    return [ NO_OP ];
+  }
+
+  return [
+    {
+      cmd: 'element.updateProperties',
+      context: {
+        element: source,
+        property,
+        properties: {
+          default: isDefault ? undefined : getBusinessObject(element)
+        }
+      }
+    }
+  ];
+}
+
+function unset(element, property) {
+  return set(element, property, false);
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === DEFAULT_FLOW_TYPE && newBinding.type === DEFAULT_FLOW_TYPE;
+}
+
+function validate(property, template) {
+  return getElementTypeError(DEFAULT_FLOW_TYPE, [ 'bpmn:SequenceFlow' ], template);
+}
+
+
+// helpers //////////
+
+/**
+ * Get the source of a sequence flow, i.e. the source shape in the modeler
+ * and the source business object without a modeler.
+ */
+function getSource(element) {
+  return element.source || getBusinessObject(element).get('sourceRef');
+}
+
+function canHaveDefaultFlow(source) {
+  return !!getBusinessObject(source).$descriptor.propertiesByName.default;
+}
+
+function toBoolean(value) {
+  return value === true || value === 'true';
+}
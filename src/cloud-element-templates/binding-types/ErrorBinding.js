@@ -0,0 +1,14 @@
+import { ERROR_PROPERTY_TYPE } from '../util/bindingTypes';
+
+import createRootElementBinding from './RootElementBinding';
+
+/**
+ * Binding of properties of the referenced `bpmn:Error` (`bpmn:Error#property`).
+ */
+export default createRootElementBinding({
+  bindingType: ERROR_PROPERTY_TYPE,
+  rootElementType: 'bpmn:Error',
+  eventDefinitionType: 'bpmn:ErrorEventDefinition',
+  referenceProperty: 'errorRef',
+  properties: [ 'name', 'errorCode' ]
+});
@@ -0,0 +1,14 @@
+import { ESCALATION_PROPERTY_TYPE } from '../util/bindingTypes';
+
+import createRootElementBinding from './RootElementBinding';
+
+/**
+ * Binding of properties of the referenced `bpmn:Escalation` (`bpmn:Escalation#property`).
+ */
+export default createRootElementBinding({
+  bindingType: ESCALATION_PROPERTY_TYPE,
+  rootElementType: 'bpmn:Escalation',
+  eventDefinitionType: 'bpmn:EscalationEventDefinition',
+  referenceProperty: 'escalationRef',
+  properties: [ 'name', 'escalationCode' ]
+});
@@ -0,0 +1,313 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import {
+  isString,
+  isUndefined,
+  without
+} from 'min-dash';
+
+import {
+  findExecutionListener,
+  findExtension,
+  getDefaultValue
+} from '../Helper';
+
+import { createExecutionListener } from '../CreateHelper';
+
+import ExecutionListenerBindingProvider from '../create/ExecutionListenerBindingProvider';
+
+import { ZEEBE_EXECUTION_LISTENER } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  sortByProperties
+} from './util';
+
+const EVENT_TYPES = [ 'start', 'end' ];
+
+/**
+ * Binding of a `zeebe:ExecutionListener` (`zeebe:executionListener`). The
+ * listener's job type is the value of the property, which must be `Hidden`.
+ */
+export default {
+  create: ExecutionListenerBindingProvider.create,
+  get,
+  set,
+  unset,
+  upgrade,
+  order,
+  matches,
+  validate,
+  extensionElements: [
+    {
+      type: 'zeebe:ExecutionListeners',
+      listName: 'listeners',
+      label: 'Execution listener',
+      getName: listener => `${ listener.get('eventType') }:${ listener.get('type') }`,
+      getBindingName: (binding, property) => `${ binding.eventType }:${ getDefaultValue(property) }`
+    }
+  ]
+};
+
+function get(element, property) {
+  const executionListeners = findExtension(element, 'zeebe:ExecutionListeners');
+
+  if (!executionListeners) {
+    return '';
+  }
+
+  const listener = findExecutionListener(executionListeners, property);
+
+  return listener ? listener.get('type') : '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const commands = [];
+
+  const context = {
+    element,
+    property
+  };
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  let executionListeners = findExtension(extensionElements, 'zeebe:ExecutionListeners');
+
+  if (!executionListeners) {
+    executionListeners = createElement('zeebe:ExecutionListeners', null, extensionElements, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: extensionElements,
+        properties: { values: [ ...extensionElements.get('values'), executionListeners ] }
+      }
+    });
+  }
+
+  const oldListener = findExecutionListener(executionListeners, property);
+
+  const listeners = executionListeners.get('listeners').filter((listener) => listener !== oldListener);
+
+  // do not persist listeners without job type
+  if (value) {
+    const newListener = createExecutionListener(property.binding, value, bpmnFactory);
+
+    newListener.$parent = executionListeners;
+
+    listeners.push(newListener);
+  }
+
+  commands.push({
+    cmd: 'element.updateModdleProperties',
+    context: {
+      ...context,
+      moddleElement: executionListeners,
+      properties: { listeners }
+    }
+  });
+
+  return commands;
+}
+
+function unset(element, property) {
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  if (!extensionElements) {
+    return [];
+  }
+
+  const executionListeners = findExtension(extensionElements, 'zeebe:ExecutionListeners');
+
+  if (!executionListeners) {
+    return [];
+  }
+
+  const context = {
+    element,
+    property
+  };
+
+  const oldListener = findExecutionListener(executionListeners, property);
+
+  const listeners = executionListeners.get('listeners').filter((listener) => listener !== oldListener);
+
+  if (listeners.length === 0) {
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          ...context,
+          moddleElement: extensionElements,
+          properties: {
+            values: without(extensionElements.get('values'), executionListeners)
+          }
+        }
+      }
+    ];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: executionListeners,
+        properties: { listeners }
+      }
+    }
+  ];
+}
+
+/**
+ * Replace the execution listeners of the old template with those of the
+ * new template. Listeners not bound by either template are kept.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const oldProperties = getPropertiesByType(oldTemplate, [ ZEEBE_EXECUTION_LISTENER ]),
+        newProperties = getPropertiesByType(newTemplate, [ ZEEBE_EXECUTION_LISTENER ]);
+
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  let executionListeners = extensionElements && findExtension(extensionElements, 'zeebe:ExecutionListeners');
+
+  if (!executionListeners && !newProperties.length) {
+    return;
+  }
+
+  // (1) keep listeners bound by neither the old nor the new template
+  const boundListeners = executionListeners
+    ? [ ...oldProperties, ...newProperties ].map(property => findExecutionListener(executionListeners, property))
+    : [];
+
+  const keptListeners = executionListeners
+    ? executionListeners.get('listeners').filter(listener => !boundListeners.includes(listener))
+    : [];
+
+  // (2) remove execution listeners if none remain
+  if (!keptListeners.length && !newProperties.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: extensionElements,
+      properties: {
+        values: without(extensionElements.get('values'), executionListeners)
+      }
+    });
+
+    return;
+  }
+
+  if (!executionListeners) {
+    const businessObject = getOrCreateExtensionElements(element, getBusinessObject(element), context);
+
+    executionListeners = bpmnFactory.create('zeebe:ExecutionListeners');
+
+    executionListeners.$parent = businessObject;
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: [ ...businessObject.get('values'), executionListeners ]
+      }
+    });
+  }
+
+  // (3) add listeners of the new template
+  const newListeners = newProperties.map(property => {
+    const listener = createExecutionListener(property.binding, getDefaultValue(property), bpmnFactory);
+
+    listener.$parent = executionListeners;
+
+    return listener;
+  });
+
+  commandStack.execute('element.updateModdleProperties', {
+    element,
+    moddleElement: executionListeners,
+    properties: {
+      listeners: [ ...keptListeners, ...newListeners ]
+    }
+  });
+}
+
+function order(element, properties) {
+  const executionListeners = findExtension(element, 'zeebe:ExecutionListeners');
+
+  if (!executionListeners) {
+    return [];
+  }
+
+  const listeners = sortByProperties(executionListeners.get('listeners'), properties, (properties, listener) => {
+    return properties.findIndex(property =>
+      property.binding.type === ZEEBE_EXECUTION_LISTENER &&
+      property.binding.eventType === listener.get('eventType') &&
+      getDefaultValue(property) === listener.get('type')
+    );
+  });
+
+  if (!listeners) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        moddleElement: executionListeners,
+        properties: { listeners }
+      }
+    }
+  ];
+}
+
+/**
+ * Listeners are identified by event and job type, the latter being the property value.
+ */
+function matches(oldBinding, newBinding, oldProperty, newProperty) {
+  return oldBinding.type === ZEEBE_EXECUTION_LISTENER &&
+    oldBinding.eventType === newBinding.eventType &&
+    getDefaultValue(oldProperty) === getDefaultValue(newProperty);
+}
+
+function validate(property) {
+  const {
+    binding,
+    type,
+    value
+  } = property;
+
+  if (type !== 'Hidden') {
+    return `invalid property type <${ type }> for binding type <${ ZEEBE_EXECUTION_LISTENER }>; must be <Hidden>`;
+  }
+
+  if (!EVENT_TYPES.includes(binding.eventType)) {
+    return `invalid event type <${ binding.eventType }> for binding type <${ ZEEBE_EXECUTION_LISTENER }>; must be one of <${ EVENT_TYPES.join(', ') }>`;
+  }
+
+  if (!isUndefined(binding.retries) && !isString(binding.retries)) {
+    return `invalid retries <${ binding.retries }> for binding type <${ ZEEBE_EXECUTION_LISTENER }>; must be a string`;
+  }
+
+  if (!isString(value) || !value) {
+    return `missing value for binding type <${ ZEEBE_EXECUTION_LISTENER }>; must be the job type`;
+  }
+}
@@ -0,0 +1,165 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  getDefaultValue
+} from '../Helper';
+
+import { ensureExtension } from '../CreateHelper';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  getElementTypeError
+} from './util';
+
+/**
+ * Create the binding of the properties of a single extension element, e.g.
+ * `zeebe:FormDefinition#formId` (`zeebe:formDefinition`). The extension
+ * element is removed once none of its properties is set.
+ *
+ * @param {Object} options
+ * @param {string} options.bindingType
+ * @param {string} options.extensionType
+ * @param {Array<string>} options.properties names of the properties that may be bound
+ * @param {Array<string>} options.elementTypes element types the extension element is allowed in
+ * @param {Function} [options.create] creation provider, defaults to setting non-empty values
+ *
+ * @return {BindingTypeHandler}
+ */
+export default function createExtensionElementBinding(options) {
+  const {
+    bindingType,
+    extensionType,
+    properties: propertyNames,
+    elementTypes,
+    create = createDefault
+  } = options;
+
+  function createDefault(element, { property, bpmnFactory }) {
+    const value = getDefaultValue(property);
+
+    if (!value) {
+      return;
+    }
+
+    ensureExtension(element, extensionType, bpmnFactory).set(property.binding.property, value);
+  }
+
+  function get(element, property) {
+    const extension = findExtension(element, extensionType);
+
+    return (extension && extension.get(property.binding.property)) || '';
+  }
+
+  function set(element, property, value, { bpmnFactory }) {
+    const businessObject = getBusinessObject(element);
+
+    const commands = [];
+
+    const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+    const extension = findExtension(extensionElements, extensionType);
+
+    // do not persist empty values
+    const properties = {
+      [ property.binding.property ]: value || undefined
+    };
+
+    if (extension) {
+      commands.push({
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          property,
+          moddleElement: extension,
+          properties
+        }
+      });
+    } else if (value) {
+      const newExtension = createElement(extensionType, properties, extensionElements, bpmnFactory);
+
+      commands.push({
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          property,
+          moddleElement: extensionElements,
+          properties: { values: [ ...extensionElements.get('values'), newExtension ] }
+        }
+      });
+    }
+
+    return commands;
+  }
+
+  function unset(element, property) {
+    const extensionElements = getBusinessObject(element).get('extensionElements');
+
+    const extension = extensionElements && findExtension(extensionElements, extensionType);
+
+    if (!extension) {
+      return [];
+    }
+
+    const propertyName = property.binding.property;
+
+    // remove extension element without other properties set
+    if (propertyNames.every(name => name === propertyName || !extension.get(name))) {
+      return [
+        {
+          cmd: 'element.updateModdleProperties',
+          context: {
+            element,
+            property,
+            moddleElement: extensionElements,
+            properties: {
+              values: without(extensionElements.get('values'), extension)
+            }
+          }
+        }
+      ];
+    }
+
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          property,
+          moddleElement: extension,
+          properties: {
+            [ propertyName ]: undefined
+          }
+        }
+      }
+    ];
+  }
+
+  function matches(oldBinding, newBinding) {
+    return oldBinding.type === bindingType && oldBinding.property === newBinding.property;
+  }
+
+  function validate(property, template) {
+    const { binding } = property;
+
+    if (!propertyNames.includes(binding.property)) {
+      return `invalid property <${ binding.property }> for binding type <${ bindingType }>; must be one of <${ propertyNames.join(', ') }>`;
+    }
+
+    return getElementTypeError(bindingType, elementTypes, template);
+  }
+
+  return {
+    create,
+    get,
+    set,
+    unset,
+    matches,
+    validate,
+    extensionElements: [ { type: extensionType } ]
+  };
+}
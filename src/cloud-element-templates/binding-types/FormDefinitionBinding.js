@@ -0,0 +1,13 @@
+import { ZEEBE_FORM_DEFINITION } from '../util/bindingTypes';
+
+import createExtensionElementBinding from './ExtensionElementBinding';
+
+/**
+ * Binding of a `zeebe:FormDefinition` property (`zeebe:formDefinition`).
+ */
+export default createExtensionElementBinding({
+  bindingType: ZEEBE_FORM_DEFINITION,
+  extensionType: 'zeebe:FormDefinition',
+  properties: [ 'formKey', 'formId', 'externalReference' ],
+  elementTypes: [ 'bpmn:UserTask', 'bpmn:StartEvent' ]
+});
@@ -0,0 +1,492 @@
+import {
+  getBusinessObject,
+  is
+} from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  findInputParameter,
+  findOutputParameter,
+  getDefaultValue
+} from '../Helper';
+
+import {
+  createInputParameter,
+  createOutputParameter,
+  shouldUpdate
+} from '../CreateHelper';
+
+import InputBindingProvider from '../create/InputBindingProvider';
+import OutputBindingProvider from '../create/OutputBindingProvider';
+
+import {
+  IO_BINDING_TYPES,
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_OUTPUT_TYPE
+} from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  findMatchingProperty,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  remove,
+  shouldKeepValue,
+  sortByProperties
+} from './util';
+
+/**
+ * Binding of `zeebe:Input` and `zeebe:Output` parameters (`zeebe:input`, `zeebe:output`).
+ */
+export default {
+  create,
+  get,
+  set,
+  unset,
+  upgrade,
+  order,
+  matches,
+  extensionElements: [
+    {
+      type: 'zeebe:IoMapping',
+      bindingTypes: [ ZEBBE_INPUT_TYPE ],
+      listName: 'inputParameters',
+      label: 'Input mapping',
+      getName: parameter => parameter.get('target'),
+      getBindingName: binding => binding.name
+    },
+    {
+      type: 'zeebe:IoMapping',
+      bindingTypes: [ ZEEBE_OUTPUT_TYPE ],
+      listName: 'outputParameters',
+      label: 'Output mapping',
+      getName: parameter => parameter.get('source'),
+      getBindingName: binding => binding.source
+    }
+  ]
+};
+
+function create(element, options) {
+  const { type } = options.property.binding;
+
+  if (type === ZEBBE_INPUT_TYPE) {
+    return InputBindingProvider.create(element, options);
+  }
+
+  return OutputBindingProvider.create(element, options);
+}
+
+function get(element, property) {
+  const { binding } = property;
+
+  const ioMapping = findExtension(element, 'zeebe:IoMapping');
+
+  if (!ioMapping) {
+    return '';
+  }
+
+  // zeebe:Input
+  if (binding.type === ZEBBE_INPUT_TYPE) {
+    const inputParameter = findInputParameter(ioMapping, binding);
+
+    if (inputParameter) {
+      return inputParameter.get('source');
+    }
+
+    return '';
+  }
+
+  // zeebe:Output
+  const outputParameter = findOutputParameter(ioMapping, binding);
+
+  if (outputParameter) {
+    return outputParameter.get('target');
+  }
+
+  return '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const { binding } = property;
+
+  const commands = [];
+
+  const context = {
+    element,
+    property
+  };
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  let ioMapping = findExtension(extensionElements, 'zeebe:IoMapping');
+
+  if (!ioMapping) {
+    ioMapping = createElement('zeebe:IoMapping', null, businessObject, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: extensionElements,
+        properties: { values: [ ...extensionElements.get('values'), ioMapping ] }
+      }
+    });
+  }
+
+  // zeebe:Input
+  if (binding.type === ZEBBE_INPUT_TYPE) {
+    const oldZeebeInputParameter = findInputParameter(ioMapping, binding);
+    const values = ioMapping.get('inputParameters').filter((value) => value !== oldZeebeInputParameter);
+
+    // do not persist empty parameters when configured as <optional>
+    if (shouldUpdate(value, property)) {
+      const newZeebeInputParameter = createInputParameter(binding, value, bpmnFactory);
+      values.push(newZeebeInputParameter);
+    }
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: ioMapping,
+        properties: { inputParameters: [ ...values ] }
+      }
+    });
+
+    return commands;
+  }
+
+  // zeebe:Output
+  const oldZeebeOutputParameter = findOutputParameter(ioMapping, binding);
+  const values = ioMapping.get('outputParameters').filter((value) => value !== oldZeebeOutputParameter);
+
+  // do not persist empty parameters when configured as <optional>
+  if (shouldUpdate(value, property)) {
+    const newZeebeOutputParameter = createOutputParameter(binding, value, bpmnFactory);
+    values.push(newZeebeOutputParameter);
+  }
+
+  commands.push({
+    cmd: 'element.updateModdleProperties',
+    context: {
+      ...context,
+      moddleElement: ioMapping,
+      properties: { 'outputParameters': [ ...values ] }
+    }
+  });
+
+  return commands;
+}
+
+function unset(element, property) {
+  const { binding } = property;
+
+  const commands = [];
+
+  const context = {
+    element,
+    property
+  };
+
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  if (!extensionElements) {
+    return commands;
+  }
+
+  const ioMapping = findExtension(extensionElements, 'zeebe:IoMapping');
+
+  if (!ioMapping) {
+    return commands;
+  }
+
+  // zeebe:Input
+  if (binding.type === ZEBBE_INPUT_TYPE) {
+    const oldZeebeInputParameter = findInputParameter(ioMapping, binding);
+    const values = ioMapping.get('inputParameters').filter((value) => value !== oldZeebeInputParameter);
+
+    if (ioMapping.get('outputParameters').length == 0 && values.length == 0) {
+
+      commands.push({
+        cmd: 'element.updateModdleProperties',
+        context: {
+          ...context,
+          moddleElement: extensionElements,
+          properties: {
+            values:  without(extensionElements.get('values'), ioMapping)
+          }
+        }
+      });
+    }
+
+    else {
+      commands.push({
+        cmd: 'element.updateModdleProperties',
+        context: {
+          ...context,
+          moddleElement: ioMapping,
+          properties: { inputParameters: [ ...values ] }
+        }
+      });
+    }
+
+    return commands;
+  }
+
+  // zeebe:Output
+  const oldZeebeOutputParameter = findOutputParameter(ioMapping, binding);
+  const values = ioMapping.get('outputParameters').filter((value) => value !== oldZeebeOutputParameter);
+
+  if (ioMapping.get('inputParameters').length == 0 && values.length == 0) {
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: extensionElements,
+        properties: {
+          values: without(extensionElements.get('values'), ioMapping)
+        }
+      }
+    });
+  }
+
+  commands.push({
+    cmd: 'element.updateModdleProperties',
+    context: {
+      ...context,
+      moddleElement: ioMapping,
+      properties: { 'outputParameters': [ ...values ] }
+    }
+  });
+
+  return commands;
+}
+
+/**
+ * Update `zeebe:Input` and `zeebe:Output` properties of specified business
+ * object. Both can only exist in `zeebe:ioMapping` which can exist in `bpmn:ExtensionElements`.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, IO_BINDING_TYPES);
+
+  const businessObject = getOrCreateExtensionElements(element, getBusinessObject(element), context);
+
+  let ioMapping = findExtension(businessObject, 'zeebe:IoMapping');
+
+  // (1) remove old mappings if no new specified
+  if (!newProperties.length) {
+    if (!ioMapping) {
+      return;
+    }
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: without(businessObject.get('values'), ioMapping)
+      }
+    });
+  }
+
+  if (!ioMapping) {
+    ioMapping = bpmnFactory.create('zeebe:IoMapping');
+
+    ioMapping.$parent = businessObject;
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: [ ...businessObject.get('values'), ioMapping ]
+      }
+    });
+  }
+
+  const oldInputs = ioMapping.get('zeebe:inputParameters')
+    ? ioMapping.get('zeebe:inputParameters').slice()
+    : [];
+
+  const oldOutputs = ioMapping.get('zeebe:outputParameters')
+    ? ioMapping.get('zeebe:outputParameters').slice()
+    : [];
+
+  let propertyName;
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          newPropertyValue = getDefaultValue(newProperty),
+          newBinding = newProperty.binding,
+          newBindingType = newBinding.type;
+
+    const inputOrOutput = newBindingType === ZEBBE_INPUT_TYPE
+      ? findInputParameter(ioMapping, newBinding)
+      : findOutputParameter(ioMapping, newBinding);
+
+    let newInputOrOutput,
+        properties;
+
+    // (2) update old inputs and outputs
+    if (inputOrOutput) {
+
+      const keepValue = shouldKeepValue(getParameterValue(inputOrOutput), oldProperty, newProperty);
+
+      // (2a) exclude old inputs and outputs from cleanup, unless
+      // a) optional and has empty value, and
+      // b) not changed
+      if (shouldUpdate(newPropertyValue, newProperty) || keepValue) {
+        if (is(inputOrOutput, 'zeebe:Input')) {
+          remove(oldInputs, inputOrOutput);
+        } else {
+          remove(oldOutputs, inputOrOutput);
+        }
+      }
+
+      // (2a) do updates (unless changed)
+      if (!keepValue) {
+
+        if (is(inputOrOutput, 'zeebe:Input')) {
+          properties = {
+            source: newPropertyValue
+          };
+        } else {
+          properties = {
+            target: newPropertyValue
+          };
+        }
+
+        commandStack.execute('element.updateModdleProperties', {
+          element,
+          moddleElement: inputOrOutput,
+          properties
+        });
+      }
+    }
+
+    // (3) add new inputs and outputs (unless optional)
+    else if (shouldUpdate(newPropertyValue, newProperty)) {
+
+      if (newBindingType === ZEBBE_INPUT_TYPE) {
+        propertyName = 'inputParameters';
+
+        newInputOrOutput = createInputParameter(newBinding, newPropertyValue, bpmnFactory);
+      } else {
+        propertyName = 'outputParameters';
+
+        newInputOrOutput = createOutputParameter(newBinding, newPropertyValue, bpmnFactory);
+      }
+
+      newInputOrOutput.$parent = ioMapping;
+
+      commandStack.execute('element.updateModdleProperties', {
+        element,
+        moddleElement: ioMapping,
+        properties: {
+          [ propertyName ]: [ ...ioMapping.get(propertyName), newInputOrOutput ]
+        }
+      });
+    }
+  });
+
+  // (4) remove old inputs and outputs
+  if (oldInputs.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: ioMapping,
+      properties: {
+        inputParameters: without(ioMapping.get('inputParameters'), inputParameter => oldInputs.includes(inputParameter))
+      }
+    });
+  }
+
+  if (oldOutputs.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: ioMapping,
+      properties: {
+        outputParameters: without(ioMapping.get('outputParameters'), outputParameter => oldOutputs.includes(outputParameter))
+      }
+    });
+  }
+}
+
+function order(element, properties) {
+  const ioMapping = findExtension(element, 'zeebe:IoMapping');
+
+  if (!ioMapping) {
+    return [];
+  }
+
+  const commands = [];
+
+  const inputParameters = sortByProperties(ioMapping.get('inputParameters'), properties, (properties, input) => {
+    return properties.findIndex(prop =>
+      prop.binding.type == ZEBBE_INPUT_TYPE && prop.binding.name === input.get('target')
+    );
+  });
+
+  if (inputParameters) {
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        moddleElement: ioMapping,
+        properties: { inputParameters }
+      }
+    });
+  }
+
+  const outputParameters = sortByProperties(ioMapping.get('outputParameters'), properties, (properties, output) => {
+    return properties.findIndex(prop =>
+      prop.binding.type == ZEEBE_OUTPUT_TYPE && prop.binding.source === output.get('source')
+    );
+  });
+
+  if (outputParameters) {
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        moddleElement: ioMapping,
+        properties: { outputParameters }
+      }
+    });
+  }
+
+  return commands;
+}
+
+function matches(oldBinding, newBinding) {
+  if (oldBinding.type !== newBinding.type) {
+    return false;
+  }
+
+  if (newBinding.type === ZEBBE_INPUT_TYPE) {
+    return oldBinding.name === newBinding.name;
+  }
+
+  return oldBinding.source === newBinding.source;
+}
+
+
+// helpers //////////
+
+function getParameterValue(parameter) {
+  return is(parameter, 'zeebe:Input') ? parameter.get('source') : parameter.get('target');
+}
@@ -0,0 +1,313 @@
+import { getBusinessObject, is } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  getDefaultValue
+} from '../Helper';
+
+import { ZEEBE_LOOP_CHARACTERISTICS } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  NO_OP,
+  ensureExtensionElements,
+  findMatchingProperty,
+  getElementTypeError,
+  getPropertiesByType,
+  shouldKeepValue
+} from './util';
+
+const ZEEBE_PROPERTIES = [
+  'inputCollection',
+  'inputElement',
+  'outputCollection',
+  'outputElement'
+];
+
+const PROPERTIES = [
+  'isSequential',
+  'completionCondition',
+  ...ZEEBE_PROPERTIES
+];
+
+const ELEMENT_TYPES = [
+  'bpmn:Task',
+  'bpmn:ServiceTask',
+  'bpmn:UserTask',
+  'bpmn:ScriptTask',
+  'bpmn:BusinessRuleTask',
+  'bpmn:SendTask',
+  'bpmn:ReceiveTask',
+  'bpmn:ManualTask',
+  'bpmn:CallActivity',
+  'bpmn:SubProcess'
+];
+
+/**
+ * Binding of the multi-instance loop characteristics of an activity
+ * (`zeebe:loopCharacteristics`). `isSequential` and `completionCondition`
+ * are bound to the `bpmn:MultiInstanceLoopCharacteristics`, the remaining
+ * properties to its `zeebe:LoopCharacteristics`.
+ */
+export default {
+  create,
+  get,
+  set,
+  unset,
+  upgrade,
+  matches,
+  validate
+};
+
+function create(element, { property, bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  let loopCharacteristics = getLoopCharacteristics(element);
+
+  if (!loopCharacteristics) {
+    loopCharacteristics = createElement('bpmn:MultiInstanceLoopCharacteristics', {}, businessObject, bpmnFactory);
+
+    businessObject.set('loopCharacteristics', loopCharacteristics);
+  }
+
+  const value = getDefaultValue(property),
+        name = property.binding.property;
+
+  if (name === 'isSequential') {
+    loopCharacteristics.set(name, toBoolean(value));
+  } else if (name === 'completionCondition') {
+    value && loopCharacteristics.set(name, createElement('bpmn:FormalExpression', { body: value }, loopCharacteristics, bpmnFactory));
+  } else if (value) {
+    let extensionElements = loopCharacteristics.get('extensionElements');
+
+    if (!extensionElements) {
+      extensionElements = createElement('bpmn:ExtensionElements', { values: [] }, loopCharacteristics, bpmnFactory);
+
+      loopCharacteristics.set('extensionElements', extensionElements);
+    }
+
+    let zeebeLoopCharacteristics = findExtension(extensionElements, 'zeebe:LoopCharacteristics');
+
+    if (!zeebeLoopCharacteristics) {
+      zeebeLoopCharacteristics = createElement('zeebe:LoopCharacteristics', {}, extensionElements, bpmnFactory);
+
+      extensionElements.get('values').push(zeebeLoopCharacteristics);
+    }
+
+    zeebeLoopCharacteristics.set(name, value);
+  }
+}
+
+function get(element, property) {
+  const loopCharacteristics = getLoopCharacteristics(element),
+        name = property.binding.property;
+
+  if (!loopCharacteristics) {
+    return '';
+  }
+
+  if (name === 'isSequential') {
+    return loopCharacteristics.get(name);
+  }
+
+  if (name === 'completionCondition') {
+    const completionCondition = loopCharacteristics.get(name);
+
+    return (completionCondition && completionCondition.get('body')) || '';
+  }
+
+  const zeebeLoopCharacteristics = findExtension(loopCharacteristics, 'zeebe:LoopCharacteristics');
+
+  return (zeebeLoopCharacteristics && zeebeLoopCharacteristics.get(name)) || '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element),
+        name = property.binding.property;
+
+  const commands = [];
+
+  let loopCharacteristics = getLoopCharacteristics(element);
+
+  if (!loopCharacteristics) {
+    loopCharacteristics = createElement('bpmn:MultiInstanceLoopCharacteristics', {}, businessObject, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: businessObject,
+        properties: { loopCharacteristics }
+      }
+    });
+  }
+
+  if (name === 'isSequential') {
+    return [
+      ...commands,
+      updateCommand(element, property, loopCharacteristics, { isSequential: toBoolean(value) })
+    ];
+  }
+
+  // do not persist empty values
+  if (name === 'completionCondition') {
+    return [
+      ...commands,
+      updateCommand(element, property, loopCharacteristics, {
+        completionCondition: value
+          ? createElement('bpmn:FormalExpression', { body: value }, loopCharacteristics, bpmnFactory)
+          : undefined
+      })
+    ];
+  }
+
+  const extensionElements = ensureExtensionElements(element, property, loopCharacteristics, bpmnFactory, commands);
+
+  const zeebeLoopCharacteristics = findExtension(extensionElements, 'zeebe:LoopCharacteristics');
+
+  if (zeebeLoopCharacteristics) {
+    commands.push(updateCommand(element, property, zeebeLoopCharacteristics, { [ name ]: value || undefined }));
+  } else if (value) {
+    const newZeebeLoopCharacteristics = createElement(
+      'zeebe:LoopCharacteristics', { [ name ]: value }, extensionElements, bpmnFactory
+    );
+
+    commands.push(updateCommand(element, property, extensionElements, {
+      values: [ ...extensionElements.get('values'), newZeebeLoopCharacteristics ]
+    }));
+  }
+
+  return commands;
+}
+
+function unset(element, property) {
+  const loopCharacteristics = getLoopCharacteristics(element),
+        name = property.binding.property;
+
+  if (!loopCharacteristics) {
+    return [];
+  }
+
+  if (!ZEEBE_PROPERTIES.includes(name)) {
+    return [
+      updateCommand(element, property, loopCharacteristics, { [ name ]: undefined })
+    ];
+  }
+
+  const extensionElements = loopCharacteristics.get('extensionElements');
+
+  const zeebeLoopCharacteristics = extensionElements && findExtension(extensionElements, 'zeebe:LoopCharacteristics');
+
+  if (!zeebeLoopCharacteristics) {
+    return [];
+  }
+
+  // remove zeebe:LoopCharacteristics without other properties set
+  if (ZEEBE_PROPERTIES.every(zeebeProperty => zeebeProperty === name || !zeebeLoopCharacteristics.get(zeebeProperty))) {
+    return [
+      updateCommand(element, property, extensionElements, {
+        values: without(extensionElements.get('values'), zeebeLoopCharacteristics)
+      })
+    ];
+  }
+
+  return [
+    updateCommand(element, property, zeebeLoopCharacteristics, { [ name ]: undefined })
+  ];
+}
+
+/**
+ * Update the loop characteristics bound by the new template. Removes
+ * loop characteristics bound by the old template only, keeps those
+ * not bound by any template.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const oldProperties = getPropertiesByType(oldTemplate, [ ZEEBE_LOOP_CHARACTERISTICS ]),
+        newProperties = getPropertiesByType(newTemplate, [ ZEEBE_LOOP_CHARACTERISTICS ]);
+
+  const execute = (commands) => {
+    commands.filter(command => command !== NO_OP).forEach(({ cmd, context }) => commandStack.execute(cmd, context));
+  };
+
+  // (1) remove loop characteristics no longer templated
+  if (!newProperties.length) {
+    if (oldProperties.length && getLoopCharacteristics(element)) {
+      commandStack.execute('element.updateModdleProperties', {
+        element,
+        moddleElement: getBusinessObject(element),
+        properties: { loopCharacteristics: undefined }
+      });
+    }
+
+    return;
+  }
+
+  // (2) remove properties no longer templated
+  oldProperties.filter((oldProperty) => {
+    return !newProperties.find((newProperty) => matches(oldProperty.binding, newProperty.binding));
+  }).forEach((oldProperty) => execute(unset(element, oldProperty)));
+
+  // (3) set new properties, unless changed
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches);
+
+    if (shouldKeepValue(get(element, newProperty), oldProperty, newProperty)) {
+      return;
+    }
+
+    execute(set(element, newProperty, getDefaultValue(newProperty), { bpmnFactory }));
+  });
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === ZEEBE_LOOP_CHARACTERISTICS && oldBinding.property === newBinding.property;
+}
+
+function validate(property, template) {
+  const { binding } = property;
+
+  if (!PROPERTIES.includes(binding.property)) {
+    return `invalid property <${ binding.property }> for binding type <${ ZEEBE_LOOP_CHARACTERISTICS }>; must be one of <${ PROPERTIES.join(', ') }>`;
+  }
+
+  return getElementTypeError(ZEEBE_LOOP_CHARACTERISTICS, ELEMENT_TYPES, template);
+}
+
+
+// helpers //////////
+
+function getLoopCharacteristics(element) {
+  const loopCharacteristics = getBusinessObject(element).get('loopCharacteristics');
+
+  return is(loopCharacteristics, 'bpmn:MultiInstanceLoopCharacteristics') ? loopCharacteristics : null;
+}
+
+function updateCommand(element, property, moddleElement, properties) {
+  return {
+    cmd: 'element.updateModdleProperties',
+    context: {
+      element,
+      property,
+      moddleElement,
+      properties
+    }
+  };
+}
+
+function toBoolean(value) {
+  return value === true || value === 'true';
+}
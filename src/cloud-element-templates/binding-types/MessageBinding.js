@@ -0,0 +1,384 @@
+import {
+  getBusinessObject,
+  is
+} from 'bpmn-js/lib/util/ModelUtil';
+
+import { isUndefined } from 'min-dash';
+
+import {
+  findExtension,
+  findMessage,
+  findZeebeSubscription,
+  getDefaultValue,
+  getTemplateId
+} from '../Helper';
+
+import { MessagePropertyBindingProvider } from '../create/MessagePropertyBindingProvider';
+import { MessageZeebeSubscriptionBindingProvider } from '../create/MessageZeebeSubscriptionBindingProvider';
+
+import {
+  MESSAGE_BINDING_TYPES,
+  MESSAGE_PROPERTY_TYPE,
+  MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE
+} from '../util/bindingTypes';
+
+import { removeMessage } from '../util/rootElementUtil';
+
+import {
+  createElement,
+  getRoot
+} from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  ensureMessage,
+  findMatchingProperty,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  setPrimitivePropertyCommand,
+  shouldKeepValue
+} from './util';
+
+/**
+ * Binding of properties of the referenced `bpmn:Message`
+ * (`bpmn:Message#property`, `bpmn:Message#zeebe:subscription#property`).
+ */
+export default {
+  create,
+  get,
+  set,
+  unset,
+  upgrade,
+  matches
+};
+
+function create(element, options) {
+  const { type } = options.property.binding;
+
+  if (type === MESSAGE_PROPERTY_TYPE) {
+    return MessagePropertyBindingProvider.create(element, options);
+  }
+
+  return MessageZeebeSubscriptionBindingProvider.create(element, options);
+}
+
+function get(element, property) {
+  const {
+    name,
+    type
+  } = property.binding;
+
+  const message = findMessage(getBusinessObject(element));
+
+  if (!message) {
+    return '';
+  }
+
+  let value;
+
+  // bpmn:Message#property
+  if (type === MESSAGE_PROPERTY_TYPE) {
+    value = message.get(name);
+  }
+
+  // bpmn:Message#zeebe:subscription#property
+  else {
+    const subscription = findZeebeSubscription(message);
+
+    value = subscription ? subscription.get(name) : undefined;
+  }
+
+  if (!isUndefined(value)) {
+    return value;
+  }
+
+  return '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const {
+    name,
+    type
+  } = property.binding;
+
+  const commands = [];
+
+  const message = ensureMessage(element, property, bpmnFactory, commands);
+
+  // bpmn:Message#property
+  if (type === MESSAGE_PROPERTY_TYPE) {
+    return [
+      ...commands,
+      setPrimitivePropertyCommand(element, property, message, value)
+    ];
+  }
+
+  // bpmn:Message#zeebe:subscription#property
+  const extensionElements = ensureExtensionElements(element, property, message, bpmnFactory, commands);
+
+  const subscription = findExtension(extensionElements, 'zeebe:Subscription');
+
+  const properties = {
+    [ name ]: value || ''
+  };
+
+  if (subscription) {
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        properties,
+        moddleElement: subscription
+      }
+    });
+  } else {
+    const newSubscription = createElement('zeebe:Subscription', properties, extensionElements, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: extensionElements,
+        properties: { values: [ ...extensionElements.get('values'), newSubscription ] }
+      }
+    });
+  }
+
+  return commands;
+}
+
+function unset(element, property) {
+  const {
+    name,
+    type
+  } = property.binding;
+
+  const message = findMessage(getBusinessObject(element));
+
+  if (!message) {
+    return [];
+  }
+
+  const moddleElement = type === MESSAGE_PROPERTY_TYPE ? message : findZeebeSubscription(message);
+
+  if (!moddleElement) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement,
+        properties: {
+          [ name ]: undefined
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Update properties of the referenced `bpmn:Message` and its `zeebe:Subscription`.
+ * Removes the message if no longer templated.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const { injector } = context;
+
+  // update bpmn:Message properties
+  updateMessageProperties(element, oldTemplate, newTemplate, context);
+
+  // update bpmn:Message zeebe:subscription properties
+  updateMessageZeebeSubscriptionProperties(element, oldTemplate, newTemplate, context);
+
+  updateZeebeModelerTemplateOnReferencedElement(element, newTemplate, context);
+
+  if (!getPropertiesByType(newTemplate, MESSAGE_BINDING_TYPES).length) {
+    removeMessage(element, injector);
+  }
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === newBinding.type && oldBinding.name === newBinding.name;
+}
+
+
+// helpers //////////
+
+/**
+ * Update bpmn:Message properties.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function updateMessageProperties(element, oldTemplate, newTemplate, context) {
+  const { modeling } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, [ MESSAGE_PROPERTY_TYPE ]);
+
+  const removedProperties = getPropertiesByType(oldTemplate, [ MESSAGE_PROPERTY_TYPE ]).filter((oldProperty) => {
+    return !newProperties.find((newProperty) => newProperty.binding.name === oldProperty.binding.name);
+  });
+
+  let message = getMessage(element);
+
+  message && removedProperties.forEach((removedProperty) => {
+    modeling.updateModdleProperties(element, message, {
+      [removedProperty.binding.name]: undefined
+    });
+  });
+
+  if (!newProperties.length) {
+    return;
+  }
+
+  message = getOrCreateMessage(element, newTemplate, context);
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          newBindingName = newProperty.binding.name,
+          newPropertyValue = getDefaultValue(newProperty);
+
+    if (shouldKeepValue(message.get(newBindingName), oldProperty, newProperty)) {
+      return;
+    }
+
+    modeling.updateModdleProperties(element, message, {
+      [ newBindingName ]: newPropertyValue
+    });
+  });
+}
+
+/**
+ * Update bpmn:Message#zeebe:subscription properties.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function updateMessageZeebeSubscriptionProperties(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    modeling
+  } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, [ MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE ]);
+
+  const removedProperties = getPropertiesByType(oldTemplate, [ MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE ]).filter((oldProperty) => {
+    return !newProperties.find((newProperty) => newProperty.binding.name === oldProperty.binding.name);
+  });
+
+  if (!newProperties.length && !removedProperties.length) {
+    return;
+  }
+
+  const message = getOrCreateMessage(element, newTemplate, context);
+  const messageExtensionElements = getOrCreateExtensionElements(element, message, context);
+  const zeebeSubscription = findExtension(messageExtensionElements, 'zeebe:Subscription');
+
+  const propertiesToSet = newProperties.reduce((properties, newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          newBindingName = newProperty.binding.name,
+          newPropertyValue = getDefaultValue(newProperty),
+          value = zeebeSubscription && zeebeSubscription.get(newBindingName);
+
+    if (shouldKeepValue(value, oldProperty, newProperty)) {
+      return properties;
+    }
+
+    properties[ newBindingName ] = newPropertyValue;
+    return properties;
+  }, {});
+
+  // update zeebe:Subscription
+  if (zeebeSubscription) {
+    modeling.updateModdleProperties(element, zeebeSubscription, propertiesToSet);
+  } else {
+
+    // create new zeebe:Subscription
+    const newSubscription = createElement('zeebe:Subscription', propertiesToSet, message, bpmnFactory);
+
+    modeling.updateModdleProperties(element, messageExtensionElements, {
+      values: [ ...messageExtensionElements.get('values'), newSubscription ]
+    });
+  }
+
+  // remove old properties
+  if (!oldTemplate || !zeebeSubscription) {
+    return;
+  }
+
+  const propertiesToRemove = removedProperties.reduce((properties, removedProperty) => {
+    properties[ removedProperty.binding.name ] = undefined;
+    return properties;
+  }, {});
+
+  modeling.updateModdleProperties(element, zeebeSubscription, propertiesToRemove);
+}
+
+function updateZeebeModelerTemplateOnReferencedElement(element, newTemplate, context) {
+  const { modeling } = context;
+
+  const message = findMessage(getBusinessObject(element));
+
+  if (!message) {
+    return;
+  }
+
+  if (getTemplateId(message) === newTemplate.id) {
+    return;
+  }
+
+  modeling.updateModdleProperties(element, message, {
+    'zeebe:modelerTemplate': newTemplate.id
+  });
+}
+
+function getOrCreateMessage(element, template, context) {
+  return getMessage(element) || createMessage(element, template, context);
+}
+
+function createMessage(element, template, context) {
+  const {
+    bpmnFactory,
+    modeling
+  } = context;
+
+  const businessObject = getMessageReferencingElement(element);
+
+  const message = bpmnFactory.create('bpmn:Message', { 'zeebe:modelerTemplate': template.id });
+
+  message.$parent = getRoot(businessObject);
+
+  modeling.updateModdleProperties(element, businessObject, { messageRef: message });
+
+  return message;
+}
+
+function getMessage(element) {
+  const businessObject = getMessageReferencingElement(element);
+
+  return businessObject && businessObject.get('messageRef');
+}
+
+function getMessageReferencingElement(element) {
+  const businessObject = getBusinessObject(element);
+
+  if (is(businessObject, 'bpmn:Event')) {
+    return businessObject.get('eventDefinitions')[0];
+  }
+
+  return businessObject;
+}
@@ -0,0 +1,139 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { isUndefined } from 'min-dash';
+
+import { getDefaultValue } from '../Helper';
+
+import PropertyBindingProvider from '../create/PropertyBindingProvider';
+
+import { PROPERTY_TYPE } from '../util/bindingTypes';
+
+import {
+  findMatchingProperty,
+  getPropertiesByType,
+  isExpressionProperty,
+  NO_OP,
+  setExpressionPropertyCommand,
+  setPrimitivePropertyCommand,
+  shouldKeepValue
+} from './util';
+
+/**
+ * Binding of a property of the business object (`property`). Expressions,
+ * e.g. the `conditionExpression` of a sequence flow, are bound to the body
+ * of a `bpmn:FormalExpression`.
+ */
+export default {
+  create: PropertyBindingProvider.create,
+  get,
+  set,
+  unset,
+  upgrade,
+  matches
+};
+
+function get(element, property) {
+  const businessObject = getBusinessObject(element),
+        { name } = property.binding;
+
+  const value = businessObject.get(name);
+
+  if (isExpressionProperty(businessObject, name)) {
+    return (value && value.get('body')) || '';
+  }
+
+  if (!isUndefined(value)) {
+    return value;
+  }
+
+  return '';
+}
+
+function set(element, property, value, { bpmnFactory } = {}) {
+  const businessObject = getBusinessObject(element);
+
+  if (isExpressionProperty(businessObject, property.binding.name)) {
+    return [
+      setExpressionPropertyCommand(element, property, businessObject, value, bpmnFactory)
+    ];
+  }
+
+  return [
+    setPrimitivePropertyCommand(element, property, businessObject, value)
+  ];
+}
+
+function unset(element, property) {
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: getBusinessObject(element),
+        properties: { [ property.binding.name ]: undefined }
+      }
+    }
+  ];
+}
+
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const businessObject = getBusinessObject(element);
+
+  const newProperties = getPropertiesByType(newTemplate, [ PROPERTY_TYPE ]);
+
+  // Remove old Properties if no new Properties specified
+  const propertiesToRemove = getPropertiesByType(oldTemplate, [ PROPERTY_TYPE ]).filter((oldProperty) => {
+    return !newProperties.find((newProperty) => newProperty.binding.name === oldProperty.binding.name);
+  });
+
+  if (propertiesToRemove.length) {
+    const payload = propertiesToRemove.reduce((properties, property) => {
+      properties[property.binding.name] = undefined;
+      return properties;
+    }, {});
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: payload
+    });
+  }
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          newBindingName = newProperty.binding.name,
+          newPropertyValue = getDefaultValue(newProperty);
+
+    if (isExpressionProperty(businessObject, newBindingName)) {
+      if (shouldKeepValue(get(element, newProperty), oldProperty, newProperty)) {
+        return;
+      }
+
+      return set(element, newProperty, newPropertyValue, { bpmnFactory })
+        .filter(command => command !== NO_OP)
+        .forEach(({ cmd, context }) => commandStack.execute(cmd, context));
+    }
+
+    if (shouldKeepValue(businessObject.get(newBindingName), oldProperty, newProperty)) {
+      return;
+    }
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        [ newBindingName ]: newPropertyValue
+      }
+    });
+  });
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === PROPERTY_TYPE && oldBinding.name === newBinding.name;
+}
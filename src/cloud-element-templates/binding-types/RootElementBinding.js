@@ -0,0 +1,255 @@
+import {
+  getBusinessObject,
+  is
+} from 'bpmn-js/lib/util/ModelUtil';
+
+import { isUndefined } from 'min-dash';
+
+import {
+  getDefaultValue,
+  getTemplateId
+} from '../Helper';
+
+import { removeRootElement } from '../util/rootElementUtil';
+
+import { getRoot } from '../../utils/ElementUtil';
+
+import {
+  findMatchingProperty,
+  getEventDefinitionError,
+  getPropertiesByType,
+  setPrimitivePropertyCommand,
+  shouldKeepValue
+} from './util';
+
+/**
+ * Create the binding of properties of a root element referenced by an event
+ * definition, e.g. `bpmn:Signal#property`. Like messages, referenced root
+ * elements are created on demand, linked to the template and removed once
+ * no longer templated.
+ *
+ * @param {Object} options
+ * @param {string} options.bindingType
+ * @param {string} options.rootElementType e.g. `bpmn:Signal`
+ * @param {string} options.eventDefinitionType e.g. `bpmn:SignalEventDefinition`
+ * @param {string} options.referenceProperty e.g. `signalRef`
+ * @param {Array<string>} options.properties names of the properties that may be bound
+ *
+ * @return {BindingTypeHandler}
+ */
+export default function createRootElementBinding(options) {
+  const {
+    bindingType,
+    rootElementType,
+    eventDefinitionType,
+    referenceProperty,
+    properties: propertyNames
+  } = options;
+
+  function getEventDefinition(element) {
+    const businessObject = getBusinessObject(element);
+
+    if (!is(businessObject, 'bpmn:Event')) {
+      return;
+    }
+
+    return businessObject.get('eventDefinitions').find(definition => is(definition, eventDefinitionType));
+  }
+
+  function getRootElement(element) {
+    const eventDefinition = getEventDefinition(element);
+
+    return eventDefinition && eventDefinition.get(referenceProperty);
+  }
+
+  /**
+   * Create a root element linked to the given template. It is added to
+   * the definitions once referenced, cf. `RootElementReferenceBehavior`.
+   */
+  function createRootElement(eventDefinition, templateId, bpmnFactory) {
+    const rootElement = bpmnFactory.create(rootElementType, { 'zeebe:modelerTemplate': templateId });
+
+    rootElement.$parent = getRoot(eventDefinition);
+
+    return rootElement;
+  }
+
+  function create(element, { property, bpmnFactory }) {
+    const eventDefinition = getEventDefinition(element);
+
+    if (!eventDefinition) {
+      return;
+    }
+
+    let rootElement = eventDefinition.get(referenceProperty);
+
+    if (!rootElement) {
+      rootElement = createRootElement(eventDefinition, getTemplateId(element), bpmnFactory);
+
+      eventDefinition.set(referenceProperty, rootElement);
+    }
+
+    rootElement.set(property.binding.name, getDefaultValue(property));
+  }
+
+  function get(element, property) {
+    const rootElement = getRootElement(element);
+
+    const value = rootElement && rootElement.get(property.binding.name);
+
+    return isUndefined(value) ? '' : value;
+  }
+
+  function set(element, property, value, { bpmnFactory }) {
+    const eventDefinition = getEventDefinition(element);
+
+    if (!eventDefinition) {
+      return [];
+    }
+
+    let rootElement = eventDefinition.get(referenceProperty);
+
+    const commands = [];
+
+    if (!rootElement) {
+      rootElement = createRootElement(eventDefinition, getTemplateId(element), bpmnFactory);
+
+      commands.push({
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          property,
+          moddleElement: eventDefinition,
+          properties: { [ referenceProperty ]: rootElement }
+        }
+      });
+    }
+
+    return [
+      ...commands,
+      setPrimitivePropertyCommand(element, property, rootElement, value)
+    ];
+  }
+
+  function unset(element, property) {
+    const rootElement = getRootElement(element);
+
+    if (!rootElement) {
+      return [];
+    }
+
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          property,
+          moddleElement: rootElement,
+          properties: {
+            [ property.binding.name ]: undefined
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Update properties of the referenced root element, creating it if needed.
+   * Removes a templated root element if no longer templated.
+   *
+   * @param {djs.model.Base} element
+   * @param {Object} oldTemplate
+   * @param {Object} newTemplate
+   * @param {Object} context
+   */
+  function upgrade(element, oldTemplate, newTemplate, context) {
+    const {
+      bpmnFactory,
+      injector,
+      modeling
+    } = context;
+
+    const eventDefinition = getEventDefinition(element);
+
+    if (!eventDefinition) {
+      return;
+    }
+
+    const newProperties = getPropertiesByType(newTemplate, [ bindingType ]);
+
+    let rootElement = eventDefinition.get(referenceProperty);
+
+    // (1) remove templated root element if no longer templated
+    if (!newProperties.length) {
+      if (rootElement && getTemplateId(rootElement)) {
+        modeling.updateModdleProperties(element, eventDefinition, {
+          [ referenceProperty ]: undefined
+        });
+
+        removeRootElement(rootElement, injector);
+      }
+
+      return;
+    }
+
+    // (2) remove properties no longer templated
+    rootElement && getPropertiesByType(oldTemplate, [ bindingType ]).filter((oldProperty) => {
+      return !newProperties.find((newProperty) => newProperty.binding.name === oldProperty.binding.name);
+    }).forEach((oldProperty) => {
+      modeling.updateModdleProperties(element, rootElement, {
+        [ oldProperty.binding.name ]: undefined
+      });
+    });
+
+    // (3) create root element or link it to the new template
+    if (!rootElement) {
+      rootElement = createRootElement(eventDefinition, newTemplate.id, bpmnFactory);
+
+      modeling.updateModdleProperties(element, eventDefinition, {
+        [ referenceProperty ]: rootElement
+      });
+    } else if (getTemplateId(rootElement) !== newTemplate.id) {
+      modeling.updateModdleProperties(element, rootElement, {
+        'zeebe:modelerTemplate': newTemplate.id
+      });
+    }
+
+    // (4) set new properties, unless changed
+    newProperties.forEach((newProperty) => {
+      const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+            name = newProperty.binding.name;
+
+      if (shouldKeepValue(rootElement.get(name), oldProperty, newProperty)) {
+        return;
+      }
+
+      modeling.updateModdleProperties(element, rootElement, {
+        [ name ]: getDefaultValue(newProperty)
+      });
+    });
+  }
+
+  function matches(oldBinding, newBinding) {
+    return oldBinding.type === bindingType && oldBinding.name === newBinding.name;
+  }
+
+  function validate(property, template) {
+    const { name } = property.binding;
+
+    if (!propertyNames.includes(name)) {
+      return `invalid name <${ name }> for binding type <${ bindingType }>; must be one of <${ propertyNames.join(', ') }>`;
+    }
+
+    return getEventDefinitionError(bindingType, eventDefinitionType, template);
+  }
+
+  return {
+    create,
+    get,
+    set,
+    unset,
+    upgrade,
+    matches,
+    validate
+  };
+}
@@ -0,0 +1,16 @@
+import { ZEEBE_SCRIPT } from '../util/bindingTypes';
+
+import { ScriptBindingProvider } from '../create/ScriptBindingProvider';
+
+import createExtensionElementBinding from './ExtensionElementBinding';
+
+/**
+ * Binding of a `zeebe:Script` property (`zeebe:script`).
+ */
+export default createExtensionElementBinding({
+  bindingType: ZEEBE_SCRIPT,
+  extensionType: 'zeebe:Script',
+  properties: [ 'expression', 'resultVariable' ],
+  elementTypes: [ 'bpmn:ScriptTask' ],
+  create: ScriptBindingProvider.create
+});
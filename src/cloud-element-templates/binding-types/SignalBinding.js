@@ -0,0 +1,14 @@
+import { SIGNAL_PROPERTY_TYPE } from '../util/bindingTypes';
+
+import createRootElementBinding from './RootElementBinding';
+
+/**
+ * Binding of properties of the referenced `bpmn:Signal` (`bpmn:Signal#property`).
+ */
+export default createRootElementBinding({
+  bindingType: SIGNAL_PROPERTY_TYPE,
+  rootElementType: 'bpmn:Signal',
+  eventDefinitionType: 'bpmn:SignalEventDefinition',
+  referenceProperty: 'signalRef',
+  properties: [ 'name' ]
+});
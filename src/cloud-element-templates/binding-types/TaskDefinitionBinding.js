@@ -0,0 +1,249 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  getDefaultValue
+} from '../Helper';
+
+import { createTaskDefinition } from '../CreateHelper';
+
+import TaskDefinitionBindingProvider from '../create/TaskDefinitionBindingProvider';
+
+import { TASK_DEFINITION_TYPES } from '../util/bindingTypes';
+
+import { getTaskDefinitionPropertyName } from '../util/taskDefinition';
+
+import {
+  ensureExtensionElements,
+  findMatchingProperty,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  shouldKeepValue
+} from './util';
+
+/**
+ * Binding of a `zeebe:TaskDefinition` property (`zeebe:taskDefinition`, `zeebe:taskDefinition:type`).
+ */
+export default {
+  create: TaskDefinitionBindingProvider.create,
+  get,
+  set,
+  unset,
+  upgrade,
+  matches,
+  extensionElements: [ { type: 'zeebe:TaskDefinition' } ]
+};
+
+function get(element, property) {
+  const taskDefinition = findExtension(element, 'zeebe:TaskDefinition');
+
+  if (taskDefinition) {
+    return taskDefinition.get(getTaskDefinitionPropertyName(property.binding));
+  }
+
+  return '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const commands = [];
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  const oldTaskDefinition = findExtension(extensionElements, 'zeebe:TaskDefinition'),
+        propertyName = getTaskDefinitionPropertyName(property.binding),
+        properties = {
+          [ propertyName ]: value || ''
+        };
+
+  if (oldTaskDefinition) {
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        properties,
+        moddleElement: oldTaskDefinition
+      }
+    });
+  } else {
+    const newTaskDefinition = createTaskDefinition(properties, bpmnFactory);
+    newTaskDefinition.$parent = businessObject;
+
+    const values = extensionElements.get('values');
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: extensionElements,
+        properties: { values: [ ...values, newTaskDefinition ] }
+      }
+    });
+  }
+
+  return commands;
+}
+
+function unset(element, property) {
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  if (!extensionElements) {
+    return [];
+  }
+
+  const oldTaskDefinition = findExtension(extensionElements, 'zeebe:TaskDefinition');
+
+  if (!oldTaskDefinition) {
+    return [];
+  }
+
+  const propertyName = getTaskDefinitionPropertyName(property.binding);
+
+  // remove task definition
+  if (isOnlyProperty(oldTaskDefinition, propertyName)) {
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          property,
+          moddleElement: extensionElements,
+          properties: {
+            values: without(extensionElements.get('values'), oldTaskDefinition)
+          }
+        }
+      }
+    ];
+  }
+
+  // remove property
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: oldTaskDefinition,
+        properties: {
+          [ propertyName ]: undefined
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Update `zeebe:TaskDefinition` properties of specified business object. This
+ * can only exist in `bpmn:ExtensionElements`.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, TASK_DEFINITION_TYPES);
+
+  const businessObject = getOrCreateExtensionElements(element, getBusinessObject(element), context);
+  let taskDefinition = findExtension(businessObject, 'zeebe:TaskDefinition');
+
+  // (1) remove old task definition if no new properties specified
+
+  if (!newProperties.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: without(businessObject.get('values'), taskDefinition)
+      }
+    });
+
+    return;
+  }
+
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          newPropertyValue = getDefaultValue(newProperty),
+          newBinding = newProperty.binding,
+          propertyName = getTaskDefinitionPropertyName(newBinding);
+
+    // (2) update old task definition
+    if (taskDefinition) {
+
+      if (!shouldKeepValue(taskDefinition.get(propertyName), oldProperty, newProperty)) {
+        const properties = {
+          [propertyName]: newPropertyValue
+        };
+
+        commandStack.execute('element.updateModdleProperties', {
+          element,
+          moddleElement: taskDefinition,
+          properties
+        });
+      }
+    }
+
+    // (3) add new task definition
+    else {
+      const properties = {
+        [propertyName]: newPropertyValue
+      };
+
+      taskDefinition = createTaskDefinition(properties, bpmnFactory);
+
+      taskDefinition.$parent = businessObject;
+
+      commandStack.execute('element.updateModdleProperties', {
+        element,
+        moddleElement: businessObject,
+        properties: {
+          values: [ ...businessObject.get('values'), taskDefinition ]
+        }
+      });
+    }
+  });
+
+  // (4) remove properties no longer templated
+  const oldProperties = getPropertiesByType(oldTemplate, TASK_DEFINITION_TYPES).filter((oldProperty) => {
+    return !newProperties.find((newProperty) => newProperty.binding.property === oldProperty.binding.property);
+  });
+
+  oldProperties.forEach((oldProperty) => {
+    const properties = {
+      [oldProperty.binding.property]: undefined
+    };
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: taskDefinition,
+      properties
+    });
+  });
+}
+
+function matches(oldBinding, newBinding) {
+  return TASK_DEFINITION_TYPES.includes(oldBinding.type) &&
+    getTaskDefinitionPropertyName(oldBinding) === getTaskDefinitionPropertyName(newBinding);
+}
+
+
+// helpers //////////
+
+function isOnlyProperty(moddleElement, propertyName) {
+  const descriptor = moddleElement.$descriptor;
+
+  return descriptor.properties.every(({ name }) => {
+    return propertyName === name || moddleElement.get(name) === undefined;
+  });
+}
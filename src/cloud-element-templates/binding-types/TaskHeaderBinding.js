@@ -0,0 +1,312 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  findTaskHeader,
+  getDefaultValue
+} from '../Helper';
+
+import { createTaskHeader } from '../CreateHelper';
+
+import TaskHeaderBindingProvider from '../create/TaskHeaderBindingProvider';
+
+import { ZEEBE_TASK_HEADER_TYPE } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  findMatchingProperty,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  remove,
+  shouldKeepValue,
+  sortByProperties
+} from './util';
+
+/**
+ * Binding of a `zeebe:Header` (`zeebe:taskHeader`).
+ */
+export default {
+  create: TaskHeaderBindingProvider.create,
+  get,
+  set,
+  unset,
+  upgrade,
+  order,
+  matches,
+  extensionElements: [
+    {
+      type: 'zeebe:TaskHeaders',
+      listName: 'values',
+      label: 'Task header',
+      getName: header => header.get('key'),
+      getBindingName: binding => binding.key
+    }
+  ]
+};
+
+function get(element, property) {
+  const taskHeaders = findExtension(element, 'zeebe:TaskHeaders');
+
+  if (!taskHeaders) {
+    return '';
+  }
+
+  const header = findTaskHeader(taskHeaders, property.binding);
+
+  if (header) {
+    return header.get('value');
+  }
+
+  return '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const { binding } = property;
+
+  const commands = [];
+
+  const context = {
+    element,
+    property
+  };
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  let taskHeaders = findExtension(extensionElements, 'zeebe:TaskHeaders');
+
+  if (!taskHeaders) {
+    taskHeaders = createElement('zeebe:TaskHeaders', null, businessObject, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: extensionElements,
+        properties: { values: [ ...extensionElements.get('values'), taskHeaders ] }
+      }
+    });
+  }
+
+  const oldTaskHeader = findTaskHeader(taskHeaders, binding);
+
+  const values = taskHeaders.get('values').filter((value) => value !== oldTaskHeader);
+
+  // do not persist task headers with empty value
+  if (!value) {
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: taskHeaders,
+        properties: { values }
+      }
+    });
+  } else {
+    const newTaskHeader = createTaskHeader(binding, value, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: taskHeaders,
+        properties: { values: [ ...values, newTaskHeader ] }
+      }
+    });
+  }
+
+  return commands;
+}
+
+function unset(element, property) {
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  if (!extensionElements) {
+    return [];
+  }
+
+  const taskHeaders = findExtension(extensionElements, 'zeebe:TaskHeaders');
+
+  if (!taskHeaders) {
+    return [];
+  }
+
+  const context = {
+    element,
+    property
+  };
+
+  const oldTaskHeader = findTaskHeader(taskHeaders, property.binding);
+
+  const values = taskHeaders.get('values').filter((value) => value !== oldTaskHeader);
+
+  if (values.length === 0) {
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          ...context,
+          moddleElement: extensionElements,
+          properties: {
+            values: without(extensionElements.get('values'), taskHeaders)
+          }
+        }
+      }
+    ];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: taskHeaders,
+        properties: { values: [ ...values ] }
+      }
+    }
+  ];
+}
+
+/**
+ * Update `zeebe:Header` properties of specified business object. These can
+ * only exist in `zeebe:TaskHeaders` which can exist in `bpmn:ExtensionElements`.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, [ ZEEBE_TASK_HEADER_TYPE ]);
+
+  const businessObject = getOrCreateExtensionElements(element, getBusinessObject(element), context);
+
+  let taskHeaders = findExtension(businessObject, 'zeebe:TaskHeaders');
+
+  // (1) remove old headers if no new specified
+  if (!newProperties.length) {
+    if (!taskHeaders) {
+      return;
+    }
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: without(businessObject.get('values'), taskHeaders)
+      }
+    });
+  }
+
+  if (!taskHeaders) {
+    taskHeaders = bpmnFactory.create('zeebe:TaskHeaders');
+
+    taskHeaders.$parent = businessObject;
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: [ ...businessObject.get('values'), taskHeaders ]
+      }
+    });
+  }
+
+  const oldHeaders = taskHeaders.get('zeebe:values')
+    ? taskHeaders.get('zeebe:values').slice()
+    : [];
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          oldHeader = findTaskHeader(taskHeaders, newProperty.binding),
+          newPropertyValue = getDefaultValue(newProperty),
+          newBinding = newProperty.binding;
+
+    // (2) update old headers
+    if (oldHeader) {
+
+      if (!shouldKeepValue(oldHeader.get('value'), oldProperty, newProperty)) {
+        const properties = {
+          value: newPropertyValue
+        };
+
+        commandStack.execute('element.updateModdleProperties', {
+          element,
+          moddleElement: oldHeader,
+          properties
+        });
+      }
+
+      remove(oldHeaders, oldHeader);
+    }
+
+    // (3) add new (non-empty) headers
+    else if (newPropertyValue) {
+      const newHeader = createTaskHeader(newBinding, newPropertyValue, bpmnFactory);
+
+      newHeader.$parent = taskHeaders;
+
+      commandStack.execute('element.updateModdleProperties', {
+        element,
+        moddleElement: taskHeaders,
+        properties: {
+          values: [ ...taskHeaders.get('values'), newHeader ]
+        }
+      });
+    }
+  });
+
+  // (4) remove old headers
+  if (oldHeaders.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: taskHeaders,
+      properties: {
+        values: without(taskHeaders.get('values'), header => oldHeaders.includes(header))
+      }
+    });
+  }
+}
+
+function order(element, properties) {
+  const taskHeaders = findExtension(element, 'zeebe:TaskHeaders');
+
+  if (!taskHeaders) {
+    return [];
+  }
+
+  const values = sortByProperties(taskHeaders.get('values'), properties, (properties, header) => {
+    return properties.findIndex(prop =>
+      prop.binding.type == ZEEBE_TASK_HEADER_TYPE && prop.binding.key === header.get('key')
+    );
+  });
+
+  if (!values) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        moddleElement: taskHeaders,
+        properties: { values }
+      }
+    }
+  ];
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === ZEEBE_TASK_HEADER_TYPE && oldBinding.key === newBinding.key;
+}
@@ -0,0 +1,13 @@
+import { ZEEBE_TASK_SCHEDULE } from '../util/bindingTypes';
+
+import createExtensionElementBinding from './ExtensionElementBinding';
+
+/**
+ * Binding of a `zeebe:TaskSchedule` property (`zeebe:taskSchedule`).
+ */
+export default createExtensionElementBinding({
+  bindingType: ZEEBE_TASK_SCHEDULE,
+  extensionType: 'zeebe:TaskSchedule',
+  properties: [ 'dueDate', 'followUpDate' ],
+  elementTypes: [ 'bpmn:UserTask' ]
+});
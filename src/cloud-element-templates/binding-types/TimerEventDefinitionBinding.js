@@ -0,0 +1,111 @@
+import { getBusinessObject, is } from 'bpmn-js/lib/util/ModelUtil';
+
+import { getDefaultValue } from '../Helper';
+
+import { TIMER_EVENT_DEFINITION_PROPERTY_TYPE } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  getEventDefinitionError,
+  setExpressionPropertyCommand
+} from './util';
+
+const TIMER_PROPERTIES = [ 'timeDate', 'timeCycle', 'timeDuration' ];
+
+/**
+ * Binding of a timer expression of a `bpmn:TimerEventDefinition`
+ * (`bpmn:TimerEventDefinition#property`). The value is the body of
+ * the `bpmn:FormalExpression`.
+ */
+export default {
+  create,
+  get,
+  set,
+  unset,
+  matches,
+  validate
+};
+
+function create(element, { property, bpmnFactory }) {
+  const timerEventDefinition = getTimerEventDefinition(element),
+        value = getDefaultValue(property);
+
+  if (!timerEventDefinition || !value) {
+    return;
+  }
+
+  timerEventDefinition.set(
+    property.binding.name,
+    createElement('bpmn:FormalExpression', { body: value }, timerEventDefinition, bpmnFactory)
+  );
+}
+
+function get(element, property) {
+  const timerEventDefinition = getTimerEventDefinition(element);
+
+  const expression = timerEventDefinition && timerEventDefinition.get(property.binding.name);
+
+  return (expression && expression.get('body')) || '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const timerEventDefinition = getTimerEventDefinition(element);
+
+  if (!timerEventDefinition) {
+    return [];
+  }
+
+  return [
+    setExpressionPropertyCommand(element, property, timerEventDefinition, value, bpmnFactory)
+  ];
+}
+
+function unset(element, property) {
+  const timerEventDefinition = getTimerEventDefinition(element);
+
+  if (!timerEventDefinition || !timerEventDefinition.get(property.binding.name)) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: timerEventDefinition,
+        properties: {
+          [ property.binding.name ]: undefined
+        }
+      }
+    }
+  ];
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === TIMER_EVENT_DEFINITION_PROPERTY_TYPE && oldBinding.name === newBinding.name;
+}
+
+function validate(property, template) {
+  const { name } = property.binding;
+
+  if (!TIMER_PROPERTIES.includes(name)) {
+    return `invalid name <${ name }> for binding type <${ TIMER_EVENT_DEFINITION_PROPERTY_TYPE }>; must be one of <${ TIMER_PROPERTIES.join(', ') }>`;
+  }
+
+  return getEventDefinitionError(TIMER_EVENT_DEFINITION_PROPERTY_TYPE, 'bpmn:TimerEventDefinition', template);
+}
+
+
+// helpers //////////
+
+function getTimerEventDefinition(element) {
+  const businessObject = getBusinessObject(element);
+
+  if (!is(businessObject, 'bpmn:Event')) {
+    return;
+  }
+
+  return businessObject.get('eventDefinitions').find(definition => is(definition, 'bpmn:TimerEventDefinition'));
+}
@@ -0,0 +1,103 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import { findExtension } from '../Helper';
+
+import { ensureExtension } from '../CreateHelper';
+
+import { ZEEBE_USER_TASK } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  getElementTypeError
+} from './util';
+
+/**
+ * Binding of a `zeebe:UserTask` (`zeebe:userTask`), marking a user task
+ * as a Camunda user task. The property must be `Hidden`, its value is
+ * not persisted.
+ */
+export default {
+  create,
+  get,
+  set,
+  unset,
+  matches,
+  validate,
+  extensionElements: [ { type: 'zeebe:UserTask' } ]
+};
+
+function create(element, { bpmnFactory }) {
+  ensureExtension(element, 'zeebe:UserTask', bpmnFactory);
+}
+
+function get(element, property) {
+  const userTask = findExtension(element, 'zeebe:UserTask');
+
+  return userTask && property.value ? property.value : '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const commands = [];
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  if (findExtension(extensionElements, 'zeebe:UserTask')) {
+    return commands;
+  }
+
+  const userTask = createElement('zeebe:UserTask', {}, extensionElements, bpmnFactory);
+
+  commands.push({
+    cmd: 'element.updateModdleProperties',
+    context: {
+      element,
+      property,
+      moddleElement: extensionElements,
+      properties: { values: [ ...extensionElements.get('values'), userTask ] }
+    }
+  });
+
+  return commands;
+}
+
+function unset(element, property) {
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  const userTask = extensionElements && findExtension(extensionElements, 'zeebe:UserTask');
+
+  if (!userTask) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: extensionElements,
+        properties: {
+          values: without(extensionElements.get('values'), userTask)
+        }
+      }
+    }
+  ];
+}
+
+function matches(oldBinding) {
+  return oldBinding.type === ZEEBE_USER_TASK;
+}
+
+function validate(property, template) {
+  if (property.type !== 'Hidden') {
+    return `invalid property type <${ property.type }> for binding type <${ ZEEBE_USER_TASK }>; must be <Hidden>`;
+  }
+
+  return getElementTypeError(ZEEBE_USER_TASK, [ 'bpmn:UserTask' ], template);
+}
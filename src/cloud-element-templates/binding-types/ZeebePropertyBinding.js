@@ -0,0 +1,310 @@
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { without } from 'min-dash';
+
+import {
+  findExtension,
+  findZeebeProperty,
+  getDefaultValue
+} from '../Helper';
+
+import {
+  createZeebeProperty,
+  shouldUpdate
+} from '../CreateHelper';
+
+import ZeebePropertiesProvider from '../create/ZeebePropertiesProvider';
+
+import { ZEEBE_PROPERTY_TYPE } from '../util/bindingTypes';
+
+import { createElement } from '../../utils/ElementUtil';
+
+import {
+  ensureExtensionElements,
+  findMatchingProperty,
+  getOrCreateExtensionElements,
+  getPropertiesByType,
+  remove,
+  shouldKeepValue,
+  sortByProperties
+} from './util';
+
+/**
+ * Binding of a `zeebe:Property` (`zeebe:property`).
+ */
+export default {
+  create: ZeebePropertiesProvider.create,
+  get,
+  set,
+  unset,
+  upgrade,
+  order,
+  matches,
+  extensionElements: [
+    {
+      type: 'zeebe:Properties',
+      listName: 'properties',
+      label: 'Extension property',
+      getName: property => property.get('name'),
+      getBindingName: binding => binding.name
+    }
+  ]
+};
+
+function get(element, property) {
+  const zeebeProperties = findExtension(element, 'zeebe:Properties');
+
+  if (zeebeProperties) {
+    const zeebeProperty = findZeebeProperty(zeebeProperties, property.binding);
+
+    if (zeebeProperty) {
+      return zeebeProperty.get('value');
+    }
+  }
+
+  return '';
+}
+
+function set(element, property, value, { bpmnFactory }) {
+  const businessObject = getBusinessObject(element);
+
+  const { binding } = property;
+
+  const commands = [];
+
+  const extensionElements = ensureExtensionElements(element, property, businessObject, bpmnFactory, commands);
+
+  let zeebeProperties = findExtension(extensionElements, 'zeebe:Properties');
+
+  if (!zeebeProperties) {
+    zeebeProperties = createElement('zeebe:Properties', null, businessObject, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: extensionElements,
+        properties: {
+          values: [ ...extensionElements.get('values'), zeebeProperties ]
+        }
+      }
+    });
+  }
+
+  const oldZeebeProperty = findZeebeProperty(zeebeProperties, binding);
+
+  const properties = zeebeProperties.get('properties').filter((property) => property !== oldZeebeProperty);
+
+  if (shouldUpdate(value, property)) {
+    const newZeebeProperty = createZeebeProperty(binding, value, bpmnFactory);
+
+    properties.push(newZeebeProperty);
+  }
+
+  commands.push({
+    cmd: 'element.updateModdleProperties',
+    context: {
+      element,
+      property,
+      moddleElement: zeebeProperties,
+      properties: {
+        properties
+      }
+    }
+  });
+
+  return commands;
+}
+
+function unset(element, property) {
+  const extensionElements = getBusinessObject(element).get('extensionElements');
+
+  if (!extensionElements) {
+    return [];
+  }
+
+  const zeebeProperties = findExtension(extensionElements, 'zeebe:Properties');
+
+  if (!zeebeProperties) {
+    return [];
+  }
+
+  const context = {
+    element,
+    property
+  };
+
+  const oldZeebeProperty = findZeebeProperty(zeebeProperties, property.binding);
+
+  const properties = zeebeProperties.get('properties').filter((property) => property !== oldZeebeProperty);
+
+  if (!properties.length) {
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          ...context,
+          moddleElement: extensionElements,
+          properties: {
+            values: without(extensionElements.get('values'), zeebeProperties)
+          }
+        }
+      }
+    ];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        ...context,
+        moddleElement: zeebeProperties,
+        properties: {
+          properties: [ ...properties ]
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Update `zeebe:Property` properties of `zeebe:Properties` extension element.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} oldTemplate
+ * @param {Object} newTemplate
+ * @param {Object} context
+ */
+function upgrade(element, oldTemplate, newTemplate, context) {
+  const {
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const newProperties = getPropertiesByType(newTemplate, [ ZEEBE_PROPERTY_TYPE ]);
+
+  const businessObject = getOrCreateExtensionElements(element, getBusinessObject(element), context);
+
+  let zeebeProperties = findExtension(businessObject, 'zeebe:Properties');
+
+  // (1) remove old zeebe:Properties if no new zeebe:Property properties
+  if (!newProperties.length) {
+    if (!zeebeProperties) {
+      return;
+    }
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: without(businessObject.get('values'), zeebeProperties)
+      }
+    });
+  }
+
+  if (!zeebeProperties) {
+    zeebeProperties = bpmnFactory.create('zeebe:Properties');
+
+    zeebeProperties.$parent = businessObject;
+
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: businessObject,
+      properties: {
+        values: [ ...businessObject.get('values'), zeebeProperties ]
+      }
+    });
+  }
+
+  const oldZeebeProperties = zeebeProperties.get('properties')
+    ? zeebeProperties.get('properties').slice()
+    : [];
+
+  newProperties.forEach((newProperty) => {
+    const oldProperty = findMatchingProperty(oldTemplate, newProperty, matches),
+          oldZeebeProperty = findZeebeProperty(zeebeProperties, newProperty.binding),
+          newPropertyValue = getDefaultValue(newProperty),
+          newBinding = newProperty.binding;
+
+    // (2) update old zeebe:Property
+    if (oldZeebeProperty) {
+      const keepValue = shouldKeepValue(oldZeebeProperty.get('value'), oldProperty, newProperty);
+
+      if (shouldUpdate(newPropertyValue, newProperty) || keepValue) {
+        remove(oldZeebeProperties, oldZeebeProperty);
+      }
+
+      if (!keepValue) {
+        commandStack.execute('element.updateModdleProperties', {
+          element,
+          moddleElement: oldZeebeProperty,
+          properties: {
+            value: newPropertyValue
+          }
+        });
+      }
+    }
+
+    // (3) add new zeebe:Property
+    else if (shouldUpdate(newPropertyValue, newProperty)) {
+      const newZeebeProperty = createZeebeProperty(newBinding, newPropertyValue, bpmnFactory);
+
+      newZeebeProperty.$parent = zeebeProperties;
+
+      commandStack.execute('element.updateModdleProperties', {
+        element,
+        moddleElement: zeebeProperties,
+        properties: {
+          properties: [ ...zeebeProperties.get('properties'), newZeebeProperty ]
+        }
+      });
+    }
+  });
+
+  // (4) remove old zeebe:Property
+  if (oldZeebeProperties.length) {
+    commandStack.execute('element.updateModdleProperties', {
+      element,
+      moddleElement: zeebeProperties,
+      properties: {
+        properties: without(zeebeProperties.get('properties'), zeebeProperty => oldZeebeProperties.includes(zeebeProperty))
+      }
+    });
+  }
+}
+
+function order(element, properties) {
+  const zeebeProperties = findExtension(element, 'zeebe:Properties');
+
+  if (!zeebeProperties) {
+    return [];
+  }
+
+  const sortedProperties = sortByProperties(zeebeProperties.get('properties'), properties, (properties, zeebeProperty) => {
+    return properties.findIndex(prop =>
+      prop.binding.type == ZEEBE_PROPERTY_TYPE && prop.binding.name === zeebeProperty.get('name')
+    );
+  });
+
+  if (!sortedProperties) {
+    return [];
+  }
+
+  return [
+    {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        moddleElement: zeebeProperties,
+        properties: {
+          properties: sortedProperties
+        }
+      }
+    }
+  ];
+}
+
+function matches(oldBinding, newBinding) {
+  return oldBinding.type === ZEEBE_PROPERTY_TYPE && oldBinding.name === newBinding.name;
+}
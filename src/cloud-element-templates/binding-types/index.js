@@ -0,0 +1,5 @@
+import BindingTypeRegistry from './BindingTypeRegistry';
+
+export default {
+  bindingTypeRegistry: [ 'type', BindingTypeRegistry ]
+};
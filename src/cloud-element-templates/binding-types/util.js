@@ -0,0 +1,448 @@
+import {
+  getBusinessObject,
+  is
+} from 'bpmn-js/lib/util/ModelUtil';
+
+import {
+  find,
+  isUndefined
+} from 'min-dash';
+
+import {
+  findMessage,
+  getDefaultValue,
+  getTemplateId
+} from '../Helper';
+
+import { parseList } from '../util/listValue';
+
+import { createElement } from '../../utils/ElementUtil';
+
+/**
+ * Commands without effect, allowed in the results of `set` and `unset`.
+ */
+export const NO_OP = null;
+
+const PRIMITIVE_MODDLE_TYPES = [
+  'Boolean',
+  'Integer',
+  'String'
+];
+
+/**
+ * Get properties of a template bound by the given types.
+ *
+ * @param {Object} [template]
+ * @param {Array<string>} types
+ *
+ * @return {Array<Object>}
+ */
+export function getPropertiesByType(template, types) {
+  if (!template) {
+    return [];
+  }
+
+  return template.properties.filter(property => types.includes(property.binding.type));
+}
+
+/**
+ * Get the element types a template applies to, i.e. its element
+ * type, if specified, or the types it applies to.
+ *
+ * @param {Object} template
+ *
+ * @return {Array<string>}
+ */
+export function getTemplateElementTypes(template) {
+  const { elementType } = template;
+
+  if (elementType && elementType.value) {
+    return [ elementType.value ];
+  }
+
+  return template.appliesTo || [];
+}
+
+/**
+ * Validate that a template only applies to element types
+ * a binding type is supported for.
+ *
+ * @param {string} bindingType
+ * @param {Array<string>} elementTypes
+ * @param {Object} template
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getElementTypeError(bindingType, elementTypes, template) {
+  const templateElementTypes = getTemplateElementTypes(template);
+
+  if (templateElementTypes.every(type => elementTypes.includes(type))) {
+    return;
+  }
+
+  return `binding type <${ bindingType }> requires element type to be one of <${ elementTypes.join(', ') }>`;
+}
+
+/**
+ * Validate that a template creates events with the event definition
+ * a binding type is supported for.
+ *
+ * @param {string} bindingType
+ * @param {string} eventDefinitionType
+ * @param {Object} template
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getEventDefinitionError(bindingType, eventDefinitionType, template) {
+  const { elementType } = template;
+
+  if (elementType && elementType.eventDefinition === eventDefinitionType) {
+    return;
+  }
+
+  return `binding type <${ bindingType }> requires element type with event definition <${ eventDefinitionType }>`;
+}
+
+/**
+ * Find the property of the old template bound to the same value
+ * as the new property.
+ *
+ * @param {Object} [oldTemplate]
+ * @param {Object} newProperty
+ * @param {Function} matches
+ *
+ * @return {Object|undefined}
+ */
+export function findMatchingProperty(oldTemplate, newProperty, matches) {
+  if (!oldTemplate) {
+    return;
+  }
+
+  return find(oldTemplate.properties, oldProperty => matches(oldProperty.binding, newProperty.binding, oldProperty, newProperty));
+}
+
+/**
+ * Check whether the current value of a property should be keept. This is the case if
+ *  - an old template was set and the value differs from the default
+ *  - no template was set but the property was set manually
+ *
+ * @param {*} value
+ * @param {Object} oldProperty
+ * @param {Object} newProperty
+ *
+ * @returns {boolean}
+ */
+export function shouldKeepValue(value, oldProperty, newProperty) {
+
+  // "Hidden" values are treated as a constant
+  if (newProperty.type === 'Hidden') {
+    return false;
+  }
+
+  // Dropdowns should keep existing configuration
+  // cf. https://github.com/bpmn-io/bpmn-js-properties-panel/issues/767
+  if (newProperty.type === 'Dropdown') {
+
+    // choices of a source are resolved at render time,
+    // keep any value
+    if (newProperty.choicesSource) {
+      return !!value;
+    }
+
+    // only keep value if old value is a valid option
+    return !!newProperty.choices && newProperty.choices.some(
+      (choice) => choice.value === value
+    );
+  }
+
+  // only keep selection if all selected values are valid options
+  if (newProperty.type === 'MultiSelect') {
+    return !!value && parseList(value).every(
+      (item) => newProperty.choices.some((choice) => choice.value === item)
+    );
+  }
+
+  // keep existing old property if
+  // user changed it from the original,
+  // as stored, e.g. as a serialized list
+  if (oldProperty) {
+    return value !== (isUndefined(oldProperty.value) ? oldProperty.value : getDefaultValue(oldProperty));
+  }
+
+  // keep existing property value
+  return !!value;
+}
+
+/**
+ * Get or create the extension elements of a business object
+ * during a template upgrade.
+ *
+ * @param {djs.model.Base} element
+ * @param {ModdleElement} businessObject
+ * @param {Object} context
+ * @param {BpmnFactory} context.bpmnFactory
+ * @param {Object} context.modeling
+ *
+ * @return {ModdleElement}
+ */
+export function getOrCreateExtensionElements(element, businessObject, context) {
+  const {
+    bpmnFactory,
+    modeling
+  } = context;
+
+  let extensionElements = businessObject.get('extensionElements');
+
+  if (!extensionElements) {
+    extensionElements = bpmnFactory.create('bpmn:ExtensionElements', {
+      values: []
+    });
+
+    extensionElements.$parent = businessObject;
+
+    modeling.updateModdleProperties(element, businessObject, {
+      extensionElements: extensionElements
+    });
+  }
+
+  return extensionElements;
+}
+
+/**
+ * Get the extension elements of a business object, adding the
+ * commands to create them if they do not exist yet.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} property
+ * @param {ModdleElement} businessObject
+ * @param {BpmnFactory} bpmnFactory
+ * @param {Array<Object>} commands
+ *
+ * @return {ModdleElement}
+ */
+export function ensureExtensionElements(element, property, businessObject, bpmnFactory, commands) {
+  let extensionElements = businessObject.get('extensionElements');
+
+  if (!extensionElements) {
+    extensionElements = createElement('bpmn:ExtensionElements', null, businessObject, bpmnFactory);
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: businessObject,
+        properties: { extensionElements }
+      }
+    });
+  }
+
+  return extensionElements;
+}
+
+/**
+ * Get the message referenced by an element, adding the commands
+ * to create it if it does not exist yet.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} property
+ * @param {BpmnFactory} bpmnFactory
+ * @param {Array<Object>} commands
+ *
+ * @return {ModdleElement}
+ */
+export function ensureMessage(element, property, bpmnFactory, commands) {
+  let businessObject = getBusinessObject(element);
+
+  if (is(businessObject, 'bpmn:Event')) {
+    businessObject = businessObject.get('eventDefinitions')[0];
+  }
+
+  let message = findMessage(businessObject);
+
+  if (!message) {
+    message = bpmnFactory.create('bpmn:Message', { 'zeebe:modelerTemplate': getTemplateId(element) });
+
+    commands.push({
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: businessObject,
+        properties: { messageRef: message }
+      }
+    });
+  }
+
+  return message;
+}
+
+/**
+ * Create the command to set a primitive property on a moddle element,
+ * converting the value to the type of the property.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} property
+ * @param {ModdleElement} moddleElement
+ * @param {*} value
+ *
+ * @return {Object|null} command
+ */
+export function setPrimitivePropertyCommand(element, property, moddleElement, value) {
+  const { name } = property.binding;
+
+  const propertyDescriptor = moddleElement.$descriptor.propertiesByName[ name ];
+
+  let propertyValue;
+
+  // if property not created yet
+  if (!propertyDescriptor) {
+
+    // make sure we create the property
+    propertyValue = value || '';
+  }
+
+  else {
+    const { type: propertyType } = propertyDescriptor;
+
+    // do not override non-primitive types
+    if (!PRIMITIVE_MODDLE_TYPES.includes(propertyType)) {
+      throw new Error(`cannot set property of type <${ propertyType }>`);
+    }
+
+    if (propertyType === 'Boolean') {
+      propertyValue = !!value;
+    } else if (propertyType === 'Integer') {
+      propertyValue = parseInt(value, 10);
+
+      if (isNaN(propertyValue)) {
+
+        // do not set NaN value
+        propertyValue = undefined;
+      }
+    } else {
+
+      // make sure we don't remove the property
+      propertyValue = value || '';
+    }
+  }
+
+  if (isUndefined(propertyValue)) {
+    return NO_OP;
+  }
+
+  return {
+    cmd: 'element.updateModdleProperties',
+    context: {
+      element,
+      property,
+      moddleElement,
+      properties: { [ name ]: propertyValue }
+    }
+  };
+}
+
+/**
+ * Check whether a property of a moddle element is an expression,
+ * e.g. the `conditionExpression` of a `bpmn:SequenceFlow`.
+ *
+ * @param {ModdleElement} moddleElement
+ * @param {string} name
+ *
+ * @return {boolean}
+ */
+export function isExpressionProperty(moddleElement, name) {
+  const propertyDescriptor = moddleElement.$descriptor.propertiesByName[ name ];
+
+  return !!propertyDescriptor && propertyDescriptor.type === 'bpmn:Expression';
+}
+
+/**
+ * Create the command to set an expression property on a moddle element.
+ * The value is the body of the `bpmn:FormalExpression`, empty values
+ * remove the expression.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} property
+ * @param {ModdleElement} moddleElement
+ * @param {string} value
+ * @param {BpmnFactory} bpmnFactory
+ *
+ * @return {Object} command
+ */
+export function setExpressionPropertyCommand(element, property, moddleElement, value, bpmnFactory) {
+  const { name } = property.binding;
+
+  const expression = moddleElement.get(name);
+
+  if (expression && value) {
+    return {
+      cmd: 'element.updateModdleProperties',
+      context: {
+        element,
+        property,
+        moddleElement: expression,
+        properties: { body: value }
+      }
+    };
+  }
+
+  return {
+    cmd: 'element.updateModdleProperties',
+    context: {
+      element,
+      property,
+      moddleElement,
+      properties: {
+        [ name ]: value
+          ? createElement('bpmn:FormalExpression', { body: value }, moddleElement, bpmnFactory)
+          : undefined
+      }
+    }
+  };
+}
+
+/**
+ * Sort moddle elements in the order of the template properties bound to them.
+ *
+ * @param {Array<ModdleElement>} values
+ * @param {Array<Object>} properties
+ * @param {Function} findIndex
+ *
+ * @return {Array<ModdleElement>|null} sorted values, if order changed
+ */
+export function sortByProperties(values, properties, findIndex) {
+  if (values.length < 1) {
+    return null;
+  }
+
+  const sortedValues = [ ...values ].sort((a, b) => {
+    return findIndex(properties, a) - findIndex(properties, b);
+  });
+
+  if (sortedValues.every((value, index) => value === values[ index ])) {
+    return null;
+  }
+
+  return sortedValues;
+}
+
+/**
+ * Remove an item from an array in place.
+ *
+ * @param {Array} array
+ * @param {*} item
+ *
+ * @return {Array}
+ */
+export function remove(array, item) {
+  const index = array.indexOf(item);
+
+  if (index === -1) {
+    return array;
+  }
+
+  array.splice(index, 1);
+
+  return array;
+}
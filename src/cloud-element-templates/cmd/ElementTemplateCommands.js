@@ -1,4 +1,5 @@
 import ChangeElementTemplateHandler from './ChangeElementTemplateHandler';
+import UpdateRepeatableGroupHandler from './UpdateRepeatableGroupHandler';
 import RemoveElementTemplateHandler from '../../element-templates/cmd/RemoveElementTemplateHandler';
 import MultiCommandHandler from '../../element-templates/cmd/MultiCommandHandler';
 
@@ -14,6 +15,11 @@ export default class ElementTemplatesCommands {
       ChangeElementTemplateHandler
     );
 
+    commandStack.registerHandler(
+      'propertiesPanel.zeebe.updateRepeatableGroup',
+      UpdateRepeatableGroupHandler
+    );
+
     commandStack.registerHandler(
       'propertiesPanel.removeTemplate',
       RemoveElementTemplateHandler
@@ -0,0 +1,170 @@
+import { isArray } from 'min-dash';
+
+import { applyConditions } from '../Condition';
+
+import {
+  getPropertyValue,
+  setPropertyValue,
+  unsetProperty
+} from '../util/propertyUtil';
+
+import {
+  expandRepeatableGroups,
+  getGroupProperties,
+  getInstanceCount,
+  getInstanceProperty,
+  getRepeatableGroup,
+  isBound
+} from '../util/repeatableGroups';
+
+/**
+ * Adds, removes and reorders the instances of a repeatable group of the
+ * template applied to an element.
+ */
+export default class UpdateRepeatableGroupHandler {
+  constructor(bpmnFactory, commandStack, elementTemplates, bindingTypeRegistry) {
+    this._bpmnFactory = bpmnFactory;
+    this._commandStack = commandStack;
+    this._elementTemplates = elementTemplates;
+    this._bindingTypeRegistry = bindingTypeRegistry;
+  }
+
+  /**
+   * @example
+   *
+   * // swap the first two of three instances and add a new one
+   * commandStack.execute('propertiesPanel.zeebe.updateRepeatableGroup', {
+   *   element,
+   *   groupId: 'recipients',
+   *   instances: [ 1, 0, 2, -1 ]
+   * });
+   *
+   * @param {Object} context
+   * @param {djs.model.Base} context.element
+   * @param {string} context.groupId
+   * @param {Array<number>} context.instances indexes of the current instances in their
+   *   new order, `-1` adds an instance with default values; each index may be used once
+   *   and the number of instances must respect `minInstances` and `maxInstances`
+   */
+  preExecute(context) {
+    const {
+      element,
+      groupId,
+      instances
+    } = context;
+
+    const template = this._elementTemplates.get(element);
+
+    const group = template && getRepeatableGroup(template, groupId);
+
+    if (!group) {
+      throw new Error(`no repeatable group <${ groupId }> for element <${ element.id }>`);
+    }
+
+    const count = getInstanceCount(element, group);
+
+    const error = getInstancesError(instances, count, group);
+
+    if (error) {
+      throw new Error(`invalid instances for repeatable group <${ groupId }>: ${ error }`);
+    }
+
+    const groupProperties = getGroupProperties(template, group);
+
+    // (1) read values of current instances
+    const values = [];
+
+    for (let index = 0; index < count; index++) {
+      values.push(this._getInstanceValues(element, group, groupProperties, index));
+    }
+
+    // (2) move values to their new instance
+    instances.forEach((oldIndex, index) => {
+      if (oldIndex !== index) {
+        this._setInstanceValues(element, group, groupProperties, index, oldIndex === -1 ? [] : values[ oldIndex ]);
+      }
+    });
+
+    // (3) remove surplus instances and apply defaults to new ones
+    this._commandStack.execute('propertiesPanel.zeebe.changeTemplate', {
+      element,
+      oldTemplate: applyConditions(element, template, this._bindingTypeRegistry),
+      newTemplate: expandRepeatableGroups(element, template, { [ groupId ]: instances.length })
+    });
+  }
+
+  _getInstanceValues(element, group, groupProperties, index) {
+    return groupProperties.map(property => {
+      const instanceProperty = getInstanceProperty(property, group, index, groupProperties);
+
+      if (isBound(element, instanceProperty)) {
+        return getPropertyValue(element, instanceProperty, this._bindingTypeRegistry);
+      }
+    });
+  }
+
+  _setInstanceValues(element, group, groupProperties, index, values) {
+    groupProperties.forEach((property, propertyIndex) => {
+      const instanceProperty = getInstanceProperty(property, group, index, groupProperties),
+            value = values[ propertyIndex ];
+
+      if (value !== undefined) {
+        setPropertyValue(this._bpmnFactory, this._commandStack, element, instanceProperty, value, this._bindingTypeRegistry);
+      } else if (isBound(element, instanceProperty)) {
+        unsetProperty(this._commandStack, element, instanceProperty, this._bindingTypeRegistry);
+      }
+    });
+  }
+}
+
+UpdateRepeatableGroupHandler.$inject = [
+  'bpmnFactory',
+  'commandStack',
+  'elementTemplates',
+  'bindingTypeRegistry'
+];
+
+
+// helpers //////////
+
+/**
+ * Validate the new order of the instances of a repeatable group.
+ *
+ * @param {Array<number>} instances
+ * @param {number} count number of current instances
+ * @param {Object} group
+ *
+ * @return {string|undefined} error message, if any
+ */
+function getInstancesError(instances, count, group) {
+  const {
+    maxInstances = Infinity,
+    minInstances = 0
+  } = group;
+
+  if (!isArray(instances)) {
+    return 'instances must be an array';
+  }
+
+  for (const [ index, oldIndex ] of instances.entries()) {
+    if (oldIndex === -1) {
+      continue;
+    }
+
+    if (!Number.isInteger(oldIndex) || oldIndex < 0 || oldIndex >= count) {
+      return `instance index <${ oldIndex }> out of range`;
+    }
+
+    if (instances.indexOf(oldIndex) !== index) {
+      return `duplicate instance index <${ oldIndex }>`;
+    }
+  }
+
+  if (instances.length < minInstances) {
+    return `at least <${ minInstances }> instances required`;
+  }
+
+  if (instances.length > maxInstances) {
+    return `at most <${ maxInstances }> instances allowed`;
+  }
+}
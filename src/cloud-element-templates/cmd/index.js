@@ -1,6 +1,11 @@
 import ElementTemplateCommands from './ElementTemplateCommands';
 
+import bindingTypesModule from '../binding-types';
+
 export default {
+  __depends__: [
+    bindingTypesModule
+  ],
   __init__: [ 'elementTemplateCommands' ],
   elementTemplateCommands: [ 'type', ElementTemplateCommands ]
 };
\ No newline at end of file
@@ -4,9 +4,11 @@ import ElementTemplatesLoader from '../ElementTemplatesLoader';
 import commandsModule from '../cmd';
 import createModule from '../create';
 import behaviorModule from '../behavior';
+import bindingTypesModule from '../binding-types';
 
 export default {
   __depends__: [
+    bindingTypesModule,
     commandsModule,
     behaviorModule,
     createModule
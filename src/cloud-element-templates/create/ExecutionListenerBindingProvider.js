@@ -0,0 +1,27 @@
+import {
+  createExecutionListener,
+  ensureExtension
+} from '../CreateHelper';
+import { getDefaultValue } from '../Helper';
+
+
+export default class ExecutionListenerBindingProvider {
+  static create(element, options) {
+    const {
+      property,
+      bpmnFactory
+    } = options;
+
+    const {
+      binding
+    } = property;
+
+    const value = getDefaultValue(property);
+
+    const executionListeners = ensureExtension(element, 'zeebe:ExecutionListeners', bpmnFactory);
+
+    const listener = createExecutionListener(binding, value, bpmnFactory);
+    listener.$parent = executionListeners;
+    executionListeners.get('listeners').push(listener);
+  }
+}
@@ -1,10 +1,13 @@
 import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
 import { getDefaultValue } from '../Helper';
+import { isExpressionProperty } from '../binding-types/util';
+import { createElement } from '../../utils/ElementUtil';
 
 
 export default class PropertyBindingProvider {
   static create(element, options) {
     const {
+      bpmnFactory,
       property
     } = options;
 
@@ -20,6 +23,14 @@ export default class PropertyBindingProvider {
 
     const businessObject = getBusinessObject(element);
 
+    if (isExpressionProperty(businessObject, name)) {
+      if (value) {
+        businessObject.set(name, createElement('bpmn:FormalExpression', { body: value }, businessObject, bpmnFactory));
+      }
+
+      return;
+    }
+
     businessObject[name] = value;
   }
 }
\ No newline at end of file
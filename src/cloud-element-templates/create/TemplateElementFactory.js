@@ -4,51 +4,19 @@ import {
 
 import { find } from 'min-dash';
 
-import PropertyBindingProvider from './PropertyBindingProvider';
-import TaskDefinitionBindingProvider from './TaskDefinitionBindingProvider';
-import InputBindingProvider from './InputBindingProvider';
-import OutputBindingProvider from './OutputBindingProvider';
-import TaskHeaderBindingProvider from './TaskHeaderBindingProvider';
-import ZeebePropertiesProvider from './ZeebePropertiesProvider';
-import { MessagePropertyBindingProvider } from './MessagePropertyBindingProvider';
-import { MessageZeebeSubscriptionBindingProvider } from './MessageZeebeSubscriptionBindingProvider';
-import { CalledElementBindingProvider } from './CalledElementBindingProvider';
-
-import {
-  MESSAGE_PROPERTY_TYPE,
-  MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE,
-  PROPERTY_TYPE,
-  ZEEBE_TASK_DEFINITION_TYPE_TYPE,
-  ZEEBE_TASK_DEFINITION,
-  ZEBBE_INPUT_TYPE,
-  ZEEBE_OUTPUT_TYPE,
-  ZEEBE_TASK_HEADER_TYPE,
-  ZEBBE_PROPERTY_TYPE,
-  ZEEBE_CALLED_ELEMENT
-} from '../util/bindingTypes';
-
 import {
+  getConditionDependencies,
   isConditionMet
 } from '../Condition';
 
+import { expandRepeatableGroups } from '../util/repeatableGroups';
+
 export default class TemplateElementFactory {
 
-  constructor(bpmnFactory, elementFactory) {
+  constructor(bpmnFactory, elementFactory, bindingTypeRegistry) {
     this._bpmnFactory = bpmnFactory;
     this._elementFactory = elementFactory;
-
-    this._providers = {
-      [PROPERTY_TYPE]: PropertyBindingProvider,
-      [ZEEBE_TASK_DEFINITION_TYPE_TYPE]: TaskDefinitionBindingProvider,
-      [ZEEBE_TASK_DEFINITION]: TaskDefinitionBindingProvider,
-      [ZEBBE_PROPERTY_TYPE]: ZeebePropertiesProvider,
-      [ZEBBE_INPUT_TYPE]: InputBindingProvider,
-      [ZEEBE_OUTPUT_TYPE]: OutputBindingProvider,
-      [ZEEBE_TASK_HEADER_TYPE]: TaskHeaderBindingProvider,
-      [MESSAGE_PROPERTY_TYPE]: MessagePropertyBindingProvider,
-      [MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE]: MessageZeebeSubscriptionBindingProvider,
-      [ZEEBE_CALLED_ELEMENT]: CalledElementBindingProvider
-    };
+    this._bindingTypeRegistry = bindingTypeRegistry;
   }
 
   /**
@@ -59,12 +27,10 @@ export default class TemplateElementFactory {
    */
   create(template) {
 
-    const {
-      properties
-    } = template;
-
-    // (1) base shape
-    const element = this._createShape(template);
+    // (1) base shape or connection
+    const element = isConnection(template)
+      ? this._createConnection(template)
+      : this._createShape(template);
 
     // (2) apply template
     this._setModelerTemplate(element, template);
@@ -74,21 +40,20 @@ export default class TemplateElementFactory {
       this._setModelerTemplateIcon(element, template);
     }
 
-    // (4) apply properties
-    this._applyProperties(element, properties);
+    // (4) apply properties, including the minimum instances of repeatable groups
+    this._applyProperties(element, expandRepeatableGroups(element, template).properties);
 
     return element;
   }
 
   _createShape(template) {
     const {
-      appliesTo,
       elementType = {}
     } = template;
     const elementFactory = this._elementFactory;
 
     const attrs = {
-      type: elementType.value || appliesTo[0]
+      type: getElementType(template)
     };
 
     // apply eventDefinition
@@ -101,6 +66,14 @@ export default class TemplateElementFactory {
     return element;
   }
 
+  _createConnection(template) {
+    const elementFactory = this._elementFactory;
+
+    return elementFactory.createConnection({
+      type: getElementType(template)
+    });
+  }
+
   _ensureExtensionElements(element) {
     const bpmnFactory = this._bpmnFactory;
     const businessObject = getBusinessObject(element);
@@ -182,7 +155,7 @@ export default class TemplateElementFactory {
     );
 
     // check condition and apply property if condition is met
-    if (isConditionMet(element, properties, property)) {
+    if (isConditionMet(element, properties, property, this._bindingTypeRegistry)) {
       this._bindProperty(property, element);
     }
 
@@ -203,20 +176,38 @@ export default class TemplateElementFactory {
       type: bindingType
     } = binding;
 
-    const bindingProvider = this._providers[bindingType];
+    const handler = this._bindingTypeRegistry.get(bindingType);
 
-    bindingProvider.create(element, {
+    // skip binding types that cannot be applied to new elements
+    if (!handler || !handler.create) {
+      return;
+    }
+
+    handler.create(element, {
       property,
       bpmnFactory: this._bpmnFactory
     });
   }
 }
 
-TemplateElementFactory.$inject = [ 'bpmnFactory', 'elementFactory' ];
+TemplateElementFactory.$inject = [ 'bpmnFactory', 'elementFactory', 'bindingTypeRegistry' ];
 
 
 // helper ////////////////
 
+function getElementType(template) {
+  const {
+    appliesTo,
+    elementType = {}
+  } = template;
+
+  return elementType.value || appliesTo[0];
+}
+
+function isConnection(template) {
+  return getElementType(template) === 'bpmn:SequenceFlow';
+}
+
 function hasIcon(template) {
   const {
     icon
@@ -231,17 +222,9 @@ function findDependentProperties(property, properties) {
     condition
   } = property;
 
-  if (!condition) {
-    return [];
-  }
-
-  const dependentProperty = findProperyById(properties, condition.property);
-
-  if (dependentProperty) {
-    return [ dependentProperty ];
-  }
-
-  return [];
+  return getConditionDependencies(condition)
+    .map(id => findProperyById(properties, id))
+    .filter(dependentProperty => dependentProperty && dependentProperty !== property);
 }
 
 function findProperyById(properties, id) {
@@ -1,6 +1,11 @@
 import TemplateElementFactory from './TemplateElementFactory';
 
+import bindingTypesModule from '../binding-types';
+
 export default {
+  __depends__: [
+    bindingTypesModule
+  ],
   __init__: [
     'templateElementFactory'
   ],
@@ -0,0 +1,258 @@
+import BpmnModdle from 'bpmn-moddle';
+
+import zeebeModdle from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import { is } from 'bpmn-js/lib/util/ModelUtil';
+
+import ElementTemplates from '../ElementTemplates';
+
+import { Validator } from '../Validator';
+
+import { applyConditions } from '../Condition';
+
+import { getDefaultBindingTypeRegistry } from '../binding-types/BindingTypeRegistry';
+
+import {
+  getPropertyValue,
+  validateProperty
+} from '../util/propertyUtil';
+
+import {
+  addReferencedRootElements,
+  createHeadlessServices,
+  getDefinitions
+} from './HeadlessServices';
+
+/**
+ * Applies element templates to `bpmn-moddle` elements, without a modeler,
+ * e.g. to generate or update processes in Node.
+ *
+ * @example
+ *
+ * const elementTemplates = new HeadlessElementTemplates(templates);
+ *
+ * const { rootElement: definitions } = await moddle.fromXML(xml);
+ *
+ * const task = elementTemplates.applyTemplate(
+ *   definitions.get('rootElements')[ 0 ].get('flowElements')[ 0 ],
+ *   elementTemplates.get('com.example.rest', 1)
+ * );
+ *
+ * const { xml: updatedXML } = await moddle.toXML(definitions);
+ *
+ * @param {Array<ElementTemplate>} [templates]
+ * @param { {
+ *   bindingTypeRegistry?: BindingTypeRegistry
+ * } } [options]
+ */
+export default class HeadlessElementTemplates {
+  constructor(templates = [], options = {}) {
+    const {
+      bindingTypeRegistry = getDefaultBindingTypeRegistry()
+    } = options;
+
+    this._bindingTypeRegistry = bindingTypeRegistry;
+
+    // lookup only, changes are executed with headless services
+    this._elementTemplates = new ElementTemplates();
+
+    this._services = new WeakMap();
+
+    this.set(templates);
+  }
+
+  /**
+   * Validate and set templates. Invalid templates are
+   * ignored and reported via `getErrors`.
+   *
+   * @param {Array<ElementTemplate>} templates
+   */
+  set(templates) {
+    const validator = new Validator(
+      new BpmnModdle({ zeebe: zeebeModdle }),
+      this._bindingTypeRegistry
+    ).addAll(templates);
+
+    this._errors = validator.getErrors();
+
+    this._elementTemplates.set(validator.getValidTemplates());
+  }
+
+  /**
+   * Get errors of invalid templates.
+   *
+   * @return {Array<Error>}
+   */
+  getErrors() {
+    return this._errors;
+  }
+
+  /**
+   * Get template with given ID and optional version or for element.
+   *
+   * @param {string|ModdleElement} id
+   * @param {number} [version]
+   *
+   * @return {ElementTemplate|null}
+   */
+  get(id, version) {
+    return this._elementTemplates.get(id, version);
+  }
+
+  /**
+   * Get all templates (with given ID or applicable to element).
+   *
+   * @param {string|ModdleElement} [id]
+   *
+   * @return {Array<ElementTemplate>}
+   */
+  getAll(id) {
+    return this._elementTemplates.getAll(id);
+  }
+
+  /**
+   * Get all templates (with given ID or applicable to element) with the latest
+   * version.
+   *
+   * @param {string|ModdleElement} [id]
+   * @param { { deprecated?: boolean } } [options]
+   *
+   * @return {Array<ElementTemplate>}
+   */
+  getLatest(id, options) {
+    return this._elementTemplates.getLatest(id, options);
+  }
+
+  /**
+   * Create an element based on an element template and add it to the given
+   * container, e.g. a process. Root elements the element references, e.g.
+   * messages, are added to the definitions.
+   *
+   * @param {ElementTemplate} template
+   * @param {ModdleElement} container
+   *
+   * @return {ModdleElement} the created element
+   */
+  createElement(template, container) {
+    if (!template) {
+      throw new Error('template is missing');
+    }
+
+    if (!is(container, 'bpmn:FlowElementsContainer')) {
+      throw new Error('container must be a <bpmn:FlowElementsContainer>');
+    }
+
+    const definitions = this._getDefinitions(container);
+
+    const element = this._getServices(definitions).templateElementFactory.create(template);
+
+    container.get('flowElements').push(element);
+
+    element.$parent = container;
+
+    addReferencedRootElements(definitions, element);
+
+    return element;
+  }
+
+  /**
+   * Apply element template to a given element. Unlinks the
+   * current template, if no template is given.
+   *
+   * @param {ModdleElement} element
+   * @param {ElementTemplate|null} newTemplate
+   *
+   * @return {ModdleElement} the updated element, replaced if the template changes the element type
+   */
+  applyTemplate(element, newTemplate) {
+    const context = {
+      element,
+      newTemplate,
+      oldTemplate: this.get(element)
+    };
+
+    this._getServices(this._getDefinitions(element)).commandStack.execute('propertiesPanel.zeebe.changeTemplate', context);
+
+    return context.element;
+  }
+
+  /**
+   * Upgrade an element to the latest, non-deprecated version of its template.
+   *
+   * @param {ModdleElement} element
+   *
+   * @return {ModdleElement} the updated element, replaced if the template changes the element type
+   */
+  upgradeTemplate(element) {
+    const newTemplate = this._elementTemplates._getNewerTemplate(element);
+
+    if (!newTemplate) {
+      return element;
+    }
+
+    return this.applyTemplate(element, newTemplate);
+  }
+
+  /**
+   * Unlink template from a given element. Properties set by the
+   * template are kept.
+   *
+   * @param {ModdleElement} element
+   *
+   * @return {ModdleElement} the updated element
+   */
+  unlinkTemplate(element) {
+    return this.applyTemplate(element, null);
+  }
+
+  /**
+   * Validate an element against its template.
+   *
+   * @param {ModdleElement} element
+   *
+   * @return {Array<{ message: string, property?: Object }>} errors, if any
+   */
+  validateElement(element) {
+    const templateId = this._elementTemplates._getTemplateId(element);
+
+    if (!templateId) {
+      return [];
+    }
+
+    const template = this.get(element);
+
+    if (!template) {
+      return [ { message: 'Linked element template not found' } ];
+    }
+
+    const { properties } = applyConditions(element, template, this._bindingTypeRegistry);
+
+    return properties.reduce((errors, property) => {
+      const message = validateProperty(getPropertyValue(element, property, this._bindingTypeRegistry), property);
+
+      return message ? [ ...errors, { message, property } ] : errors;
+    }, []);
+  }
+
+  _getDefinitions(element) {
+    const definitions = getDefinitions(element);
+
+    if (!definitions) {
+      throw new Error(`element <${ element.get('id') }> is not part of definitions`);
+    }
+
+    return definitions;
+  }
+
+  _getServices(definitions) {
+    let services = this._services.get(definitions);
+
+    if (!services) {
+      services = createHeadlessServices(definitions, this._bindingTypeRegistry);
+
+      this._services.set(definitions, services);
+    }
+
+    return services;
+  }
+}
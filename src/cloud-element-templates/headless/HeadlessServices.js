@@ -0,0 +1,342 @@
+import {
+  forEach,
+  has,
+  isArray
+} from 'min-dash';
+
+import {
+  getBusinessObject,
+  is,
+  isAny
+} from 'bpmn-js/lib/util/ModelUtil';
+
+import {
+  applyConditions,
+  hasDifferentPropertyBindings
+} from '../Condition';
+
+import ChangeElementTemplateHandler from '../cmd/ChangeElementTemplateHandler';
+
+import TemplateElementFactory from '../create/TemplateElementFactory';
+
+import { nextId } from '../../utils/ElementUtil';
+
+/**
+ * Create the services required by binding types, `ChangeElementTemplateHandler`
+ * and `TemplateElementFactory` to change `bpmn-moddle` elements of the given
+ * definitions, without a modeler. Commands are executed right away and cannot
+ * be undone.
+ *
+ * @param {ModdleElement} definitions
+ * @param {BindingTypeRegistry} bindingTypeRegistry
+ *
+ * @return {Object} services
+ */
+export function createHeadlessServices(definitions, bindingTypeRegistry) {
+  const moddle = definitions.$model;
+
+  const bpmnFactory = {
+    create(type, attrs) {
+      const element = moddle.create(type, attrs || {});
+
+      if (isAny(element, [ 'bpmn:RootElement', 'bpmn:FlowElement' ]) && !element.get('id')) {
+        element.set('id', nextId(getIdPrefix(element)));
+      }
+
+      return element;
+    }
+  };
+
+  const modeling = {
+    updateModdleProperties(element, moddleElement, properties) {
+      forEach(properties, (value, key) => {
+        moddleElement.set(key, value);
+
+        addRootElement(definitions, value);
+      });
+    },
+    updateProperties(element, properties) {
+      modeling.updateModdleProperties(element, getBusinessObject(element), properties);
+    }
+  };
+
+  const elementFactory = {
+    createShape({ type, eventDefinitionType }) {
+      const element = bpmnFactory.create(type);
+
+      if (eventDefinitionType) {
+        setEventDefinition(element, eventDefinitionType, bpmnFactory);
+      }
+
+      return element;
+    },
+    createConnection({ type }) {
+      return bpmnFactory.create(type);
+    }
+  };
+
+  const bpmnReplace = {
+    replaceElement(element, { type, eventDefinitionType }) {
+      const newElement = bpmnFactory.create(type);
+
+      copyProperties(element, newElement, eventDefinitionType ? [ 'eventDefinitions' ] : []);
+
+      if (eventDefinitionType) {
+        setEventDefinition(newElement, eventDefinitionType, bpmnFactory);
+      }
+
+      replaceReferences(definitions, element, newElement);
+
+      return newElement;
+    }
+  };
+
+  const commandStack = {
+    execute(command, context) {
+      if (command === 'element-templates.multi-command-executor') {
+        return context.filter(Boolean).forEach(({ cmd, context }) => commandStack.execute(cmd, context));
+      }
+
+      if (command === 'element.updateModdleProperties') {
+        return modeling.updateModdleProperties(context.element, context.moddleElement, context.properties);
+      }
+
+      if (command === 'element.updateProperties') {
+        return modeling.updateProperties(context.element, context.properties);
+      }
+
+      if (command === 'propertiesPanel.zeebe.changeTemplate') {
+        return changeTemplate(context);
+      }
+
+      throw new Error(`command <${ command }> is not supported without a modeler`);
+    }
+  };
+
+  /**
+   * Change the template of an element and apply its conditions, as
+   * `ConditionalBehavior` does in the modeler. Conditions may be met
+   * only once default values are set, the template is re-applied
+   * until the active properties do not change anymore.
+   */
+  function changeTemplate(context, template = context.newTemplate) {
+    if (!context.element || !template) {
+      return changeElementTemplateHandler.preExecute(context);
+    }
+
+    context.newTemplate = applyConditions(context.element, context.newTemplate, bindingTypeRegistry);
+
+    changeElementTemplateHandler.preExecute(context);
+
+    const newTemplate = applyConditions(context.element, template, bindingTypeRegistry);
+
+    if (hasDifferentPropertyBindings(newTemplate, context.newTemplate)) {
+      changeTemplate({
+        element: context.element,
+        oldTemplate: context.newTemplate,
+        newTemplate
+      }, template);
+    }
+  }
+
+  const services = {
+    bindingTypeRegistry,
+    bpmnFactory,
+    bpmnjs: {
+      getDefinitions: () => definitions
+    },
+    bpmnReplace,
+    canvas: {
+      getRootElement: () => null
+    },
+    commandStack,
+    elementFactory,
+    modeling
+  };
+
+  const injector = {
+    get: name => services[ name ] || null
+  };
+
+  const changeElementTemplateHandler = new ChangeElementTemplateHandler(
+    bpmnFactory,
+    bpmnReplace,
+    commandStack,
+    injector,
+    bindingTypeRegistry
+  );
+
+  const templateElementFactory = new TemplateElementFactory(bpmnFactory, elementFactory, bindingTypeRegistry);
+
+  return {
+    ...services,
+    injector,
+    templateElementFactory
+  };
+}
+
+/**
+ * Get the definitions an element is part of.
+ *
+ * @param {ModdleElement} element
+ *
+ * @return {ModdleElement|null}
+ */
+export function getDefinitions(element) {
+  while (element && !is(element, 'bpmn:Definitions')) {
+    element = element.$parent;
+  }
+
+  return element || null;
+}
+
+/**
+ * Add root elements, e.g. messages, referenced by an element or its children
+ * that are not part of the definitions yet.
+ *
+ * @param {ModdleElement} definitions
+ * @param {ModdleElement} element
+ */
+export function addReferencedRootElements(definitions, element) {
+  walk(element, (child, property, value) => {
+    if (property.isReference) {
+      addRootElement(definitions, value);
+    }
+  });
+}
+
+
+// helpers //////////
+
+/**
+ * Add root elements, e.g. messages, referenced for the first time.
+ */
+function addRootElement(definitions, value) {
+  if (!is(value, 'bpmn:RootElement')) {
+    return;
+  }
+
+  const rootElements = definitions.get('rootElements');
+
+  if (!rootElements.includes(value)) {
+    rootElements.push(value);
+
+    value.$parent = definitions;
+  }
+}
+
+/**
+ * Get the prefix of generated IDs, following the modeler, e.g. `Activity_`.
+ */
+function getIdPrefix(element) {
+  if (is(element, 'bpmn:Activity')) {
+    return 'Activity_';
+  }
+
+  if (is(element, 'bpmn:Event')) {
+    return 'Event_';
+  }
+
+  if (is(element, 'bpmn:Gateway')) {
+    return 'Gateway_';
+  }
+
+  if (is(element, 'bpmn:SequenceFlow')) {
+    return 'Flow_';
+  }
+
+  return `${ element.$type.replace(/^[^:]*:/, '') }_`;
+}
+
+function setEventDefinition(element, eventDefinitionType, bpmnFactory) {
+  const eventDefinition = bpmnFactory.create(eventDefinitionType);
+
+  eventDefinition.$parent = element;
+
+  element.set('eventDefinitions', [ eventDefinition ]);
+}
+
+/**
+ * Copy the properties of an element the new element supports,
+ * moving contained elements over.
+ */
+function copyProperties(element, newElement, ignoredProperties) {
+  element.$descriptor.properties.forEach(property => {
+    const name = property.ns.name;
+
+    if (
+      ignoredProperties.includes(property.name) ||
+      !has(element, property.name) ||
+      !newElement.$descriptor.propertiesByName[ name ]
+    ) {
+      return;
+    }
+
+    const value = element.get(name);
+
+    newElement.set(name, value);
+
+    if (!property.isReference) {
+      forEach(isArray(value) ? value : [ value ], child => {
+        if (child && child.$parent === element) {
+          child.$parent = newElement;
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Replace an element with a new element within its container and
+ * in all references to it, e.g. of sequence flows or diagram shapes.
+ */
+function replaceReferences(definitions, element, newElement) {
+  walk(definitions, (child, property, value) => {
+    const name = property.ns.name;
+
+    if (value !== element) {
+      return;
+    }
+
+    if (property.isMany) {
+      const values = child.get(name);
+
+      values.splice(values.indexOf(element), 1, newElement);
+    } else {
+      child.set(name, newElement);
+    }
+
+    if (!property.isReference) {
+      newElement.$parent = child;
+    }
+  });
+}
+
+/**
+ * Call a function for all values of element properties, descending
+ * into contained elements.
+ *
+ * @param {ModdleElement} element
+ * @param {(element: ModdleElement, property: Object, value: any) => void} fn
+ */
+function walk(element, fn) {
+  element.$descriptor.properties.forEach(property => {
+    if (property.isAttr && !property.isReference) {
+      return;
+    }
+
+    const value = element[ property.name ];
+
+    forEach(isArray(value) ? [ ...value ] : [ value ], child => {
+      if (!child || !child.$descriptor) {
+        return;
+      }
+
+      fn(element, property, child);
+
+      if (!property.isReference) {
+        walk(child, fn);
+      }
+    });
+  });
+}
@@ -0,0 +1 @@
+export { default as HeadlessElementTemplates } from './HeadlessElementTemplates';
@@ -9,29 +9,57 @@
  */
 
 import StaticResolver from 'bpmnlint/lib/resolver/static-resolver';
-import ElementTemplates from '../ElementTemplates';
 import { getPropertyValue, validateProperty } from '../util/propertyUtil';
 
 import { applyConditions } from '../Condition';
 
-import BpmnModdle from 'bpmn-moddle';
-import { is } from 'bpmn-js/lib/util/ModelUtil';
+import { getTemplateId } from '../Helper';
 
-import zeebeModdle from 'zeebe-bpmn-moddle/resources/zeebe';
+import { getTemplateState } from '../../utils/templateUtil';
 
-import { Validator } from '../Validator';
+import { is, isAny } from 'bpmn-js/lib/util/ModelUtil';
 
-export const elementTemplateLintRule = ({ templates = [] }) => {
-  const moddle = new BpmnModdle({ zeebe: zeebeModdle });
+import {
+  getChoices,
+  hasDiagramChoicesSource
+} from '../util/choicesSource';
 
-  const validator = new Validator(moddle).addAll(templates);
-  const validTemplates = validator.getValidTemplates();
+import {
+  isCredentialProperty,
+  isLiteralSecret,
+  isSecretProperty
+} from '../util/secrets';
 
-  // We use the ElementTemplates Module without the required bpmn-js modules
-  // As we only use it to facilitate template ID and version lookup,
-  // access to commandstack etc. is not required
-  const elementTemplates = new ElementTemplates();
-  elementTemplates.set(validTemplates);
+import {
+  createElementTemplates,
+  getChangedHiddenProperties,
+  getPropertyName,
+  getStaleExtensionElements
+} from './util';
+
+/**
+ * Rules and their default severity.
+ */
+const DEFAULT_RULES = {
+  'validate': 'error',
+  'element-type': 'error',
+  'hidden-value': 'warn',
+  'stale-extension-elements': 'warn',
+  'outdated': 'info',
+  'deprecated': 'warn',
+  'invalid-choice': 'warn',
+  'literal-secret': 'warn'
+};
+
+/**
+ * Report linked templates that cannot be found and
+ * properties violating their constraints.
+ */
+export const elementTemplateLintRule = (config) => {
+  const {
+    bindingTypeRegistry,
+    elementTemplates = createElementTemplates(config.templates || [], bindingTypeRegistry)
+  } = config;
 
   function check(node, reporter) {
 
@@ -59,11 +87,11 @@ export const elementTemplateLintRule = ({ templates = [] }) => {
       return;
     }
 
-    template = applyConditions(node, template);
+    template = applyConditions(node, template, bindingTypeRegistry);
 
     // Check attributes
     template.properties.forEach((property) => {
-      const value = getPropertyValue(node, property);
+      const value = getPropertyValue(node, property, bindingTypeRegistry);
       const error = validateProperty(value, property);
 
       if (!error) {
@@ -89,16 +117,192 @@ export const elementTemplateLintRule = ({ templates = [] }) => {
 
 };
 
+/**
+ * Report elements whose type does not match the `elementType`
+ * or `appliesTo` of the linked template.
+ */
+export const elementTypeLintRule = createTemplateRule((node, template, reporter) => {
+  const { appliesTo, elementType } = template;
+
+  if (elementType) {
+    if (!is(node, elementType.value)) {
+      return reporter.report(node.id, `Element type must be <${ elementType.value }>`, { name: node.name });
+    }
+
+    if (elementType.eventDefinition && !hasEventDefinition(node, elementType.eventDefinition)) {
+      return reporter.report(node.id, `Element must have event definition <${ elementType.eventDefinition }>`, { name: node.name });
+    }
+
+    return;
+  }
+
+  if (!isAny(node, appliesTo)) {
+    reporter.report(node.id, `Element type must be one of <${ appliesTo.join(', ') }>`, { name: node.name });
+  }
+});
+
+/**
+ * Report hidden properties whose value differs from the template value.
+ */
+export const hiddenValueLintRule = createTemplateRule((node, template, reporter, { bindingTypeRegistry }) => {
+  getChangedHiddenProperties(node, template, bindingTypeRegistry).forEach(property => {
+    reporter.report(
+      node.id,
+      `Value of hidden property <${ getPropertyName(property) }> differs from template value`,
+      { name: node.name }
+    );
+  });
+});
+
+/**
+ * Report input and output mappings, task headers and other extension element
+ * entries not defined by the linked template, e.g. left over from a previous version.
+ */
+export const staleExtensionElementsLintRule = createTemplateRule((node, template, reporter, { bindingTypeRegistry }) => {
+  getStaleExtensionElements(node, template, bindingTypeRegistry).forEach(({ label, name }) => {
+    reporter.report(
+      node.id,
+      `${ label } <${ name }> is not defined by linked element template`,
+      { name: node.name }
+    );
+  });
+});
+
+/**
+ * Report elements linked to a template for which a newer version is available.
+ */
+export const outdatedTemplateLintRule = createTemplateRule((node, template, reporter, { elementTemplates }) => {
+  const state = getTemplateState(elementTemplates, node, getTemplateId);
+
+  if (state.type !== 'OUTDATED_TEMPLATE') {
+    return;
+  }
+
+  reporter.report(
+    node.id,
+    `Linked element template is outdated, version <${ state.newerTemplate.version }> is available`,
+    { name: node.name }
+  );
+});
+
+/**
+ * Report elements linked to a deprecated template.
+ */
+export const deprecatedTemplateLintRule = createTemplateRule((node, template, reporter) => {
+  const { deprecated } = template;
+
+  if (!deprecated) {
+    return;
+  }
+
+  const message = deprecated.message ?
+    `Linked element template is deprecated: ${ deprecated.message }` :
+    'Linked element template is deprecated';
+
+  reporter.report(node.id, message, { name: node.name });
+});
+
+/**
+ * Report dropdown values not offered by the choices source of the property,
+ * e.g. a message removed from the diagram. Choices of a provider are checked
+ * if a `choicesProvider` is configured, variables are not checked.
+ */
+export const invalidChoiceLintRule = createTemplateRule((node, template, reporter, { bindingTypeRegistry, choicesProvider }) => {
+  const { properties } = applyConditions(node, template, bindingTypeRegistry);
+
+  properties.filter(property => canCheckChoices(property, choicesProvider)).forEach(property => {
+    const value = getPropertyValue(node, property, bindingTypeRegistry);
+
+    if (!value) {
+      return;
+    }
+
+    const choices = getChoices(node, property, { choicesProvider });
+
+    if (choices.some(choice => choice.value === value)) {
+      return;
+    }
+
+    reporter.report(
+      node.id,
+      `Value <${ value }> of property <${ getPropertyName(property) }> is not one of the available choices`,
+      { name: node.name }
+    );
+  });
+});
+
+/**
+ * Report values that look like secrets, e.g. pasted API keys, of properties
+ * likely holding credentials, judging by their name. `Secret` properties are
+ * checked by the `validate` rule.
+ */
+export const literalSecretLintRule = createTemplateRule((node, template, reporter, { bindingTypeRegistry }) => {
+  const { properties } = applyConditions(node, template, bindingTypeRegistry);
+
+  properties.filter(property => !isSecretProperty(property) && isCredentialProperty(property)).forEach(property => {
+    const value = getPropertyValue(node, property, bindingTypeRegistry);
+
+    if (!isLiteralSecret(value)) {
+      return;
+    }
+
+    reporter.report(
+      node.id,
+      `Value of property <${ getPropertyName(property) }> looks like a secret, reference a secret instead, e.g. <{{secrets.NAME}}>`,
+      { name: node.name }
+    );
+  });
+});
+
+/**
+ * Create a bpmnlint plugin reporting issues of elements linked to the given
+ * templates. Every rule can be configured separately via `options.rules`,
+ * e.g. `{ outdated: 'off', 'hidden-value': 'error' }`.
+ *
+ * @param {Array<ElementTemplate>} templates
+ * @param { {
+ *   bindingTypeRegistry?: BindingTypeRegistry,
+ *   choicesProvider?: Object,
+ *   rules?: Record<string, 'error'|'warn'|'info'|'off'>
+ * } } [options]
+ */
+export const ElementTemplateLinterPlugin = function(templates, options = {}) {
+  const {
+    bindingTypeRegistry,
+    choicesProvider,
+    rules = {}
+  } = options;
+
+  const severities = {
+    ...DEFAULT_RULES,
+    ...rules
+  };
+
+  // validate templates once for all rules
+  const elementTemplates = createElementTemplates(templates, bindingTypeRegistry);
+
+  const config = {};
+
+  Object.keys(DEFAULT_RULES).forEach(name => {
+    config[ `element-templates/${ name }` ] = [
+      severities[ name ],
+      { templates, elementTemplates, bindingTypeRegistry, choicesProvider }
+    ];
+  });
 
-export const ElementTemplateLinterPlugin = function(templates) {
   return {
     config: {
-      rules: {
-        'element-templates/validate': [ 'error', { templates } ]
-      }
+      rules: config
     },
     resolver: new StaticResolver({
-      'rule:bpmnlint-plugin-element-templates/validate': elementTemplateLintRule
+      'rule:bpmnlint-plugin-element-templates/validate': elementTemplateLintRule,
+      'rule:bpmnlint-plugin-element-templates/element-type': elementTypeLintRule,
+      'rule:bpmnlint-plugin-element-templates/hidden-value': hiddenValueLintRule,
+      'rule:bpmnlint-plugin-element-templates/stale-extension-elements': staleExtensionElementsLintRule,
+      'rule:bpmnlint-plugin-element-templates/outdated': outdatedTemplateLintRule,
+      'rule:bpmnlint-plugin-element-templates/deprecated': deprecatedTemplateLintRule,
+      'rule:bpmnlint-plugin-element-templates/invalid-choice': invalidChoiceLintRule,
+      'rule:bpmnlint-plugin-element-templates/literal-secret': literalSecretLintRule
     })
   };
 };
@@ -106,6 +310,63 @@ export const ElementTemplateLinterPlugin = function(templates) {
 
 // helpers //////////////////////
 
+/**
+ * Create a rule checking flow elements linked to a known template.
+ *
+ * @param {(
+ *   node: ModdleElement,
+ *   template: ElementTemplate,
+ *   reporter: Object,
+ *   context: { elementTemplates: ElementTemplates, bindingTypeRegistry?: BindingTypeRegistry, choicesProvider?: Object }
+ * ) => void} checkTemplate
+ *
+ * @return {Function} rule factory
+ */
+function createTemplateRule(checkTemplate) {
+  return (config) => {
+    const {
+      bindingTypeRegistry,
+      choicesProvider,
+      elementTemplates = createElementTemplates(config.templates || [], bindingTypeRegistry)
+    } = config;
+
+    function check(node, reporter) {
+
+      if (!is(node, 'bpmn:FlowElement')) {
+        return;
+      }
+
+      const template = elementTemplates.get(node);
+
+      if (!template) {
+        return;
+      }
+
+      checkTemplate(node, template, reporter, { elementTemplates, bindingTypeRegistry, choicesProvider });
+    }
+
+    return {
+      check
+    };
+  };
+}
+
+function canCheckChoices(property, choicesProvider) {
+  const { choicesSource } = property;
+
+  if (!choicesSource) {
+    return false;
+  }
+
+  return hasDiagramChoicesSource(property) || (choicesSource.type === 'provider' && !!choicesProvider);
+}
+
+function hasEventDefinition(node, type) {
+  const eventDefinitions = is(node, 'bpmn:Event') && node.get('eventDefinitions') || [];
+
+  return eventDefinitions.some(eventDefinition => is(eventDefinition, type));
+}
+
 function getEntryId(property, template) {
   const index = template.properties
     .filter(p => p.group === property.group)
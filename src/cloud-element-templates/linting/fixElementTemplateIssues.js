@@ -0,0 +1,387 @@
+import {
+  isNumber,
+  without
+} from 'min-dash';
+
+import {
+  getBusinessObject,
+  is
+} from 'bpmn-js/lib/util/ModelUtil';
+
+import { getDefaultBindingTypeRegistry } from '../binding-types/BindingTypeRegistry';
+
+import { applyConditions } from '../Condition';
+
+import {
+  getDefaultValue,
+  getTemplateId
+} from '../Helper';
+
+import {
+  getPropertyValue,
+  validateProperty
+} from '../util/propertyUtil';
+
+import { createHeadlessServices } from '../headless/HeadlessServices';
+
+import {
+  createElementTemplates,
+  getChangedHiddenProperties,
+  getPropertyName,
+  getStaleExtensionElements
+} from './util';
+
+/**
+ * Rules issues can be fixed for.
+ */
+const FIXABLE_RULES = [
+  'validate',
+  'outdated',
+  'hidden-value',
+  'stale-extension-elements'
+];
+
+/**
+ * @typedef { {
+ *   rule: string,
+ *   id: string,
+ *   message: string
+ * } } ElementTemplateFix
+ */
+
+/**
+ * Fix issues reported by the element template lint rules, without a modeler:
+ *
+ *   - `validate`: upgrade missing template versions, unlink missing templates, apply default values to empty properties violating constraints
+ *   - `outdated`: upgrade to the latest non-deprecated template version
+ *   - `hidden-value`: re-apply values of `Hidden` properties
+ *   - `stale-extension-elements`: remove extension elements not defined by the template
+ *
+ * Fixes are applied to the given definitions in place.
+ *
+ * @example
+ *
+ * const { rootElement: definitions } = await moddle.fromXML(xml);
+ *
+ * const { fixes, skipped } = fixElementTemplateIssues(definitions, templates);
+ *
+ * const { xml: fixedXML } = await moddle.toXML(definitions);
+ *
+ * @param {ModdleElement} definitions
+ * @param {Array<ElementTemplate>} templates
+ * @param { {
+ *   bindingTypeRegistry?: BindingTypeRegistry,
+ *   rules?: Array<string>
+ * } } [options]
+ *
+ * @return { { fixes: Array<ElementTemplateFix>, skipped: Array<ElementTemplateFix> } }
+ */
+export function fixElementTemplateIssues(definitions, templates, options = {}) {
+  const {
+    bindingTypeRegistry = getDefaultBindingTypeRegistry(),
+    rules = FIXABLE_RULES
+  } = options;
+
+  const elementTemplates = createElementTemplates(templates, bindingTypeRegistry);
+
+  const fixes = [],
+        skipped = [];
+
+  const context = {
+    bindingTypeRegistry,
+    elementTemplates,
+    ...createHeadlessServices(definitions, bindingTypeRegistry),
+    fix: (rule, node, message) => fixes.push({ rule, id: node.get('id'), message }),
+    skip: (rule, node, message) => skipped.push({ rule, id: node.get('id'), message })
+  };
+
+  getFlowElements(definitions).forEach(node => {
+    const templateId = getTemplateId(node);
+
+    if (!templateId) {
+      return;
+    }
+
+    if (!elementTemplates.get(node)) {
+      if (rules.includes('validate')) {
+        fixMissingTemplate(node, templateId, context);
+      }
+
+      if (!elementTemplates.get(node)) {
+        return;
+      }
+    }
+
+    if (rules.includes('outdated')) {
+      upgradeTemplate(node, context);
+    }
+
+    if (rules.includes('hidden-value')) {
+      applyHiddenValues(node, context);
+    }
+
+    if (rules.includes('stale-extension-elements')) {
+      removeStaleExtensionElements(node, context);
+    }
+
+    if (rules.includes('validate')) {
+      applyDefaultValues(node, context);
+    }
+  });
+
+  return {
+    fixes,
+    skipped
+  };
+}
+
+
+// helpers //////////
+
+/**
+ * Upgrade elements linked to a missing version of a known template to the
+ * latest non-deprecated version, unlink elements linked to unknown templates.
+ */
+function fixMissingTemplate(node, templateId, context) {
+  const {
+    commandStack,
+    elementTemplates,
+    fix,
+    skip
+  } = context;
+
+  const templates = elementTemplates.getAll(templateId) || [];
+
+  if (!templates.length) {
+    return unlinkTemplate(node, templateId, context);
+  }
+
+  const newTemplate = getLatestTemplate(templates);
+
+  if (!newTemplate) {
+    return skip('validate', node, `Cannot upgrade missing version of element template <${ templateId }>, only deprecated versions are known`);
+  }
+
+  if (!hasElementType(node, newTemplate)) {
+    return skip('validate', node, `Cannot upgrade missing version of element template <${ templateId }> changing the element type`);
+  }
+
+  commandStack.execute('propertiesPanel.zeebe.changeTemplate', {
+    element: node,
+    oldTemplate: null,
+    newTemplate
+  });
+
+  fix('validate', node, `Upgraded missing version of element template <${ templateId }> to version <${ newTemplate.version }>`);
+}
+
+function unlinkTemplate(node, templateId, context) {
+  const { modeling, fix } = context;
+
+  modeling.updateProperties(node, {
+    'zeebe:modelerTemplate': undefined,
+    'zeebe:modelerTemplateVersion': undefined,
+    'zeebe:modelerTemplateIcon': undefined
+  });
+
+  fix('validate', node, `Unlinked missing element template <${ templateId }>`);
+}
+
+function upgradeTemplate(node, context) {
+  const {
+    commandStack,
+    elementTemplates,
+    fix,
+    skip
+  } = context;
+
+  const oldTemplate = elementTemplates.get(node),
+        newTemplate = elementTemplates._getNewerTemplate(node);
+
+  if (!newTemplate) {
+    return;
+  }
+
+  if (!isSameElementType(oldTemplate, newTemplate)) {
+    return skip('outdated', node, `Cannot upgrade to version <${ newTemplate.version }> changing the element type`);
+  }
+
+  commandStack.execute('propertiesPanel.zeebe.changeTemplate', {
+    element: node,
+    oldTemplate,
+    newTemplate
+  });
+
+  fix('outdated', node, `Upgraded element template to version <${ newTemplate.version }>`);
+}
+
+function applyHiddenValues(node, context) {
+  const {
+    bindingTypeRegistry,
+    elementTemplates,
+    fix
+  } = context;
+
+  const template = elementTemplates.get(node);
+
+  getChangedHiddenProperties(node, template, bindingTypeRegistry).forEach(property => {
+    setValue(node, property, property.value, context);
+
+    fix('hidden-value', node, `Applied value of hidden property <${ getPropertyName(property) }>`);
+  });
+}
+
+function removeStaleExtensionElements(node, context) {
+  const {
+    bindingTypeRegistry,
+    elementTemplates,
+    fix,
+    modeling
+  } = context;
+
+  const template = elementTemplates.get(node);
+
+  getStaleExtensionElements(node, template, bindingTypeRegistry).forEach(({ element, container, listName, label, name }) => {
+    modeling.updateModdleProperties(node, container, {
+      [ listName ]: without(container.get(listName), element)
+    });
+
+    fix('stale-extension-elements', node, `Removed ${ label.toLowerCase() } <${ name }>`);
+  });
+
+  removeEmptyContainers(node, context);
+}
+
+function applyDefaultValues(node, context) {
+  const {
+    bindingTypeRegistry,
+    elementTemplates,
+    fix
+  } = context;
+
+  const { properties } = applyConditions(node, elementTemplates.get(node), bindingTypeRegistry);
+
+  properties.forEach(property => {
+    const value = getPropertyValue(node, property, bindingTypeRegistry),
+          defaultValue = getDefaultValue(property);
+
+    if (!isEmpty(value) || isEmpty(defaultValue) || !validateProperty(value, property)) {
+      return;
+    }
+
+    setValue(node, property, defaultValue, context);
+
+    fix('validate', node, `Applied default value of property <${ getPropertyName(property) }>`);
+  });
+}
+
+function setValue(node, property, value, context) {
+  const {
+    bindingTypeRegistry,
+    bpmnFactory,
+    commandStack
+  } = context;
+
+  const handler = bindingTypeRegistry.get(property.binding.type);
+
+  commandStack.execute(
+    'element-templates.multi-command-executor',
+    handler.set(node, property, value, { bpmnFactory })
+  );
+}
+
+/**
+ * Remove extension elements left empty after removing stale values.
+ */
+function removeEmptyContainers(node, context) {
+  const {
+    bindingTypeRegistry,
+    modeling
+  } = context;
+
+  const extensionElements = getBusinessObject(node).get('extensionElements');
+
+  if (!extensionElements) {
+    return;
+  }
+
+  const lists = bindingTypeRegistry.getExtensionElements().filter(({ listName }) => listName);
+
+  const values = extensionElements.get('values').filter(value => {
+    const listNames = lists
+      .filter(({ type }) => is(value, type))
+      .map(({ listName }) => listName);
+
+    return !listNames.length || listNames.some(listName => value.get(listName).length);
+  });
+
+  if (values.length !== extensionElements.get('values').length) {
+    modeling.updateModdleProperties(node, extensionElements, { values });
+  }
+}
+
+function getFlowElements(definitions) {
+  return definitions.get('rootElements').reduce((flowElements, rootElement) => {
+    return flowElements.concat(getChildFlowElements(rootElement));
+  }, []);
+}
+
+function getChildFlowElements(element) {
+  if (!is(element, 'bpmn:FlowElementsContainer')) {
+    return [];
+  }
+
+  return element.get('flowElements').reduce((flowElements, flowElement) => {
+    return flowElements.concat(flowElement, getChildFlowElements(flowElement));
+  }, []);
+}
+
+function isSameElementType(oldTemplate, newTemplate) {
+  const oldType = oldTemplate.elementType || {},
+        newType = newTemplate.elementType || {};
+
+  return !newTemplate.elementType || (
+    oldType.value === newType.value && oldType.eventDefinition === newType.eventDefinition
+  );
+}
+
+function getLatestTemplate(templates) {
+  return templates.reduce((latestTemplate, template) => {
+    if (template.deprecated) {
+      return latestTemplate;
+    }
+
+    if (latestTemplate && getVersion(latestTemplate) >= getVersion(template)) {
+      return latestTemplate;
+    }
+
+    return template;
+  }, null);
+}
+
+function getVersion(template) {
+  return isNumber(template.version) ? template.version : -Infinity;
+}
+
+function hasElementType(node, template) {
+  const { elementType } = template;
+
+  if (!elementType) {
+    return true;
+  }
+
+  const {
+    eventDefinition,
+    value
+  } = elementType;
+
+  if (node.$type !== value) {
+    return false;
+  }
+
+  return !eventDefinition || node.get('eventDefinitions').some(definition => is(definition, eventDefinition));
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
@@ -1,4 +1,13 @@
 export {
+  deprecatedTemplateLintRule,
   elementTemplateLintRule,
+  elementTypeLintRule,
+  hiddenValueLintRule,
+  invalidChoiceLintRule,
+  literalSecretLintRule,
+  outdatedTemplateLintRule,
+  staleExtensionElementsLintRule,
   ElementTemplateLinterPlugin
 } from './LinterPlugin';
+
+export { fixElementTemplateIssues } from './fixElementTemplateIssues';
@@ -0,0 +1,117 @@
+import BpmnModdle from 'bpmn-moddle';
+
+import { isUndefined } from 'min-dash';
+
+import zeebeModdle from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import ElementTemplates from '../ElementTemplates';
+
+import { Validator } from '../Validator';
+
+import { applyConditions } from '../Condition';
+
+import { getDefaultBindingTypeRegistry } from '../binding-types/BindingTypeRegistry';
+
+import { findExtension } from '../Helper';
+
+import { getPropertyValue } from '../util/propertyUtil';
+
+import { expandRepeatableGroups } from '../util/repeatableGroups';
+
+/**
+ * Create an element templates lookup for the valid templates.
+ *
+ * @param {Array<ElementTemplate>} templates
+ * @param {BindingTypeRegistry} [bindingTypeRegistry]
+ *
+ * @return {ElementTemplates}
+ */
+export function createElementTemplates(templates, bindingTypeRegistry) {
+  const moddle = new BpmnModdle({ zeebe: zeebeModdle });
+
+  const validator = new Validator(moddle, bindingTypeRegistry).addAll(templates);
+  const validTemplates = validator.getValidTemplates();
+
+  // We use the ElementTemplates Module without the required bpmn-js modules
+  // As we only use it to facilitate template ID and version lookup,
+  // access to commandstack etc. is not required
+  const elementTemplates = new ElementTemplates();
+  elementTemplates.set(validTemplates);
+
+  return elementTemplates;
+}
+
+/**
+ * Get active `Hidden` properties whose value differs from the template value.
+ *
+ * @param {ModdleElement} node
+ * @param {ElementTemplate} template
+ * @param {BindingTypeRegistry} [bindingTypeRegistry]
+ *
+ * @return {Array<Object>}
+ */
+export function getChangedHiddenProperties(node, template, bindingTypeRegistry) {
+  const { properties } = applyConditions(node, template, bindingTypeRegistry);
+
+  return properties.filter(property => {
+    if (property.type !== 'Hidden' || property.generatedValue || isUndefined(property.value)) {
+      return false;
+    }
+
+    const value = getPropertyValue(node, property, bindingTypeRegistry);
+
+    return String(value) !== String(property.value);
+  });
+}
+
+/**
+ * Get entries of extension element lists, e.g. input mappings or task headers,
+ * not defined by the template. Entries of repeatable group instances present
+ * on the element are defined by the template.
+ *
+ * @param {ModdleElement} node
+ * @param {ElementTemplate} template
+ * @param {BindingTypeRegistry} [bindingTypeRegistry]
+ *
+ * @return {Array<{ element: ModdleElement, container: ModdleElement, listName: string, label: string, name: string }>}
+ */
+export function getStaleExtensionElements(node, template, bindingTypeRegistry = getDefaultBindingTypeRegistry()) {
+  const extensionElements = bindingTypeRegistry.getExtensionElements().filter(({ listName }) => listName);
+
+  const { properties } = expandRepeatableGroups(node, template);
+
+  return extensionElements.reduce((staleElements, { bindingTypes, label, type, listName, getName, getBindingName }) => {
+    const container = findExtension(node, type);
+
+    if (!container) {
+      return staleElements;
+    }
+
+    const names = properties
+      .filter(property => bindingTypes.includes(property.binding.type))
+      .map(property => getBindingName(property.binding, property));
+
+    container.get(listName).forEach(element => {
+      const name = getName(element);
+
+      if (!names.includes(name)) {
+        staleElements.push({ element, container, listName, label, name });
+      }
+    });
+
+    return staleElements;
+  }, []);
+}
+
+/**
+ * Get a name to identify a property by in messages.
+ *
+ * @param {Object} property
+ *
+ * @return {string}
+ */
+export function getPropertyName(property) {
+  const { binding } = property;
+
+  return property.id || property.label || binding.name || binding.key || binding.source;
+}
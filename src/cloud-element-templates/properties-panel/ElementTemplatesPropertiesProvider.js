@@ -1,3 +1,5 @@
+import { without } from 'min-dash';
+
 import {
   createElementTemplatesGroup,
   TemplateProps
@@ -11,7 +13,10 @@ import {
 import { getTemplateId } from '../Helper';
 
 import { applyConditions } from '../Condition';
-import { getPropertyValue } from '../util/propertyUtil';
+
+import { getDefaultBindingTypeRegistry } from '../binding-types/BindingTypeRegistry';
+
+import { ZEEBE_LOOP_CHARACTERISTICS } from '../util/bindingTypes';
 
 const LOWER_PRIORITY = 300;
 
@@ -29,6 +34,14 @@ export default class ElementTemplatesPropertiesProvider {
 
     this._elementTemplates = elementTemplates;
     this._injector = injector;
+
+    this._elementTemplatesTranslator = injector.get('elementTemplatesTranslator', false);
+
+    const eventBus = injector.get('eventBus');
+
+    eventBus.on('elementTemplates.localeChanged', () => {
+      eventBus.fire('propertiesPanel.providersChanged');
+    });
   }
 
   getGroups(element) {
@@ -50,19 +63,25 @@ export default class ElementTemplatesPropertiesProvider {
         component: createElementTemplatesGroup({
           getTemplateId
         }),
-        entries: TemplateProps({ element, elementTemplates: this._elementTemplates })
+        entries: TemplateProps({
+          element,
+          elementTemplates: this._elementTemplates,
+          elementTemplate: this._getTranslatedTemplate(element)
+        })
       };
 
       // (1) Add templates group
       addGroupsAfter(ALWAYS_DISPLAYED_GROUPS, groups, [ templatesGroup ]);
 
-      let elementTemplate = this._elementTemplates.get(element);
+      let elementTemplate = this._getTranslatedTemplate(element);
 
       if (elementTemplate) {
-        elementTemplate = applyConditions(element, elementTemplate, getPropertyValue);
+        const bindingTypeRegistry = this._injector.get('bindingTypeRegistry', false) || getDefaultBindingTypeRegistry();
+
+        elementTemplate = applyConditions(element, elementTemplate, bindingTypeRegistry);
 
         const templateSpecificGroups = [].concat(
-          CustomProperties({ element, elementTemplate })
+          CustomProperties({ element, elementTemplate, injector: this._injector })
         );
 
         // (2) add template-specific properties groups
@@ -78,6 +97,16 @@ export default class ElementTemplatesPropertiesProvider {
     };
   }
 
+  _getTranslatedTemplate(element) {
+    const elementTemplate = this._elementTemplates.get(element);
+
+    if (!elementTemplate || !this._elementTemplatesTranslator) {
+      return elementTemplate;
+    }
+
+    return this._elementTemplatesTranslator.translateTemplate(elementTemplate);
+  }
+
   _shouldShowTemplateProperties(element) {
     return getTemplateId(element) || this._elementTemplates.getAll(element).length;
   }
@@ -143,9 +172,11 @@ function addGroupsAfter(idOrIds, groups, groupsToAdd) {
 
 function filterWithEntriesVisible(template, groups) {
   if (!template.entriesVisible) {
+    const displayedGroups = getDisplayedGroups(template);
+
     return groups.filter(group => {
       return (
-        ALWAYS_DISPLAYED_GROUPS.includes(group.id) ||
+        displayedGroups.includes(group.id) ||
         group.id.startsWith('ElementTemplates__')
       );
     });
@@ -153,3 +184,20 @@ function filterWithEntriesVisible(template, groups) {
 
   return groups;
 }
+
+/**
+ * Hide the multi-instance group if the template binds the loop characteristics.
+ *
+ * @param {Object} template
+ *
+ * @return {Array<string>}
+ */
+function getDisplayedGroups(template) {
+  const properties = template.properties || [];
+
+  if (properties.some(property => property.binding.type === ZEEBE_LOOP_CHARACTERISTICS)) {
+    return without(ALWAYS_DISPLAYED_GROUPS, 'multiInstance');
+  }
+
+  return ALWAYS_DISPLAYED_GROUPS;
+}
@@ -1,6 +1,7 @@
 import translateModule from 'diagram-js/lib/i18n/translate';
 
 import ElementTemplatesPropertiesProvider from './ElementTemplatesPropertiesProvider';
+import ElementTemplatesTranslator from '../ElementTemplatesTranslator';
 
 export default {
   __depends__: [
@@ -9,5 +10,6 @@ export default {
   __init__: [
     'elementTemplatesPropertiesProvider'
   ],
-  elementTemplatesPropertiesProvider: [ 'type', ElementTemplatesPropertiesProvider ]
+  elementTemplatesPropertiesProvider: [ 'type', ElementTemplatesPropertiesProvider ],
+  elementTemplatesTranslator: [ 'type', ElementTemplatesTranslator ]
 };
@@ -21,12 +21,13 @@ export function BooleanProperty(props) {
 
   const bpmnFactory = useService('bpmnFactory'),
         commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
         debounce = useService('debounceInput'),
         translate = useService('translate');
 
   const Component = feel === 'optional' ? FeelCheckboxEntry : CheckboxEntry;
 
-  const [ getValue, setValue ] = usePropertyAccessors(bpmnFactory, commandStack, element, property);
+  const [ getValue, setValue ] = usePropertyAccessors(bpmnFactory, commandStack, element, property, bindingTypeRegistry);
 
   return Component({
     element,
@@ -2,6 +2,8 @@ import { useService } from 'bpmn-js-properties-panel';
 import { PropertyDescription } from '../../../../components/PropertyDescription';
 import { PropertyTooltip } from '../../components/PropertyTooltip';
 import { SelectEntry } from '@bpmn-io/properties-panel';
+import { withVariableContext } from '../../../../entries/HOCs';
+import { getChoices } from '../../../util/choicesSource';
 import { propertyGetter, propertySetter, propertyValidator } from './util';
 
 export function DropdownProperty(props) {
@@ -12,6 +14,7 @@ export function DropdownProperty(props) {
   } = props;
 
   const {
+    choicesSource,
     description,
     editable,
     label,
@@ -20,13 +23,15 @@ export function DropdownProperty(props) {
 
   const bpmnFactory = useService('bpmnFactory'),
         commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
+        choicesProvider = useService('elementTemplatesChoicesProvider', false),
         translate = useService('translate');
 
-  const getOptions = () => {
-    const { choices, optional } = property;
+  const getOptions = (variables) => {
+    const { optional } = property;
     let dropdownOptions = [];
 
-    dropdownOptions = choices.map(({ name, value }) => {
+    dropdownOptions = getChoices(element, property, { choicesProvider, variables }).map(({ name, value }) => {
       return {
         label: name,
         value
@@ -40,16 +45,39 @@ export function DropdownProperty(props) {
     return dropdownOptions;
   };
 
-  return SelectEntry({
+  const SelectComponent = choicesSource && choicesSource.type === 'variables'
+    ? SelectEntryWithVariableContext
+    : SelectEntry;
+
+  return SelectComponent({
     element,
     id,
     label,
     getOptions,
     description: PropertyDescription({ description }),
-    getValue: propertyGetter(element, property),
-    setValue: propertySetter(bpmnFactory, commandStack, element, property),
+    getValue: propertyGetter(element, property, bindingTypeRegistry),
+    setValue: propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry),
     validate: propertyValidator(translate, property),
     disabled: editable === false,
     tooltip: PropertyTooltip({ tooltip })
   });
 }
+
+
+// helpers //////////
+
+/**
+ * Select entry offering the variables available to the element as choices.
+ */
+const SelectEntryWithVariableContext = withVariableContext(function(props) {
+  const {
+    getOptions,
+    variables,
+    ...rest
+  } = props;
+
+  return SelectEntry({
+    ...rest,
+    getOptions: () => getOptions(variables)
+  });
+});
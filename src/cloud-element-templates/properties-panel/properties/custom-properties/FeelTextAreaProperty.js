@@ -24,6 +24,7 @@ export function FeelTextAreaProperty(props) {
 
   const bpmnFactory = useService('bpmnFactory'),
         commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
         debounce = useService('debounceInput'),
         translate = useService('translate');
 
@@ -34,12 +35,12 @@ export function FeelTextAreaProperty(props) {
   return TextAreaComponent({
     debounce,
     element,
-    getValue: propertyGetter(element, property),
+    getValue: propertyGetter(element, property, bindingTypeRegistry),
     id,
     label,
     feel,
     description: PropertyDescription({ description }),
-    setValue: propertySetter(bpmnFactory, commandStack, element, property),
+    setValue: propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry),
     validate: propertyValidator(translate, property),
     disabled: editable === false,
     tooltip: PropertyTooltip({ tooltip })
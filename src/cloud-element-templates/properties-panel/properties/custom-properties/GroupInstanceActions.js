@@ -0,0 +1,37 @@
+import { useService } from 'bpmn-js-properties-panel';
+import { ArrowIcon } from '@bpmn-io/properties-panel';
+
+/**
+ * Move an instance of a repeatable group up or down.
+ */
+export function GroupInstanceActions(props) {
+  const {
+    count,
+    id,
+    index,
+    move
+  } = props;
+
+  const translate = useService('translate');
+
+  return (
+    <div class="bio-properties-panel-entry bio-element-templates-group-instance-actions" data-entry-id={ id }>
+      <button
+        type="button"
+        title={ translate('Move up') }
+        class="bio-element-templates-group-instance-actions__move-up"
+        disabled={ index === 0 }
+        onClick={ () => move(-1) }>
+        <ArrowIcon />
+      </button>
+      <button
+        type="button"
+        title={ translate('Move down') }
+        class="bio-element-templates-group-instance-actions__move-down"
+        disabled={ index === count - 1 }
+        onClick={ () => move(1) }>
+        <ArrowIcon />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { useService } from 'bpmn-js-properties-panel';
+import {
+  CreateIcon,
+  DeleteIcon,
+  DescriptionEntry,
+  useError
+} from '@bpmn-io/properties-panel';
+import {
+  useEffect,
+  useMemo,
+  useState
+} from '@bpmn-io/properties-panel/preact/hooks';
+import classnames from 'classnames';
+import { PropertyDescription } from '../../../../components/PropertyDescription';
+import { parseKeyValue, serializeKeyValue } from '../../../util/keyValue';
+import { FeelTextAreaProperty } from './FeelTextAreaProperty';
+import { propertyGetter, propertySetter, propertyValidator } from './util';
+
+/**
+ * Edit a `KeyValue` property as key/value rows, serialized to a FEEL
+ * context. Falls back to editing the raw FEEL expression if the stored
+ * value is not a context of string literals.
+ */
+export function KeyValueProperty(props) {
+  const {
+    element,
+    property
+  } = props;
+
+  const bindingTypeRegistry = useService('bindingTypeRegistry');
+
+  const isContext = parseKeyValue(propertyGetter(element, property, bindingTypeRegistry)()) !== null;
+
+  // stick to raw editing while the element is selected,
+  // e.g. while typing an expression
+  const [ raw, setRaw ] = useState(!isContext);
+
+  useEffect(() => {
+    setRaw(!isContext);
+  }, [ element ]);
+
+  const feelProperty = useMemo(() => ({ ...property, feel: 'required' }), [ property ]);
+
+  if (raw || !isContext) {
+    return <FeelTextAreaProperty { ...props } property={ feelProperty } />;
+  }
+
+  return <KeyValueRows { ...props } />;
+}
+
+
+// helpers //////////
+
+function KeyValueRows(props) {
+  const {
+    element,
+    id,
+    property
+  } = props;
+
+  const {
+    description,
+    editable,
+    label
+  } = property;
+
+  const bpmnFactory = useService('bpmnFactory'),
+        commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
+        debounce = useService('debounceInput'),
+        translate = useService('translate');
+
+  const globalError = useError(id);
+
+  const getValue = propertyGetter(element, property, bindingTypeRegistry),
+        validate = propertyValidator(translate, property);
+
+  const value = getValue();
+
+  const [ entries, setEntries ] = useState(() => parseKeyValue(value));
+
+  // keep in sync with changes from outside, e.g. undo
+  useEffect(() => {
+    const newEntries = parseKeyValue(value);
+
+    if (newEntries && serializeKeyValue(entries) !== (value || '')) {
+      setEntries(newEntries);
+    }
+  }, [ value ]);
+
+  const persist = useMemo(() => {
+    const setValue = propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry);
+
+    return debounce(newEntries => setValue(serializeKeyValue(newEntries)));
+  }, [ bpmnFactory, commandStack, element, property, bindingTypeRegistry, debounce ]);
+
+  const update = (newEntries) => {
+    setEntries(newEntries);
+
+    persist(newEntries);
+  };
+
+  const change = (index, attrs) => {
+    update(entries.map((entry, i) => i === index ? { ...entry, ...attrs } : entry));
+  };
+
+  const disabled = editable === false;
+
+  const error = globalError || validate(value);
+
+  return (
+    <div class={ classnames('bio-properties-panel-entry', 'bio-element-templates-key-value-property', error ? 'has-error' : '') } data-entry-id={ id }>
+      <label class="bio-properties-panel-label" for={ `bio-properties-panel-${ id }-0-key` }>{ label }</label>
+      <ol class="bio-element-templates-key-value-property__entries">
+        {
+          entries.map((entry, index) => (
+            <li class="bio-element-templates-key-value-property__entry" key={ index }>
+              <input
+                id={ `bio-properties-panel-${ id }-${ index }-key` }
+                type="text"
+                class="bio-properties-panel-input bio-element-templates-key-value-property__key"
+                placeholder={ translate('Key') }
+                spellCheck="false"
+                autoComplete="off"
+                disabled={ disabled }
+                value={ entry.key }
+                onInput={ ({ target }) => change(index, { key: target.value }) } />
+              <input
+                id={ `bio-properties-panel-${ id }-${ index }-value` }
+                type="text"
+                class="bio-properties-panel-input bio-element-templates-key-value-property__value"
+                placeholder={ translate('Value') }
+                spellCheck="false"
+                autoComplete="off"
+                disabled={ disabled }
+                value={ entry.value }
+                onInput={ ({ target }) => change(index, { value: target.value }) } />
+              <button
+                type="button"
+                title={ translate('Delete entry') }
+                class="bio-element-templates-key-value-property__remove"
+                disabled={ disabled }
+                onClick={ () => update(entries.filter((_, i) => i !== index)) }>
+                <DeleteIcon />
+              </button>
+            </li>
+          ))
+        }
+      </ol>
+      <button
+        type="button"
+        title={ translate('Create new entry') }
+        class="bio-properties-panel-add-entry bio-element-templates-key-value-property__add"
+        disabled={ disabled }
+        onClick={ () => update([ ...entries, { key: '', value: '' } ]) }>
+        <CreateIcon />
+        <span class="bio-properties-panel-add-entry-label">{ translate('Add entry') }</span>
+      </button>
+      { error && <div class="bio-properties-panel-error">{ error }</div> }
+      <DescriptionEntry forId={ id } element={ element } value={ PropertyDescription({ description }) } />
+    </div>
+  );
+}
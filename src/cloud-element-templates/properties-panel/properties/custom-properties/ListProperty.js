@@ -0,0 +1,139 @@
+import { useService } from 'bpmn-js-properties-panel';
+import {
+  ArrowIcon,
+  CreateIcon,
+  DeleteIcon,
+  DescriptionEntry,
+  useError
+} from '@bpmn-io/properties-panel';
+import {
+  useEffect,
+  useMemo,
+  useState
+} from '@bpmn-io/properties-panel/preact/hooks';
+import classnames from 'classnames';
+import { PropertyDescription } from '../../../../components/PropertyDescription';
+import { parseList, serializeList } from '../../../util/listValue';
+import { propertyGetter, propertySetter, propertyValidator } from './util';
+
+/**
+ * Edit the items of a `List` property. Items can be added, removed and
+ * reordered, empty items are not persisted.
+ */
+export function ListProperty(props) {
+  const {
+    element,
+    id,
+    property
+  } = props;
+
+  const {
+    description,
+    editable,
+    label
+  } = property;
+
+  const bpmnFactory = useService('bpmnFactory'),
+        commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
+        debounce = useService('debounceInput'),
+        translate = useService('translate');
+
+  const globalError = useError(id);
+
+  const getValue = propertyGetter(element, property, bindingTypeRegistry),
+        validate = propertyValidator(translate, property);
+
+  const value = getValue();
+
+  const [ items, setItems ] = useState(() => parseList(value));
+
+  // keep in sync with changes from outside, e.g. undo
+  useEffect(() => {
+    if (serializeList(items, property) !== (value || '')) {
+      setItems(parseList(value));
+    }
+  }, [ value ]);
+
+  const persist = useMemo(() => {
+    const setValue = propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry);
+
+    return debounce(newItems => setValue(serializeList(newItems, property)));
+  }, [ bpmnFactory, commandStack, element, property, bindingTypeRegistry, debounce ]);
+
+  const update = (newItems) => {
+    setItems(newItems);
+
+    persist(newItems);
+  };
+
+  const move = (index, offset) => {
+    const newItems = [ ...items ];
+
+    newItems.splice(index + offset, 0, ...newItems.splice(index, 1));
+
+    update(newItems);
+  };
+
+  const disabled = editable === false;
+
+  const error = globalError || validate(value);
+
+  return (
+    <div class={ classnames('bio-properties-panel-entry', 'bio-element-templates-list-property', error ? 'has-error' : '') } data-entry-id={ id }>
+      <label class="bio-properties-panel-label" for={ `bio-properties-panel-${ id }-0` }>{ label }</label>
+      <ol class="bio-element-templates-list-property__items">
+        {
+          items.map((item, index) => (
+            <li class="bio-element-templates-list-property__item" key={ index }>
+              <input
+                id={ `bio-properties-panel-${ id }-${ index }` }
+                type="text"
+                class="bio-properties-panel-input"
+                spellCheck="false"
+                autoComplete="off"
+                disabled={ disabled }
+                value={ item }
+                onInput={ ({ target }) => update(items.map((item, i) => i === index ? target.value : item)) } />
+              <button
+                type="button"
+                title={ translate('Move item up') }
+                class="bio-element-templates-list-property__move-up"
+                disabled={ disabled || index === 0 }
+                onClick={ () => move(index, -1) }>
+                <ArrowIcon />
+              </button>
+              <button
+                type="button"
+                title={ translate('Move item down') }
+                class="bio-element-templates-list-property__move-down"
+                disabled={ disabled || index === items.length - 1 }
+                onClick={ () => move(index, 1) }>
+                <ArrowIcon />
+              </button>
+              <button
+                type="button"
+                title={ translate('Delete item') }
+                class="bio-element-templates-list-property__remove"
+                disabled={ disabled }
+                onClick={ () => update(items.filter((_, i) => i !== index)) }>
+                <DeleteIcon />
+              </button>
+            </li>
+          ))
+        }
+      </ol>
+      <button
+        type="button"
+        title={ translate('Create new list item') }
+        class="bio-properties-panel-add-entry bio-element-templates-list-property__add"
+        disabled={ disabled }
+        onClick={ () => update([ ...items, '' ]) }>
+        <CreateIcon />
+        <span class="bio-properties-panel-add-entry-label">{ translate('Add item') }</span>
+      </button>
+      { error && <div class="bio-properties-panel-error">{ error }</div> }
+      <DescriptionEntry forId={ id } element={ element } value={ PropertyDescription({ description }) } />
+    </div>
+  );
+}
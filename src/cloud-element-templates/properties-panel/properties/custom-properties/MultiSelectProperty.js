@@ -0,0 +1,87 @@
+import { useService } from 'bpmn-js-properties-panel';
+import { DescriptionEntry, useError } from '@bpmn-io/properties-panel';
+import classnames from 'classnames';
+import { PropertyDescription } from '../../../../components/PropertyDescription';
+import { parseList, serializeList } from '../../../util/listValue';
+import { propertyGetter, propertySetter, propertyValidator } from './util';
+
+/**
+ * Select any number of the choices of a `MultiSelect` property. Selected
+ * values are stored in the order of the choices.
+ */
+export function MultiSelectProperty(props) {
+  const {
+    element,
+    id,
+    property
+  } = props;
+
+  const {
+    choices = [],
+    description,
+    editable,
+    label
+  } = property;
+
+  const bpmnFactory = useService('bpmnFactory'),
+        commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
+        translate = useService('translate');
+
+  const globalError = useError(id);
+
+  const getValue = propertyGetter(element, property, bindingTypeRegistry),
+        setValue = propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry),
+        validate = propertyValidator(translate, property);
+
+  const value = getValue(),
+        selected = parseList(value);
+
+  const error = globalError || validate(value);
+
+  const onChange = (choiceValue, checked) => {
+    const newSelected = choices
+      .map(choice => choice.value)
+      .filter(value => value === choiceValue ? checked : selected.includes(value));
+
+    setValue(serializeList(newSelected, property));
+  };
+
+  return (
+    <div class={ classnames('bio-properties-panel-entry', 'bio-element-templates-multi-select', error ? 'has-error' : '') } data-entry-id={ id }>
+      <label class="bio-properties-panel-label">{ label }</label>
+      {
+        choices.map((choice, index) => {
+          const choiceId = `bio-properties-panel-${ id }-${ index }`;
+
+          return (
+            <div class="bio-properties-panel-checkbox" key={ choice.value }>
+              <input
+                id={ choiceId }
+                type="checkbox"
+                class="bio-properties-panel-input"
+                value={ choice.value }
+                checked={ selected.includes(choice.value) }
+                disabled={ editable === false }
+                onChange={ ({ target }) => onChange(choice.value, target.checked) } />
+              <label for={ choiceId } class="bio-properties-panel-label">{ choice.name }</label>
+            </div>
+          );
+        })
+      }
+      { error && <div class="bio-properties-panel-error">{ error }</div> }
+      <DescriptionEntry forId={ id } element={ element } value={ PropertyDescription({ description }) } />
+    </div>
+  );
+}
+
+/**
+ * @param {HTMLElement} node first checkbox of the entry
+ *
+ * @return {boolean}
+ */
+export function isMultiSelectEntryEdited(node) {
+  const entry = node && node.closest('.bio-properties-panel-entry');
+
+  return !!entry && !!entry.querySelector('input:checked');
+}
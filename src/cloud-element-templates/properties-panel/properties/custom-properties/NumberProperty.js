@@ -25,10 +25,11 @@ export function NumberProperty(props) {
 
   const bpmnFactory = useService('bpmnFactory'),
         commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
         debounce = useService('debounceInput'),
         translate = useService('translate');
 
-  const [ getValue, setValue ] = usePropertyAccessors(bpmnFactory, commandStack, element, property);
+  const [ getValue, setValue ] = usePropertyAccessors(bpmnFactory, commandStack, element, property, bindingTypeRegistry);
 
   const validate = useCallback((value) => {
     if (isSpecialFeelProperty(property) && isNumber(value) && value.toString().includes('e')) {
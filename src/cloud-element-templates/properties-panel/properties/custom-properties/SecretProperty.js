@@ -0,0 +1,125 @@
+import { isArray } from 'min-dash';
+import { useService } from 'bpmn-js-properties-panel';
+import { PropertyDescription } from '../../../../components/PropertyDescription';
+import { PropertyTooltip } from '../../components/PropertyTooltip';
+import { SelectEntry, TextFieldEntry } from '@bpmn-io/properties-panel';
+import {
+  isLiteralSecret,
+  isSecretName,
+  parseSecretReference,
+  toSecretReference
+} from '../../../util/secrets';
+import { propertyGetter, propertySetter, propertyValidator } from './util';
+
+const MASKED_VALUE = '••••••••';
+
+/**
+ * Pick the secret a `Secret` property references from the secrets offered
+ * synchronously by the `secretsProvider` service. Without a provider, the name of the
+ * secret is entered instead. Values other than secret references are masked.
+ */
+export function SecretProperty(props) {
+  const {
+    element,
+    id,
+    property
+  } = props;
+
+  const {
+    description,
+    editable,
+    label,
+    optional,
+    tooltip
+  } = property;
+
+  const bpmnFactory = useService('bpmnFactory'),
+        commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
+        debounce = useService('debounceInput'),
+        secretsProvider = useService('secretsProvider', false),
+        translate = useService('translate');
+
+  const getValue = propertyGetter(element, property, bindingTypeRegistry),
+        setValue = propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry),
+        validate = propertyValidator(translate, property);
+
+  if (secretsProvider) {
+    const getOptions = () => {
+      const value = getValue();
+
+      const secrets = secretsProvider.getSecrets(element, property);
+
+      let options = (isArray(secrets) ? secrets : []).map(({ name }) => {
+        return {
+          label: name,
+          value: toSecretReference(name)
+        };
+      });
+
+      if (value && !options.some(option => option.value === value)) {
+        options = [ { label: parseSecretReference(value) || MASKED_VALUE, value }, ...options ];
+      }
+
+      if (optional) {
+        options = [ { label: '', value: undefined }, ...options ];
+      } else if (!value) {
+        options = [ { label: '', value: '' }, ...options ];
+      }
+
+      return options;
+    };
+
+    return SelectEntry({
+      element,
+      getOptions,
+      getValue,
+      id,
+      label,
+      disabled: editable === false,
+      setValue,
+      validate,
+      description: PropertyDescription({ description }),
+      tooltip: PropertyTooltip({ tooltip })
+    });
+  }
+
+  return TextFieldEntry({
+    debounce,
+    element,
+    getValue: () => {
+      const value = getValue();
+
+      return value ? parseSecretReference(value) || MASKED_VALUE : '';
+    },
+    id,
+    label,
+    description: PropertyDescription({ description }),
+
+    // never store names that do not reference a secret, e.g. a pasted secret
+    setValue: (name) => {
+      if (name === MASKED_VALUE || (name && (isLiteralSecret(name) || !isSecretName(name)))) {
+        return;
+      }
+
+      setValue(name ? toSecretReference(name) : name);
+    },
+    validate: (name) => {
+      if (name === MASKED_VALUE) {
+        return validate(getValue());
+      }
+
+      if (isLiteralSecret(name)) {
+        return validate(name);
+      }
+
+      if (name && !isSecretName(name)) {
+        return `${ label } ${ translate('must be the name of a secret.') }`;
+      }
+
+      return validate(name ? toSecretReference(name) : name);
+    },
+    disabled: editable === false,
+    tooltip: PropertyTooltip({ tooltip })
+  });
+}
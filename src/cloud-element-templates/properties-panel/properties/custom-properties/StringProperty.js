@@ -21,18 +21,19 @@ export function StringProperty(props) {
 
   const bpmnFactory = useService('bpmnFactory'),
         commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
         debounce = useService('debounceInput'),
         translate = useService('translate');
 
   return TextFieldEntry({
     debounce,
     element,
-    getValue: propertyGetter(element, property),
+    getValue: propertyGetter(element, property, bindingTypeRegistry),
     id,
     label,
     feel,
     description: PropertyDescription({ description }),
-    setValue: propertySetter(bpmnFactory, commandStack, element, property),
+    setValue: propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry),
     validate: propertyValidator(translate, property),
     disabled: editable === false,
     tooltip: PropertyTooltip({ tooltip })
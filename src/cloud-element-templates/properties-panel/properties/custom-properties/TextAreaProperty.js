@@ -26,6 +26,7 @@ export function TextAreaProperty(props) {
 
   const bpmnFactory = useService('bpmnFactory'),
         commandStack = useService('commandStack'),
+        bindingTypeRegistry = useService('bindingTypeRegistry'),
         debounce = useService('debounceInput'),
         translate = useService('translate');
 
@@ -38,8 +39,8 @@ export function TextAreaProperty(props) {
     monospace: !!language,
     autoResize: true,
     description: PropertyDescription({ description }),
-    getValue: propertyGetter(element, property),
-    setValue: propertySetter(bpmnFactory, commandStack, element, property),
+    getValue: propertyGetter(element, property, bindingTypeRegistry),
+    setValue: propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry),
     validate: propertyValidator(translate, property),
     disabled: editable === false,
     tooltip: PropertyTooltip({ tooltip })
@@ -1,10 +1,11 @@
-import { forEach } from 'min-dash';
+import { forEach, without } from 'min-dash';
 
 
 import { PropertyTooltip } from '../../components/PropertyTooltip';
 
 import {
   Group,
+  ListGroup,
   isSelectEntryEdited,
   isCheckboxEntryEdited,
   isTextAreaEntryEdited,
@@ -20,9 +21,25 @@ import {
   ZEBBE_INPUT_TYPE,
   ZEEBE_OUTPUT_TYPE,
   ZEEBE_PROPERTY_TYPE,
-  ZEEBE_TASK_HEADER_TYPE
+  ZEEBE_TASK_HEADER_TYPE,
+  ZEEBE_FORM_DEFINITION,
+  ZEEBE_ASSIGNMENT_DEFINITION,
+  ZEEBE_TASK_SCHEDULE,
+  ZEEBE_SCRIPT,
+  ZEEBE_CALLED_DECISION,
+  SIGNAL_PROPERTY_TYPE,
+  ERROR_PROPERTY_TYPE,
+  ESCALATION_PROPERTY_TYPE,
+  TIMER_EVENT_DEFINITION_PROPERTY_TYPE,
+  ZEEBE_LOOP_CHARACTERISTICS,
+  DEFAULT_FLOW_TYPE
 } from '../../../util/bindingTypes';
 
+import {
+  getInstanceCount,
+  isRepeatableGroup
+} from '../../../util/repeatableGroups';
+
 import { groupByGroupId, findCustomGroup } from './util';
 import { TextAreaProperty } from './TextAreaProperty';
 import { StringProperty } from './StringProperty';
@@ -31,6 +48,11 @@ import { FeelTextAreaProperty } from './FeelTextAreaProperty';
 import { DropdownProperty } from './DropdownProperty';
 import { BooleanProperty } from './BooleanProperty';
 import { NumberProperty } from './NumberProperty';
+import { MultiSelectProperty, isMultiSelectEntryEdited } from './MultiSelectProperty';
+import { ListProperty } from './ListProperty';
+import { KeyValueProperty } from './KeyValueProperty';
+import { SecretProperty } from './SecretProperty';
+import { GroupInstanceActions } from './GroupInstanceActions';
 
 
 const DEFAULT_CUSTOM_GROUP = {
@@ -42,7 +64,8 @@ const DEFAULT_CUSTOM_GROUP = {
 export function CustomProperties(props) {
   const {
     element,
-    elementTemplate
+    elementTemplate,
+    injector
   } = props;
 
   const groups = [];
@@ -65,6 +88,17 @@ export function CustomProperties(props) {
       return defaultProps.push(...properties);
     }
 
+    if (isRepeatableGroup(group)) {
+      return addRepeatableGroup(groups, {
+        element,
+        group,
+        id: `ElementTemplates__CustomProperties-${groupId}`,
+        injector,
+        properties,
+        templateId: `${id}-${groupId}`
+      });
+    }
+
     addCustomGroup(groups, {
       element,
       id: `ElementTemplates__CustomProperties-${groupId}`,
@@ -76,7 +110,21 @@ export function CustomProperties(props) {
     });
   });
 
-  // (2) add default custom props
+  // (2) add repeatable groups without instances
+  forEach(propertyGroups, group => {
+    if (isRepeatableGroup(group) && !groupedProperties[ group.id ]) {
+      addRepeatableGroup(groups, {
+        element,
+        group,
+        id: `ElementTemplates__CustomProperties-${group.id}`,
+        injector,
+        properties: [],
+        templateId: `${id}-${group.id}`
+      });
+    }
+  });
+
+  // (3) add default custom props
   if (defaultProps.length) {
     addCustomGroup(groups, {
       ...DEFAULT_CUSTOM_GROUP,
@@ -123,6 +171,95 @@ function addCustomGroup(groups, props) {
   }
 }
 
+/**
+ * Add a group listing the instances of a repeatable group. Instances
+ * can be added, removed and moved.
+ */
+function addRepeatableGroup(groups, props) {
+  const {
+    element,
+    group,
+    id,
+    injector,
+    properties,
+    templateId
+  } = props;
+
+  const {
+    label,
+    maxInstances = Infinity,
+    minInstances = 0
+  } = group;
+
+  const commandStack = injector.get('commandStack');
+
+  const count = getInstanceCount(element, group);
+
+  const indexes = [];
+
+  for (let index = 0; index < count; index++) {
+    indexes.push(index);
+  }
+
+  const updateInstances = (instances) => {
+    commandStack.execute('propertiesPanel.zeebe.updateRepeatableGroup', {
+      element,
+      groupId: group.id,
+      instances
+    });
+  };
+
+  const move = (index, offset) => {
+    const instances = [ ...indexes ];
+
+    instances.splice(index + offset, 0, ...instances.splice(index, 1));
+
+    updateInstances(instances);
+  };
+
+  const items = indexes.map(index => {
+    const entries = properties
+      .filter(property => property.groupInstance === index)
+      .map((property, propertyIndex) => createCustomEntry(`custom-entry-${ templateId }-${ index }-${ propertyIndex }`, element, property))
+      .filter(entry => entry);
+
+    return {
+      id: `${ id }-${ index }`,
+      label: `${ label } ${ index + 1 }`,
+      entries: [
+        {
+          id: `custom-entry-${ templateId }-${ index }-actions`,
+          component: GroupInstanceActions,
+          count,
+          index,
+          move: (offset) => move(index, offset)
+        },
+        ...entries
+      ],
+      remove: count > minInstances ? (event) => {
+        event.stopPropagation();
+
+        updateInstances(without(indexes, index));
+      } : null
+    };
+  });
+
+  groups.push({
+    id,
+    label,
+    component: ListGroup,
+    add: count < maxInstances ? (event) => {
+      event.stopPropagation();
+
+      updateInstances([ ...indexes, -1 ]);
+    } : null,
+    element,
+    items,
+    shouldSort: false,
+    tooltip: PropertyTooltip({ tooltip: group.tooltip })
+  });
+}
+
 function createCustomEntry(id, element, property) {
   let { type, feel } = property;
 
@@ -130,6 +267,42 @@ function createCustomEntry(id, element, property) {
     type = getDefaultType(property);
   }
 
+  if (type === 'MultiSelect') {
+    return {
+      id,
+      component: MultiSelectProperty,
+      isEdited: isMultiSelectEntryEdited,
+      property
+    };
+  }
+
+  if (type === 'List') {
+    return {
+      id,
+      component: ListProperty,
+      isEdited: isTextFieldEntryEdited,
+      property
+    };
+  }
+
+  if (type === 'KeyValue') {
+    return {
+      id,
+      component: KeyValueProperty,
+      isEdited: isFeelEntryEdited,
+      property
+    };
+  }
+
+  if (type === 'Secret') {
+    return {
+      id,
+      component: SecretProperty,
+      isEdited: isTextFieldEntryEdited,
+      property
+    };
+  }
+
   if (feel === 'required') {
     return {
       id,
@@ -213,10 +386,24 @@ function getDefaultType(property) {
     ZEBBE_INPUT_TYPE,
     ZEEBE_OUTPUT_TYPE,
     ZEEBE_PROPERTY_TYPE,
-    ZEEBE_TASK_HEADER_TYPE
+    ZEEBE_TASK_HEADER_TYPE,
+    ZEEBE_FORM_DEFINITION,
+    ZEEBE_ASSIGNMENT_DEFINITION,
+    ZEEBE_TASK_SCHEDULE,
+    ZEEBE_SCRIPT,
+    ZEEBE_CALLED_DECISION,
+    SIGNAL_PROPERTY_TYPE,
+    ERROR_PROPERTY_TYPE,
+    ESCALATION_PROPERTY_TYPE,
+    TIMER_EVENT_DEFINITION_PROPERTY_TYPE,
+    ZEEBE_LOOP_CHARACTERISTICS
   ].includes(type)) {
     return 'String';
   }
+
+  if (type === DEFAULT_FLOW_TYPE) {
+    return 'Boolean';
+  }
 }
 
 
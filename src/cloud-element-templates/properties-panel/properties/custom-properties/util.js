@@ -2,9 +2,9 @@ import { find, groupBy } from 'min-dash';
 import { getPropertyValue, setPropertyValue, validateProperty } from '../../../util/propertyUtil';
 import { useCallback, useState } from '@bpmn-io/properties-panel/preact/hooks';
 
-export function usePropertyAccessors(bpmnFactory, commandStack, element, property) {
-  const directSet = useCallback(propertySetter(bpmnFactory, commandStack, element, property), [ bpmnFactory, commandStack, element, property ]);
-  const directGet = useCallback(propertyGetter(element, property), [ element, property ]);
+export function usePropertyAccessors(bpmnFactory, commandStack, element, property, bindingTypeRegistry) {
+  const directSet = useCallback(propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry), [ bpmnFactory, commandStack, element, property, bindingTypeRegistry ]);
+  const directGet = useCallback(propertyGetter(element, property, bindingTypeRegistry), [ element, property, bindingTypeRegistry ]);
 
   const [ isFeelEnabled, setIsFeelEnabled ] = useState(feelEnabled(property, directGet()));
 
@@ -96,15 +96,15 @@ const feelEnabled = (property, value) => {
 };
 
 
-export function propertyGetter(element, property) {
+export function propertyGetter(element, property, bindingTypeRegistry) {
   return function getValue() {
-    return getPropertyValue(element, property);
+    return getPropertyValue(element, property, bindingTypeRegistry);
   };
 }
 
-export function propertySetter(bpmnFactory, commandStack, element, property) {
+export function propertySetter(bpmnFactory, commandStack, element, property, bindingTypeRegistry) {
   return function setValue(value) {
-    return setPropertyValue(bpmnFactory, commandStack, element, property, value);
+    return setPropertyValue(bpmnFactory, commandStack, element, property, value, bindingTypeRegistry);
   };
 }
 
@@ -10,6 +10,19 @@ export const ZEEBE_TASK_HEADER_TYPE = 'zeebe:taskHeader';
 export const MESSAGE_PROPERTY_TYPE = 'bpmn:Message#property';
 export const MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE = 'bpmn:Message#zeebe:subscription#property';
 export const ZEEBE_CALLED_ELEMENT = 'zeebe:calledElement';
+export const ZEEBE_EXECUTION_LISTENER = 'zeebe:executionListener';
+export const ZEEBE_FORM_DEFINITION = 'zeebe:formDefinition';
+export const ZEEBE_ASSIGNMENT_DEFINITION = 'zeebe:assignmentDefinition';
+export const ZEEBE_TASK_SCHEDULE = 'zeebe:taskSchedule';
+export const ZEEBE_USER_TASK = 'zeebe:userTask';
+export const ZEEBE_SCRIPT = 'zeebe:script';
+export const ZEEBE_CALLED_DECISION = 'zeebe:calledDecision';
+export const SIGNAL_PROPERTY_TYPE = 'bpmn:Signal#property';
+export const ERROR_PROPERTY_TYPE = 'bpmn:Error#property';
+export const ESCALATION_PROPERTY_TYPE = 'bpmn:Escalation#property';
+export const TIMER_EVENT_DEFINITION_PROPERTY_TYPE = 'bpmn:TimerEventDefinition#property';
+export const ZEEBE_LOOP_CHARACTERISTICS = 'zeebe:loopCharacteristics';
+export const DEFAULT_FLOW_TYPE = 'bpmn:SequenceFlow#default';
 
 export const EXTENSION_BINDING_TYPES = [
   MESSAGE_ZEEBE_SUBSCRIPTION_PROPERTY_TYPE,
@@ -19,7 +32,15 @@ export const EXTENSION_BINDING_TYPES = [
   ZEEBE_TASK_DEFINITION_TYPE_TYPE,
   ZEEBE_TASK_DEFINITION,
   ZEEBE_TASK_HEADER_TYPE,
-  ZEEBE_CALLED_ELEMENT
+  ZEEBE_CALLED_ELEMENT,
+  ZEEBE_EXECUTION_LISTENER,
+  ZEEBE_FORM_DEFINITION,
+  ZEEBE_ASSIGNMENT_DEFINITION,
+  ZEEBE_TASK_SCHEDULE,
+  ZEEBE_USER_TASK,
+  ZEEBE_SCRIPT,
+  ZEEBE_CALLED_DECISION,
+  ZEEBE_LOOP_CHARACTERISTICS
 ];
 
 export const TASK_DEFINITION_TYPES = [
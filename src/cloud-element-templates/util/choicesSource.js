@@ -0,0 +1,183 @@
+import { getBusinessObject, is } from 'bpmn-js/lib/util/ModelUtil';
+
+import { isArray, isObject, isString } from 'min-dash';
+
+import { findExtension } from '../Helper';
+
+import { getRoot } from '../../utils/ElementUtil';
+
+/**
+ * Choices read from the diagram an element is part of.
+ */
+const DIAGRAM_SOURCES = {
+  messages: element => getRootElementChoices(element, 'bpmn:Message'),
+  signals: element => getRootElementChoices(element, 'bpmn:Signal'),
+  errors: element => getRootElementChoices(element, 'bpmn:Error'),
+  escalations: element => getRootElementChoices(element, 'bpmn:Escalation'),
+  calledProcesses: element => getCalledProcessChoices(element)
+};
+
+/**
+ * Sources of dropdown choices (`choicesSource.type`). Besides the diagram,
+ * choices may be the process variables available to an element or be
+ * provided by the `elementTemplatesChoicesProvider` service.
+ */
+export const CHOICES_SOURCE_TYPES = [
+  ...Object.keys(DIAGRAM_SOURCES),
+  'variables',
+  'provider'
+];
+
+/**
+ * Get the choices of a dropdown property, i.e. its static `choices`
+ * followed by the choices of its `choicesSource`. Choices with the
+ * same value are listed once.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ * @param {Object} property
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.variables] variables available to the element
+ * @param {Object} [options.choicesProvider] `elementTemplatesChoicesProvider` service
+ *
+ * @return {Array<{ name: string, value: string }>}
+ */
+export function getChoices(element, property, options = {}) {
+  const {
+    choices = [],
+    choicesSource
+  } = property;
+
+  const sourceChoices = choicesSource ? getSourceChoices(element, property, options) : [];
+
+  return [ ...choices, ...sourceChoices ].filter((choice, index, allChoices) => {
+    return allChoices.findIndex(({ value }) => value === choice.value) === index;
+  });
+}
+
+/**
+ * Check whether the choices of a property can be resolved from the
+ * diagram alone, i.e. without variables or a choices provider.
+ *
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function hasDiagramChoicesSource(property) {
+  const { choicesSource } = property;
+
+  return !!choicesSource && !!DIAGRAM_SOURCES[ choicesSource.type ];
+}
+
+/**
+ * Validate the `choicesSource` of a property.
+ *
+ * @param {Object} property
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getChoicesSourceError(property) {
+  const {
+    choicesSource,
+    type
+  } = property;
+
+  if (type !== 'Dropdown') {
+    return 'choicesSource is only supported for <Dropdown> properties';
+  }
+
+  if (!isObject(choicesSource)) {
+    return 'choicesSource must be an object';
+  }
+
+  if (!CHOICES_SOURCE_TYPES.includes(choicesSource.type)) {
+    return `invalid choicesSource type <${ choicesSource.type }>; must be one of <${ CHOICES_SOURCE_TYPES.join(', ') }>`;
+  }
+
+  if (choicesSource.type === 'provider' && !isString(choicesSource.id)) {
+    return 'choicesSource of type <provider> requires an id';
+  }
+}
+
+
+// helpers //////////
+
+function getSourceChoices(element, property, options) {
+  const {
+    choicesProvider,
+    variables = []
+  } = options;
+
+  const { choicesSource } = property;
+
+  if (DIAGRAM_SOURCES[ choicesSource.type ]) {
+    return DIAGRAM_SOURCES[ choicesSource.type ](getBusinessObject(element));
+  }
+
+  if (choicesSource.type === 'variables') {
+    return variables.map(({ name }) => toChoice(name));
+  }
+
+  if (choicesSource.type === 'provider' && choicesProvider) {
+    const choices = choicesProvider.getChoices(choicesSource, element, property);
+
+    return isArray(choices) ? choices : [];
+  }
+
+  return [];
+}
+
+function getRootElementChoices(businessObject, type) {
+  return getRootElements(businessObject)
+    .filter(rootElement => is(rootElement, type) && rootElement.get('name'))
+    .map(rootElement => toChoice(rootElement.get('name')));
+}
+
+/**
+ * Get the process IDs called by other call activities of the diagram.
+ */
+function getCalledProcessChoices(businessObject) {
+  const processIds = [];
+
+  getRootElements(businessObject).forEach(rootElement => {
+    forEachFlowElement(rootElement, flowElement => {
+      if (flowElement === businessObject || !is(flowElement, 'bpmn:CallActivity')) {
+        return;
+      }
+
+      const calledElement = findExtension(flowElement, 'zeebe:CalledElement');
+
+      const processId = calledElement && calledElement.get('processId');
+
+      if (processId && !processIds.includes(processId)) {
+        processIds.push(processId);
+      }
+    });
+  });
+
+  return processIds.map(toChoice);
+}
+
+function getRootElements(businessObject) {
+  const definitions = getRoot(businessObject);
+
+  return is(definitions, 'bpmn:Definitions') ? definitions.get('rootElements') : [];
+}
+
+function forEachFlowElement(container, fn) {
+  if (!is(container, 'bpmn:FlowElementsContainer')) {
+    return;
+  }
+
+  container.get('flowElements').forEach(flowElement => {
+    fn(flowElement);
+
+    forEachFlowElement(flowElement, fn);
+  });
+}
+
+function toChoice(value) {
+  return {
+    name: value,
+    value
+  };
+}
@@ -0,0 +1,198 @@
+import {
+  isObject,
+  isString,
+  keys
+} from 'min-dash';
+
+import {
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+} from './bindingTypes';
+
+/**
+ * Bindings a `KeyValue` property may be bound to.
+ */
+export const KEY_VALUE_BINDING_TYPES = [
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+];
+
+/**
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function isKeyValueProperty(property) {
+  return property.type === 'KeyValue';
+}
+
+/**
+ * Serialize entries to a FEEL context, e.g. `={ "a": "b" }`. Entries
+ * without a key are not persisted.
+ *
+ * @param {Array<{ key: string, value: string }>} entries
+ *
+ * @return {string}
+ */
+export function serializeKeyValue(entries) {
+  entries = entries.filter(({ key }) => key && key.length);
+
+  if (!entries.length) {
+    return '';
+  }
+
+  return `={ ${ entries.map(({ key, value }) => `${ JSON.stringify(key) }: ${ JSON.stringify(value || '') }`).join(', ') } }`;
+}
+
+/**
+ * Parse entries from a stored value or a template value. Returns `null`
+ * if the value is not a FEEL context of string literals, e.g. because it
+ * references variables.
+ *
+ * @param {string|Object} value
+ *
+ * @return {Array<{ key: string, value: string }>|null}
+ */
+export function parseKeyValue(value) {
+  if (isObject(value)) {
+    return keys(value).map(key => ({ key, value: value[ key ] }));
+  }
+
+  if (!isString(value) || !value.trim().length) {
+    return [];
+  }
+
+  return parseFeelContext(value);
+}
+
+/**
+ * Validate the key/value specific parts of a template property.
+ *
+ * @param {Object} property
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getKeyValuePropertyError(property) {
+  const {
+    binding,
+    value
+  } = property;
+
+  if (!KEY_VALUE_BINDING_TYPES.includes(binding.type)) {
+    return `property of type <KeyValue> requires binding type to be one of <${ KEY_VALUE_BINDING_TYPES.join(', ') }>`;
+  }
+
+  if (value === undefined) {
+    return;
+  }
+
+  if (isObject(value) && keys(value).every(key => isString(value[ key ]))) {
+    return;
+  }
+
+  if (!isString(value)) {
+    return 'value must be a string or an object with string values';
+  }
+}
+
+
+// helpers //////////
+
+/**
+ * Parse a FEEL context of string literals, e.g. `={ "a": "b", c: "d" }`.
+ *
+ * @param {string} value
+ *
+ * @return {Array<{ key: string, value: string }>|null}
+ */
+function parseFeelContext(value) {
+  const expression = value.trim();
+
+  if (!expression.startsWith('=')) {
+    return null;
+  }
+
+  const tokens = tokenize(expression.slice(1));
+
+  if (!tokens || !isPunctuation(tokens[ 0 ], '{') || !isPunctuation(tokens[ tokens.length - 1 ], '}')) {
+    return null;
+  }
+
+  // key, colon and value of entries separated by commas
+  const entryTokens = tokens.slice(1, -1);
+
+  if (!entryTokens.length) {
+    return [];
+  }
+
+  if ((entryTokens.length + 1) % 4 !== 0) {
+    return null;
+  }
+
+  const entries = [];
+
+  for (let index = 0; index < entryTokens.length; index += 4) {
+    const [ key, colon, entryValue, separator ] = entryTokens.slice(index, index + 4);
+
+    if (![ 'string', 'name' ].includes(key.type) || !isPunctuation(colon, ':') || entryValue.type !== 'string') {
+      return null;
+    }
+
+    if (separator && !isPunctuation(separator, ',')) {
+      return null;
+    }
+
+    entries.push({ key: key.value, value: entryValue.value });
+  }
+
+  return entries;
+}
+
+/**
+ * Split an expression into string literals, names and punctuation.
+ *
+ * @param {string} expression
+ *
+ * @return {Array<{ type: string, value: string }>|null}
+ */
+function tokenize(expression) {
+  const pattern = /\s*(?:("(?:[^"\\]|\\.)*")|([A-Za-z_]\w*)|([{}:,]))/y;
+
+  const tokens = [];
+
+  let position = 0;
+
+  while (expression.slice(position).trim().length) {
+    pattern.lastIndex = position;
+
+    const match = pattern.exec(expression);
+
+    if (!match) {
+      return null;
+    }
+
+    const [ , string, name, punctuation ] = match;
+
+    if (string) {
+      try {
+        tokens.push({ type: 'string', value: JSON.parse(string) });
+      } catch (error) {
+        return null;
+      }
+    } else if (name) {
+      tokens.push({ type: 'name', value: name });
+    } else {
+      tokens.push({ type: 'punctuation', value: punctuation });
+    }
+
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+function isPunctuation(token, value) {
+  return !!token && token.type === 'punctuation' && token.value === value;
+}
@@ -0,0 +1,193 @@
+import { isArray, isString } from 'min-dash';
+
+import {
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_OUTPUT_TYPE
+} from './bindingTypes';
+
+/**
+ * Property types holding a list of values.
+ */
+export const LIST_PROPERTY_TYPES = [
+  'MultiSelect',
+  'List'
+];
+
+/**
+ * Bindings evaluated by the engine, storing lists as FEEL list expressions.
+ */
+const FEEL_BINDING_TYPES = [
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_OUTPUT_TYPE
+];
+
+/**
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function isListProperty(property) {
+  return LIST_PROPERTY_TYPES.includes(property.type);
+}
+
+/**
+ * Get the format a list is stored in: a FEEL list expression, e.g.
+ * `=["a", "b"]`, for input and output mappings as well as FEEL properties
+ * or a comma-separated string, e.g. `a,b`, otherwise.
+ *
+ * @param {Object} property
+ *
+ * @return {'feel'|'csv'}
+ */
+export function getListFormat(property) {
+  const {
+    binding,
+    feel
+  } = property;
+
+  return feel || FEEL_BINDING_TYPES.includes(binding.type) ? 'feel' : 'csv';
+}
+
+/**
+ * Serialize list items to the format of the property. Empty items
+ * are not persisted.
+ *
+ * @param {Array<string>} items
+ * @param {Object} property
+ *
+ * @return {string}
+ */
+export function serializeList(items, property) {
+  items = items.map(toItem).filter(item => item.length);
+
+  if (!items.length) {
+    return '';
+  }
+
+  if (getListFormat(property) === 'feel') {
+    return `=[${ items.map(item => JSON.stringify(item)).join(', ') }]`;
+  }
+
+  return items.join(',');
+}
+
+/**
+ * Parse list items from a stored value. FEEL list expressions of string
+ * literals are parsed regardless of the format of the property, anything
+ * else is read as a comma-separated string.
+ *
+ * @param {string|Array<string>} value
+ *
+ * @return {Array<string>}
+ */
+export function parseList(value) {
+  if (isArray(value)) {
+    return value.map(toItem);
+  }
+
+  if (!isString(value) || !value.trim().length) {
+    return [];
+  }
+
+  const feelItems = parseFeelList(value);
+
+  if (feelItems) {
+    return feelItems;
+  }
+
+  return value.split(',').map(item => item.trim()).filter(item => item.length);
+}
+
+/**
+ * Validate the list specific parts of a template property.
+ *
+ * @param {Object} property
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getListPropertyError(property) {
+  const {
+    choices,
+    constraints = {},
+    type,
+    value
+  } = property;
+
+  const {
+    maxItems,
+    minItems,
+    uniqueItems
+  } = constraints;
+
+  if (type === 'MultiSelect' && (!isArray(choices) || !choices.length)) {
+    return 'property of type <MultiSelect> requires choices';
+  }
+
+  if (value !== undefined && !isString(value) && !(isArray(value) && value.every(isString))) {
+    return 'value must be a string or an array of strings';
+  }
+
+  if (type === 'MultiSelect') {
+    const invalidValue = parseList(value).find(item => !choices.some(choice => choice.value === item));
+
+    if (invalidValue) {
+      return `value <${ invalidValue }> is not one of the choices`;
+    }
+  }
+
+  if (!isUndefinedOrCount(minItems)) {
+    return 'constraint <minItems> must be a non-negative integer';
+  }
+
+  if (!isUndefinedOrCount(maxItems)) {
+    return 'constraint <maxItems> must be a non-negative integer';
+  }
+
+  if (minItems !== undefined && maxItems !== undefined && minItems > maxItems) {
+    return 'constraint <minItems> must not exceed <maxItems>';
+  }
+
+  if (uniqueItems !== undefined && typeof uniqueItems !== 'boolean') {
+    return 'constraint <uniqueItems> must be a boolean';
+  }
+}
+
+
+// helpers //////////
+
+/**
+ * Parse a FEEL list of string literals, e.g. `=["a", "b"]`.
+ *
+ * @param {string} value
+ *
+ * @return {Array<string>|null}
+ */
+function parseFeelList(value) {
+  const expression = value.trim();
+
+  if (!expression.startsWith('=')) {
+    return null;
+  }
+
+  let items;
+
+  try {
+    items = JSON.parse(expression.slice(1));
+  } catch (error) {
+    return null;
+  }
+
+  if (!isArray(items) || !items.every(isString)) {
+    return null;
+  }
+
+  return items;
+}
+
+function toItem(item) {
+  return isString(item) ? item : String(item);
+}
+
+function isUndefinedOrCount(value) {
+  return value === undefined || (Number.isInteger(value) && value >= 0);
+}
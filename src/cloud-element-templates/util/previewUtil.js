@@ -0,0 +1,197 @@
+import { is } from 'bpmn-js/lib/util/ModelUtil';
+
+import { isUndefined } from 'min-dash';
+
+import { applyConditions } from '../Condition';
+
+import {
+  findExtension,
+  findReferencedRootElement,
+  getDefaultValue
+} from '../Helper';
+
+import { findOldProperty } from '../cmd/ChangeElementTemplateHandler';
+
+import { getDefaultBindingTypeRegistry } from '../binding-types/BindingTypeRegistry';
+
+import { shouldKeepValue } from '../binding-types/util';
+
+import {
+  ERROR_PROPERTY_TYPE,
+  ESCALATION_PROPERTY_TYPE,
+  MESSAGE_BINDING_TYPES,
+  SIGNAL_PROPERTY_TYPE
+} from './bindingTypes';
+
+import { getPropertyValue } from './propertyUtil';
+
+/**
+ * @typedef {'add'|'remove'|'overwrite'|'keep'} ChangeAction
+ *
+ * @typedef PropertyChange
+ * @property {ChangeAction} action
+ * @property {Object} property
+ * @property {*} oldValue
+ * @property {*} newValue
+ *
+ * @typedef ExtensionElementChange
+ * @property {ChangeAction} action
+ * @property {string} type
+ *
+ * @typedef TemplateChanges
+ * @property {Array<PropertyChange>} properties
+ * @property {Array<ExtensionElementChange>} extensionElements
+ */
+
+const ROOT_ELEMENT_TYPES = [
+  {
+    type: 'bpmn:Message',
+    bindingTypes: MESSAGE_BINDING_TYPES
+  },
+  {
+    type: 'bpmn:Signal',
+    bindingTypes: [ SIGNAL_PROPERTY_TYPE ]
+  },
+  {
+    type: 'bpmn:Error',
+    bindingTypes: [ ERROR_PROPERTY_TYPE ]
+  },
+  {
+    type: 'bpmn:Escalation',
+    bindingTypes: [ ESCALATION_PROPERTY_TYPE ]
+  }
+];
+
+/**
+ * Compute the changes applying a new template to an element would cause,
+ * without changing the element.
+ *
+ * Mirrors the decisions of `propertiesPanel.zeebe.changeTemplate` on which
+ * values to keep and which to overwrite.
+ *
+ * @param {djs.model.Base} element
+ * @param {Object} [oldTemplate]
+ * @param {Object} newTemplate
+ * @param {BindingTypeRegistry} [bindingTypeRegistry]
+ *
+ * @return {TemplateChanges}
+ */
+export function previewTemplateChange(element, oldTemplate, newTemplate, bindingTypeRegistry = getDefaultBindingTypeRegistry()) {
+  if (oldTemplate) {
+    oldTemplate = applyConditions(element, oldTemplate, bindingTypeRegistry);
+  }
+
+  newTemplate = applyConditions(element, newTemplate, bindingTypeRegistry);
+
+  return {
+    properties: [
+      ...getPropertyChanges(element, oldTemplate, newTemplate, bindingTypeRegistry),
+      ...getRemovedProperties(element, oldTemplate, newTemplate, bindingTypeRegistry)
+    ],
+    extensionElements: getExtensionElementChanges(element, newTemplate, bindingTypeRegistry)
+  };
+}
+
+
+// helpers //////////
+
+function getPropertyChanges(element, oldTemplate, newTemplate, bindingTypeRegistry) {
+  return newTemplate.properties.reduce((changes, newProperty) => {
+    const oldProperty = findOldProperty(oldTemplate, newProperty, bindingTypeRegistry),
+          oldValue = getPropertyValue(element, newProperty, bindingTypeRegistry),
+          newValue = getDefaultValue(newProperty);
+
+    let action;
+
+    if (isEmpty(oldValue)) {
+
+      // nothing to change
+      if (isEmpty(newValue)) {
+        return changes;
+      }
+
+      action = 'add';
+    } else if (
+      shouldKeepValue(oldValue, oldProperty, newProperty) ||
+      oldValue === newValue
+    ) {
+      action = 'keep';
+    } else {
+      action = 'overwrite';
+    }
+
+    return [
+      ...changes,
+      {
+        action,
+        property: newProperty,
+        oldValue,
+        newValue: action === 'keep' ? oldValue : newValue
+      }
+    ];
+  }, []);
+}
+
+function getRemovedProperties(element, oldTemplate, newTemplate, bindingTypeRegistry) {
+  if (!oldTemplate) {
+    return [];
+  }
+
+  return oldTemplate.properties.reduce((changes, oldProperty) => {
+    const oldValue = getPropertyValue(element, oldProperty, bindingTypeRegistry);
+
+    if (findOldProperty(newTemplate, oldProperty, bindingTypeRegistry) || isEmpty(oldValue)) {
+      return changes;
+    }
+
+    return [
+      ...changes,
+      {
+        action: 'remove',
+        property: oldProperty,
+        oldValue,
+        newValue: undefined
+      }
+    ];
+  }, []);
+}
+
+function getExtensionElementChanges(element, newTemplate, bindingTypeRegistry) {
+  const changes = bindingTypeRegistry.getExtensionElementTypes().reduce((changes, { type, bindingTypes }) => {
+    const action = getAction(
+      !!findExtension(element, type),
+      hasBindings(newTemplate, bindingTypes)
+    );
+
+    return action ? [ ...changes, { action, type } ] : changes;
+  }, []);
+
+  const rootElement = findReferencedRootElement(element.businessObject);
+
+  return ROOT_ELEMENT_TYPES.reduce((changes, { type, bindingTypes }) => {
+    const action = getAction(
+      is(rootElement, type),
+      hasBindings(newTemplate, bindingTypes)
+    );
+
+    return action ? [ ...changes, { action, type } ] : changes;
+  }, changes);
+}
+
+function getAction(exists, required) {
+  if (exists) {
+    return required ? 'keep' : 'remove';
+  }
+
+  if (required) {
+    return 'add';
+  }
+}
+
+function hasBindings(template, bindingTypes) {
+  return template.properties.some(({ binding }) => bindingTypes.includes(binding.type));
+}
+
+function isEmpty(value) {
+  return isUndefined(value) || value === '';
+}
@@ -0,0 +1,337 @@
+import {
+  has,
+  isArray,
+  isNumber,
+  isObject,
+  isString,
+  isUndefined
+} from 'min-dash';
+
+import { findExtension } from '../Helper';
+
+import {
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+} from './bindingTypes';
+
+/**
+ * Bindings properties of a repeatable group may be bound to. Instances
+ * map to indexed names, e.g. `recipients[0].address`.
+ */
+export const REPEATABLE_GROUP_BINDING_TYPES = [
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_PROPERTY_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+];
+
+/**
+ * @param {Object} [group]
+ *
+ * @return {boolean}
+ */
+export function isRepeatableGroup(group) {
+  return !!group && group.repeatable === true;
+}
+
+/**
+ * @param {Object} template
+ * @param {string} id
+ *
+ * @return {Object|undefined}
+ */
+export function getRepeatableGroup(template, id) {
+  return (template.groups || []).find(group => isRepeatableGroup(group) && group.id === id);
+}
+
+/**
+ * Get the properties of a template defining the instances of a group.
+ *
+ * @param {Object} template
+ * @param {Object} group
+ *
+ * @return {Array<Object>}
+ */
+export function getGroupProperties(template, group) {
+  return template.properties.filter(property => property.group === group.id && !isInstanceProperty(property));
+}
+
+/**
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function isInstanceProperty(property) {
+  return has(property, 'groupInstance');
+}
+
+/**
+ * Get the number of instances of a group on an element, i.e. the highest
+ * index bound, limited by `minInstances` and `maxInstances` of the group.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ * @param {Object} group
+ *
+ * @return {number}
+ */
+export function getInstanceCount(element, group) {
+  const {
+    maxInstances = Infinity,
+    minInstances = 0
+  } = group;
+
+  const count = REPEATABLE_GROUP_BINDING_TYPES.reduce((count, type) => {
+    return getBoundNames(element, type).reduce((count, name) => {
+      return Math.max(count, getInstanceIndex(name, group) + 1);
+    }, count);
+  }, 0);
+
+  return Math.min(Math.max(count, minInstances), maxInstances);
+}
+
+/**
+ * Replace the properties of repeatable groups with the properties of each
+ * group instance present on the element. Instance properties are bound to
+ * indexed names and conditions refer to properties of the same instance.
+ *
+ * @example
+ *
+ * expandRepeatableGroups(element, template, { recipients: 2 });
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ * @param {Object} template
+ * @param {Object<string, number>} [instanceCounts] number of instances per group,
+ *   defaults to the instances present on the element
+ *
+ * @return {Object}
+ */
+export function expandRepeatableGroups(element, template, instanceCounts = {}) {
+  const groups = (template.groups || []).filter(isRepeatableGroup);
+
+  if (!groups.length) {
+    return template;
+  }
+
+  const expandedGroups = [];
+
+  const properties = template.properties.reduce((properties, property) => {
+    const group = groups.find(group => group.id === property.group);
+
+    if (!group || isInstanceProperty(property)) {
+      return [ ...properties, property ];
+    }
+
+    // add all instances in place of the group's first property
+    if (expandedGroups.includes(group)) {
+      return properties;
+    }
+
+    expandedGroups.push(group);
+
+    const groupProperties = getGroupProperties(template, group);
+
+    const count = isNumber(instanceCounts[ group.id ]) ? instanceCounts[ group.id ] : getInstanceCount(element, group);
+
+    for (let index = 0; index < count; index++) {
+      properties = [
+        ...properties,
+        ...groupProperties.map(property => getInstanceProperty(property, group, index, groupProperties))
+      ];
+    }
+
+    return properties;
+  }, []);
+
+  return {
+    ...template,
+    properties
+  };
+}
+
+/**
+ * Get the property of a group instance.
+ *
+ * @param {Object} property
+ * @param {Object} group
+ * @param {number} index
+ * @param {Array<Object>} groupProperties
+ *
+ * @return {Object}
+ */
+export function getInstanceProperty(property, group, index, groupProperties) {
+  const prefix = getInstancePrefix(group, index);
+
+  const {
+    binding,
+    condition,
+    id
+  } = property;
+
+  const siblingIds = groupProperties.map(property => property.id).filter(isString);
+
+  const nameProperty = getNameProperty(binding);
+
+  return {
+    ...property,
+    ...(isUndefined(id) ? {} : { id: prefix + id }),
+    ...(condition ? { condition: prefixCondition(condition, prefix, siblingIds) } : {}),
+    binding: {
+      ...binding,
+      [ nameProperty ]: prefix + binding[ nameProperty ]
+    },
+    groupInstance: index
+  };
+}
+
+/**
+ * Check whether the input, task header or property an instance
+ * property is bound to exists on the element.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function isBound(element, property) {
+  const { binding } = property;
+
+  return getBoundNames(element, binding.type).includes(binding[ getNameProperty(binding) ]);
+}
+
+/**
+ * Validate a group of a template, if repeatable.
+ *
+ * @param {Object} group
+ * @param {Object} template
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getRepeatableGroupError(group, template) {
+  const {
+    maxInstances,
+    minInstances,
+    repeatable
+  } = group;
+
+  if (!isUndefined(repeatable) && typeof repeatable !== 'boolean') {
+    return 'repeatable must be a boolean';
+  }
+
+  if (!isRepeatableGroup(group)) {
+    if (!isUndefined(minInstances) || !isUndefined(maxInstances)) {
+      return 'minInstances and maxInstances require a repeatable group';
+    }
+
+    return;
+  }
+
+  for (const [ key, value ] of [ [ 'minInstances', minInstances ], [ 'maxInstances', maxInstances ] ]) {
+    if (!isUndefined(value) && !isNonNegativeInteger(value)) {
+      return `${ key } must be a non-negative integer`;
+    }
+  }
+
+  if (!isUndefined(minInstances) && !isUndefined(maxInstances) && minInstances > maxInstances) {
+    return 'minInstances must not be greater than maxInstances';
+  }
+
+  const properties = (isArray(template.properties) ? template.properties : []).filter(isObject);
+
+  const groupProperties = properties.filter(property => property.group === group.id);
+
+  const invalidProperty = groupProperties.find(property => {
+    return !isObject(property.binding) || !REPEATABLE_GROUP_BINDING_TYPES.includes(property.binding.type);
+  });
+
+  if (invalidProperty) {
+    return `property <${ invalidProperty.id || invalidProperty.label }> requires binding type to be one of <${ REPEATABLE_GROUP_BINDING_TYPES.join(', ') }>`;
+  }
+
+  // instances without any stored value cannot be told apart from missing ones
+  if (!groupProperties.some(property => !property.optional)) {
+    return 'requires at least one property that is not optional';
+  }
+}
+
+
+// helpers //////////
+
+function getInstancePrefix(group, index) {
+  return `${ group.id }[${ index }].`;
+}
+
+/**
+ * @param {string} name
+ * @param {Object} group
+ *
+ * @return {number} index of the instance the name is bound to, or -1
+ */
+function getInstanceIndex(name, group) {
+  const prefix = `${ group.id }[`;
+
+  if (!isString(name) || !name.startsWith(prefix)) {
+    return -1;
+  }
+
+  const match = /^(\d+)\]\./.exec(name.slice(prefix.length));
+
+  return match ? Number(match[ 1 ]) : -1;
+}
+
+function getNameProperty(binding) {
+  return binding.type === ZEEBE_TASK_HEADER_TYPE ? 'key' : 'name';
+}
+
+/**
+ * Get the names of the inputs, task headers or properties of an element.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ * @param {string} type
+ *
+ * @return {Array<string>}
+ */
+function getBoundNames(element, type) {
+  if (type === ZEBBE_INPUT_TYPE) {
+    const ioMapping = findExtension(element, 'zeebe:IoMapping');
+
+    return ioMapping ? ioMapping.get('inputParameters').map(parameter => parameter.get('target')) : [];
+  }
+
+  if (type === ZEEBE_TASK_HEADER_TYPE) {
+    const taskHeaders = findExtension(element, 'zeebe:TaskHeaders');
+
+    return taskHeaders ? taskHeaders.get('values').map(header => header.get('key')) : [];
+  }
+
+  const zeebeProperties = findExtension(element, 'zeebe:Properties');
+
+  return zeebeProperties ? zeebeProperties.get('properties').map(property => property.get('name')) : [];
+}
+
+function prefixCondition(condition, prefix, ids) {
+  if (!isObject(condition)) {
+    return condition;
+  }
+
+  const prefixed = { ...condition };
+
+  if (isString(condition.property) && ids.includes(condition.property)) {
+    prefixed.property = prefix + condition.property;
+  }
+
+  [ 'allMatch', 'anyMatch' ].forEach(key => {
+    if (isArray(condition[ key ])) {
+      prefixed[ key ] = condition[ key ].map(condition => prefixCondition(condition, prefix, ids));
+    }
+  });
+
+  if (condition.not) {
+    prefixed.not = prefixCondition(condition.not, prefix, ids);
+  }
+
+  return prefixed;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
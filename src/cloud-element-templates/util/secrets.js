@@ -0,0 +1,149 @@
+import { isString } from 'min-dash';
+
+import {
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+} from './bindingTypes';
+
+/**
+ * Bindings a `Secret` property may be bound to, i.e. the values
+ * secret references are resolved in at runtime.
+ */
+export const SECRET_BINDING_TYPES = [
+  ZEBBE_INPUT_TYPE,
+  ZEEBE_TASK_HEADER_TYPE
+];
+
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const SECRET_REFERENCE_PATTERN = /^\{\{secrets\.([A-Za-z0-9_-]+)\}\}$/;
+
+/**
+ * Tokens of random looking, mixed case alphanumeric or long hexadecimal
+ * strings, as used for API keys and access tokens.
+ */
+const SECRET_TOKEN_PATTERNS = [
+  /(?=[A-Za-z0-9+_=-]*[a-z])(?=[A-Za-z0-9+_=-]*[A-Z])(?=[A-Za-z0-9+_=-]*[0-9])[A-Za-z0-9+_=-]{20,}/,
+  /(^|[^A-Za-z0-9])[a-f0-9]{32,}($|[^A-Za-z0-9])/i
+];
+
+/**
+ * Words in the names of properties that usually hold credentials.
+ */
+const CREDENTIAL_NAME_PATTERN = /\b(secrets?|tokens?|passwords?|passwd|pwd|credentials?|auth|authorization|authentication|api ?keys?|access ?keys?|private ?keys?)\b/i;
+
+/**
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function isSecretProperty(property) {
+  return property.type === 'Secret';
+}
+
+/**
+ * Check whether a property likely holds credentials, judging by its ID,
+ * label or the name it is bound to, e.g. `apiKey` or `Authorization`.
+ *
+ * @param {Object} property
+ *
+ * @return {boolean}
+ */
+export function isCredentialProperty(property) {
+  const {
+    binding = {},
+    id,
+    label
+  } = property;
+
+  return [ id, label, binding.name, binding.key, binding.property ].some(name => {
+    return isString(name) && CREDENTIAL_NAME_PATTERN.test(toWords(name));
+  });
+}
+
+/**
+ * @param {string} name
+ *
+ * @return {boolean}
+ */
+export function isSecretName(name) {
+  return isString(name) && SECRET_NAME_PATTERN.test(name);
+}
+
+/**
+ * @example
+ *
+ * toSecretReference('API_KEY'); // '{{secrets.API_KEY}}'
+ *
+ * @param {string} name
+ *
+ * @return {string}
+ */
+export function toSecretReference(name) {
+  return `{{secrets.${ name }}}`;
+}
+
+/**
+ * Get the name of the secret a value references.
+ *
+ * @param {*} value
+ *
+ * @return {string|null} name, or `null` if the value is not a secret reference
+ */
+export function parseSecretReference(value) {
+  const match = isString(value) && SECRET_REFERENCE_PATTERN.exec(value.trim());
+
+  return match ? match[ 1 ] : null;
+}
+
+/**
+ * Check whether a value contains what looks like a secret, e.g. a pasted
+ * API key. Secret references and FEEL expressions are not considered.
+ *
+ * @param {*} value
+ *
+ * @return {boolean}
+ */
+export function isLiteralSecret(value) {
+  if (!isString(value) || value.startsWith('=')) {
+    return false;
+  }
+
+  const literal = value.replace(/\{\{secrets\.[A-Za-z0-9_-]+\}\}/g, ' ');
+
+  return SECRET_TOKEN_PATTERNS.some(pattern => pattern.test(literal));
+}
+
+/**
+ * Validate the secret specific parts of a template property.
+ *
+ * @param {Object} property
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getSecretPropertyError(property) {
+  const {
+    binding,
+    value
+  } = property;
+
+  if (!SECRET_BINDING_TYPES.includes(binding.type)) {
+    return `property of type <Secret> requires binding type to be one of <${ SECRET_BINDING_TYPES.join(', ') }>`;
+  }
+
+  if (value !== undefined && !parseSecretReference(value)) {
+    return 'value must be a secret reference, e.g. <{{secrets.NAME}}>';
+  }
+}
+
+
+// helpers //////////
+
+/**
+ * Split camel case and snake case names into words, e.g. `clientSecret` or `API_KEY`.
+ */
+function toWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_.-]+/g, ' ');
+}
@@ -0,0 +1,152 @@
+import {
+  isArray,
+  isNumber,
+  isObject,
+  isString,
+  isUndefined
+} from 'min-dash';
+
+import { mergeTranslations } from './templateTranslations';
+
+/**
+ * Get the base template reference of a template, if any.
+ *
+ * @param {ElementTemplate} template
+ *
+ * @return { { id: string, version?: number } | null }
+ */
+export function getExtends(template) {
+  const ref = template.extends;
+
+  if (isUndefined(ref)) {
+    return null;
+  }
+
+  if (isString(ref)) {
+    return { id: ref };
+  }
+
+  return ref;
+}
+
+/**
+ * Resolve a template extending a base template, recursively.
+ *
+ * @param {ElementTemplate} template
+ * @param {Object} options
+ * @param {(ref: { id: string, version?: number }) => ElementTemplate|null} options.findBase
+ * @param {(template: ElementTemplate) => boolean} [options.isResolved] whether a base got resolved before
+ *
+ * @return {ElementTemplate} template with merged properties, groups and `entriesVisible`
+ *
+ * @throws {Error} if a base template is missing or base templates form a cycle
+ */
+export function resolveExtends(template, options) {
+  const {
+    findBase,
+    isResolved = () => false
+  } = options;
+
+  return resolve(template, findBase, isResolved, []);
+}
+
+/**
+ * Merge a template into its base template. Properties and groups of the
+ * template replace those of the base with the same ID, translations of the
+ * template those of the base for the same locale and text.
+ *
+ * @param {ElementTemplate} base
+ * @param {ElementTemplate} template
+ *
+ * @return {ElementTemplate}
+ */
+export function mergeTemplates(base, template) {
+  const merged = { ...template };
+
+  const properties = mergeById(base.properties, template.properties),
+        groups = mergeById(base.groups, template.groups);
+
+  if (properties) {
+    merged.properties = properties;
+  }
+
+  if (groups) {
+    merged.groups = groups;
+  }
+
+  if (isUndefined(template.entriesVisible) && !isUndefined(base.entriesVisible)) {
+    merged.entriesVisible = base.entriesVisible;
+  }
+
+  const translations = mergeTranslations(base.translations, template.translations);
+
+  if (translations) {
+    merged.translations = translations;
+  }
+
+  return merged;
+}
+
+
+// helpers //////////
+
+function resolve(template, findBase, isResolved, path) {
+  const ref = getExtends(template);
+
+  if (!ref || isResolved(template)) {
+    return template;
+  }
+
+  const error = getExtendsError(ref);
+
+  if (error) {
+    throw new Error(error);
+  }
+
+  if (path.includes(template)) {
+    const cycle = [ ...path.slice(path.indexOf(template)), template ];
+
+    throw new Error(`base templates <${ cycle.map(template => template.id).join(' -> ') }> form a cycle`);
+  }
+
+  const base = findBase(ref);
+
+  if (!base) {
+    throw new Error(
+      isUndefined(ref.version)
+        ? `missing base template <${ ref.id }>`
+        : `missing base template <${ ref.id }> with version <${ ref.version }>`
+    );
+  }
+
+  return mergeTemplates(resolve(base, findBase, isResolved, [ ...path, template ]), template);
+}
+
+function mergeById(baseItems, items) {
+  if (!isArray(baseItems)) {
+    return items;
+  }
+
+  if (!isArray(items)) {
+    return baseItems;
+  }
+
+  const overrides = items.filter(item => item && !isUndefined(item.id));
+
+  const merged = baseItems.map(baseItem => {
+    const override = baseItem && !isUndefined(baseItem.id) && overrides.find(item => item.id === baseItem.id);
+
+    return override || baseItem;
+  });
+
+  return [
+    ...merged,
+    ...items.filter(item => !merged.includes(item))
+  ];
+}
+
+function getExtendsError(ref) {
+  if (!isObject(ref) || !isString(ref.id) || !(isUndefined(ref.version) || isNumber(ref.version))) {
+    return '<extends> must be a template id or an object with <id> and optional <version>';
+  }
+}
@@ -0,0 +1,148 @@
+import {
+  forEach,
+  isArray,
+  isObject,
+  isString,
+  isUndefined
+} from 'min-dash';
+
+/**
+ * @typedef { Record<string, Record<string, string>> } TemplateTranslations
+ */
+
+/**
+ * Get all texts of a template that may be translated, i.e. its name and
+ * description, property labels, descriptions, tooltips and choice names
+ * as well as group labels and tooltips.
+ *
+ * @param {ElementTemplate} template
+ *
+ * @return {Array<string>}
+ */
+export function getTranslatableTexts(template) {
+  const texts = [];
+
+  translateTemplate(template, text => {
+    texts.push(text);
+
+    return text;
+  });
+
+  return texts;
+}
+
+/**
+ * Create a copy of the template with all translatable texts translated.
+ *
+ * @param {ElementTemplate} template
+ * @param {(text: string) => string} translateText
+ *
+ * @return {ElementTemplate}
+ */
+export function translateTemplate(template, translateText) {
+  const translated = translateKeys(template, [ 'name', 'description' ], translateText);
+
+  if (isArray(template.properties)) {
+    translated.properties = template.properties.map(property => {
+      if (!isObject(property)) {
+        return property;
+      }
+
+      const translatedProperty = translateKeys(property, [ 'label', 'description', 'tooltip' ], translateText);
+
+      if (isArray(property.choices)) {
+        translatedProperty.choices = property.choices.map(choice => {
+          return isObject(choice) ? translateKeys(choice, [ 'name' ], translateText) : choice;
+        });
+      }
+
+      return translatedProperty;
+    });
+  }
+
+  if (isArray(template.groups)) {
+    translated.groups = template.groups.map(group => {
+      return isObject(group) ? translateKeys(group, [ 'label', 'tooltip' ], translateText) : group;
+    });
+  }
+
+  return translated;
+}
+
+/**
+ * Merge translations of a base template into the translations of a template
+ * extending it. Translations of the template take precedence.
+ *
+ * @param {TemplateTranslations} [baseTranslations]
+ * @param {TemplateTranslations} [translations]
+ *
+ * @return {TemplateTranslations|undefined}
+ */
+export function mergeTranslations(baseTranslations, translations) {
+  if (!isObject(baseTranslations) || !isObject(translations)) {
+    return translations || baseTranslations;
+  }
+
+  const merged = { ...baseTranslations };
+
+  forEach(translations, (texts, locale) => {
+    merged[ locale ] = isObject(texts) && isObject(merged[ locale ]) ? { ...merged[ locale ], ...texts } : texts;
+  });
+
+  return merged;
+}
+
+/**
+ * Validate the translations of a template. Translations must map locales
+ * to translated texts of the template.
+ *
+ * @param {ElementTemplate} template
+ *
+ * @return {string|undefined} error message, if any
+ */
+export function getTranslationsError(template) {
+  const { translations } = template;
+
+  if (isUndefined(translations)) {
+    return;
+  }
+
+  if (!isObject(translations)) {
+    return '<translations> must be an object';
+  }
+
+  const texts = getTranslatableTexts(template);
+
+  for (const locale of Object.keys(translations)) {
+    const localeTranslations = translations[ locale ];
+
+    if (!isObject(localeTranslations)) {
+      return `translations for locale <${ locale }> must be an object`;
+    }
+
+    for (const text of Object.keys(localeTranslations)) {
+      if (!isString(localeTranslations[ text ])) {
+        return `translation of <${ text }> for locale <${ locale }> must be a string`;
+      }
+
+      if (!texts.includes(text)) {
+        return `translation for locale <${ locale }> references unknown text <${ text }>`;
+      }
+    }
+  }
+}
+
+
+// helpers //////////
+
+function translateKeys(object, keys, translateText) {
+  const translated = { ...object };
+
+  keys.forEach(key => {
+    if (isString(object[ key ])) {
+      translated[ key ] = translateText(object[ key ]);
+    }
+  });
+
+  return translated;
+}
@@ -6,9 +6,10 @@ import { Validator } from '../Validator';
  *
  * @param {Array<TemplateDescriptor>} descriptors
  * @param {Moddle} moddle
+ * @param {BindingTypeRegistry} [bindingTypeRegistry]
  *
  * @return {Array<Error>}
  */
-export default function validate(descriptors, moddle) {
-  return new Validator(moddle).addAll(descriptors).getErrors();
+export default function validate(descriptors, moddle, bindingTypeRegistry) {
+  return new Validator(moddle, bindingTypeRegistry).addAll(descriptors).getErrors();
 }
@@ -3,9 +3,14 @@ import {
   CreateIcon,
   DropdownButton,
   HeaderButton,
+  Popup,
   useLayoutState
 } from '@bpmn-io/properties-panel';
 
+import { useState } from '@bpmn-io/properties-panel/preact/hooks';
+
+import { isFunction } from 'min-dash';
+
 import classnames from 'classnames';
 
 import {
@@ -15,32 +20,11 @@ import {
 import { getTemplateId as defaultGetTemplateId } from '../element-templates/Helper';
 
 import {
+  getTemplateState,
   getVersionOrDateFromTemplate
 } from '../utils/templateUtil';
 
 
-/**
- * @typedef {NoTemplate|KnownTemplate|UnknownTemplate|OutdatedTemplate} TemplateState
- */
-
-/**
- * @typedef NoTemplate
- * @property {'NO_TEMPLATE'} type
- *
- * @typedef KnownTemplate
- * @property {'KNOWN_TEMPLATE'} type
- * @property {object} template
- *
- * @typedef UnknownTemplate
- * @property {'UNKNOWN_TEMPLATE'} type
- * @property {string} templateId
- *
- * @typedef OutdatedTemplate
- * @property {'OUTDATED_TEMPLATE'} type
- * @property {object} template
- * @property {object} newerTemplate
- */
-
 /**
  * Factory to create an element templates group.
  *
@@ -248,24 +232,194 @@ function OutdatedTemplate({ element, templateState }) {
   const translate = useService('translate'),
         elementTemplates = useService('elementTemplates');
 
+  const [ preview, setPreview ] = useState(null);
+
+  const applyTemplate = () => elementTemplates.applyTemplate(element, newerTemplate);
+
+  const updateTemplate = () => {
+
+    // preview changes before updating, if supported
+    if (isFunction(elementTemplates.previewApply)) {
+      return setPreview(elementTemplates.previewApply(element, newerTemplate));
+    }
+
+    applyTemplate();
+  };
+
+  const closePreview = () => setPreview(null);
+
+  const confirmPreview = () => {
+    closePreview();
+
+    applyTemplate();
+  };
+
   const menuItems = [
     { entry: <UpdateAvailableText newerTemplate={ newerTemplate } /> },
     { separator: true },
-    { entry: translate('Update'), action: () => elementTemplates.applyTemplate(element, newerTemplate) },
+    { entry: translate('Update'), action: updateTemplate },
     { entry: translate('Unlink'), action: () => elementTemplates.unlinkTemplate(element) },
     { entry: <RemoveTemplate />, action: () => elementTemplates.removeTemplate(element) }
   ];
 
   return (
-    <DropdownButton menuItems={ menuItems } class="bio-properties-panel-template-update-available">
-      <HeaderButton>
-        <span>{ translate('Update available') }</span>
-        <ArrowIcon class="bio-properties-panel-arrow-down" />
-      </HeaderButton>
-    </DropdownButton>
+    <>
+      <DropdownButton menuItems={ menuItems } class="bio-properties-panel-template-update-available">
+        <HeaderButton>
+          <span>{ translate('Update available') }</span>
+          <ArrowIcon class="bio-properties-panel-arrow-down" />
+        </HeaderButton>
+      </DropdownButton>
+      {
+        preview && (
+          <UpdatePreview
+            preview={ preview }
+            onClose={ closePreview }
+            onUpdate={ confirmPreview } />
+        )
+      }
+    </>
+  );
+}
+
+/**
+ * Dialog listing the changes an update to a newer template causes.
+ *
+ * @param {object} props
+ * @param {object} props.preview
+ * @param {function} props.onClose
+ * @param {function} props.onUpdate
+ */
+function UpdatePreview({ preview, onClose, onUpdate }) {
+  const translate = useService('translate');
+
+  const {
+    extensionElements,
+    newTemplate,
+    properties
+  } = preview;
+
+  const title = translate(
+    'Update to version {templateVersion}',
+    { templateVersion: getVersionOrDateFromTemplate(newTemplate) }
+  );
+
+  const empty = !properties.length && !extensionElements.length;
+
+  return (
+    <Popup
+      className="bio-properties-panel-template-update-preview"
+      title={ title }
+      onClose={ onClose }
+    >
+      <Popup.Title title={ title } />
+      <Popup.Body>
+        {
+          empty && (
+            <div class="bio-properties-panel-template-update-preview__empty">
+              { translate('No changes to apply.') }
+            </div>
+          )
+        }
+        {
+          properties.length > 0 && (
+            <ChangeList label={ translate('Properties') }>
+              {
+                properties.map(change => <PropertyChange change={ change } />)
+              }
+            </ChangeList>
+          )
+        }
+        {
+          extensionElements.length > 0 && (
+            <ChangeList label={ translate('Extension elements') }>
+              {
+                extensionElements.map(({ action, type }) => (
+                  <Change action={ action } label={ type } />
+                ))
+              }
+            </ChangeList>
+          )
+        }
+      </Popup.Body>
+      <Popup.Footer>
+        <button
+          type="button"
+          class="bio-properties-panel-template-update-preview__cancel"
+          onClick={ onClose }
+        >
+          { translate('Cancel') }
+        </button>
+        <button
+          type="button"
+          class="bio-properties-panel-template-update-preview__update"
+          onClick={ onUpdate }
+        >
+          { translate('Update') }
+        </button>
+      </Popup.Footer>
+    </Popup>
+  );
+}
+
+function ChangeList({ label, children }) {
+  return (
+    <div class="bio-properties-panel-template-update-preview__section">
+      <div class="bio-properties-panel-template-update-preview__section-label">{ label }</div>
+      <ul class="bio-properties-panel-template-update-preview__changes">{ children }</ul>
+    </div>
+  );
+}
+
+function PropertyChange({ change }) {
+  const {
+    action,
+    newValue,
+    oldValue,
+    property
+  } = change;
+
+  const label = property.label || property.binding.name || property.binding.type;
+
+  let value;
+
+  if (action === 'overwrite') {
+    value = `${ oldValue } → ${ newValue }`;
+  } else if (action === 'add') {
+    value = String(newValue);
+  } else {
+    value = String(oldValue);
+  }
+
+  return <Change action={ action } label={ label } value={ value } />;
+}
+
+function Change({ action, label, value }) {
+  const translate = useService('translate');
+
+  return (
+    <li class={ classnames(
+      'bio-properties-panel-template-update-preview__change',
+      `bio-properties-panel-template-update-preview__change--${ action }`
+    ) }>
+      <span class="bio-properties-panel-template-update-preview__action">
+        { translate(CHANGE_ACTION_LABELS[ action ]) }
+      </span>
+      <span class="bio-properties-panel-template-update-preview__label">{ label }</span>
+      {
+        value && <span class="bio-properties-panel-template-update-preview__value">{ value }</span>
+      }
+    </li>
   );
 }
 
+const CHANGE_ACTION_LABELS = {
+  add: 'Added',
+  keep: 'Kept',
+  overwrite: 'Overwritten',
+  remove: 'Removed'
+};
+
 function UpdateAvailableText({ newerTemplate }) {
   const translate = useService('translate');
 
@@ -320,38 +474,3 @@ function DocumentationIcon() {
   </svg>;
 }
 
-
-// helper //////
-
-/**
- * Determine template state in the current element.
- *
- * @param {object} elementTemplates
- * @param {object} element
- * @param {function} getTemplateId
- * @returns {TemplateState}
- */
-function getTemplateState(elementTemplates, element, getTemplateId) {
-  const templateId = getTemplateId(element),
-        template = elementTemplates.get(element);
-
-  if (!templateId) {
-    return { type: 'NO_TEMPLATE' };
-  }
-
-  if (!template) {
-    return { type: 'UNKNOWN_TEMPLATE', templateId };
-  }
-
-  if (template.deprecated) {
-    return { type: 'DEPRECATED_TEMPLATE', template };
-  }
-
-  const newerTemplate = elementTemplates.getLatest(templateId, { deprecated: true })[0];
-
-  if (newerTemplate !== template) {
-    return { type: 'OUTDATED_TEMPLATE', template, newerTemplate };
-  }
-
-  return { type: 'KNOWN_TEMPLATE', template };
-}
@@ -2,8 +2,14 @@ import { useService } from 'bpmn-js-properties-panel';
 
 import { getVersionOrDateFromTemplate } from '../utils/templateUtil';
 
-export function TemplateProps({ element, elementTemplates }) {
-  const template = elementTemplates.get(element);
+/**
+ * @param {Object} props
+ * @param {djs.model.Base} props.element
+ * @param {ElementTemplates} props.elementTemplates
+ * @param {ElementTemplate} [props.elementTemplate] template to display, defaults to the template of the element
+ */
+export function TemplateProps({ element, elementTemplates, elementTemplate }) {
+  const template = elementTemplate || elementTemplates.get(element);
 
   if (!template) {
     return [];
@@ -0,0 +1,183 @@
+import { render } from '@bpmn-io/properties-panel/preact';
+
+import {
+  domify,
+  query as domQuery
+} from 'min-dom';
+
+import { isString } from 'min-dash';
+
+import { isAny } from 'bpmn-js/lib/util/ModelUtil';
+
+import { ElementTemplatesChooserModal } from './components/ElementTemplatesChooserModal';
+
+/**
+ * @typedef { {
+ *   enabled?: boolean,
+ *   parent?: string|HTMLElement
+ * } } ElementTemplatesChooserConfig
+ */
+
+/**
+ * A chooser for element templates. Opens on `elementTemplates.select`
+ * and applies the chosen template to the element. Errors applying the
+ * template are reported via `elementTemplatesChooser.error`.
+ *
+ * @param {ElementTemplatesChooserConfig} [config]
+ * @param {EventBus} eventBus
+ * @param {ElementTemplates} elementTemplates
+ * @param {Function} translate
+ */
+export default class ElementTemplatesChooser {
+  constructor(config = {}, eventBus, elementTemplates, translate) {
+    this._config = config;
+    this._eventBus = eventBus;
+    this._elementTemplates = elementTemplates;
+    this._translate = translate;
+
+    this._container = null;
+    this._cancel = null;
+
+    if (config.enabled !== false) {
+      eventBus.on('elementTemplates.select', this._handleSelect, this);
+    }
+
+    eventBus.on('diagram.destroy', () => this.close());
+  }
+
+  /**
+   * Open the chooser for the given element.
+   *
+   * @param {djs.model.Base} element
+   *
+   * @return {Promise<ElementTemplate>} resolved with the chosen template,
+   * rejected with `user-canceled` if the chooser is closed
+   */
+  open(element) {
+    this.close();
+
+    return new Promise((resolve, reject) => {
+      const done = (fn, value) => {
+        this._cancel = null;
+
+        this._unmount();
+
+        this._eventBus.fire('elementTemplatesChooser.closed', { element });
+
+        fn(value);
+      };
+
+      this._cancel = () => done(reject, 'user-canceled');
+
+      this._mount(container => (
+        <ElementTemplatesChooserModal
+          container={ container }
+          templates={ this._getTemplates(element) }
+          getVersions={ template => this._getVersions(element, template) }
+          translate={ this._translate }
+          onSelect={ template => done(resolve, template) }
+          onClose={ this._cancel } />
+      ));
+
+      this._eventBus.fire('elementTemplatesChooser.opened', { element });
+    });
+  }
+
+  /**
+   * Close the chooser, if open.
+   */
+  close() {
+    if (this._cancel) {
+      this._cancel();
+    }
+  }
+
+  /**
+   * Check whether the chooser is open.
+   *
+   * @return {boolean}
+   */
+  isOpen() {
+    return !!this._cancel;
+  }
+
+  _handleSelect(event) {
+    const { element } = event;
+
+    this.open(element).then(template => {
+      this._elementTemplates.applyTemplate(element, template);
+    }).catch(error => {
+      if (error !== 'user-canceled') {
+        this._eventBus.fire('elementTemplatesChooser.error', { element, error });
+      }
+    });
+  }
+
+  /**
+   * Get latest versions of templates applicable to the element,
+   * including deprecated ones.
+   *
+   * @param {djs.model.Base} element
+   *
+   * @return {Array<ElementTemplate>}
+   */
+  _getTemplates(element) {
+    return this._elementTemplates.getLatest(element, { deprecated: true });
+  }
+
+  /**
+   * Get all versions of a template applicable to the element, latest first.
+   *
+   * @param {djs.model.Base} element
+   * @param {ElementTemplate} template
+   *
+   * @return {Array<ElementTemplate>}
+   */
+  _getVersions(element, template) {
+    const versions = this._elementTemplates.getAll(template.id) || [];
+
+    return versions
+      .filter(version => isAny(element, version.appliesTo))
+      .sort((a, b) => (b.version || 0) - (a.version || 0));
+  }
+
+  _mount(renderModal) {
+    const parent = this._getParent();
+
+    this._container = domify('<div class="bio-element-templates-chooser-container"></div>');
+
+    parent.appendChild(this._container);
+
+    render(renderModal(this._container), this._container);
+  }
+
+  _unmount() {
+    if (!this._container) {
+      return;
+    }
+
+    render(null, this._container);
+
+    this._container.remove();
+
+    this._container = null;
+  }
+
+  _getParent() {
+    const { parent } = this._config;
+
+    if (isString(parent)) {
+      return domQuery(parent) || document.body;
+    }
+
+    return parent || document.body;
+  }
+}
+
+ElementTemplatesChooser.$inject = [
+  'config.elementTemplatesChooser',
+  'eventBus',
+  'elementTemplates',
+  'translate'
+];
+
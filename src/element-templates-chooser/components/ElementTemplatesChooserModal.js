@@ -0,0 +1,324 @@
+import { Popup } from '@bpmn-io/properties-panel';
+
+import {
+  useEffect,
+  useMemo,
+  useRef,
+  useState
+} from '@bpmn-io/properties-panel/preact/hooks';
+
+import { isArray } from 'min-dash';
+
+import classnames from 'classnames';
+
+import { getVersionOrDateFromTemplate } from '../../utils/templateUtil';
+
+const NO_CATEGORY = '__no_category';
+
+
+/**
+ * Dialog to search and choose an element template.
+ *
+ * @param {object} props
+ * @param {HTMLElement} [props.container]
+ * @param {Array<object>} props.templates latest versions of templates to choose from
+ * @param {function} props.getVersions
+ * @param {function} props.translate
+ * @param {function} props.onSelect
+ * @param {function} props.onClose
+ */
+export function ElementTemplatesChooserModal(props) {
+  const {
+    container,
+    templates,
+    getVersions,
+    translate,
+    onSelect,
+    onClose
+  } = props;
+
+  const [ search, setSearch ] = useState('');
+  const [ selectedId, setSelectedId ] = useState(null);
+  const [ chosenVersions, setChosenVersions ] = useState({});
+
+  const listRef = useRef(null);
+
+  const groups = useMemo(
+    () => groupByCategory(filterTemplates(templates, search), translate),
+    [ templates, search, translate ]
+  );
+
+  const entries = groups.reduce((entries, group) => [ ...entries, ...group.templates ], []);
+
+  const selected = entries.find(template => template.id === selectedId) || entries[ 0 ];
+
+  // keep selected entry visible during keyboard navigation
+  useEffect(() => {
+    const node = listRef.current && listRef.current.querySelector('.bio-element-templates-chooser__entry--selected');
+
+    node && node.scrollIntoView && node.scrollIntoView({ block: 'nearest' });
+  }, [ selected ]);
+
+  const confirm = (template = selected) => {
+    if (!template) {
+      return;
+    }
+
+    onSelect(chosenVersions[ template.id ] || template);
+  };
+
+  const chooseVersion = (template, version) => {
+    setSelectedId(template.id);
+
+    setChosenVersions({
+      ...chosenVersions,
+      [ template.id ]: version
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    const index = entries.indexOf(selected);
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+
+      const offset = event.key === 'ArrowDown' ? 1 : -1;
+
+      const next = entries[ Math.min(Math.max(index + offset, 0), entries.length - 1) ];
+
+      next && setSelectedId(next.id);
+    }
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+
+      confirm();
+    }
+  };
+
+  const title = translate('Choose element template');
+
+  return (
+    <Popup
+      container={ container }
+      className="bio-element-templates-chooser"
+      title={ title }
+      onClose={ onClose }
+    >
+      <Popup.Title title={ title } />
+      <Popup.Body onKeyDown={ handleKeyDown }>
+        <input
+          type="search"
+          class="bio-element-templates-chooser__search"
+          placeholder={ translate('Search templates') }
+          aria-label={ translate('Search templates') }
+          value={ search }
+          autoFocus
+          onInput={ event => {
+            setSearch(event.target.value);
+            setSelectedId(null);
+          } } />
+        <div class="bio-element-templates-chooser__list" ref={ listRef } role="listbox">
+          {
+            !entries.length && (
+              <div class="bio-element-templates-chooser__empty">
+                { translate('No matching templates found.') }
+              </div>
+            )
+          }
+          {
+            groups.map(group => (
+              <div class="bio-element-templates-chooser__category" key={ group.id }>
+                <div class="bio-element-templates-chooser__category-name">{ group.name }</div>
+                <ul class="bio-element-templates-chooser__entries">
+                  {
+                    group.templates.map(template => (
+                      <TemplateEntry
+                        key={ template.id }
+                        template={ template }
+                        version={ chosenVersions[ template.id ] || template }
+                        versions={ getVersions(template) }
+                        selected={ template === selected }
+                        translate={ translate }
+                        onClick={ () => setSelectedId(template.id) }
+                        onConfirm={ () => confirm(template) }
+                        onVersionChange={ version => chooseVersion(template, version) } />
+                    ))
+                  }
+                </ul>
+              </div>
+            ))
+          }
+        </div>
+      </Popup.Body>
+      <Popup.Footer>
+        <button
+          type="button"
+          class="bio-element-templates-chooser__cancel"
+          onClick={ onClose }
+        >
+          { translate('Cancel') }
+        </button>
+        <button
+          type="button"
+          class="bio-element-templates-chooser__apply"
+          disabled={ !selected }
+          onClick={ () => confirm() }
+        >
+          { translate('Apply') }
+        </button>
+      </Popup.Footer>
+    </Popup>
+  );
+}
+
+function TemplateEntry(props) {
+  const {
+    template,
+    version,
+    versions,
+    selected,
+    translate,
+    onClick,
+    onConfirm,
+    onVersionChange
+  } = props;
+
+  const {
+    description,
+    icon,
+    name
+  } = template;
+
+  return (
+    <li
+      class={ classnames('bio-element-templates-chooser__entry', {
+        'bio-element-templates-chooser__entry--selected': selected
+      }) }
+      role="option"
+      aria-selected={ selected }
+      data-template-id={ template.id }
+      onClick={ onClick }
+      onDblClick={ onConfirm }
+    >
+      {
+        icon && icon.contents
+          ? <img class="bio-element-templates-chooser__icon" src={ icon.contents } alt="" />
+          : <span class="bio-element-templates-chooser__icon" />
+      }
+      <div class="bio-element-templates-chooser__entry-content">
+        <div class="bio-element-templates-chooser__entry-name">
+          { name }
+          {
+            version.deprecated && (
+              <span class="bio-element-templates-chooser__deprecated">{ translate('Deprecated') }</span>
+            )
+          }
+        </div>
+        {
+          description && (
+            <div class="bio-element-templates-chooser__entry-description">{ description }</div>
+          )
+        }
+      </div>
+      {
+        versions.length > 1 && (
+          <select
+            class="bio-element-templates-chooser__version"
+            aria-label={ translate('Version') }
+            value={ versions.indexOf(version) }
+            onClick={ event => event.stopPropagation() }
+            onChange={ event => onVersionChange(versions[ event.target.value ]) }
+          >
+            {
+              versions.map((version, index) => (
+                <option value={ index }>
+                  { getVersionLabel(version, translate) }
+                </option>
+              ))
+            }
+          </select>
+        )
+      }
+    </li>
+  );
+}
+
+
+// helpers //////////
+
+function getVersionLabel(template, translate) {
+  const version = getVersionOrDateFromTemplate(template);
+
+  const label = version === null ? translate('No version') : String(version);
+
+  if (template.deprecated) {
+    return translate('{version} (deprecated)', { version: label });
+  }
+
+  return label;
+}
+
+function filterTemplates(templates, search) {
+  const terms = search.toLowerCase().split(/\s+/).filter(term => term);
+
+  if (!terms.length) {
+    return templates;
+  }
+
+  return templates.filter(template => {
+    const {
+      category,
+      description,
+      keywords,
+      name
+    } = template;
+
+    const text = [
+      name,
+      description,
+      category && category.name,
+      ...(isArray(keywords) ? keywords : [])
+    ].filter(text => text).join(' ').toLowerCase();
+
+    return terms.every(term => text.includes(term));
+  });
+}
+
+/**
+ * Group templates by category, templates without a category last.
+ * Deprecated templates are listed last within a category.
+ */
+function groupByCategory(templates, translate) {
+  const groups = [];
+
+  templates.forEach(template => {
+    const { category } = template;
+
+    const id = category ? category.id : NO_CATEGORY;
+
+    let group = groups.find(group => group.id === id);
+
+    if (!group) {
+      group = {
+        id,
+        name: category ? category.name : translate('Other templates'),
+        templates: []
+      };
+
+      groups.push(group);
+    }
+
+    group.templates.push(template);
+  });
+
+  groups.forEach(group => {
+    group.templates.sort((a, b) => !!a.deprecated - !!b.deprecated || compareNames(a, b));
+  });
+
+  return groups.sort((a, b) => (a.id === NO_CATEGORY) - (b.id === NO_CATEGORY));
+}
+
+function compareNames(a, b) {
+  return (a.name || '').localeCompare(b.name || '');
+}
@@ -0,0 +1,6 @@
+import ElementTemplatesChooser from './ElementTemplatesChooser';
+
+export default {
+  __init__: [ 'elementTemplatesChooser' ],
+  elementTemplatesChooser: [ 'type', ElementTemplatesChooser ]
+};
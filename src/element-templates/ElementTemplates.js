@@ -16,6 +16,8 @@ import {
 
 import { isAny } from 'bpmn-js/lib/util/ModelUtil';
 
+import { Validator } from './Validator';
+
 /**
  * Registry for element templates.
  */
@@ -110,23 +112,158 @@ export default class ElementTemplates {
   set(templates) {
     this._templates = {};
 
-    templates.forEach((template) => {
-      const id = template.id,
-            version = isUndefined(template.version) ? '_' : template.version;
+    templates.forEach(this._register, this);
+  }
 
-      if (!this._templates[ id ]) {
-        this._templates[ id ] = {
-          latest: template
-        };
-      }
+  /**
+   * Validate and add a single template.
+   *
+   * Fires `elementTemplates.errors` if the template is invalid
+   * or its version is already registered.
+   *
+   * @param {ElementTemplate} template
+   *
+   * @return {boolean} whether the template was added
+   */
+  add(template) {
+    const validTemplate = this._validate(template, this.getAll());
 
-      this._templates[ id ][ version ] = template;
+    if (!validTemplate) {
+      return false;
+    }
 
-      const latestVerions = this._templates[ id ].latest.version;
-      if (isUndefined(latestVerions) || template.version > latestVerions) {
-        this._templates[ id ].latest = template;
-      }
+    this._register(validTemplate);
+
+    this._eventBus.fire('elementTemplates.added', { template: validTemplate });
+
+    this._templatesChanged();
+
+    return true;
+  }
+
+  /**
+   * Remove a template version or, if no version is given, all versions
+   * of a template.
+   *
+   * @param {string} id
+   * @param {number} [version]
+   *
+   * @return {Array<ElementTemplate>} removed templates
+   */
+  remove(id, version) {
+    const versions = this._templates[ id ];
+
+    if (!versions) {
+      return [];
+    }
+
+    const removed = isUndefined(version)
+      ? this.getAll(id)
+      : [ versions[ version ] ].filter(template => template);
+
+    removed.forEach((template) => {
+      this._unregister(template);
+
+      this._eventBus.fire('elementTemplates.removed', { template });
+    });
+
+    if (removed.length) {
+      this._templatesChanged();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Validate and add a single template, replacing the
+   * template with the same ID and version, if any.
+   *
+   * @param {ElementTemplate} template
+   *
+   * @return {boolean} whether the template was added
+   */
+  replace(template) {
+    const knownTemplates = this.getAll().filter(knownTemplate => {
+      return !template || knownTemplate.id !== template.id || getVersionKey(knownTemplate) !== getVersionKey(template);
     });
+
+    const validTemplate = this._validate(template, knownTemplates);
+
+    if (!validTemplate) {
+      return false;
+    }
+
+    const oldTemplate = this.get(template.id, template.version);
+
+    if (oldTemplate) {
+      this._unregister(oldTemplate);
+
+      this._eventBus.fire('elementTemplates.removed', { template: oldTemplate });
+    }
+
+    this._register(validTemplate);
+
+    this._eventBus.fire('elementTemplates.added', { template: validTemplate });
+
+    this._templatesChanged();
+
+    return true;
+  }
+
+  /**
+   * Validate template against already known templates.
+   *
+   * @param {ElementTemplate} template
+   * @param {Array<ElementTemplate>} knownTemplates
+   *
+   * @return {ElementTemplate|null} valid template, as registered
+   */
+  _validate(template, knownTemplates) {
+    const validator = this._createValidator()
+      .addKnown(knownTemplates)
+      .add(template);
+
+    const errors = validator.getErrors();
+
+    if (errors.length) {
+      this._eventBus.fire('elementTemplates.errors', { errors });
+    }
+
+    return validator.getValidTemplates()[ 0 ] || null;
+  }
+
+  _createValidator() {
+    return new Validator(this._injector.get('moddle'));
+  }
+
+  _templatesChanged() {
+    this._eventBus.fire('elementTemplates.changed');
+  }
+
+  _register(template) {
+    const id = template.id;
+
+    const versions = this._templates[ id ] = this._templates[ id ] || {};
+
+    versions[ getVersionKey(template) ] = template;
+
+    versions.latest = getLatestVersion(versions);
+  }
+
+  _unregister(template) {
+    const id = template.id;
+
+    const versions = this._templates[ id ];
+
+    delete versions[ getVersionKey(template) ];
+
+    const latest = getLatestVersion(versions);
+
+    if (latest) {
+      versions.latest = latest;
+    } else {
+      delete this._templates[ id ];
+    }
   }
 
   /**
@@ -256,3 +393,27 @@ ElementTemplates.$inject = [
 ];
 
 
+// helpers //////////
+
+function getVersionKey(template) {
+  return isUndefined(template.version) ? '_' : template.version;
+}
+
+/**
+ * Get latest version; versioned templates take precedence.
+ *
+ * @param {Object} versions
+ *
+ * @return {ElementTemplate|undefined}
+ */
+function getLatestVersion(versions) {
+  const { latest, ...templates } = versions;
+
+  return values(templates).reduce((latest, template) => {
+    if (!latest || isUndefined(latest.version) || template.version > latest.version) {
+      return template;
+    }
+
+    return latest;
+  }, undefined);
+}
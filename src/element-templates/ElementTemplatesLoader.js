@@ -1,72 +1,113 @@
 import {
+  isArray,
   isFunction,
+  isObject,
   isUndefined
 } from 'min-dash';
 
 import { Validator } from './Validator';
 
+import { getTemplateState } from '../utils/templateUtil';
+
+/**
+ * @typedef { Array<TemplateDescriptor>
+ *   | Promise<Array<TemplateDescriptor>>
+ *   | AsyncIterable<Array<TemplateDescriptor>>
+ *   | ((done: Function, options: { signal?: AbortSignal }) => any)
+ * } TemplatesSource
+ *
+ * @typedef { {
+ *   sources: Array<{ name: string, templates: TemplatesSource }>
+ * } } NamedTemplatesSources
+ */
+
 /**
  * The guy responsible for template loading.
  *
  * Provide the actual templates via the `config.elementTemplates`.
  *
  * That configuration can either be an array of template
- * descriptors or a node style callback to retrieve
- * the templates asynchronously.
+ * descriptors, a promise, an async iterable yielding pages of templates
+ * or a function. The function receives a node style callback and may,
+ * alternatively, return any of the former.
+ *
+ * Multiple named sources can be configured as `{ sources: [ { name, templates } ] }`.
+ * Their templates are merged; if several sources provide a template with the same
+ * ID and version, the source listed first takes precedence.
  *
- * @param {Array<TemplateDescriptor>|Function} loadTemplates
+ * `elementTemplates.loading` and `elementTemplates.loaded` are fired around every
+ * load. Calling `reload` during a load cancels the stale one.
+ *
+ * Whenever templates change, elements linked to templates are reconciled
+ * and `elementTemplates.reconciled` is fired with the template state of
+ * every element whose state changed.
+ *
+ * @param {TemplatesSource|NamedTemplatesSources} loadTemplates
  * @param {EventBus} eventBus
  * @param {ElementTemplates} elementTemplates
  * @param {Moddle} moddle
+ * @param {Injector} injector
  */
 export default class ElementTemplatesLoader {
-  constructor(loadTemplates, eventBus, elementTemplates, moddle) {
+  constructor(loadTemplates, eventBus, elementTemplates, moddle, injector) {
     this._loadTemplates = loadTemplates;
     this._eventBus = eventBus;
     this._elementTemplates = elementTemplates;
     this._moddle = moddle;
+    this._injector = injector;
+
+    this._load = null;
 
     eventBus.on('diagram.init', () => {
       this.reload();
     });
+
+    eventBus.on('diagram.destroy', () => {
+      this._cancelLoad();
+    });
   }
 
+  /**
+   * (Re-)load templates from the configured sources.
+   *
+   * @return {Promise<void>} resolved once loaded or canceled
+   */
   reload() {
     const loadTemplates = this._loadTemplates;
 
     // no templates specified
     if (isUndefined(loadTemplates)) {
-      return;
+      return Promise.resolve();
     }
 
-    // template loader function specified
-    if (isFunction(loadTemplates)) {
-
-      return loadTemplates((err, templates) => {
-
-        if (err) {
-          return this.templateErrors([ err ]);
-        }
-
-        this.setTemplates(templates);
-      });
+    // empty templates array specified
+    if (isArray(loadTemplates) && !loadTemplates.length) {
+      return Promise.resolve();
     }
 
-    // templates array specified
-    if (loadTemplates.length) {
-      return this.setTemplates(loadTemplates);
+    if (isNamedSources(loadTemplates)) {
+      return this._loadNamedSources(loadTemplates.sources);
     }
+
+    const load = this._startLoad();
+
+    return readSource(loadTemplates, load, {
+      page: templates => this._addTemplates(load, templates),
+      done: () => this._finishLoad(load),
+      error: err => this._failLoad(load, err)
+    });
   }
 
   setTemplates(templates) {
-    const elementTemplates = this._elementTemplates,
-          moddle = this._moddle;
+    const elementTemplates = this._elementTemplates;
 
-    const validator = new Validator(moddle).addAll(templates);
+    const validator = this._createValidator().addAll(templates);
 
     const errors = validator.getErrors(),
           validTemplates = validator.getValidTemplates();
 
+    const oldStates = this._getTemplateStates();
+
     elementTemplates.set(validTemplates);
 
     if (errors.length) {
@@ -74,6 +115,39 @@ export default class ElementTemplatesLoader {
     }
 
     this.templatesChanged();
+
+    this.reconcile(oldStates);
+  }
+
+  /**
+   * Compare the template state of linked elements to the given previous
+   * states and fire `elementTemplates.reconciled` with the changes.
+   *
+   * @param {Map<djs.model.Base, TemplateState>} oldStates
+   *
+   * @return {Array<{ element: djs.model.Base, oldState: TemplateState, newState: TemplateState }>} changes
+   */
+  reconcile(oldStates) {
+    const newStates = this._getTemplateStates();
+
+    const changes = [];
+
+    newStates.forEach((newState, element) => {
+      const oldState = oldStates.get(element);
+
+      if (!oldState || !isSameState(oldState, newState)) {
+        changes.push({ element, oldState: oldState || null, newState });
+      }
+    });
+
+    const upgraded = this._autoUpgrade(changes);
+
+    this._eventBus.fire('elementTemplates.reconciled', {
+      changes,
+      upgraded
+    });
+
+    return changes;
   }
 
   templatesChanged() {
@@ -85,11 +159,366 @@ export default class ElementTemplatesLoader {
       errors: errors
     });
   }
+
+  _createValidator() {
+    return new Validator(this._moddle);
+  }
+
+  _startLoad(sources) {
+    this._cancelLoad();
+
+    const controller = typeof AbortController === 'undefined' ? null : new AbortController();
+
+    const load = this._load = {
+      canceled: false,
+      controller,
+      signal: controller ? controller.signal : undefined,
+      oldStates: this._getTemplateStates(),
+      templates: [],
+      errors: [],
+      updated: false
+    };
+
+    this._eventBus.fire('elementTemplates.loading', { sources });
+
+    return load;
+  }
+
+  _cancelLoad() {
+    const load = this._load;
+
+    if (!load) {
+      return;
+    }
+
+    load.canceled = true;
+
+    if (load.controller) {
+      load.controller.abort();
+    }
+
+    this._load = null;
+  }
+
+  _loadNamedSources(sources) {
+    const load = this._startLoad(sources.map(source => source.name));
+
+    const results = sources.map(() => []);
+
+    return Promise.all(sources.map(({ templates }, index) => {
+      return readSource(templates, load, {
+        page: templates => results[ index ].push(...(isArray(templates) ? templates : [])),
+        done: () => {},
+        error: err => {
+          load.errors.push(err);
+
+          this.templateErrors([ err ]);
+        }
+      });
+    })).then(() => {
+      if (load.canceled) {
+        return;
+      }
+
+      this._addTemplates(load, mergeSources(results));
+
+      this._finishLoad(load);
+    });
+  }
+
+  /**
+   * Validate and register a page of templates loaded. Only the page
+   * is validated against the templates loaded before.
+   */
+  _addTemplates(load, templates) {
+    const validator = this._createValidator()
+      .addKnown(load.templates)
+      .addAll(templates);
+
+    const errors = validator.getErrors();
+
+    load.templates = [ ...load.templates, ...validator.getValidTemplates() ];
+    load.errors = [ ...load.errors, ...errors ];
+    load.updated = true;
+
+    this._elementTemplates.set(load.templates);
+
+    if (errors.length) {
+      this.templateErrors(errors);
+    }
+
+    this.templatesChanged();
+  }
+
+  _finishLoad(load) {
+    if (this._load === load) {
+      this._load = null;
+    }
+
+    if (load.updated) {
+      this.reconcile(load.oldStates);
+    }
+
+    this._eventBus.fire('elementTemplates.loaded', {
+      templates: load.templates,
+      errors: load.errors
+    });
+  }
+
+  _failLoad(load, err) {
+    load.errors.push(err);
+
+    this.templateErrors([ err ]);
+
+    this._finishLoad(load);
+  }
+
+  /**
+   * Upgrade elements after templates changed.
+   * Not supported for Camunda 7 templates.
+   *
+   * @return {Array<Object>} upgrade report
+   */
+  _autoUpgrade() {
+    return [];
+  }
+
+  /**
+   * Get template state of all elements linked to a template.
+   *
+   * @return {Map<djs.model.Base, TemplateState>}
+   */
+  _getTemplateStates() {
+    const elementTemplates = this._elementTemplates,
+          elementRegistry = this._injector && this._injector.get('elementRegistry', false);
+
+    const states = new Map();
+
+    if (!elementRegistry) {
+      return states;
+    }
+
+    const getTemplateId = element => elementTemplates._getTemplateId(element);
+
+    elementRegistry.forEach(element => {
+      if (element.type === 'label' || !getTemplateId(element)) {
+        return;
+      }
+
+      states.set(element, getTemplateState(elementTemplates, element, getTemplateId));
+    });
+
+    return states;
+  }
 }
 
 ElementTemplatesLoader.$inject = [
   'config.elementTemplates',
   'eventBus',
   'elementTemplates',
-  'moddle'
-];
\ No newline at end of file
+  'moddle',
+  'injector'
+];
+
+
+// helpers //////////
+
+/**
+ * Read templates from a source, page by page.
+ *
+ * @param {TemplatesSource} source
+ * @param {Object} load
+ * @param { { page: Function, done: Function, error: Function } } handlers
+ *
+ * @return {Promise<void>}
+ */
+function readSource(source, load, handlers) {
+  const {
+    page,
+    done,
+    error
+  } = handlers;
+
+  if (isArray(source)) {
+    page(source);
+    done();
+
+    return Promise.resolve();
+  }
+
+  // use either the callback or the returned source, whichever
+  // provides templates first
+  if (isFunction(source)) {
+    return new Promise(resolve => {
+      let settled = false;
+
+      const fail = err => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+
+        if (!load.canceled) {
+          error(err);
+        }
+
+        resolve();
+      };
+
+      let result;
+
+      try {
+        result = source((err, templates) => {
+          if (settled) {
+            return;
+          }
+
+          settled = true;
+
+          if (load.canceled) {
+            return resolve();
+          }
+
+          if (err) {
+            error(err);
+          } else {
+            page(templates);
+            done();
+          }
+
+          resolve();
+        }, { signal: load.signal });
+      } catch (err) {
+        return fail(err);
+      }
+
+      if (settled) {
+        return;
+      }
+
+      // async functions calling back resolve with undefined,
+      // wait for the callback instead
+      if (isThenable(result)) {
+        return result.then(templates => {
+          if (settled || isUndefined(templates)) {
+            return;
+          }
+
+          settled = true;
+
+          readSource(templates, load, handlers).then(resolve);
+        }, fail);
+      }
+
+      // ignore other return values, e.g. timer IDs
+      // of functions calling back later
+      if (isArray(result) || isAsyncIterable(result)) {
+        settled = true;
+
+        return readSource(result, load, handlers).then(resolve);
+      }
+    });
+  }
+
+  if (isThenable(source)) {
+    return source.then(
+      templates => load.canceled ? undefined : readSource(templates, load, handlers),
+      err => load.canceled ? undefined : error(err)
+    );
+  }
+
+  if (isAsyncIterable(source)) {
+    return readPages(source, load, handlers);
+  }
+
+  error(new Error('unsupported templates source'));
+
+  return Promise.resolve();
+}
+
+async function readPages(source, load, handlers) {
+  try {
+    for await (const templates of source) {
+
+      // stop reading stale pages
+      if (load.canceled) {
+        return;
+      }
+
+      handlers.page(templates);
+    }
+  } catch (err) {
+    if (!load.canceled) {
+      handlers.error(err);
+    }
+
+    return;
+  }
+
+  if (!load.canceled) {
+    handlers.done();
+  }
+}
+
+/**
+ * Merge templates of named sources. Sources listed first take
+ * precedence for templates with the same ID and version.
+ *
+ * @param {Array<Array<TemplateDescriptor>>} results
+ *
+ * @return {Array<TemplateDescriptor>}
+ */
+function mergeSources(results) {
+  const known = new Set();
+
+  return results.reduce((merged, templates) => {
+    const added = templates.filter(template => !known.has(getTemplateKey(template)));
+
+    templates.forEach(template => {
+      const key = getTemplateKey(template);
+
+      key && known.add(key);
+    });
+
+    return [ ...merged, ...added ];
+  }, []);
+}
+
+function getTemplateKey(template) {
+  if (!template || !template.id) {
+    return null;
+  }
+
+  return `${ template.id }@${ isUndefined(template.version) ? '_' : template.version }`;
+}
+
+function isNamedSources(loadTemplates) {
+  return isObject(loadTemplates) && isArray(loadTemplates.sources);
+}
+
+function isThenable(value) {
+  return !!value && isFunction(value.then);
+}
+
+function isAsyncIterable(value) {
+  return !!value && isFunction(value[ Symbol.asyncIterator ]);
+}
+
+function isSameState(a, b) {
+  return a.type === b.type &&
+    a.templateId === b.templateId &&
+    isSameTemplate(a.template, b.template) &&
+    isSameTemplate(a.newerTemplate, b.newerTemplate);
+}
+
+/**
+ * Templates are re-created on reload, compare by ID and version.
+ */
+function isSameTemplate(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return a.id === b.id && a.version === b.version;
+}
\ No newline at end of file
@@ -53,17 +53,8 @@ export class Validator {
   add(template) {
     const err = this._validateTemplate(template);
 
-    let id, version;
-
     if (!err) {
-      id = template.id;
-      version = template.version || '_';
-
-      if (!this._templatesById[ id ]) {
-        this._templatesById[ id ] = {};
-      }
-
-      this._templatesById[ id ][ version ] = template;
+      this._register(template);
 
       this._validTemplates.push(template);
     }
@@ -71,6 +62,31 @@ export class Validator {
     return this;
   }
 
+  /**
+   * Register already validated templates, e.g. the ones
+   * loaded before, to detect duplicates without validating them again.
+   *
+   * @param {Array<TemplateDescriptor>} templates
+   *
+   * @return {Validator}
+   */
+  addKnown(templates) {
+    templates.forEach(this._register, this);
+
+    return this;
+  }
+
+  _register(template) {
+    const id = template.id,
+          version = template.version || '_';
+
+    if (!this._templatesById[ id ]) {
+      this._templatesById[ id ] = {};
+    }
+
+    this._templatesById[ id ][ version ] = template;
+  }
+
   /**
    * Validate given template and return error (if any).
    *
@@ -0,0 +1,5 @@
+// headless
+export { HeadlessElementTemplates as CloudHeadlessElementTemplates } from './cloud-element-templates/headless';
+export { fixElementTemplateIssues } from './cloud-element-templates/linting';
+export { Validator as CloudElementTemplatesValidator } from './cloud-element-templates/Validator';
+export { default as CloudElementTemplatesBindingTypeRegistry } from './cloud-element-templates/binding-types/BindingTypeRegistry';
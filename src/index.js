@@ -1,9 +1,17 @@
 export { default as CloudElementTemplatesPropertiesProviderModule } from './cloud-element-templates';
 export { default as ElementTemplatesPropertiesProviderModule } from './element-templates';
+export { default as ElementTemplatesChooserModule } from './element-templates-chooser';
 
 // utils
 export { Validator as CloudElementTemplatesValidator } from './cloud-element-templates/Validator';
-export { ElementTemplateLinterPlugin as CloudElementTemplatesLinterPlugin } from './cloud-element-templates/linting';
+export {
+  ElementTemplateLinterPlugin as CloudElementTemplatesLinterPlugin,
+  fixElementTemplateIssues
+} from './cloud-element-templates/linting';
+export { default as CloudElementTemplatesBindingTypeRegistry } from './cloud-element-templates/binding-types/BindingTypeRegistry';
+
+// headless
+export { HeadlessElementTemplates as CloudHeadlessElementTemplates } from './cloud-element-templates/headless';
 
 // core
 export { default as CloudElementTemplatesCoreModule } from './cloud-element-templates/core';
@@ -1,5 +1,31 @@
 import { isUndefined } from 'min-dash';
 
+/**
+ * @typedef {NoTemplate|KnownTemplate|UnknownTemplate|DeprecatedTemplate|OutdatedTemplate} TemplateState
+ */
+
+/**
+ * @typedef NoTemplate
+ * @property {'NO_TEMPLATE'} type
+ *
+ * @typedef KnownTemplate
+ * @property {'KNOWN_TEMPLATE'} type
+ * @property {object} template
+ *
+ * @typedef UnknownTemplate
+ * @property {'UNKNOWN_TEMPLATE'} type
+ * @property {string} templateId
+ *
+ * @typedef DeprecatedTemplate
+ * @property {'DEPRECATED_TEMPLATE'} type
+ * @property {object} template
+ *
+ * @typedef OutdatedTemplate
+ * @property {'OUTDATED_TEMPLATE'} type
+ * @property {object} template
+ * @property {object} newerTemplate
+ */
+
 export function getVersionOrDateFromTemplate(template) {
   const metadata = template.metadata,
         version = template.version;
@@ -19,6 +45,39 @@ export function getVersionOrDateFromTemplate(template) {
   return version;
 }
 
+/**
+ * Determine template state in the current element.
+ *
+ * @param {object} elementTemplates
+ * @param {object} element
+ * @param {function} getTemplateId
+ * @returns {TemplateState}
+ */
+export function getTemplateState(elementTemplates, element, getTemplateId) {
+  const templateId = getTemplateId(element),
+        template = elementTemplates.get(element);
+
+  if (!templateId) {
+    return { type: 'NO_TEMPLATE' };
+  }
+
+  if (!template) {
+    return { type: 'UNKNOWN_TEMPLATE', templateId };
+  }
+
+  if (template.deprecated) {
+    return { type: 'DEPRECATED_TEMPLATE', template };
+  }
+
+  const newerTemplate = elementTemplates.getLatest(templateId, { deprecated: true })[0];
+
+  if (newerTemplate !== template) {
+    return { type: 'OUTDATED_TEMPLATE', template, newerTemplate };
+  }
+
+  return { type: 'KNOWN_TEMPLATE', template };
+}
+
 
 // helper ///////////
 
@@ -10,6 +10,7 @@ const DIST_DIR = path.join(__dirname, '../../dist');
 const EXPORTS = [
   'bpmn-js-element-templates',
   'bpmn-js-element-templates/core',
+  'bpmn-js-element-templates/headless',
   'bpmn-js-element-templates/dist/assets/element-templates.css',
   'bpmn-js-element-templates/dist/bpmn-js-element-templates.umd.js',
   'bpmn-js-element-templates/package.json'
@@ -19,6 +20,8 @@ describe('modules', function() {
 
   it('should expose CJS bundle', verifyExists('index.js'));
 
+  it('should expose headless CJS bundle', verifyExists('headless.js'));
+
 });
 
 
@@ -17,6 +17,7 @@ import {
 
 import coreModule from 'bpmn-js/lib/core';
 import elementTemplatesCoreModule from 'src/cloud-element-templates/core';
+import ElementTemplates from 'src/cloud-element-templates/ElementTemplates';
 import modelingModule from 'bpmn-js/lib/features/modeling';
 
 import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
@@ -28,6 +29,8 @@ import messageTemplates from './ElementTemplates.message-templates.json';
 import templates from './fixtures/simple';
 import complexTemplates from './fixtures/complex';
 import integrationTemplates from './fixtures/integration';
+import previewXML from './fixtures/preview.bpmn';
+import previewTemplates from './fixtures/preview';
 import { findExtensions, findExtension } from 'src/cloud-element-templates/Helper';
 import { getLabel } from 'bpmn-js/lib/features/label-editing/LabelUtil';
 import { findMessage } from 'src/cloud-element-templates/Helper';
@@ -344,6 +347,325 @@ describe('provider/cloud-element-templates - ElementTemplates', function() {
   });
 
 
+  describe('add', function() {
+
+    it('should add template', inject(function(elementTemplates) {
+
+      // given
+      const template = createTemplate('qux', 1);
+
+      // when
+      const added = elementTemplates.add(template);
+
+      // then
+      expect(added).to.be.true;
+      expect(elementTemplates.get('qux', 1)).to.equal(template);
+      expect(elementTemplates.getLatest('qux')).to.eql([ template ]);
+    }));
+
+
+    it('should add newer version', inject(function(elementTemplates) {
+
+      // given
+      const template = createTemplate('foo', 4);
+
+      // when
+      elementTemplates.add(template);
+
+      // then
+      expect(elementTemplates.getAll('foo')).to.have.length(5);
+      expect(elementTemplates.getLatest('foo')).to.eql([ template ]);
+    }));
+
+
+    it('should add older version', inject(function(elementTemplates) {
+
+      // given
+      elementTemplates.remove('foo', 1);
+
+      const template = createTemplate('foo', 1);
+
+      // when
+      elementTemplates.add(template);
+
+      // then
+      expect(elementTemplates.get('foo', 1)).to.equal(template);
+      expect(elementTemplates.getLatest('foo')[0].version).to.eql(3);
+    }));
+
+
+    it('should fire events', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const addedSpy = sinon.spy(),
+            changedSpy = sinon.spy();
+
+      eventBus.on('elementTemplates.added', addedSpy);
+      eventBus.on('elementTemplates.changed', changedSpy);
+
+      const template = createTemplate('qux', 1);
+
+      // when
+      elementTemplates.add(template);
+
+      // then
+      expect(addedSpy).to.have.been.calledOnceWith(sinon.match({ template }));
+      expect(changedSpy).to.have.been.calledOnce;
+    }));
+
+
+    it('should reject invalid template', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const errorSpy = sinon.spy(),
+            addedSpy = sinon.spy();
+
+      eventBus.on('elementTemplates.errors', errorSpy);
+      eventBus.on('elementTemplates.added', addedSpy);
+
+      const template = {
+        ...createTemplate('qux', 1),
+        appliesTo: undefined
+      };
+
+      // when
+      const added = elementTemplates.add(template);
+
+      // then
+      expect(added).to.be.false;
+      expect(elementTemplates.get('qux', 1)).to.be.null;
+      expect(errorSpy).to.have.been.calledOnce;
+      expect(addedSpy).not.to.have.been.called;
+    }));
+
+
+    it('should reject existing version', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const errorSpy = sinon.spy();
+
+      eventBus.on('elementTemplates.errors', errorSpy);
+
+      const existingTemplate = elementTemplates.get('foo', 2);
+
+      // when
+      const added = elementTemplates.add(createTemplate('foo', 2));
+
+      // then
+      expect(added).to.be.false;
+      expect(elementTemplates.get('foo', 2)).to.equal(existingTemplate);
+      expect(errorSpy.getCall(0).args[0].errors[0].message).to.eql(
+        'template(id: <foo>, name: <foo 2>): template id <foo> and version <2> already used'
+      );
+    }));
+
+
+    it('should add template extending known template', inject(function(elementTemplates) {
+
+      // given
+      const property = {
+        id: 'header',
+        type: 'Hidden',
+        value: 'base',
+        binding: { type: 'zeebe:taskHeader', key: 'header' }
+      };
+
+      elementTemplates.add({
+        ...createTemplate('qux', 1),
+        properties: [ property ]
+      });
+
+      const template = {
+        ...createTemplate('quux', 1),
+        extends: 'qux'
+      };
+
+      // when
+      const added = elementTemplates.add(template);
+
+      // then
+      expect(added).to.be.true;
+      expect(elementTemplates.get('quux', 1).properties).to.eql([ property ]);
+    }));
+
+  });
+
+
+  describe('remove', function() {
+
+    it('should remove version', inject(function(elementTemplates) {
+
+      // when
+      const removed = elementTemplates.remove('foo', 2);
+
+      // then
+      expectTemplates(removed, [ [ 'foo', 2 ] ]);
+      expect(elementTemplates.get('foo', 2)).to.be.null;
+      expect(elementTemplates.getAll('foo')).to.have.length(3);
+    }));
+
+
+    it('should remove all versions', inject(function(elementTemplates) {
+
+      // when
+      const removed = elementTemplates.remove('foo');
+
+      // then
+      expect(removed).to.have.length(4);
+      expect(elementTemplates.getAll('foo')).not.to.exist;
+      expect(elementTemplates.getLatest().find(template => template.id === 'foo')).not.to.exist;
+    }));
+
+
+    it('should update latest version', inject(function(elementTemplates) {
+
+      // when
+      elementTemplates.remove('foo', 3);
+
+      // then
+      expect(elementTemplates.getLatest('foo')[0].version).to.eql(2);
+    }));
+
+
+    it('should fall back to unversioned template', inject(function(elementTemplates) {
+
+      // when
+      elementTemplates.remove('foo', 1);
+      elementTemplates.remove('foo', 2);
+      elementTemplates.remove('foo', 3);
+
+      // then
+      const latest = elementTemplates.getLatest('foo');
+
+      expect(latest).to.have.length(1);
+      expect(latest[0].version).not.to.exist;
+    }));
+
+
+    it('should fire events', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const removedSpy = sinon.spy(),
+            changedSpy = sinon.spy();
+
+      eventBus.on('elementTemplates.removed', removedSpy);
+      eventBus.on('elementTemplates.changed', changedSpy);
+
+      const template = elementTemplates.get('bar', 1);
+
+      // when
+      elementTemplates.remove('bar', 1);
+
+      // then
+      expect(removedSpy).to.have.been.calledOnceWith(sinon.match({ template }));
+      expect(changedSpy).to.have.been.calledOnce;
+    }));
+
+
+    it('should handle unknown template', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const changedSpy = sinon.spy();
+
+      eventBus.on('elementTemplates.changed', changedSpy);
+
+      // when
+      const removed = elementTemplates.remove('unknown', 1);
+
+      // then
+      expect(removed).to.be.empty;
+      expect(changedSpy).not.to.have.been.called;
+    }));
+
+  });
+
+
+  describe('replace', function() {
+
+    it('should replace version', inject(function(elementTemplates) {
+
+      // given
+      const template = createTemplate('foo', 2);
+
+      // when
+      const replaced = elementTemplates.replace(template);
+
+      // then
+      expect(replaced).to.be.true;
+      expect(elementTemplates.get('foo', 2)).to.equal(template);
+      expect(elementTemplates.getAll('foo')).to.have.length(4);
+    }));
+
+
+    it('should replace latest version', inject(function(elementTemplates) {
+
+      // given
+      const template = createTemplate('foo', 3);
+
+      // when
+      elementTemplates.replace(template);
+
+      // then
+      expect(elementTemplates.getLatest('foo')).to.eql([ template ]);
+    }));
+
+
+    it('should add new template', inject(function(elementTemplates) {
+
+      // given
+      const template = createTemplate('qux', 1);
+
+      // when
+      elementTemplates.replace(template);
+
+      // then
+      expect(elementTemplates.get('qux', 1)).to.equal(template);
+    }));
+
+
+    it('should fire events', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const removedSpy = sinon.spy(),
+            addedSpy = sinon.spy();
+
+      eventBus.on('elementTemplates.removed', removedSpy);
+      eventBus.on('elementTemplates.added', addedSpy);
+
+      const oldTemplate = elementTemplates.get('foo', 2),
+            template = createTemplate('foo', 2);
+
+      // when
+      elementTemplates.replace(template);
+
+      // then
+      expect(removedSpy).to.have.been.calledOnceWith(sinon.match({ template: oldTemplate }));
+      expect(addedSpy).to.have.been.calledOnceWith(sinon.match({ template }));
+      expect(removedSpy).to.have.been.calledBefore(addedSpy);
+    }));
+
+
+    it('should keep template if invalid', inject(function(elementTemplates) {
+
+      // given
+      const oldTemplate = elementTemplates.get('foo', 2);
+
+      const template = {
+        ...createTemplate('foo', 2),
+        properties: 'invalid'
+      };
+
+      // when
+      const replaced = elementTemplates.replace(template);
+
+      // then
+      expect(replaced).to.be.false;
+      expect(elementTemplates.get('foo', 2)).to.equal(oldTemplate);
+    }));
+
+  });
+
+
   describe('createElement', function() {
 
     it('should create element', inject(function(elementTemplates) {
@@ -1094,6 +1416,466 @@ describe('provider/cloud-element-templates - ElementTemplates', function() {
     }));
   });
 
+
+  describe('previewApply', function() {
+
+    let container;
+
+    beforeEach(function() {
+      container = TestContainer.get(this);
+    });
+
+    beforeEach(bootstrapModeler(previewXML, {
+      container: container,
+      modules: [
+        coreModule,
+        elementTemplatesCoreModule,
+        modelingModule
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      elementTemplates: previewTemplates
+    }));
+
+
+    it('should preview changes', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      const oldTemplate = elementTemplates.get('preview', 1),
+            newTemplate = elementTemplates.get('preview', 2);
+
+      // when
+      const preview = elementTemplates.previewApply(task, newTemplate);
+
+      // then
+      expect(preview.element).to.equal(task);
+      expect(preview.oldTemplate).to.equal(oldTemplate);
+      expect(preview.newTemplate).to.equal(newTemplate);
+
+      expect(preview.properties).to.have.length(5);
+      expect(preview.extensionElements).to.have.length(4);
+    }));
+
+
+    it('should keep changed value', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(findChange(preview, 'name')).to.jsonEqual({
+        action: 'keep',
+        property: preview.newTemplate.properties[ 0 ],
+        oldValue: 'Custom Name',
+        newValue: 'Custom Name'
+      });
+    }));
+
+
+    it('should overwrite unchanged value', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(findChange(preview, 'input')).to.include({
+        action: 'overwrite',
+        oldValue: 'old',
+        newValue: 'new'
+      });
+    }));
+
+
+    it('should overwrite hidden value', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(findChange(preview, 'zeebe:taskDefinition')).to.include({
+        action: 'overwrite',
+        oldValue: 'old-type',
+        newValue: 'new-type'
+      });
+    }));
+
+
+    it('should add property', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(findChange(preview, 'property')).to.include({
+        action: 'add',
+        oldValue: '',
+        newValue: 'value'
+      });
+    }));
+
+
+    it('should remove property', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(findChange(preview, 'header')).to.include({
+        action: 'remove',
+        oldValue: 'header',
+        newValue: undefined
+      });
+    }));
+
+
+    it('should preview extension elements', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(preview.extensionElements).to.jsonEqual([
+        { action: 'keep', type: 'zeebe:TaskDefinition' },
+        { action: 'keep', type: 'zeebe:IoMapping' },
+        { action: 'remove', type: 'zeebe:TaskHeaders' },
+        { action: 'add', type: 'zeebe:Properties' }
+      ]);
+    }));
+
+
+    it('should preview element without template', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_2');
+
+      // when
+      const preview = elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(preview.oldTemplate).not.to.exist;
+
+      expect(preview.properties.map(({ action }) => action)).to.eql([
+        'add', 'add', 'add', 'add'
+      ]);
+
+      expect(preview.extensionElements).to.jsonEqual([
+        { action: 'add', type: 'zeebe:TaskDefinition' },
+        { action: 'add', type: 'zeebe:IoMapping' },
+        { action: 'add', type: 'zeebe:Properties' }
+      ]);
+    }));
+
+
+    it('should not change element', inject(function(commandStack, elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // when
+      elementTemplates.previewApply(task, elementTemplates.get('preview', 2));
+
+      // then
+      expect(commandStack.canUndo()).to.be.false;
+
+      expectTemplate(task, 'preview', 1);
+      expect(task.businessObject.get('name')).to.equal('Custom Name');
+    }));
+
+
+    it('should throw if template is missing', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_1');
+
+      // then
+      expect(() => elementTemplates.previewApply(task)).to.throw('template is missing');
+    }));
+
+
+    it('should preview execution listener with changed job type', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('ServiceTask_2');
+
+      const oldTemplate = {
+        ...createTemplate('listener', 1),
+        properties: [
+          {
+            type: 'Hidden',
+            value: 'audit',
+            binding: {
+              type: 'zeebe:executionListener',
+              eventType: 'start'
+            }
+          }
+        ]
+      };
+
+      const newTemplate = {
+        ...createTemplate('listener', 2),
+        properties: [
+          {
+            type: 'Hidden',
+            value: 'audit:2',
+            binding: {
+              type: 'zeebe:executionListener',
+              eventType: 'start'
+            }
+          }
+        ]
+      };
+
+      elementTemplates.set([ oldTemplate, newTemplate ]);
+
+      elementTemplates.applyTemplate(task, oldTemplate);
+
+      // when
+      const preview = elementTemplates.previewApply(elementRegistry.get('ServiceTask_2'), newTemplate);
+
+      // then
+      expect(preview.properties.map(({ action, oldValue, newValue }) => [ action, oldValue, newValue ])).to.eql([
+        [ 'add', '', 'audit:2' ],
+        [ 'remove', 'audit', undefined ]
+      ]);
+    }));
+
+
+    it('should preview without binding type registry', inject(
+      function(commandStack, elementRegistry, elementTemplates, eventBus, injector, modeling, templateElementFactory) {
+
+        // given
+        const task = elementRegistry.get('ServiceTask_1');
+
+        const injectorWithoutRegistry = {
+          get(name, strict) {
+            return name === 'bindingTypeRegistry' ? null : injector.get(name, strict);
+          }
+        };
+
+        const templatesWithoutRegistry = new ElementTemplates(templateElementFactory, commandStack, eventBus, modeling, injectorWithoutRegistry);
+
+        templatesWithoutRegistry.set(elementTemplates.getAll());
+
+        // when
+        const preview = templatesWithoutRegistry.previewApply(task, elementTemplates.get('preview', 2));
+
+        // then
+        expect(preview.properties).to.have.length(5);
+      }
+    ));
+
+  });
+
+
+  describe('updateAll', function() {
+
+    let container;
+
+    beforeEach(function() {
+      container = TestContainer.get(this);
+    });
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules: [
+        coreModule,
+        elementTemplatesCoreModule,
+        modelingModule,
+        {
+          propertiesPanel: [ 'value', { registerProvider() {} } ]
+        }
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      elementTemplates: [
+        ...templates,
+        ...messageTemplates
+      ]
+    }));
+
+
+    it('should update all outdated templates', inject(function(elementRegistry, elementTemplates) {
+
+      // when
+      elementTemplates.updateAll();
+
+      // then
+      expectTemplate(elementRegistry.get('Task_1'), 'foo', 3);
+      expectTemplate(elementRegistry.get('Task_2'), 'foo', 3);
+      expectTemplate(elementRegistry.get('ConditionalEvent'), 'foo', 3);
+      expectTemplate(elementRegistry.get('MessageEvent'), 'updateTemplate', 2);
+    }));
+
+
+    it('should not update up to date templates', inject(function(elementRegistry, elementTemplates) {
+
+      // when
+      elementTemplates.updateAll();
+
+      // then
+      expectTemplate(elementRegistry.get('ServiceTask'), 'default', 1);
+      expectTemplate(elementRegistry.get('Process_1'), 'process-template', 1);
+    }));
+
+
+    it('should not update unknown templates', inject(function(elementRegistry, elementTemplates) {
+
+      // when
+      elementTemplates.updateAll();
+
+      // then
+      expectTemplate(elementRegistry.get('UnknownTemplateTask'), 'unknown', undefined);
+    }));
+
+
+    it('should update filtered elements', inject(function(elementRegistry, elementTemplates) {
+
+      // when
+      elementTemplates.updateAll({
+        filter: element => element.id === 'Task_2'
+      });
+
+      // then
+      expectTemplate(elementRegistry.get('Task_1'), 'foo', undefined);
+      expectTemplate(elementRegistry.get('Task_2'), 'foo', 3);
+    }));
+
+
+    it('should report updated elements', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      const task = elementRegistry.get('Task_2');
+
+      // when
+      const report = elementTemplates.updateAll();
+
+      // then
+      expect(report).to.have.length(4);
+
+      const taskReport = report.find(({ element }) => element === task);
+
+      expect(taskReport.oldTemplate).to.equal(elementTemplates.get('foo', 1));
+      expect(taskReport.newTemplate).to.equal(elementTemplates.get('foo', 3));
+    }));
+
+
+    it('should return empty report if nothing to update', inject(function(elementTemplates) {
+
+      // when
+      const report = elementTemplates.updateAll({
+        filter: () => false
+      });
+
+      // then
+      expect(report).to.eql([]);
+    }));
+
+
+    it('should undo in one step', inject(function(commandStack, elementRegistry, elementTemplates) {
+
+      // given
+      elementTemplates.updateAll();
+
+      // when
+      commandStack.undo();
+
+      // then
+      expectTemplate(elementRegistry.get('Task_1'), 'foo', undefined);
+      expectTemplate(elementRegistry.get('Task_2'), 'foo', 1);
+      expectTemplate(elementRegistry.get('ConditionalEvent'), 'foo', 1);
+      expectTemplate(elementRegistry.get('MessageEvent'), 'updateTemplate', 1);
+    }));
+
+
+    it('should redo', inject(function(commandStack, elementRegistry, elementTemplates) {
+
+      // given
+      elementTemplates.updateAll();
+
+      // when
+      commandStack.undo();
+      commandStack.redo();
+
+      // then
+      expectTemplate(elementRegistry.get('Task_1'), 'foo', 3);
+      expectTemplate(elementRegistry.get('MessageEvent'), 'updateTemplate', 2);
+    }));
+
+
+    it('should fire elementTemplates.update event', inject(function(elementTemplates, eventBus) {
+
+      // given
+      const spy = sinon.spy();
+
+      eventBus.on('elementTemplates.update', spy);
+
+      // when
+      elementTemplates.updateAll();
+
+      // then
+      expect(spy).to.have.callCount(4);
+    }));
+
+
+    it('should skip deprecated latest version', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      elementTemplates.add({
+        ...elementTemplates.get('foo', 3),
+        version: 4,
+        deprecated: true
+      });
+
+      // when
+      elementTemplates.updateAll();
+
+      // then
+      expectTemplate(elementRegistry.get('Task_2'), 'foo', 3);
+    }));
+
+
+    it('should not update if only deprecated versions are newer', inject(function(elementRegistry, elementTemplates) {
+
+      // given
+      elementTemplates.add({
+        ...elementTemplates.get('default', 1),
+        version: 2,
+        deprecated: true
+      });
+
+      // when
+      const report = elementTemplates.updateAll();
+
+      // then
+      expectTemplate(elementRegistry.get('ServiceTask'), 'default', 1);
+
+      expect(report.find(({ element }) => element.id === 'ServiceTask')).not.to.exist;
+    }));
+
+  });
+
 });
 
 
@@ -1477,6 +2259,32 @@ describe('provider/cloud-element-templates - ElementTemplates - integration', fu
 
 // helpers //////////////////////
 
+function expectTemplate(element, id, version) {
+  const businessObject = getBusinessObject(element);
+
+  expect(businessObject.get('zeebe:modelerTemplate')).to.eql(id);
+  expect(businessObject.get('zeebe:modelerTemplateVersion')).to.eql(version);
+}
+
+function findChange(preview, name) {
+  return preview.properties.find(({ property }) => {
+    const { binding } = property;
+
+    return (binding.name || binding.key || binding.type) === name;
+  });
+}
+
+function createTemplate(id, version) {
+  return {
+    $schema: 'https://unpkg.com/@camunda/zeebe-element-templates-json-schema/resources/schema.json',
+    id,
+    name: `${ id } ${ version }`,
+    version,
+    appliesTo: [ 'bpmn:Task' ],
+    properties: []
+  };
+}
+
 function expectTemplates(templates, expected) {
 
   expect(templates).to.exist;
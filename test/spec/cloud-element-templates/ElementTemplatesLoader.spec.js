@@ -0,0 +1,270 @@
+import TestContainer from 'mocha-test-container-support';
+
+import { bootstrapModeler, inject } from 'test/TestHelper';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import coreModule from 'bpmn-js/lib/core';
+import elementTemplatesCoreModule from 'src/cloud-element-templates/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import diagramXML from './fixtures/reconcile.bpmn';
+
+import initialTemplates from './fixtures/reconcile.json';
+import updatedTemplates from './fixtures/reconcile-updated.json';
+
+
+describe('provider/cloud-element-templates - ElementTemplatesLoader', function() {
+
+  let container, templates;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+
+    templates = initialTemplates;
+  });
+
+  function bootstrap(config) {
+    return bootstrapModeler(diagramXML, {
+      container,
+      modules: [
+        coreModule,
+        elementTemplatesCoreModule,
+        modelingModule
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      elementTemplates: done => done(null, templates),
+      elementTemplatesLoader: config
+    });
+  }
+
+
+  describe('reconciliation', function() {
+
+    beforeEach(bootstrap());
+
+
+    it('should fire <elementTemplates.reconciled> on reload', inject(
+      function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const spy = sinon.spy();
+
+        eventBus.on('elementTemplates.reconciled', spy);
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        expect(spy).to.have.been.calledOnce;
+        expect(spy.getCall(0).args[0].changes).to.be.empty;
+        expect(spy.getCall(0).args[0].upgraded).to.be.empty;
+      }
+    ));
+
+
+    it('should fire after <elementTemplates.changed>', inject(
+      function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const changedSpy = sinon.spy(),
+              reconciledSpy = sinon.spy();
+
+        eventBus.on('elementTemplates.changed', changedSpy);
+        eventBus.on('elementTemplates.reconciled', reconciledSpy);
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        expect(reconciledSpy).to.have.been.calledAfter(changedSpy);
+      }
+    ));
+
+
+    it('should report changed template states', inject(
+      function(elementRegistry, elementTemplatesLoader, eventBus) {
+
+        // given
+        const spy = sinon.spy();
+
+        eventBus.on('elementTemplates.reconciled', spy);
+
+        templates = updatedTemplates;
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        const { changes } = spy.getCall(0).args[0];
+
+        expect(changes).to.have.length(4);
+
+        expectChange(changes, elementRegistry.get('PatchTask'), 'KNOWN_TEMPLATE', 'OUTDATED_TEMPLATE');
+        expectChange(changes, elementRegistry.get('BreakingTask'), 'KNOWN_TEMPLATE', 'OUTDATED_TEMPLATE');
+        expectChange(changes, elementRegistry.get('RemovedTask'), 'KNOWN_TEMPLATE', 'UNKNOWN_TEMPLATE');
+        expectChange(changes, elementRegistry.get('DeprecatedTask'), 'KNOWN_TEMPLATE', 'DEPRECATED_TEMPLATE');
+      }
+    ));
+
+
+    it('should report newer template', inject(
+      function(elementRegistry, elementTemplatesLoader, eventBus) {
+
+        // given
+        const spy = sinon.spy();
+
+        eventBus.on('elementTemplates.reconciled', spy);
+
+        templates = updatedTemplates;
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        const { changes } = spy.getCall(0).args[0];
+
+        const { newState } = changes.find(({ element }) => element === elementRegistry.get('PatchTask'));
+
+        expect(newState.template.version).to.eql(1);
+        expect(newState.newerTemplate.version).to.eql(2);
+      }
+    ));
+
+
+    it('should NOT upgrade per default', inject(
+      function(elementRegistry, elementTemplates, elementTemplatesLoader) {
+
+        // given
+        templates = updatedTemplates;
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.get(elementRegistry.get('PatchTask')).version).to.eql(1);
+      }
+    ));
+
+  });
+
+
+  describe('autoUpgrade: patch', function() {
+
+    beforeEach(bootstrap({ autoUpgrade: 'patch' }));
+
+
+    it('should upgrade patch versions', inject(
+      function(elementRegistry, elementTemplates, elementTemplatesLoader, eventBus) {
+
+        // given
+        const spy = sinon.spy();
+
+        eventBus.on('elementTemplates.reconciled', spy);
+
+        templates = updatedTemplates;
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        const task = elementRegistry.get('PatchTask');
+
+        expect(elementTemplates.get(task).version).to.eql(2);
+        expect(getBusinessObject(task).get('name')).to.eql('patch v2');
+
+        const { upgraded } = spy.getCall(0).args[0];
+
+        expect(upgraded).to.have.length(1);
+        expect(upgraded[0].element).to.equal(task);
+        expect(upgraded[0].oldTemplate.version).to.eql(1);
+        expect(upgraded[0].newTemplate.version).to.eql(2);
+      }
+    ));
+
+
+    it('should NOT upgrade versions changing bindings', inject(
+      function(elementRegistry, elementTemplates, elementTemplatesLoader) {
+
+        // given
+        templates = updatedTemplates;
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        const task = elementRegistry.get('BreakingTask');
+
+        expect(elementTemplates.get(task).version).to.eql(1);
+        expect(getBusinessObject(task).get('name')).to.eql('breaking v1');
+      }
+    ));
+
+
+    it('should undo upgrade', inject(
+      function(commandStack, elementRegistry, elementTemplates, elementTemplatesLoader) {
+
+        // given
+        templates = updatedTemplates;
+
+        elementTemplatesLoader.reload();
+
+        // when
+        commandStack.undo();
+
+        // then
+        const task = elementRegistry.get('PatchTask');
+
+        expect(elementTemplates.get(task).version).to.eql(1);
+        expect(getBusinessObject(task).get('name')).to.eql('patch v1');
+      }
+    ));
+
+  });
+
+
+  describe('autoUpgrade: function', function() {
+
+    const autoUpgrade = sinon.spy((oldTemplate, newTemplate) => newTemplate.id === 'example.reconcile.breaking');
+
+    beforeEach(bootstrap({ autoUpgrade }));
+
+
+    it('should upgrade as decided', inject(
+      function(elementRegistry, elementTemplates, elementTemplatesLoader) {
+
+        // given
+        templates = updatedTemplates;
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        expect(autoUpgrade).to.have.been.calledWith(
+          sinon.match({ id: 'example.reconcile.breaking', version: 1 }),
+          sinon.match({ id: 'example.reconcile.breaking', version: 2 })
+        );
+
+        expect(elementTemplates.get(elementRegistry.get('BreakingTask')).version).to.eql(2);
+        expect(elementTemplates.get(elementRegistry.get('PatchTask')).version).to.eql(1);
+      }
+    ));
+
+  });
+
+});
+
+
+// helpers //////////
+
+function expectChange(changes, element, oldType, newType) {
+  const change = changes.find(change => change.element === element);
+
+  expect(change, `change of <${ element.id }>`).to.exist;
+  expect(change.oldState.type).to.eql(oldType);
+  expect(change.newState.type).to.eql(newType);
+}
@@ -0,0 +1,201 @@
+import EventBus from 'diagram-js/lib/core/EventBus';
+
+import ElementTemplatesTranslator from 'src/cloud-element-templates/ElementTemplatesTranslator';
+
+import templates from './fixtures/translations.json';
+
+
+describe('provider/cloud-element-templates - ElementTemplatesTranslator', function() {
+
+  const [ template ] = templates;
+
+  let eventBus, translate;
+
+  beforeEach(function() {
+    eventBus = new EventBus();
+
+    translate = sinon.spy(text => `translated: ${ text }`);
+  });
+
+  function createTranslator(config) {
+    return new ElementTemplatesTranslator(config, eventBus, translate);
+  }
+
+
+  describe('#translateText', function() {
+
+    it('should translate for locale', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de-AT' });
+
+      // when
+      const text = translator.translateText(template, 'Subject');
+
+      // then
+      expect(text).to.eql('Betreff (AT)');
+    });
+
+
+    it('should fall back to language', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de-AT' });
+
+      // when
+      const text = translator.translateText(template, 'Priority');
+
+      // then
+      expect(text).to.eql('Priorität');
+    });
+
+
+    it('should fall back to <translate>', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      // when
+      const text = translator.translateText(template, 'CC');
+
+      // then
+      expect(text).to.eql('translated: CC');
+      expect(translate).to.have.been.calledOnceWith('CC');
+    });
+
+
+    it('should use <translate> without locale', function() {
+
+      // given
+      const translator = createTranslator();
+
+      // when
+      const text = translator.translateText(template, 'Subject');
+
+      // then
+      expect(text).to.eql('translated: Subject');
+    });
+
+  });
+
+
+  describe('#translateTemplate', function() {
+
+    it('should translate texts', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      // when
+      const translated = translator.translateTemplate(template);
+
+      // then
+      expect(translated.name).to.eql('E-Mail senden');
+      expect(translated.description).to.eql('Sendet eine E-Mail');
+      expect(translated.groups[0].label).to.eql('Nachricht');
+      expect(translated.properties[0].label).to.eql('Betreff');
+      expect(translated.properties[0].description).to.eql('Betreff der E-Mail');
+      expect(translated.properties[1].choices.map(choice => choice.name)).to.eql([ 'Normal', 'Hoch' ]);
+    });
+
+
+    it('should keep bindings and values', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      // when
+      const translated = translator.translateTemplate(template);
+
+      // then
+      expect(translated.id).to.eql(template.id);
+      expect(translated.properties[1].value).to.eql('normal');
+      expect(translated.properties[1].binding).to.equal(template.properties[1].binding);
+      expect(translated.properties[1].choices.map(choice => choice.value)).to.eql([ 'normal', 'high' ]);
+    });
+
+
+    it('should NOT change template', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      // when
+      translator.translateTemplate(template);
+
+      // then
+      expect(template.name).to.eql('Send email');
+      expect(template.properties[0].label).to.eql('Subject');
+    });
+
+
+    it('should cache translated template', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      // when
+      const translated = translator.translateTemplate(template);
+
+      // then
+      expect(translator.translateTemplate(template)).to.equal(translated);
+    });
+
+  });
+
+
+  describe('#setLocale', function() {
+
+    it('should change locale', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      const translated = translator.translateTemplate(template);
+
+      // when
+      translator.setLocale('en');
+
+      // then
+      expect(translator.getLocale()).to.eql('en');
+      expect(translator.translateTemplate(template)).not.to.equal(translated);
+      expect(translator.translateTemplate(template).name).to.eql('translated: Send email');
+    });
+
+
+    it('should fire <elementTemplates.localeChanged>', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      const spy = sinon.spy();
+
+      eventBus.on('elementTemplates.localeChanged', spy);
+
+      // when
+      translator.setLocale('en');
+
+      // then
+      expect(spy).to.have.been.calledOnceWith(sinon.match({ locale: 'en' }));
+    });
+
+
+    it('should NOT fire if locale is unchanged', function() {
+
+      // given
+      const translator = createTranslator({ locale: 'de' });
+
+      const spy = sinon.spy();
+
+      eventBus.on('elementTemplates.localeChanged', spy);
+
+      // when
+      translator.setLocale('de');
+
+      // then
+      expect(spy).not.to.have.been.called;
+    });
+
+  });
+
+});
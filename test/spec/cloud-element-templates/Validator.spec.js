@@ -434,6 +434,128 @@ describe('provider/cloud-element-templates - Validator', function() {
     });
 
 
+    describe('conditions', function() {
+
+      it('should accept condition operators', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/condition-operators');
+
+        // when
+        templates.addAll([ templateDescriptor ]);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(1);
+      });
+
+
+      it('should reject invalid condition', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-condition-invalid');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.contain('template(id: <invalid>, name: <Invalid>): invalid condition of property <countProp>: <greaterThan> must be a number');
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should reject invalid regular expression', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = {
+          ...require('./fixtures/condition-operators'),
+          id: 'invalid',
+          name: 'Invalid'
+        };
+
+        templateDescriptor.properties = [
+          ...templateDescriptor.properties,
+          {
+            ...templateDescriptor.properties[0],
+            id: 'invalidProp',
+            condition: {
+              property: 'nameProp',
+              matches: '(foo'
+            }
+          }
+        ];
+
+        // when
+        templates.addAll([ templateDescriptor ]);
+
+        // then
+        expect(errors(templates)).to.contain('template(id: <invalid>, name: <Invalid>): invalid condition of property <invalidProp>: <matches> must be a valid regular expression');
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should accept element conditions', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/condition-element');
+
+        // when
+        templates.addAll([ templateDescriptor ]);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(1);
+      });
+
+
+      it('should reject invalid element condition', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-condition-element-invalid');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.contain('template(id: <invalid>, name: <Invalid>): invalid condition of property <prop1>: <element.isMultiInstance> must be a boolean');
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should reject conditions referencing each other', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-condition-cycle');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.contain('template(id: <invalid>, name: <Invalid>): conditions of properties <prop1 -> prop2 -> prop3 -> prop1> form a cycle');
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
     describe('elementType', function() {
 
       it('should accept elementType', function() {
@@ -582,6 +704,697 @@ describe('provider/cloud-element-templates - Validator', function() {
       });
     });
 
+    describe('zeebe:executionListener', function() {
+
+      it('should accept execution listeners', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/execution-listener');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid execution listeners', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-execution-listener');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.executionListener.invalidType>, name: <Invalid type>): invalid property type <String> for binding type <zeebe:executionListener>; must be <Hidden>',
+          'template(id: <example.com.executionListener.invalidEventType>, name: <Invalid event type>): invalid event type <complete> for binding type <zeebe:executionListener>; must be one of <start, end>',
+          'template(id: <example.com.executionListener.invalidRetries>, name: <Invalid retries>): invalid retries <3> for binding type <zeebe:executionListener>; must be a string',
+          'template(id: <example.com.executionListener.missingValue>, name: <Missing value>): missing value for binding type <zeebe:executionListener>; must be the job type'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('zeebe:userTask', function() {
+
+      it('should accept user task bindings', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/user-task');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid user task bindings', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-user-task');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.userTask.invalidType>, name: <Invalid type>): invalid property type <String> for binding type <zeebe:userTask>; must be <Hidden>',
+          'template(id: <example.com.userTask.invalidProperty>, name: <Invalid property>): invalid property <form> for binding type <zeebe:formDefinition>; must be one of <formKey, formId, externalReference>',
+          'template(id: <example.com.userTask.invalidElementType>, name: <Invalid element type>): binding type <zeebe:assignmentDefinition> requires element type to be one of <bpmn:UserTask>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('zeebe:script and zeebe:calledDecision', function() {
+
+      it('should accept script and called decision bindings', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/script-called-decision');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid script and called decision bindings', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-script-called-decision');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.script.invalidProperty>, name: <Invalid property>): invalid property <script> for binding type <zeebe:script>; must be one of <expression, resultVariable>',
+          'template(id: <example.com.calledDecision.invalidElementType>, name: <Invalid element type>): binding type <zeebe:calledDecision> requires element type to be one of <bpmn:BusinessRuleTask>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('signal, error, escalation and timer event definitions', function() {
+
+      it('should accept event definition bindings', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/event-definitions');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid event definition bindings', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-event-definitions');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.signal.invalidName>, name: <Invalid name>): invalid name <signalCode> for binding type <bpmn:Signal#property>; must be one of <name>',
+          'template(id: <example.com.error.invalidEventDefinition>, name: <Invalid event definition>): binding type <bpmn:Error#property> requires element type with event definition <bpmn:ErrorEventDefinition>',
+          'template(id: <example.com.timer.invalidElementType>, name: <Invalid element type>): event definition <bpmn:TimerEventDefinition> requires element type to be an event'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should accept zeebe:loopCharacteristics binding', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/loop-characteristics');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid zeebe:loopCharacteristics binding', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-loop-characteristics');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.loopCharacteristics.invalidProperty>, name: <Invalid property>): invalid property <loopCardinality> for binding type <zeebe:loopCharacteristics>; must be one of <isSequential, completionCondition, inputCollection, inputElement, outputCollection, outputElement>',
+          'template(id: <example.com.loopCharacteristics.invalidElementType>, name: <Invalid element type>): binding type <zeebe:loopCharacteristics> requires element type to be one of <bpmn:Task, bpmn:ServiceTask, bpmn:UserTask, bpmn:ScriptTask, bpmn:BusinessRuleTask, bpmn:SendTask, bpmn:ReceiveTask, bpmn:ManualTask, bpmn:CallActivity, bpmn:SubProcess>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should accept sequence flow and gateway templates', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/sequence-flows');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid bpmn:SequenceFlow#default binding', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-sequence-flows');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.sequenceFlow.invalidElementType>, name: <Invalid element type>): binding type <bpmn:SequenceFlow#default> requires element type to be one of <bpmn:SequenceFlow>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('choices source', function() {
+
+      it('should accept dropdowns with choices source', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/choices-source');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid choices source', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-choices-source');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.choicesSource.invalidType>, name: <Invalid type>): invalid choicesSource of property <message>: invalid choicesSource type <foo>; must be one of <messages, signals, errors, escalations, calledProcesses, variables, provider>',
+          'template(id: <example.com.choicesSource.missingProviderId>, name: <Missing provider id>): invalid choicesSource of property <queue>: choicesSource of type <provider> requires an id',
+          'template(id: <example.com.choicesSource.invalidPropertyType>, name: <Invalid property type>): invalid choicesSource of property <Message>: choicesSource is only supported for <Dropdown> properties'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('list properties', function() {
+
+      it('should accept MultiSelect and List properties', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/list-properties');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid MultiSelect and List properties', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-list-properties');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.lists.missingChoices>, name: <Missing choices>): invalid property <channels>: property of type <MultiSelect> requires choices',
+          'template(id: <example.com.lists.invalidChoice>, name: <Invalid choice>): invalid property <channels>: value <fax> is not one of the choices',
+          'template(id: <example.com.lists.invalidValue>, name: <Invalid value>): invalid property <recipients>: value must be a string or an array of strings',
+          'template(id: <example.com.lists.invalidConstraints>, name: <Invalid constraints>): invalid property <recipients>: constraint <minItems> must not exceed <maxItems>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('key/value properties', function() {
+
+      it('should accept KeyValue properties', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/key-value');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid KeyValue properties', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-key-value');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.keyValue.invalidBinding>, name: <Invalid binding>): invalid property <headers>: property of type <KeyValue> requires binding type to be one of <zeebe:input, zeebe:property, zeebe:taskHeader>',
+          'template(id: <example.com.keyValue.invalidValue>, name: <Invalid value>): invalid property <headers>: value must be a string or an object with string values'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('secret properties', function() {
+
+      it('should accept Secret properties', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/secret');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid Secret properties', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-secret');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.secret.invalidBinding>, name: <Invalid binding>): invalid property <apiKey>: property of type <Secret> requires binding type to be one of <zeebe:input, zeebe:taskHeader>',
+          'template(id: <example.com.secret.invalidValue>, name: <Invalid value>): invalid property <apiKey>: value must be a secret reference, e.g. <{{secrets.NAME}}>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('repeatable groups', function() {
+
+      it('should accept repeatable groups', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/repeatable-groups');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid repeatable groups', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-repeatable-groups');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.repeatableGroups.invalidBinding>, name: <Invalid binding>): invalid group <recipients>: property <address> requires binding type to be one of <zeebe:input, zeebe:property, zeebe:taskHeader>',
+          'template(id: <example.com.repeatableGroups.optional>, name: <Optional properties>): invalid group <recipients>: requires at least one property that is not optional',
+          'template(id: <example.com.repeatableGroups.instances>, name: <Invalid instances>): invalid group <recipients>: minInstances must not be greater than maxInstances',
+          'template(id: <example.com.repeatableGroups.notRepeatable>, name: <Not repeatable>): invalid group <recipients>: minInstances and maxInstances require a repeatable group',
+          'template(id: <example.com.repeatableGroups.dependency>, name: <Outside dependency>): invalid group <recipients>: property <subject> outside of the group must not depend on property <address>'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+    });
+
+
+    describe('extends', function() {
+
+      function findTemplate(validator, id) {
+        return valid(validator).find(template => template.id === id);
+      }
+
+      function getValues(template) {
+        return template.properties.map(property => `${ property.id }=${ property.value }`);
+      }
+
+
+      it('should accept templates extending base templates', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/extends');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should merge properties of latest base template', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        // when
+        templates.addAll(require('./fixtures/extends'));
+
+        // then
+        const template = findTemplate(templates, 'example.com.extends.child');
+
+        expect(getValues(template)).to.eql([
+          'authType=oauth',
+          'retries=10',
+          'url=https://example.com'
+        ]);
+      });
+
+
+      it('should merge groups and <entriesVisible>', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        // when
+        templates.addAll(require('./fixtures/extends'));
+
+        // then
+        const template = findTemplate(templates, 'example.com.extends.child');
+
+        expect(template.groups).to.eql([
+          { id: 'authentication', label: 'Authentication' },
+          { id: 'retries', label: 'Retry behavior' },
+          { id: 'request', label: 'Request' }
+        ]);
+
+        expect(template.entriesVisible).to.be.true;
+      });
+
+
+      it('should extend base template with version', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        // when
+        templates.addAll(require('./fixtures/extends'));
+
+        // then
+        const template = findTemplate(templates, 'example.com.extends.pinned');
+
+        expect(getValues(template)).to.eql([
+          'authType=basic',
+          'retries=10',
+          'url=https://example.com'
+        ]);
+      });
+
+
+      it('should extend templates extending base templates', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        // when
+        templates.addAll(require('./fixtures/extends'));
+
+        // then
+        const template = findTemplate(templates, 'example.com.extends.grandchild');
+
+        expect(getValues(template)).to.eql([
+          'authType=oauth',
+          'retries=10',
+          'url=https://example.org'
+        ]);
+      });
+
+
+      it('should reject missing base template', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-extends-missing');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <missing>, name: <Missing>): missing base template <unknown>',
+          'template(id: <missing-version>, name: <Missing Version>): missing base template <example.com.extends.base> with version <3>'
+        ]);
+
+        expect(valid(templates)).to.have.length(1);
+      });
+
+
+      it('should reject base templates forming a cycle', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-extends-cycle');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.contain(
+          'template(id: <cycle-a>, name: <Cycle A>): base templates <cycle-a -> cycle-b -> cycle-c -> cycle-a> form a cycle'
+        );
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should reject invalid <extends>', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const [ template ] = require('./fixtures/error-extends-missing');
+
+        // when
+        templates.add({ ...template, id: 'invalid', extends: { version: 1 } });
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <invalid>, name: <Base>): <extends> must be a template id or an object with <id> and optional <version>'
+        ]);
+      });
+
+    });
+
+    describe('translations', function() {
+
+      it('should accept translations', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/translations');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        expect(valid(templates)).to.have.length(templateDescriptor.length);
+      });
+
+
+      it('should reject invalid translations', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const templateDescriptor = require('./fixtures/error-translations');
+
+        // when
+        templates.addAll(templateDescriptor);
+
+        // then
+        expect(errors(templates)).to.eql([
+          'template(id: <example.com.translations.unknownText>, name: <Unknown text>): translation for locale <de> references unknown text <Subjekt>',
+          'template(id: <example.com.translations.invalidLocale>, name: <Invalid locale>): translations for locale <de> must be an object',
+          'template(id: <example.com.translations.invalidTranslation>, name: <Invalid translation>): translation of <Invalid translation> for locale <de> must be a string'
+        ]);
+
+        expect(valid(templates)).to.be.empty;
+      });
+
+
+      it('should accept translations of base template texts', function() {
+
+        // given
+        const templates = new Validator(moddle);
+
+        const [ base ] = require('./fixtures/translations');
+
+        // when
+        templates.addAll([
+          base,
+          {
+            ...base,
+            id: 'example.com.translations.child',
+            extends: base.id,
+            properties: [],
+            translations: {
+              de: {
+                'Subject': 'Thema'
+              }
+            }
+          }
+        ]);
+
+        // then
+        expect(errors(templates)).to.be.empty;
+
+        const [ , child ] = valid(templates);
+
+        expect(child.translations.de).to.include({
+          'Subject': 'Thema',
+          'Priority': 'Priorität'
+        });
+      });
+
+    });
+
   });
 
 });
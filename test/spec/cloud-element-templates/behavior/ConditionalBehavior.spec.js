@@ -19,10 +19,13 @@ import ZeebeBehaviorsModule from 'camunda-bpmn-js-behaviors/lib/camunda-cloud';
 import diagramXML from '../fixtures/condition.bpmn';
 import messageDiagramXML from '../fixtures/condition-message.bpmn';
 import messageCorrelationDiagramXML from '../fixtures/message-correlation-key.bpmn';
+import elementDiagramXML from '../fixtures/condition-element.bpmn';
 
 import template from '../fixtures/condition.json';
 import updateTemplates from '../fixtures/condition-update.json';
 import chainedConditions from '../fixtures/chained-conditions.json';
+import operatorsTemplate from '../fixtures/condition-operators.json';
+import elementTemplate from '../fixtures/condition-element.json';
 
 import messageTemplates from '../fixtures/condition-message.json';
 import messageCorrelationTemplate from '../fixtures/message-correlation-key.json';
@@ -1345,6 +1348,274 @@ describe('provider/cloud-element-templates - ConditionalBehavior', function() {
   });
 
 
+  describe('element conditions', function() {
+
+    beforeEach(bootstrapModeler(elementDiagramXML, {
+      container: container,
+      modules: [
+        coreModule,
+        elementTemplatesModule,
+        modelingModule,
+        BpmnPropertiesPanelModule,
+        {
+          propertiesPanel: [ 'value', { registerProvider() {} } ]
+        },
+        ZeebeBehaviorsModule
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      }
+    }));
+
+
+    it('should apply element type condition', function() {
+
+      // when
+      const serviceTask = changeTemplate('ServiceTask_1', elementTemplate);
+      const task = changeTemplate('Task_1', elementTemplate);
+
+      // then
+      expect(getBusinessObject(serviceTask).get('serviceTaskProp')).to.eql('serviceTaskProp');
+      expect(getBusinessObject(task).get('serviceTaskProp')).not.to.exist;
+    });
+
+
+    it('should apply parent condition', function() {
+
+      // when
+      const task = changeTemplate('Task_2', elementTemplate);
+      const otherTask = changeTemplate('Task_3', elementTemplate);
+
+      // then
+      expect(getBusinessObject(task).get('multiInstanceProp')).to.eql('multiInstanceProp');
+      expect(getBusinessObject(otherTask).get('multiInstanceProp')).not.to.exist;
+    });
+
+
+    describe('update on move', function() {
+
+      let task;
+
+      beforeEach(inject(function(elementRegistry, modeling) {
+
+        // given
+        task = changeTemplate('Task_1', elementTemplate);
+
+        // when
+        modeling.moveElements([ task ], { x: 20, y: 180 }, elementRegistry.get('MultiInstanceSubProcess'));
+      }));
+
+
+      it('should execute', function() {
+
+        // then
+        expect(getBusinessObject(task).get('multiInstanceProp')).to.eql('multiInstanceProp');
+      });
+
+
+      it('should undo', inject(function(commandStack) {
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getBusinessObject(task).get('multiInstanceProp')).not.to.exist;
+      }));
+
+    });
+
+
+    it('should update on toggling multi-instance', inject(
+      function(bpmnFactory, elementRegistry, modeling) {
+
+        // given
+        const task = changeTemplate('Task_3', elementTemplate);
+
+        // when
+        modeling.updateProperties(elementRegistry.get('SubProcess'), {
+          loopCharacteristics: bpmnFactory.create('bpmn:MultiInstanceLoopCharacteristics')
+        });
+
+        // then
+        expect(getBusinessObject(task).get('multiInstanceProp')).to.eql('multiInstanceProp');
+      }
+    ));
+
+
+    describe('update on attaching boundary event', function() {
+
+      let task, boundaryEvent;
+
+      beforeEach(inject(function(elementFactory, modeling) {
+
+        // given
+        task = changeTemplate('Task_1', elementTemplate);
+
+        // assume
+        expect(getBusinessObject(task).get('noBoundaryEventProp')).to.eql('noBoundaryEventProp');
+
+        // when
+        boundaryEvent = modeling.createShape(
+          elementFactory.createShape({ type: 'bpmn:BoundaryEvent' }),
+          { x: 210, y: 180 },
+          task,
+          { attach: true }
+        );
+      }));
+
+
+      it('should execute', function() {
+
+        // then
+        expect(getBusinessObject(task).get('boundaryEventProp')).to.eql('boundaryEventProp');
+        expect(getBusinessObject(task).get('noBoundaryEventProp')).not.to.exist;
+      });
+
+
+      it('should undo', inject(function(commandStack) {
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getBusinessObject(task).get('boundaryEventProp')).not.to.exist;
+        expect(getBusinessObject(task).get('noBoundaryEventProp')).to.eql('noBoundaryEventProp');
+      }));
+
+
+      it('should update on removing boundary event', inject(function(modeling) {
+
+        // when
+        modeling.removeShape(boundaryEvent);
+
+        // then
+        expect(getBusinessObject(task).get('boundaryEventProp')).not.to.exist;
+        expect(getBusinessObject(task).get('noBoundaryEventProp')).to.eql('noBoundaryEventProp');
+      }));
+
+    });
+
+  });
+
+
+  describe('condition operators', function() {
+
+    let element, businessObject;
+
+    beforeEach(inject(function(elementRegistry) {
+      element = elementRegistry.get('Task_1');
+      businessObject = getBusinessObject(element);
+
+      changeTemplate(element, operatorsTemplate);
+    }));
+
+
+    it('anyMatch', inject(function(modeling) {
+
+      // when
+      modeling.updateProperties(element, { name: 'bar' });
+
+      // then
+      expect(businessObject.get('anyMatchProp')).to.eql('anyMatch');
+
+      // when
+      modeling.updateProperties(element, { name: 'baz' });
+
+      // then
+      expect(businessObject.get('anyMatchProp')).not.to.exist;
+    }));
+
+
+    it('not', inject(function(modeling) {
+
+      // assume
+      expect(businessObject.get('notProp')).not.to.exist;
+
+      // when
+      modeling.updateProperties(element, { name: 'foo' });
+
+      // then
+      expect(businessObject.get('notProp')).to.eql('not');
+    }));
+
+
+    it('greaterThan / lessThan', inject(function(modeling) {
+
+      // when
+      modeling.updateProperties(element, { count: '20' });
+
+      // then
+      expect(businessObject.get('greaterThanProp')).to.eql('greaterThan');
+      expect(businessObject.get('lessThanProp')).not.to.exist;
+
+      // when
+      modeling.updateProperties(element, { count: '5' });
+
+      // then
+      expect(businessObject.get('greaterThanProp')).not.to.exist;
+      expect(businessObject.get('lessThanProp')).to.eql('lessThan');
+    }));
+
+
+    it('greaterThan / lessThan - not a number', inject(function(modeling) {
+
+      // when
+      modeling.updateProperties(element, { count: '=count' });
+
+      // then
+      expect(businessObject.get('greaterThanProp')).not.to.exist;
+      expect(businessObject.get('lessThanProp')).not.to.exist;
+    }));
+
+
+    it('matches', inject(function(modeling) {
+
+      // when
+      modeling.updateProperties(element, { name: 'baz' });
+
+      // then
+      expect(businessObject.get('matchesProp')).to.eql('matches');
+
+      // when
+      modeling.updateProperties(element, { name: 'foo' });
+
+      // then
+      expect(businessObject.get('matchesProp')).not.to.exist;
+    }));
+
+
+    it('nested groups', inject(function(modeling) {
+
+      // when
+      modeling.updateProperties(element, { name: 'bar', count: '1' });
+
+      // then
+      expect(businessObject.get('nestedProp')).to.eql('nested');
+
+      // when
+      modeling.updateProperties(element, { count: '' });
+
+      // then
+      expect(businessObject.get('nestedProp')).not.to.exist;
+    }));
+
+
+    it('undo', inject(function(commandStack, modeling) {
+
+      // given
+      modeling.updateProperties(element, { name: 'bar', count: '1' });
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(businessObject.get('anyMatchProp')).not.to.exist;
+      expect(businessObject.get('nestedProp')).not.to.exist;
+    }));
+
+  });
+
+
   describe('chained conditional properties', function() {
 
     it('should apply a chain of dependent conditional properties', inject(function(elementRegistry, modeling) {
@@ -0,0 +1,100 @@
+import TestContainer from 'mocha-test-container-support';
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import { BpmnPropertiesPanelModule } from 'bpmn-js-properties-panel';
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import {
+  bootstrapModeler,
+  inject
+} from 'test/TestHelper';
+
+import elementTemplatesModule from 'src/cloud-element-templates';
+
+import diagramXML from './DefaultFlowBehavior.bpmn';
+import templates from './DefaultFlowBehavior.json';
+
+
+describe('DefaultFlowBehavior', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+
+  beforeEach(bootstrapModeler(diagramXML, {
+    container,
+    modules: [
+      coreModule,
+      elementTemplatesModule,
+      modelingModule,
+      BpmnPropertiesPanelModule,
+      {
+        propertiesPanel: [ 'value', { registerProvider() {} } ]
+      }
+    ],
+    moddleExtensions: {
+      zeebe: zeebeModdlePackage
+    },
+    elementTemplates: templates
+  }));
+
+
+  it('should make templated flow default flow when connected', inject(
+    function(elementRegistry, elementTemplates, modeling) {
+
+      // given
+      const gateway = elementRegistry.get('Gateway'),
+            task = elementRegistry.get('Task');
+
+      const flow = elementTemplates.createElement(templates[0]);
+
+      // when
+      const connection = modeling.createConnection(gateway, task, flow, gateway.parent);
+
+      // then
+      expect(getBusinessObject(gateway).get('default')).to.equal(getBusinessObject(connection));
+    })
+  );
+
+
+  it('should undo', inject(
+    function(commandStack, elementRegistry, elementTemplates, modeling) {
+
+      // given
+      const gateway = elementRegistry.get('Gateway'),
+            task = elementRegistry.get('Task');
+
+      modeling.createConnection(gateway, task, elementTemplates.createElement(templates[0]), gateway.parent);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(getBusinessObject(gateway).get('default')).not.to.exist;
+    })
+  );
+
+
+  it('should NOT make flow default flow if not templated', inject(
+    function(elementRegistry, elementTemplates, modeling) {
+
+      // given
+      const gateway = elementRegistry.get('Gateway'),
+            task = elementRegistry.get('Task');
+
+      const flow = elementTemplates.createElement(templates[1]);
+
+      // when
+      const connection = modeling.createConnection(gateway, task, flow, gateway.parent);
+
+      // then
+      expect(getBusinessObject(gateway).get('default')).not.to.exist;
+      expect(getBusinessObject(connection).get('conditionExpression').get('body')).to.equal('=approved');
+    })
+  );
+
+});
@@ -242,6 +242,76 @@ describe('provider/cloud-element-templates - ReferencedElementBehavior', functio
       })
     );
   });
+
+
+  describe('signal', function() {
+
+    it('should unlink templated signal when template is unlinked', inject(
+      function(elementRegistry, elementTemplates) {
+
+        // given
+        const event = elementRegistry.get('SignalEvent');
+
+        // when
+        elementTemplates.unlinkTemplate(event);
+
+        // then
+        const signal = getBusinessObject(event).get('eventDefinitions')[0].get('signalRef');
+
+        expect(signal).to.exist;
+        expect(signal.get(TEMPLATE_ID_ATTR)).not.to.exist;
+
+        expect(getSignals()).to.have.lengthOf(1);
+      })
+    );
+
+
+    it('should remove templated signal when element is removed', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        const event = elementRegistry.get('SignalEvent');
+
+        // when
+        modeling.removeShape(event);
+
+        // then
+        expect(getSignals()).to.be.empty;
+      })
+    );
+
+
+    it('should remove templated signal when template is removed', inject(
+      function(elementRegistry, elementTemplates) {
+
+        // given
+        const event = elementRegistry.get('SignalEvent');
+
+        // when
+        elementTemplates.removeTemplate(event);
+
+        // then
+        expect(getSignals()).to.be.empty;
+      })
+    );
+
+
+    it('should remove templated signal when replaced with message event', inject(
+      function(elementRegistry, elementTemplates) {
+
+        // given
+        const event = elementRegistry.get('SignalEvent');
+
+        // when
+        const newEvent = elementTemplates.applyTemplate(event, templates[0]);
+
+        // then
+        expect(getBusinessObject(newEvent).get('eventDefinitions')[0].get('messageRef')).to.exist;
+
+        expect(getSignals()).to.be.empty;
+      })
+    );
+  });
 });
 
 
@@ -250,3 +320,8 @@ function getMessages() {
   return getBpmnJS().getDefinitions().rootElements.filter(
     e => is(e, 'bpmn:Message'));
 }
+
+function getSignals() {
+  return getBpmnJS().getDefinitions().rootElements.filter(
+    e => is(e, 'bpmn:Signal'));
+}
@@ -0,0 +1,559 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  bootstrapModeler,
+  inject
+} from 'test/TestHelper';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import coreModule from 'bpmn-js/lib/core';
+import elementTemplatesCoreModule from 'src/cloud-element-templates/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import BindingTypeRegistry from 'src/cloud-element-templates/binding-types/BindingTypeRegistry';
+import createExtensionElementBinding from 'src/cloud-element-templates/binding-types/ExtensionElementBinding';
+
+import {
+  getPropertyValue,
+  setPropertyValue
+} from 'src/cloud-element-templates/util/propertyUtil';
+
+import diagramXML from './custom-binding.bpmn';
+import templates from './custom-binding.json';
+
+const BUILT_IN_TYPES = [
+  'property',
+  'zeebe:taskDefinition:type',
+  'zeebe:taskDefinition',
+  'zeebe:input',
+  'zeebe:output',
+  'zeebe:taskHeader',
+  'zeebe:property',
+  'bpmn:Message#property',
+  'bpmn:Message#zeebe:subscription#property',
+  'zeebe:calledElement',
+  'zeebe:executionListener',
+  'zeebe:userTask',
+  'zeebe:formDefinition',
+  'zeebe:assignmentDefinition',
+  'zeebe:taskSchedule',
+  'zeebe:script',
+  'zeebe:calledDecision',
+  'bpmn:Signal#property',
+  'bpmn:Error#property',
+  'bpmn:Escalation#property',
+  'bpmn:TimerEventDefinition#property',
+  'zeebe:loopCharacteristics',
+  'bpmn:SequenceFlow#default'
+];
+
+/**
+ * Binds a property to the `bpmn:Documentation` of an element.
+ */
+const DocumentationBinding = {
+  get(element) {
+    const documentation = getBusinessObject(element).get('documentation')[0];
+
+    return documentation ? documentation.get('text') : '';
+  },
+  set(element, property, value, { bpmnFactory }) {
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          moddleElement: getBusinessObject(element),
+          properties: {
+            documentation: [ bpmnFactory.create('bpmn:Documentation', { text: value }) ]
+          }
+        }
+      }
+    ];
+  },
+  unset(element) {
+    return [
+      {
+        cmd: 'element.updateModdleProperties',
+        context: {
+          element,
+          moddleElement: getBusinessObject(element),
+          properties: {
+            documentation: []
+          }
+        }
+      }
+    ];
+  },
+  validate(property) {
+    if (property.type !== 'String') {
+      return `invalid property type <${ property.type }> for binding type <acme:documentation>`;
+    }
+  }
+};
+
+/**
+ * Binds a property to the `zeebe:VersionTag` extension element of an element.
+ */
+const VersionTagBinding = createExtensionElementBinding({
+  bindingType: 'acme:versionTag',
+  extensionType: 'zeebe:VersionTag',
+  properties: [ 'value' ],
+  elementTypes: [ 'bpmn:Task' ]
+});
+
+function registerDocumentationBinding(bindingTypeRegistry) {
+  bindingTypeRegistry.register('acme:documentation', DocumentationBinding);
+  bindingTypeRegistry.register('acme:versionTag', VersionTagBinding);
+}
+
+registerDocumentationBinding.$inject = [ 'bindingTypeRegistry' ];
+
+const documentationBindingModule = {
+  __init__: [ registerDocumentationBinding ]
+};
+
+
+describe('provider/cloud-element-templates - BindingTypeRegistry', function() {
+
+  describe('register', function() {
+
+    it('should register built-in binding types', function() {
+
+      // when
+      const registry = new BindingTypeRegistry();
+
+      // then
+      expect(registry.getTypes()).to.have.members(BUILT_IN_TYPES);
+    });
+
+
+    it('should register custom binding type', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // when
+      registry.register('acme:documentation', DocumentationBinding);
+
+      // then
+      expect(registry.has('acme:documentation')).to.be.true;
+      expect(registry.get('acme:documentation')).to.include({
+        get: DocumentationBinding.get,
+        set: DocumentationBinding.set,
+        unset: DocumentationBinding.unset
+      });
+    });
+
+
+    it('should register handler for many types', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // when
+      registry.register([ 'acme:a', 'acme:b' ], DocumentationBinding);
+
+      // then
+      const handler = registry.get('acme:a');
+
+      expect(registry.get('acme:b')).to.equal(handler);
+      expect(handler.types).to.eql([ 'acme:a', 'acme:b' ]);
+      expect(registry.getAll().filter(h => h === handler)).to.have.length(1);
+    });
+
+
+    it('should override built-in binding type', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // when
+      registry.register('zeebe:taskHeader', DocumentationBinding);
+
+      // then
+      expect(registry.get('zeebe:taskHeader').get).to.equal(DocumentationBinding.get);
+    });
+
+
+    it('should throw on incomplete handler', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // then
+      expect(() => {
+        registry.register('acme:documentation', { get() {} });
+      }).to.throw(/must implement <get>, <set> and <unset>/);
+    });
+
+  });
+
+
+  describe('get', function() {
+
+    it('should return null for unknown binding type', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // then
+      expect(registry.get('acme:unknown')).to.be.null;
+      expect(registry.has('acme:unknown')).to.be.false;
+    });
+
+
+    it('should match bindings by type and name per default', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      registry.register('acme:documentation', DocumentationBinding);
+
+      const { matches } = registry.get('acme:documentation');
+
+      // then
+      expect(matches({ type: 'acme:documentation' }, { type: 'acme:documentation' })).to.be.true;
+      expect(matches({ type: 'property', name: 'foo' }, { type: 'acme:documentation', name: 'foo' })).to.be.false;
+    });
+
+  });
+
+
+  describe('getExtensionElementTypes', function() {
+
+    it('should return built-in extension element types', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // when
+      const extensionElementTypes = registry.getExtensionElementTypes();
+
+      // then
+      expect(extensionElementTypes.map(({ type }) => type)).to.include.members([
+        'zeebe:TaskDefinition',
+        'zeebe:IoMapping',
+        'zeebe:TaskHeaders',
+        'zeebe:Properties',
+        'zeebe:CalledElement'
+      ]);
+
+      expect(extensionElementTypes).to.deep.include({
+        type: 'zeebe:IoMapping',
+        bindingTypes: [ 'zeebe:input', 'zeebe:output' ]
+      });
+    });
+
+
+    it('should return extension element types of custom binding type', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // when
+      registry.register('acme:versionTag', VersionTagBinding);
+
+      // then
+      expect(registry.getExtensionElementTypes()).to.deep.include({
+        type: 'zeebe:VersionTag',
+        bindingTypes: [ 'acme:versionTag' ]
+      });
+    });
+
+
+    it('should merge binding types stored in the same extension element', function() {
+
+      // given
+      const registry = new BindingTypeRegistry();
+
+      // when
+      registry.register('acme:taskHeader', {
+        ...DocumentationBinding,
+        extensionElements: [ { type: 'zeebe:TaskHeaders' } ]
+      });
+
+      // then
+      expect(registry.getExtensionElementTypes()).to.deep.include({
+        type: 'zeebe:TaskHeaders',
+        bindingTypes: [ 'zeebe:taskHeader', 'acme:taskHeader' ]
+      });
+    });
+
+  });
+
+
+  describe('integration', function() {
+
+    let container;
+
+    beforeEach(function() {
+      container = TestContainer.get(this);
+    });
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container,
+      modules: [
+        coreModule,
+        elementTemplatesCoreModule,
+        modelingModule,
+        documentationBindingModule
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      }
+    }));
+
+
+    it('should provide registry', inject(function(bindingTypeRegistry) {
+
+      // then
+      expect(bindingTypeRegistry.getTypes()).to.include.members([
+        ...BUILT_IN_TYPES,
+        'acme:documentation',
+        'acme:versionTag'
+      ]);
+    }));
+
+
+    describe('preview', function() {
+
+      it('should preview extension element of registered binding type', inject(
+        function(elementRegistry, elementTemplates) {
+
+          // given
+          const task = elementRegistry.get('Task_1');
+
+          const template = {
+            ...templates[0],
+            properties: [
+              {
+                label: 'Version tag',
+                type: 'String',
+                value: 'v1',
+                binding: {
+                  type: 'acme:versionTag',
+                  property: 'value'
+                }
+              }
+            ]
+          };
+
+          // when
+          const preview = elementTemplates.previewApply(task, template);
+
+          // then
+          expect(preview.extensionElements).to.jsonEqual([
+            { action: 'add', type: 'zeebe:VersionTag' }
+          ]);
+        }
+      ));
+
+    });
+
+
+    describe('validation', function() {
+
+      it('should accept registered binding type', inject(
+        function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+          // given
+          const errorSpy = sinon.spy();
+
+          eventBus.on('elementTemplates.errors', errorSpy);
+
+          // when
+          elementTemplatesLoader.setTemplates(templates);
+
+          // then
+          expect(errorSpy).not.to.have.been.called;
+          expect(elementTemplates.getAll()).to.have.length(2);
+        }
+      ));
+
+
+      it('should reject invalid property of registered binding type', inject(
+        function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+          // given
+          const errorSpy = sinon.spy();
+
+          eventBus.on('elementTemplates.errors', errorSpy);
+
+          const template = {
+            ...templates[0],
+            properties: [
+              {
+                ...templates[0].properties[0],
+                type: 'Hidden'
+              }
+            ]
+          };
+
+          // when
+          elementTemplatesLoader.setTemplates([ template ]);
+
+          // then
+          expect(errorSpy).to.have.been.calledOnce;
+          expect(errorSpy.getCall(0).args[0].errors[0].message).to.match(
+            /invalid property type <Hidden> for binding type <acme:documentation>/
+          );
+          expect(elementTemplates.getAll()).to.be.empty;
+        }
+      ));
+
+
+      it('should reject unknown binding type', inject(
+        function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+          // given
+          const errorSpy = sinon.spy();
+
+          eventBus.on('elementTemplates.errors', errorSpy);
+
+          const template = {
+            ...templates[0],
+            properties: [
+              {
+                ...templates[0].properties[0],
+                binding: { type: 'acme:unknown' }
+              }
+            ]
+          };
+
+          // when
+          elementTemplatesLoader.setTemplates([ template ]);
+
+          // then
+          expect(errorSpy).to.have.been.calledOnce;
+          expect(elementTemplates.getAll()).to.be.empty;
+        }
+      ));
+
+    });
+
+
+    describe('get and set', function() {
+
+      it('should get value', inject(function(bindingTypeRegistry, elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+
+        // when
+        const value = getPropertyValue(task, templates[0].properties[0], bindingTypeRegistry);
+
+        // then
+        expect(value).to.equal('changed');
+      }));
+
+
+      it('should set value', inject(function(bindingTypeRegistry, bpmnFactory, commandStack, elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+
+        // when
+        setPropertyValue(bpmnFactory, commandStack, task, templates[0].properties[0], 'foo', bindingTypeRegistry);
+
+        // then
+        expect(getDocumentation(task)).to.equal('foo');
+      }));
+
+
+      it('should throw for unknown binding type', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+
+        // then
+        expect(() => {
+          getPropertyValue(task, { binding: { type: 'acme:unknown' } });
+        }).to.throw(/unknown binding <acme:unknown> for element <Task_2>/);
+      }));
+
+    });
+
+
+    describe('change template', function() {
+
+      it('should apply template', inject(function(elementRegistry, elementTemplates) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        elementTemplates.set(templates);
+
+        // when
+        const updatedTask = elementTemplates.applyTemplate(task, templates[0]);
+
+        // then
+        expect(getDocumentation(updatedTask)).to.equal('documented');
+      }));
+
+
+      it('should undo', inject(function(commandStack, elementRegistry, elementTemplates) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        elementTemplates.set(templates);
+
+        elementTemplates.applyTemplate(task, templates[0]);
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getDocumentation(elementRegistry.get('Task_1'))).to.equal('');
+      }));
+
+
+      it('should keep changed value', inject(function(commandStack, elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+
+        // when
+        commandStack.execute('propertiesPanel.zeebe.changeTemplate', {
+          element: task,
+          oldTemplate: templates[0],
+          newTemplate: templates[0]
+        });
+
+        // then
+        expect(getDocumentation(task)).to.equal('changed');
+      }));
+
+
+      it('should remove value no longer templated', inject(function(elementRegistry, elementTemplates) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+
+        elementTemplates.set(templates);
+
+        // when
+        const updatedTask = elementTemplates.applyTemplate(task, templates[1]);
+
+        // then
+        expect(getDocumentation(updatedTask)).to.equal('');
+        expect(getBusinessObject(updatedTask).get('name')).to.equal('Task');
+      }));
+
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function getDocumentation(element) {
+  const documentation = getBusinessObject(element).get('documentation')[0];
+
+  return documentation ? documentation.get('text') : '';
+}
@@ -26,7 +26,8 @@ import {
   findOutputParameter,
   findTaskHeader,
   findZeebeProperty,
-  findZeebeSubscription
+  findZeebeSubscription,
+  getTemplateId
 } from 'src/cloud-element-templates/Helper';
 
 import {
@@ -1773,554 +1774,2190 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
     });
 
 
-    describe('create message with zeebe:modelerTemplate', function() {
+    describe('update zeebe:executionListener', function() {
 
-      beforeEach(bootstrap(require('./event.bpmn').default));
+      beforeEach(bootstrap(require('./task.bpmn').default));
 
+      const newTemplate = require('./execution-listener.json');
 
-      it('should apply zeebe:modelerTemplate if bpmn:Message#property specified', inject(
-        function(elementRegistry) {
 
-          // given
-          const newTemplate = require('./event-template-1.json');
-          let event = elementRegistry.get('Event_1');
+      it('execute', inject(function(elementRegistry) {
 
-          // when
-          changeTemplate(event, newTemplate);
+        // given
+        const task = elementRegistry.get('Task_1');
 
-          // then
-          event = elementRegistry.get('Event_1');
-          expectElementTemplate(event, newTemplate.id, 1);
+        // when
+        changeTemplate(task, newTemplate);
 
-          const message = findMessage(getBusinessObject(event));
+        // then
+        expectElementTemplate(task, 'executionListener');
 
-          expect(message).to.exist;
-          expect(message.get('zeebe:modelerTemplate')).to.equal(newTemplate.id);
-        })
-      );
+        expect(getExecutionListeners(task)).to.jsonEqual([
+          {
+            $type: 'zeebe:ExecutionListener',
+            eventType: 'start',
+            type: 'audit-start',
+            retries: '5'
+          },
+          {
+            $type: 'zeebe:ExecutionListener',
+            eventType: 'end',
+            type: 'audit-end'
+          }
+        ]);
+      }));
 
 
-      it('should apply zeebe:modelerTemplate if bpmn:Message#zeebe:subscription#property specified', inject(
-        function(elementRegistry) {
+      it('undo', inject(function(commandStack, elementRegistry) {
 
-          // given
-          const newTemplate = require('./event-template-2.json');
-          let event = elementRegistry.get('Event_1');
+        // given
+        const task = elementRegistry.get('Task_1');
 
-          // when
-          changeTemplate(event, newTemplate);
+        changeTemplate(task, newTemplate);
 
-          // then
-          event = elementRegistry.get('Event_1');
-          expectElementTemplate(event, newTemplate.id, 1);
+        // when
+        commandStack.undo();
 
-          const message = findMessage(getBusinessObject(event));
+        // then
+        expectNoElementTemplate(task);
 
-          expect(message).to.exist;
-          expect(message.get('zeebe:modelerTemplate')).to.equal(newTemplate.id);
-        })
-      );
+        expect(findExtension(task, 'zeebe:ExecutionListeners')).not.to.exist;
+      }));
 
 
-      it('should create a new message but keep existing one on definitions', inject(
-        function(elementRegistry, bpmnjs) {
+      it('redo', inject(function(commandStack, elementRegistry) {
 
-          // given
-          const newTemplate = require('./event-template-1.json');
-          let event = elementRegistry.get('Event_2');
-          const originalMessage = findMessage(getBusinessObject(event));
+        // given
+        const task = elementRegistry.get('Task_1');
 
-          // when
-          changeTemplate(event, newTemplate);
+        changeTemplate(task, newTemplate);
 
-          // then
-          event = elementRegistry.get('Event_2');
-          expectElementTemplate(event, newTemplate.id, 1);
+        // when
+        commandStack.undo();
+        commandStack.redo();
 
-          const message = findMessage(getBusinessObject(event));
-          expect(message).to.exist;
+        // then
+        expectElementTemplate(task, 'executionListener');
+
+        expect(getExecutionListeners(task)).to.have.length(2);
+      }));
 
-          const definitions = bpmnjs.getDefinitions(event);
-          const rootElements = definitions.get('rootElements');
-          expect(rootElements.find(e => e === message)).to.exist;
-          expect(rootElements.find(e => e === originalMessage)).to.exist;
-        }));
     });
 
 
-    describe('generated value', function() {
+    describe('update zeebe:userTask', function() {
 
-      beforeEach(bootstrap(require('./generated-values.bpmn').default));
+      beforeEach(bootstrap(require('./task.bpmn').default));
 
+      const newTemplate = require('./user-task.json');
 
-      it('should apply generated value (uuid)', inject(function(elementRegistry) {
+
+      it('execute', inject(function(elementRegistry) {
 
         // given
-        const uuidRegex = /^[\w\d]{8}(-[\w\d]{4}){3}-[\w\d]{12}$/;
         let task = elementRegistry.get('Task_1');
 
         // when
-        task = changeTemplate(task, require('./generated-values.json')[0]);
+        changeTemplate(task, newTemplate);
 
         // then
-        const bo = getBusinessObject(task);
-        expect(bo.get('name')).to.match(uuidRegex, 'name is not a uuid');
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'userTask');
 
-        const zeebeProperties = findExtension(task, 'zeebe:Properties');
-        const property = findZeebeProperty(zeebeProperties, { name: 'property' });
-        expect(property.get('value')).to.match(uuidRegex, 'zeebe property is not a uuid');
+        expect(is(task, 'bpmn:UserTask')).to.be.true;
+        expect(findExtension(task, 'zeebe:UserTask')).to.exist;
+        expect(findExtension(task, 'zeebe:FormDefinition')).to.have.property('formId', 'approval-form');
+        expect(findExtension(task, 'zeebe:AssignmentDefinition')).to.have.property('candidateGroups', 'managers');
+        expect(findExtension(task, 'zeebe:TaskSchedule')).to.have.property('dueDate', '=now() + duration("P1D")');
+      }));
 
-        const ioMapping = findExtension(task, 'zeebe:IoMapping');
-        const input = findInputParameter(ioMapping, { name: 'input' });
-        expect(input.get('source')).to.match(uuidRegex, 'input parameter is not a uuid');
 
-        const output = findOutputParameter(ioMapping, { source: 'source' });
-        expect(output.get('target')).to.match(uuidRegex, 'output parameter is not a uuid');
+      it('undo', inject(function(commandStack, elementRegistry) {
 
-        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
-        const taskHeader = findTaskHeader(taskHeaders, { key: 'header' });
-        expect(taskHeader.get('value')).to.match(uuidRegex, 'task header is not a uuid');
+        // given
+        let task = elementRegistry.get('Task_1');
 
-        const taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
-        expect(taskDefinition.get('type')).to.match(uuidRegex, 'task definition type is not a uuid');
+        changeTemplate(task, newTemplate);
+
+        // when
+        commandStack.undo();
+
+        // then
+        task = elementRegistry.get('Task_1');
+        expectNoElementTemplate(task);
+
+        expect(is(task, 'bpmn:UserTask')).to.be.false;
+        expect(findExtension(task, 'zeebe:UserTask')).not.to.exist;
+        expect(findExtension(task, 'zeebe:FormDefinition')).not.to.exist;
       }));
 
 
-      it('should apply generated value on message (uuid)', inject(function(elementRegistry) {
+      it('redo', inject(function(commandStack, elementRegistry) {
 
         // given
-        const uuidRegex = /^[\w\d]{8}(-[\w\d]{4}){3}-[\w\d]{12}$/;
-        let event = elementRegistry.get('Event_1');
+        let task = elementRegistry.get('Task_1');
+
+        changeTemplate(task, newTemplate);
 
         // when
-        event = changeTemplate(event, require('./generated-values.json')[1]);
+        commandStack.undo();
+        commandStack.redo();
 
         // then
-        const bo = getBusinessObject(event);
-
-        const message = findMessage(bo);
-        expect(message.get('name')).to.match(uuidRegex, 'message name is not a uuid');
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'userTask');
 
-        const subscription = findZeebeSubscription(message);
-        expect(subscription.get('correlationKey')).to.match(uuidRegex, 'correlation key is not a uuid');
+        expect(findExtension(task, 'zeebe:UserTask')).to.exist;
+        expect(findExtension(task, 'zeebe:FormDefinition')).to.have.property('formId', 'approval-form');
       }));
+
     });
 
 
-    describe('integration', function() {
+    describe('update zeebe:script', function() {
 
       beforeEach(bootstrap(require('./task.bpmn').default));
 
-      it('should NOT create unnecessary message', inject(function(elementRegistry) {
+      const newTemplate = require('./script-task.json');
+
+
+      it('execute', inject(function(elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
 
         // when
-        changeTemplate(task, {
-          '$schema': 'https://unpkg.com/browse/@camunda/zeebe-element-templates-json-schema/resources/schema.json',
-          'id': 'com.camunda.example.test',
-          'name': 'TEST',
-          'appliesTo': [
-            'bpmn:FlowNode'
-          ],
-          'properties': []
-        });
+        changeTemplate(task, newTemplate);
 
         // then
-        const bo = getBusinessObject(task);
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'scriptTask');
 
-        expect(bo.$attrs).not.to.have.property('messageRef');
+        expect(is(task, 'bpmn:ScriptTask')).to.be.true;
+
+        const script = findExtension(task, 'zeebe:Script');
+
+        expect(script).to.exist;
+        expect(script).to.have.property('expression', '=a + b');
+        expect(script).to.have.property('resultVariable', 'sum');
       }));
-    });
 
-  });
 
+      it('undo', inject(function(commandStack, elementRegistry) {
 
-  describe('change template (new and old template specified)', function() {
+        // given
+        let task = elementRegistry.get('Task_1');
 
-    describe('update zeebe:modelerTemplate and zeebe:modelerTemplateVersion', function() {
+        changeTemplate(task, newTemplate);
 
-      beforeEach(bootstrap(require('./task-template.bpmn').default));
+        // when
+        commandStack.undo();
 
-      const newTemplate = require('./task-template-2.json');
+        // then
+        task = elementRegistry.get('Task_1');
+        expectNoElementTemplate(task);
 
+        expect(findExtension(task, 'zeebe:Script')).not.to.exist;
+      }));
 
-      it('execute', inject(function(elementRegistry) {
+
+      it('redo', inject(function(commandStack, elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
 
-        // when
         changeTemplate(task, newTemplate);
 
+        // when
+        commandStack.undo();
+        commandStack.redo();
+
         // then
-        expectElementTemplate(task, 'task-template', 2);
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'scriptTask');
+
+        const script = findExtension(task, 'zeebe:Script');
+
+        expect(script).to.exist;
+        expect(script).to.have.property('expression', '=a + b');
+        expect(script).to.have.property('resultVariable', 'sum');
       }));
 
     });
 
 
-    describe('update zeebe:modelerTemplateIcon', function() {
+    describe('update zeebe:calledDecision', function() {
 
-      beforeEach(bootstrap(require('./icon-template.bpmn').default));
+      beforeEach(bootstrap(require('./task.bpmn').default));
 
-      const newTemplate = require('./icon-template-2.json');
+      const newTemplate = require('./called-decision.json');
 
 
       it('execute', inject(function(elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
 
         // when
         changeTemplate(task, newTemplate);
 
         // then
-        const icon = getBusinessObject(task).get('zeebe:modelerTemplateIcon');
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'calledDecision');
 
-        expect(icon).to.exist;
-        expect(icon).to.eql('https://example.com/foo.svg');
+        expect(is(task, 'bpmn:BusinessRuleTask')).to.be.true;
+
+        const calledDecision = findExtension(task, 'zeebe:CalledDecision');
+
+        expect(calledDecision).to.exist;
+        expect(calledDecision).to.have.property('decisionId', 'approve');
+        expect(calledDecision).to.have.property('resultVariable', 'approved');
       }));
 
 
-      it('should remove icon when none new', inject(function(elementRegistry) {
+      it('undo', inject(function(commandStack, elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
+
+        changeTemplate(task, newTemplate);
 
         // when
-        changeTemplate(task, require('./icon-template-no-icon.json'));
+        commandStack.undo();
 
         // then
-        const icon = getBusinessObject(task).get('zeebe:modelerTemplateIcon');
+        task = elementRegistry.get('Task_1');
+        expectNoElementTemplate(task);
 
-        expect(icon).to.not.exist;
+        expect(findExtension(task, 'zeebe:CalledDecision')).not.to.exist;
       }));
 
-    });
 
+      it('redo', inject(function(commandStack, elementRegistry) {
 
-    describe('update properties', function() {
+        // given
+        let task = elementRegistry.get('Task_1');
 
-      describe('update name', function() {
+        changeTemplate(task, newTemplate);
 
-        beforeEach(bootstrap(require('./task.bpmn').default));
+        // when
+        commandStack.undo();
+        commandStack.redo();
 
-        it('property changed', inject(function(elementRegistry) {
+        // then
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'calledDecision');
 
-          // given
-          const task = elementRegistry.get('Task_1'),
-                businessObject = getBusinessObject(task);
+        const calledDecision = findExtension(task, 'zeebe:CalledDecision');
 
-          const oldTemplate = createTemplate({
-            value: 'task-old-name',
-            binding: {
-              type: 'property',
-              name: 'name'
-            }
-          });
+        expect(calledDecision).to.exist;
+        expect(calledDecision).to.have.property('decisionId', 'approve');
+        expect(calledDecision).to.have.property('resultVariable', 'approved');
+      }));
 
-          const newTemplate = createTemplate({
-            value: 'task-new-name',
-            binding: {
-              type: 'property',
-              name: 'name'
-            }
-          });
+    });
 
-          changeTemplate('Task_1', oldTemplate);
 
-          let name = businessObject.get('bpmn:name');
+    describe('update bpmn:Signal#property', function() {
 
-          updateBusinessObject('Task_1', businessObject, {
-            'name': 'task-name-changed'
-          });
+      beforeEach(bootstrap(require('./event.bpmn').default));
 
-          // when
-          changeTemplate(task, newTemplate, oldTemplate);
+      const newTemplate = require('./signal-event.json');
 
-          // then
-          name = businessObject.get('bpmn:name');
 
-          expect(name).to.exist;
-          expect(name).to.equal('task-name-changed');
-        }));
+      it('execute', inject(function(bpmnjs, elementRegistry) {
 
+        // given
+        let event = elementRegistry.get('Event_1');
 
-        it('property unchanged', inject(function(elementRegistry) {
+        // when
+        changeTemplate(event, newTemplate);
 
-          // given
-          const task = elementRegistry.get('Task_1'),
-                businessObject = getBusinessObject(task);
+        // then
+        event = elementRegistry.get('Event_1');
+        expectElementTemplate(event, 'signalEvent');
 
-          const oldTemplate = createTemplate({
-            value: 'task-old-name',
-            binding: {
-              type: 'property',
-              name: 'name'
-            }
-          });
+        const signal = getEventDefinition(event).get('signalRef');
 
-          const newTemplate = createTemplate({
-            value: 'task-new-name',
-            binding: {
-              type: 'property',
-              name: 'name'
-            }
-          });
+        expect(signal).to.exist;
+        expect(signal.get('name')).to.equal('orderCancelled');
+        expect(getTemplateId(signal)).to.equal('signalEvent');
 
-          changeTemplate('Task_1', oldTemplate);
+        expect(signal.$parent).to.equal(bpmnjs.getDefinitions());
+        expect(bpmnjs.getDefinitions().get('rootElements')).to.include(signal);
+      }));
 
-          // when
-          changeTemplate(task, newTemplate, oldTemplate);
 
-          // then
-          const name = businessObject.get('bpmn:name');
+      it('undo', inject(function(bpmnjs, commandStack, elementRegistry) {
 
-          expect(name).to.exist;
-          expect(name).to.equal('task-new-name');
-        }));
+        // given
+        let event = elementRegistry.get('Event_1');
 
+        changeTemplate(event, newTemplate);
 
-        it('property removed', inject(function(elementRegistry) {
+        const signal = getEventDefinition(elementRegistry.get('Event_1')).get('signalRef');
 
-          // given
-          const task = elementRegistry.get('Task_1'),
-                businessObject = getBusinessObject(task);
+        // when
+        commandStack.undo();
 
-          const oldTemplate = createTemplate({
-            value: 'task-old-name',
-            binding: {
-              type: 'property',
-              name: 'name'
-            }
-          });
+        // then
+        event = elementRegistry.get('Event_1');
+        expectNoElementTemplate(event);
 
-          const newTemplate = createTemplate([]);
+        expect(bpmnjs.getDefinitions().get('rootElements')).not.to.include(signal);
+      }));
 
-          changeTemplate('Task_1', oldTemplate);
 
-          // when
-          changeTemplate('Task_1', newTemplate, oldTemplate);
+      it('redo', inject(function(bpmnjs, commandStack, elementRegistry) {
 
-          // then
-          const name = businessObject.get('bpmn:name');
+        // given
+        let event = elementRegistry.get('Event_1');
 
-          expect(name).not.to.exist;
-        }));
+        changeTemplate(event, newTemplate);
 
-      });
+        // when
+        commandStack.undo();
+        commandStack.redo();
+
+        // then
+        event = elementRegistry.get('Event_1');
+        expectElementTemplate(event, 'signalEvent');
+
+        const signal = getEventDefinition(event).get('signalRef');
+
+        expect(signal.get('name')).to.equal('orderCancelled');
+        expect(bpmnjs.getDefinitions().get('rootElements')).to.include(signal);
+      }));
 
     });
 
 
-    describe('update zeebe:taskDefinition', function() {
+    describe('update bpmn:Error#property', function() {
 
-      beforeEach(bootstrap(require('./task.bpmn').default));
+      beforeEach(bootstrap(require('./event.bpmn').default));
 
+      const newTemplate = require('./error-event.json');
 
-      it('property changed', inject(function(elementRegistry) {
+
+      it('execute', inject(function(bpmnjs, elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let event = elementRegistry.get('Event_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'task-type-old',
-            binding: {
-              type: 'zeebe:taskDefinition:type'
-            }
-          }
-        ]);
+        // when
+        changeTemplate(event, newTemplate);
 
-        const newTemplate = createTemplate([
-          {
-            value: 'task-type-new',
-            binding: {
-              type: 'zeebe:taskDefinition:type'
-            }
-          }
-        ]);
+        // then
+        event = elementRegistry.get('Event_1');
+        expectElementTemplate(event, 'errorEvent');
 
-        changeTemplate('Task_1', oldTemplate);
+        expect(is(event, 'bpmn:EndEvent')).to.be.true;
 
-        let taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+        const error = getEventDefinition(event).get('errorRef');
 
-        updateBusinessObject('Task_1', taskDefinition, {
-          type: 'task-type-changed'
-        });
+        expect(error).to.exist;
+        expect(error.get('name')).to.equal('Payment failed');
+        expect(error.get('errorCode')).to.equal('PAYMENT_FAILED');
+        expect(getTemplateId(error)).to.equal('errorEvent');
+
+        expect(bpmnjs.getDefinitions().get('rootElements')).to.include(error);
+      }));
+
+    });
+
+
+    describe('update bpmn:TimerEventDefinition#property', function() {
+
+      beforeEach(bootstrap(require('./event.bpmn').default));
+
+      const newTemplate = require('./timer-event.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        let event = elementRegistry.get('Event_1');
 
         // when
-        changeTemplate(task, newTemplate, oldTemplate);
+        changeTemplate(event, newTemplate);
 
         // then
-        taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+        event = elementRegistry.get('Event_1');
+        expectElementTemplate(event, 'timerEvent');
 
-        expect(taskDefinition).to.exist;
-        expect(taskDefinition.get('type')).to.equal('task-type-changed');
+        const timeDuration = getEventDefinition(event).get('timeDuration');
+
+        expect(is(timeDuration, 'bpmn:FormalExpression')).to.be.true;
+        expect(timeDuration.get('body')).to.equal('PT5M');
       }));
 
 
-      it('property unchanged', inject(function(elementRegistry) {
+      it('undo', inject(function(commandStack, elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
-
-        const oldTemplate = createTemplate([
-          {
-            value: 'task-type-old',
-            binding: {
-              type: 'zeebe:taskDefinition:type'
-            }
-          }
-        ]);
-
-        const newTemplate = createTemplate([
-          {
-            value: 'task-type-new',
-            binding: {
-              type: 'zeebe:taskDefinition:type'
-            }
-          }
-        ]);
+        let event = elementRegistry.get('Event_1');
 
-        changeTemplate('Task_1', oldTemplate);
+        changeTemplate(event, newTemplate);
 
         // when
-        changeTemplate(task, newTemplate, oldTemplate);
+        commandStack.undo();
 
         // then
-        const taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+        event = elementRegistry.get('Event_1');
+        expectNoElementTemplate(event);
 
-        expect(taskDefinition).to.exist;
-        expect(taskDefinition.get('type')).to.equal('task-type-new');
+        expect(getEventDefinition(event)).not.to.exist;
       }));
 
-    });
 
+      it('redo', inject(function(commandStack, elementRegistry) {
 
-    describe('update zeebe:Input and zeebe:Output', function() {
+        // given
+        let event = elementRegistry.get('Event_1');
 
-      beforeEach(bootstrap(require('./task.bpmn').default));
+        changeTemplate(event, newTemplate);
 
+        // when
+        commandStack.undo();
+        commandStack.redo();
 
-      it('property changed', inject(function(elementRegistry) {
+        // then
+        event = elementRegistry.get('Event_1');
+        expectElementTemplate(event, 'timerEvent');
 
-        // given
-        const task = elementRegistry.get('Task_1');
+        expect(getEventDefinition(event).get('timeDuration').get('body')).to.equal('PT5M');
+      }));
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'input-1-old-value',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            value: 'output-1-old-value',
-            binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
-            }
-          }
-        ]);
+    });
 
-        const newTemplate = createTemplate([
-          {
-            value: 'input-1-new-value',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            value: 'output-1-new-value',
-            binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
-            }
-          }
-        ]);
+    describe('update zeebe:loopCharacteristics', function() {
 
-        changeTemplate('Task_1', oldTemplate);
+      beforeEach(bootstrap(require('./task.bpmn').default));
 
-        const input = getInputParameter(task, 'input-1-target');
+      const newTemplate = require('./loop-characteristics.json');
 
-        updateBusinessObject('Task_1', input, {
-          source: 'input-1-changed-value'
-        });
 
-        const output = getOutputParameter(task, 'output-1-source');
+      it('execute', inject(function(elementRegistry) {
 
-        updateBusinessObject('Task_1', output, {
-          target: 'output-1-changed-value'
-        });
+        // given
+        let task = elementRegistry.get('Task_1');
 
         // when
-        changeTemplate(task, newTemplate, oldTemplate);
+        changeTemplate(task, newTemplate);
 
         // then
-        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'loopCharacteristics');
 
-        expect(ioMapping).to.exist;
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        const loopCharacteristics = getLoopCharacteristics(task);
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Input',
-            source: 'input-1-changed-value',
-            target: 'input-1-target',
-          }
-        ]);
+        expect(is(loopCharacteristics, 'bpmn:MultiInstanceLoopCharacteristics')).to.be.true;
+        expect(loopCharacteristics.get('isSequential')).to.be.false;
+        expect(loopCharacteristics.get('completionCondition').get('body')).to.equal('=notified');
 
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-changed-value'
-          }
-        ]);
+        const zeebeLoopCharacteristics = findExtension(loopCharacteristics, 'zeebe:LoopCharacteristics');
+
+        expect(zeebeLoopCharacteristics).to.jsonEqual({
+          $type: 'zeebe:LoopCharacteristics',
+          inputCollection: '=recipients',
+          inputElement: 'recipient'
+        });
       }));
 
 
-      it('property unchanged', inject(function(elementRegistry) {
+      it('undo', inject(function(commandStack, elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
+
+        changeTemplate(task, newTemplate);
+
+        // when
+        commandStack.undo();
+
+        // then
+        task = elementRegistry.get('Task_1');
+        expectNoElementTemplate(task);
+
+        expect(getLoopCharacteristics(task)).not.to.exist;
+      }));
+
+
+      it('redo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+
+        changeTemplate(task, newTemplate);
+
+        // when
+        commandStack.undo();
+        commandStack.redo();
+
+        // then
+        task = elementRegistry.get('Task_1');
+        expectElementTemplate(task, 'loopCharacteristics');
+
+        const loopCharacteristics = getLoopCharacteristics(task);
+
+        expect(findExtension(loopCharacteristics, 'zeebe:LoopCharacteristics').get('inputCollection')).to.equal('=recipients');
+      }));
+
+    });
+
+    describe('update conditionExpression', function() {
+
+      beforeEach(bootstrap(require('./sequence-flow.bpmn').default));
+
+      const newTemplate = require('./sequence-flow.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_1');
+
+        // when
+        changeTemplate(sequenceFlow, newTemplate);
+
+        // then
+        expectElementTemplate(sequenceFlow, 'approvedFlow');
+
+        const conditionExpression = getBusinessObject(sequenceFlow).get('conditionExpression');
+
+        expect(is(conditionExpression, 'bpmn:FormalExpression')).to.be.true;
+        expect(conditionExpression.get('body')).to.equal('=approved');
+      }));
+
+
+      it('undo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_1');
+
+        changeTemplate(sequenceFlow, newTemplate);
+
+        // when
+        commandStack.undo();
+
+        // then
+        expectNoElementTemplate(sequenceFlow);
+
+        expect(getBusinessObject(sequenceFlow).get('conditionExpression')).not.to.exist;
+      }));
+
+
+      it('redo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_1');
+
+        changeTemplate(sequenceFlow, newTemplate);
+
+        // when
+        commandStack.undo();
+        commandStack.redo();
+
+        // then
+        expectElementTemplate(sequenceFlow, 'approvedFlow');
+
+        expect(getBusinessObject(sequenceFlow).get('conditionExpression').get('body')).to.equal('=approved');
+      }));
+
+    });
+
+
+    describe('update bpmn:SequenceFlow#default', function() {
+
+      beforeEach(bootstrap(require('./sequence-flow.bpmn').default));
+
+      const newTemplate = require('./default-flow.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_2');
+
+        // when
+        changeTemplate(sequenceFlow, newTemplate);
+
+        // then
+        expectElementTemplate(sequenceFlow, 'defaultFlow');
+
+        expect(getDefaultFlow(sequenceFlow)).to.equal(getBusinessObject(sequenceFlow));
+      }));
+
+
+      it('undo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_2');
+
+        changeTemplate(sequenceFlow, newTemplate);
+
+        // when
+        commandStack.undo();
+
+        // then
+        expectNoElementTemplate(sequenceFlow);
+
+        expect(getDefaultFlow(sequenceFlow)).not.to.exist;
+      }));
+
+
+      it('redo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_2');
+
+        changeTemplate(sequenceFlow, newTemplate);
+
+        // when
+        commandStack.undo();
+        commandStack.redo();
+
+        // then
+        expectElementTemplate(sequenceFlow, 'defaultFlow');
+
+        expect(getDefaultFlow(sequenceFlow)).to.equal(getBusinessObject(sequenceFlow));
+      }));
+
+    });
+
+
+
+
+    describe('update list properties', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      const newTemplate = require('./lists.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, newTemplate);
+
+        // then
+        expectElementTemplate(task, 'lists');
+
+        const businessObject = getBusinessObject(task);
+
+        const ioMapping = findExtension(businessObject, 'zeebe:IoMapping'),
+              taskHeaders = findExtension(businessObject, 'zeebe:TaskHeaders');
+
+        expect(findInputParameter(ioMapping, { name: 'recipients' }).get('source')).to.equal('=["alice@example.com", "bob@example.com"]');
+        expect(findTaskHeader(taskHeaders, { key: 'channels' }).get('value')).to.equal('email,push');
+      }));
+
+    });
+
+
+    describe('update key/value properties', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      const newTemplate = require('./key-value.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, newTemplate);
+
+        // then
+        expectElementTemplate(task, 'keyValue');
+
+        const businessObject = getBusinessObject(task);
+
+        const ioMapping = findExtension(businessObject, 'zeebe:IoMapping'),
+              taskHeaders = findExtension(businessObject, 'zeebe:TaskHeaders');
+
+        expect(findInputParameter(ioMapping, { name: 'headers' }).get('source')).to.equal('={ "Content-Type": "application/json" }');
+        expect(findTaskHeader(taskHeaders, { key: 'query' }).get('value')).to.equal('={ page: "1" }');
+      }));
+
+    });
+
+
+    describe('update repeatable groups', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      const newTemplate = require('./repeatable-group.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, newTemplate);
+
+        // then
+        expectElementTemplate(task, 'repeatableGroup', 1);
+
+        const businessObject = getBusinessObject(task);
+
+        const ioMapping = findExtension(businessObject, 'zeebe:IoMapping'),
+              taskHeaders = findExtension(businessObject, 'zeebe:TaskHeaders');
+
+        expect(ioMapping.get('inputParameters').map(input => input.get('target'))).to.eql([ 'recipients[0].address' ]);
+        expect(findInputParameter(ioMapping, { name: 'recipients[0].address' }).get('source')).to.equal('alice@example.com');
+        expect(findTaskHeader(taskHeaders, { key: 'recipients[0].kind' }).get('value')).to.equal('to');
+      }));
+
+    });
+
+
+    describe('create message with zeebe:modelerTemplate', function() {
+
+      beforeEach(bootstrap(require('./event.bpmn').default));
+
+
+      it('should apply zeebe:modelerTemplate if bpmn:Message#property specified', inject(
+        function(elementRegistry) {
+
+          // given
+          const newTemplate = require('./event-template-1.json');
+          let event = elementRegistry.get('Event_1');
+
+          // when
+          changeTemplate(event, newTemplate);
+
+          // then
+          event = elementRegistry.get('Event_1');
+          expectElementTemplate(event, newTemplate.id, 1);
+
+          const message = findMessage(getBusinessObject(event));
+
+          expect(message).to.exist;
+          expect(message.get('zeebe:modelerTemplate')).to.equal(newTemplate.id);
+        })
+      );
+
+
+      it('should apply zeebe:modelerTemplate if bpmn:Message#zeebe:subscription#property specified', inject(
+        function(elementRegistry) {
+
+          // given
+          const newTemplate = require('./event-template-2.json');
+          let event = elementRegistry.get('Event_1');
+
+          // when
+          changeTemplate(event, newTemplate);
+
+          // then
+          event = elementRegistry.get('Event_1');
+          expectElementTemplate(event, newTemplate.id, 1);
+
+          const message = findMessage(getBusinessObject(event));
+
+          expect(message).to.exist;
+          expect(message.get('zeebe:modelerTemplate')).to.equal(newTemplate.id);
+        })
+      );
+
+
+      it('should create a new message but keep existing one on definitions', inject(
+        function(elementRegistry, bpmnjs) {
+
+          // given
+          const newTemplate = require('./event-template-1.json');
+          let event = elementRegistry.get('Event_2');
+          const originalMessage = findMessage(getBusinessObject(event));
+
+          // when
+          changeTemplate(event, newTemplate);
+
+          // then
+          event = elementRegistry.get('Event_2');
+          expectElementTemplate(event, newTemplate.id, 1);
+
+          const message = findMessage(getBusinessObject(event));
+          expect(message).to.exist;
+
+          const definitions = bpmnjs.getDefinitions(event);
+          const rootElements = definitions.get('rootElements');
+          expect(rootElements.find(e => e === message)).to.exist;
+          expect(rootElements.find(e => e === originalMessage)).to.exist;
+        }));
+    });
+
+
+    describe('generated value', function() {
+
+      beforeEach(bootstrap(require('./generated-values.bpmn').default));
+
+
+      it('should apply generated value (uuid)', inject(function(elementRegistry) {
+
+        // given
+        const uuidRegex = /^[\w\d]{8}(-[\w\d]{4}){3}-[\w\d]{12}$/;
+        let task = elementRegistry.get('Task_1');
+
+        // when
+        task = changeTemplate(task, require('./generated-values.json')[0]);
+
+        // then
+        const bo = getBusinessObject(task);
+        expect(bo.get('name')).to.match(uuidRegex, 'name is not a uuid');
+
+        const zeebeProperties = findExtension(task, 'zeebe:Properties');
+        const property = findZeebeProperty(zeebeProperties, { name: 'property' });
+        expect(property.get('value')).to.match(uuidRegex, 'zeebe property is not a uuid');
+
+        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+        const input = findInputParameter(ioMapping, { name: 'input' });
+        expect(input.get('source')).to.match(uuidRegex, 'input parameter is not a uuid');
+
+        const output = findOutputParameter(ioMapping, { source: 'source' });
+        expect(output.get('target')).to.match(uuidRegex, 'output parameter is not a uuid');
+
+        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
+        const taskHeader = findTaskHeader(taskHeaders, { key: 'header' });
+        expect(taskHeader.get('value')).to.match(uuidRegex, 'task header is not a uuid');
+
+        const taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+        expect(taskDefinition.get('type')).to.match(uuidRegex, 'task definition type is not a uuid');
+      }));
+
+
+      it('should apply generated value on message (uuid)', inject(function(elementRegistry) {
+
+        // given
+        const uuidRegex = /^[\w\d]{8}(-[\w\d]{4}){3}-[\w\d]{12}$/;
+        let event = elementRegistry.get('Event_1');
+
+        // when
+        event = changeTemplate(event, require('./generated-values.json')[1]);
+
+        // then
+        const bo = getBusinessObject(event);
+
+        const message = findMessage(bo);
+        expect(message.get('name')).to.match(uuidRegex, 'message name is not a uuid');
+
+        const subscription = findZeebeSubscription(message);
+        expect(subscription.get('correlationKey')).to.match(uuidRegex, 'correlation key is not a uuid');
+      }));
+    });
+
+
+    describe('integration', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      it('should NOT create unnecessary message', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, {
+          '$schema': 'https://unpkg.com/browse/@camunda/zeebe-element-templates-json-schema/resources/schema.json',
+          'id': 'com.camunda.example.test',
+          'name': 'TEST',
+          'appliesTo': [
+            'bpmn:FlowNode'
+          ],
+          'properties': []
+        });
+
+        // then
+        const bo = getBusinessObject(task);
+
+        expect(bo.$attrs).not.to.have.property('messageRef');
+      }));
+    });
+
+  });
+
+
+  describe('change template (new and old template specified)', function() {
+
+    describe('update zeebe:modelerTemplate and zeebe:modelerTemplateVersion', function() {
+
+      beforeEach(bootstrap(require('./task-template.bpmn').default));
+
+      const newTemplate = require('./task-template-2.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, newTemplate);
+
+        // then
+        expectElementTemplate(task, 'task-template', 2);
+      }));
+
+    });
+
+
+    describe('update zeebe:modelerTemplateIcon', function() {
+
+      beforeEach(bootstrap(require('./icon-template.bpmn').default));
+
+      const newTemplate = require('./icon-template-2.json');
+
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, newTemplate);
+
+        // then
+        const icon = getBusinessObject(task).get('zeebe:modelerTemplateIcon');
+
+        expect(icon).to.exist;
+        expect(icon).to.eql('https://example.com/foo.svg');
+      }));
+
+
+      it('should remove icon when none new', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, require('./icon-template-no-icon.json'));
+
+        // then
+        const icon = getBusinessObject(task).get('zeebe:modelerTemplateIcon');
+
+        expect(icon).to.not.exist;
+      }));
+
+    });
+
+
+    describe('update properties', function() {
+
+      describe('update name', function() {
+
+        beforeEach(bootstrap(require('./task.bpmn').default));
+
+        it('property changed', inject(function(elementRegistry) {
+
+          // given
+          const task = elementRegistry.get('Task_1'),
+                businessObject = getBusinessObject(task);
+
+          const oldTemplate = createTemplate({
+            value: 'task-old-name',
+            binding: {
+              type: 'property',
+              name: 'name'
+            }
+          });
+
+          const newTemplate = createTemplate({
+            value: 'task-new-name',
+            binding: {
+              type: 'property',
+              name: 'name'
+            }
+          });
+
+          changeTemplate('Task_1', oldTemplate);
+
+          let name = businessObject.get('bpmn:name');
+
+          updateBusinessObject('Task_1', businessObject, {
+            'name': 'task-name-changed'
+          });
+
+          // when
+          changeTemplate(task, newTemplate, oldTemplate);
+
+          // then
+          name = businessObject.get('bpmn:name');
+
+          expect(name).to.exist;
+          expect(name).to.equal('task-name-changed');
+        }));
+
+
+        it('property unchanged', inject(function(elementRegistry) {
+
+          // given
+          const task = elementRegistry.get('Task_1'),
+                businessObject = getBusinessObject(task);
+
+          const oldTemplate = createTemplate({
+            value: 'task-old-name',
+            binding: {
+              type: 'property',
+              name: 'name'
+            }
+          });
+
+          const newTemplate = createTemplate({
+            value: 'task-new-name',
+            binding: {
+              type: 'property',
+              name: 'name'
+            }
+          });
+
+          changeTemplate('Task_1', oldTemplate);
+
+          // when
+          changeTemplate(task, newTemplate, oldTemplate);
+
+          // then
+          const name = businessObject.get('bpmn:name');
+
+          expect(name).to.exist;
+          expect(name).to.equal('task-new-name');
+        }));
+
+
+        it('property removed', inject(function(elementRegistry) {
+
+          // given
+          const task = elementRegistry.get('Task_1'),
+                businessObject = getBusinessObject(task);
+
+          const oldTemplate = createTemplate({
+            value: 'task-old-name',
+            binding: {
+              type: 'property',
+              name: 'name'
+            }
+          });
+
+          const newTemplate = createTemplate([]);
+
+          changeTemplate('Task_1', oldTemplate);
+
+          // when
+          changeTemplate('Task_1', newTemplate, oldTemplate);
+
+          // then
+          const name = businessObject.get('bpmn:name');
+
+          expect(name).not.to.exist;
+        }));
+
+      });
+
+    });
+
+
+    describe('update zeebe:taskDefinition', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+
+      it('property changed', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'task-type-old',
+            binding: {
+              type: 'zeebe:taskDefinition:type'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'task-type-new',
+            binding: {
+              type: 'zeebe:taskDefinition:type'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        let taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+
+        updateBusinessObject('Task_1', taskDefinition, {
+          type: 'task-type-changed'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+
+        expect(taskDefinition).to.exist;
+        expect(taskDefinition.get('type')).to.equal('task-type-changed');
+      }));
+
+
+      it('property unchanged', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'task-type-old',
+            binding: {
+              type: 'zeebe:taskDefinition:type'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'task-type-new',
+            binding: {
+              type: 'zeebe:taskDefinition:type'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const taskDefinition = findExtension(task, 'zeebe:TaskDefinition');
+
+        expect(taskDefinition).to.exist;
+        expect(taskDefinition.get('type')).to.equal('task-type-new');
+      }));
+
+    });
+
+
+    describe('update zeebe:Input and zeebe:Output', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+
+      it('property changed', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'input-1-old-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-old-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'input-1-new-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-new-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        const input = getInputParameter(task, 'input-1-target');
+
+        updateBusinessObject('Task_1', input, {
+          source: 'input-1-changed-value'
+        });
+
+        const output = getOutputParameter(task, 'output-1-source');
+
+        updateBusinessObject('Task_1', output, {
+          target: 'output-1-changed-value'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping).to.exist;
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-changed-value',
+            target: 'input-1-target',
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-changed-value'
+          }
+        ]);
+      }));
+
+
+      it('property unchanged', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'input-1-old-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-old-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'input-1-new-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-new-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping).to.exist;
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-new-value',
+            target: 'input-1-target'
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-new-value'
+          }
+        ]);
+      }));
+
+
+      it('complex', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'input-1-old-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-old-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          },
+          {
+            value: 'input-2-old-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-2-target'
+            }
+          },
+          {
+            value: 'output-2-old-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-2-source'
+            }
+          },
+          {
+            value: 'input-3-old-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-3-target'
+            }
+          },
+          {
+            value: 'output-3-old-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-3-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'input-1-new-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-new-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          },
+          {
+            value: 'input-2-new-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-2-target'
+            }
+          },
+          {
+            value: 'output-2-new-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-2-source'
+            }
+          },
+          {
+            value: 'input-4-new-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-4-target'
+            }
+          },
+          {
+            value: 'output-4-new-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-4-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        const input1 = getInputParameter(task, 'input-1-target');
+
+        updateBusinessObject('Task_1', input1, {
+          source: 'input-1-changed-value'
+        });
+
+        const output1 = getOutputParameter(task, 'output-1-source');
+
+        updateBusinessObject('Task_1', output1, {
+          target: 'output-1-changed-value'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping).to.exist;
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(3);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(3);
+
+        // Expect 1st input to not have been overridden because it was changed
+        // Expect 2nd input to have been updated
+        // Expect 3rd input to have been removed
+        // Expect 4th input to have been added
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-changed-value',
+            target: 'input-1-target'
+          },
+          {
+            $type: 'zeebe:Input',
+            source: 'input-2-new-value',
+            target: 'input-2-target'
+          },
+          {
+            $type: 'zeebe:Input',
+            source: 'input-4-new-value',
+            target: 'input-4-target'
+          }
+        ]);
+
+        // Expect 1st output to not have been overridden because it was changed
+        // Expect 2nd output to have been updated
+        // Expect 3rd output to have been removed
+        // Expect 4th output to have been added
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-changed-value'
+          },
+          {
+            $type: 'zeebe:Output',
+            source: 'output-2-source',
+            target: 'output-2-new-value'
+          },
+          {
+            $type: 'zeebe:Output',
+            source: 'output-4-source',
+            target: 'output-4-new-value'
+          }
+        ]);
+      }));
+
+    });
+
+
+    describe('optional - zeebe:Input and zeebe:Output', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+
+      it('should create - optional -> non optional (no value)', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        // assume
+        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).to.be.empty;
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping).to.exist;
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: undefined,
+            target: 'input-1-target',
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: undefined
+          }
+        ]);
+      }));
+
+
+      it('should create - optional -> non optional (value)', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'input-1-new-value',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-new-value',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        // assume
+        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).to.be.empty;
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping).to.exist;
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-new-value',
+            target: 'input-1-target'
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-new-value'
+          }
+        ]);
+      }));
+
+
+      it('should remove - non optional (value) -> optional (no value)', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'input-1-source',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-2-source',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        // assume
+        expect(ioMapping.get('zeebe:inputParameters')).not.to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).not.to.be.empty;
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).to.to.be.empty;
+      }));
+
+
+      it('should remove - non optional (no value)  -> optional (no value)', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        // assume
+        expect(ioMapping.get('zeebe:inputParameters')).not.to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).not.to.be.empty;
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).to.to.be.empty;
+      }));
+
+
+      it('should update - non optional -> optional (new value)', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'input-1-source',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'input-2-source',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'input-1-new-source',
+            optional: true,
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            value: 'output-1-new-target',
+            optional: true,
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        // assume
+        expect(ioMapping.get('zeebe:inputParameters')).not.to.be.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).not.to.be.empty;
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-new-source',
+            target: 'input-1-target',
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-new-target'
+          }
+        ]);
+      }));
+
+
+      it('should update - optional -> optional', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            optional: true,
+            value: 'input-1-old-source',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            value: 'output-1-old-target',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            optional: true,
+            value: 'input-1-new-source',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            value: 'output-1-new-target',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        // assume
+        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        // assume
+        expect(ioMapping.get('zeebe:inputParameters')).to.be.not.empty;
+        expect(ioMapping.get('zeebe:outputParameters')).to.be.not.empty;
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-new-source',
+            target: 'input-1-target',
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-new-target'
+          }
+        ]);
+      }));
+
+
+      it('should keep - optional -> optional (changed)',
+        inject(function(elementRegistry, bpmnFactory) {
+
+          // given
+          const task = elementRegistry.get('Task_1');
+
+          const oldTemplate = createTemplate([
+            {
+              optional: true,
+              binding: {
+                type: 'zeebe:input',
+                name: 'input-1-target'
+              }
+            },
+            {
+              optional: true,
+              binding: {
+                type: 'zeebe:output',
+                source: 'output-1-source'
+              }
+            }
+          ]);
+
+          const newTemplate = createTemplate([
+            {
+              optional: true,
+              binding: {
+                type: 'zeebe:input',
+                name: 'input-1-target'
+              }
+            },
+            {
+              optional: true,
+              binding: {
+                type: 'zeebe:output',
+                source: 'output-1-source'
+              }
+            }
+          ]);
+
+          changeTemplate('Task_1', oldTemplate);
+
+          const input = createInputParameter({
+            name: 'input-1-target'
+          }, 'input-1-changed-source', bpmnFactory);
+
+          const output = createOutputParameter({
+            source: 'output-1-source'
+          }, 'output-1-changed-target', bpmnFactory);
+
+          let ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+          updateBusinessObject('Task_1', ioMapping, {
+            inputParameters: [ input ],
+            outputParameters: [ output ]
+          });
+
+          // when
+          changeTemplate(task, newTemplate, oldTemplate);
+
+          // then
+          ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+          expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+          expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+          expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+            {
+              $type: 'zeebe:Input',
+              source: 'input-1-changed-source',
+              target: 'input-1-target',
+            }
+          ]);
+
+          expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+            {
+              $type: 'zeebe:Output',
+              source: 'output-1-source',
+              target: 'output-1-changed-target'
+            }
+          ]);
+        })
+      );
+
+
+      it('should create - optional -> optional (new value)', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            optional: true,
+            value: 'input-1-new-source',
+            binding: {
+              type: 'zeebe:input',
+              name: 'input-1-target'
+            }
+          },
+          {
+            optional: true,
+            value: 'output-1-new-target',
+            binding: {
+              type: 'zeebe:output',
+              source: 'output-1-source'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
+        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+
+        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Input',
+            source: 'input-1-new-source',
+            target: 'input-1-target',
+          }
+        ]);
+
+        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          {
+            $type: 'zeebe:Output',
+            source: 'output-1-source',
+            target: 'output-1-new-target'
+          }
+        ]);
+      }));
+
+    });
+
+
+    describe('update zeebe:Header', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+
+      it('property changed', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'header-1-old-value',
+            binding: {
+              type: 'zeebe:taskHeader',
+              key: 'header-1-key'
+            }
+          },
+          {
+            value: 'header-2-old-value',
+            binding: {
+              type: 'zeebe:taskHeader',
+              key: 'header-2-key'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'header-1-new-value',
+            binding: {
+              type: 'zeebe:taskHeader',
+              key: 'header-1-key'
+            }
+          },
+          {
+            value: 'header-2-new-value',
+            binding: {
+              type: 'zeebe:taskHeader',
+              key: 'header-2-key'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        const header = getTaskHeader(task, 'header-1-key');
+
+        updateBusinessObject('Task_1', header, {
+          value: 'header-1-changed-value'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
+
+        expect(taskHeaders).to.exist;
+        expect(taskHeaders.get('zeebe:values')).to.have.length(2);
+
+        expect(taskHeaders.get('zeebe:values')).to.jsonEqual([
+          {
+            $type: 'zeebe:Header',
+            key: 'header-1-key',
+            value: 'header-1-changed-value',
+          },
+          {
+            $type: 'zeebe:Header',
+            key: 'header-2-key',
+            value: 'header-2-new-value',
+          }
+        ]);
+      }));
+
+
+      it('property unchanged', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
 
         const oldTemplate = createTemplate([
           {
-            value: 'input-1-old-value',
+            value: 'header-1-old-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
+              type: 'zeebe:taskHeader',
+              key: 'header-1-key'
             }
           },
           {
-            value: 'output-1-old-value',
+            value: 'header-2-old-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:taskHeader',
+              key: 'header-2-key'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
-            value: 'input-1-new-value',
+            value: 'header-1-new-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
+              type: 'zeebe:taskHeader',
+              key: 'header-1-key'
             }
           },
           {
-            value: 'output-1-new-value',
+            value: 'header-2-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:taskHeader',
+              key: 'header-2-key'
             }
           }
         ]);
@@ -2331,25 +3968,21 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        const ioMapping = findExtension(task, 'zeebe:IoMapping');
+        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
 
-        expect(ioMapping).to.exist;
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        expect(taskHeaders).to.exist;
+        expect(taskHeaders.get('zeebe:values')).to.have.length(2);
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+        expect(taskHeaders.get('zeebe:values')).to.jsonEqual([
           {
-            $type: 'zeebe:Input',
-            source: 'input-1-new-value',
-            target: 'input-1-target'
-          }
-        ]);
-
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+            $type: 'zeebe:Header',
+            key: 'header-1-key',
+            value: 'header-1-new-value'
+          },
           {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-new-value'
+            $type: 'zeebe:Header',
+            key: 'header-2-key',
+            value: 'header-2-new-value'
           }
         ]);
       }));
@@ -2362,243 +3995,399 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
 
         const oldTemplate = createTemplate([
           {
-            value: 'input-1-old-value',
+            value: 'header-1-old-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
+              type: 'zeebe:taskHeader',
+              key: 'header-1-key'
             }
           },
           {
-            value: 'output-1-old-value',
+            value: 'header-2-old-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:taskHeader',
+              key: 'header-2-key'
             }
           },
           {
-            value: 'input-2-old-value',
+            value: 'header-3-old-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-2-target'
+              type: 'zeebe:taskHeader',
+              key: 'header-3-key'
+            }
+          }
+        ]);
+
+        const newTemplate = createTemplate([
+          {
+            value: 'header-1-new-value',
+            binding: {
+              type: 'zeebe:taskHeader',
+              key: 'header-1-key'
             }
           },
           {
-            value: 'output-2-old-value',
+            value: 'header-2-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-2-source'
+              type: 'zeebe:taskHeader',
+              key: 'header-2-key'
             }
           },
           {
-            value: 'input-3-old-value',
+            value: 'header-4-new-value',
+            binding: {
+              type: 'zeebe:taskHeader',
+              key: 'header-4-key'
+            }
+          }
+        ]);
+
+        changeTemplate('Task_1', oldTemplate);
+
+        const header1 = getTaskHeader(task, 'header-1-key');
+
+        updateBusinessObject('Task_1', header1, {
+          value: 'header-1-changed-value'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
+
+        expect(taskHeaders).to.exist;
+        expect(taskHeaders.get('zeebe:values')).to.have.length(3);
+
+        // Expect 1st header to not have been overridden because it was changed
+        // Expect 2nd header to have been updated
+        // Expect 3rd header to have been removed
+        // Expect 4th header to have been added
+        expect(taskHeaders.get('zeebe:values')).to.jsonEqual([
+          {
+            $type: 'zeebe:Header',
+            key: 'header-1-key',
+            value: 'header-1-changed-value'
+          },
+          {
+            $type: 'zeebe:Header',
+            key: 'header-2-key',
+            value: 'header-2-new-value'
+          },
+          {
+            $type: 'zeebe:Header',
+            key: 'header-4-key',
+            value: 'header-4-new-value'
+          },
+        ]);
+      }));
+
+    });
+
+
+    describe('update task type', function() {
+
+      const oldTemplate = require('./task-template-elementType-1.json');
+      const newTemplate = require('./task-template-elementType-2.json');
+
+      beforeEach(bootstrap(require('./task.bpmn').default, [ oldTemplate, newTemplate ]));
+
+      it('execute', inject(function(elementRegistry) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+        task = changeTemplate(task, oldTemplate);
+
+        // when
+        task = changeTemplate(task, newTemplate);
+
+        // then
+        expectElementTemplate(task, 'element-type-template-new', 1);
+        expect(is(task, 'bpmn:ServiceTask')).to.be.true;
+      }));
+
+
+      it('undo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+        task = changeTemplate(task, oldTemplate);
+
+        // when
+        changeTemplate('Task_1', newTemplate);
+        commandStack.undo();
+
+        // then
+        const currentTask = elementRegistry.get('Task_1');
+
+        expect(currentTask).to.eql(task);
+        expectElementTemplate(currentTask, 'element-type-template', 1);
+        expect(is(currentTask, 'bpmn:UserTask')).to.be.true;
+      }));
+
+
+      it('redo', inject(function(commandStack, elementRegistry) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+        task = changeTemplate(task, oldTemplate);
+
+        // when
+        task = changeTemplate('Task_1', newTemplate);
+        commandStack.undo();
+        commandStack.redo();
+
+        // then
+        const currentTask = elementRegistry.get('Task_1');
+
+        expect(currentTask).to.eql(task);
+        expectElementTemplate(currentTask, 'element-type-template-new', 1);
+        expect(is(currentTask, 'bpmn:ServiceTask')).to.be.true;
+      }));
+
+    });
+
+
+    describe('update zeebe:Property', function() {
+
+      beforeEach(bootstrap(require('./zeebe-properties.bpmn').default));
+
+
+      it('property changed', inject(function(elementRegistry) {
+
+        // given
+        const serviceTask = elementRegistry.get('ServiceTask_NoProperties');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'property-1-old-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-3-target'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           },
           {
-            value: 'output-3-old-value',
+            value: 'property-2-old-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-3-source'
+              type: 'zeebe:property',
+              name: 'property-2-name'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
-            value: 'input-1-new-value',
+            value: 'property-1-new-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           },
           {
-            value: 'output-1-new-value',
+            value: 'property-2-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-2-name'
             }
+          }
+        ]);
+
+        changeTemplate('ServiceTask_NoProperties', oldTemplate);
+
+        const zeebeProperty = getZeebeProperty(serviceTask, 'property-1-name');
+
+        updateBusinessObject('ServiceTask_NoProperties', zeebeProperty, {
+          value: 'property-1-changed-value'
+        });
+
+        // when
+        changeTemplate(serviceTask, newTemplate, oldTemplate);
+
+        // then
+        const zeebeProperties = findExtension(serviceTask, 'zeebe:Properties');
+
+        expect(zeebeProperties).to.exist;
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(2);
+
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
+          {
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-changed-value',
           },
           {
-            value: 'input-2-new-value',
+            $type: 'zeebe:Property',
+            name: 'property-2-name',
+            value: 'property-2-new-value',
+          }
+        ]);
+      }));
+
+
+      it('property unchanged', inject(function(elementRegistry) {
+
+        // given
+        const serviceTask = elementRegistry.get('ServiceTask_NoProperties');
+
+        const oldTemplate = createTemplate([
+          {
+            value: 'property-1-old-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-2-target'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           },
           {
-            value: 'output-2-new-value',
+            value: 'property-2-old-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-2-source'
+              type: 'zeebe:property',
+              name: 'property-2-name'
             }
-          },
+          }
+        ]);
+
+        const newTemplate = createTemplate([
           {
-            value: 'input-4-new-value',
+            value: 'property-1-new-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-4-target'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           },
           {
-            value: 'output-4-new-value',
+            value: 'property-2-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-4-source'
+              type: 'zeebe:property',
+              name: 'property-2-name'
             }
           }
         ]);
 
-        changeTemplate('Task_1', oldTemplate);
-
-        const input1 = getInputParameter(task, 'input-1-target');
-
-        updateBusinessObject('Task_1', input1, {
-          source: 'input-1-changed-value'
-        });
-
-        const output1 = getOutputParameter(task, 'output-1-source');
-
-        updateBusinessObject('Task_1', output1, {
-          target: 'output-1-changed-value'
-        });
+        changeTemplate('ServiceTask_NoProperties', oldTemplate);
 
         // when
-        changeTemplate(task, newTemplate, oldTemplate);
+        changeTemplate(serviceTask, newTemplate, oldTemplate);
 
         // then
-        const ioMapping = findExtension(task, 'zeebe:IoMapping');
-
-        expect(ioMapping).to.exist;
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(3);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(3);
+        const zeebeProperties = findExtension(serviceTask, 'zeebe:Properties');
 
-        // Expect 1st input to not have been overridden because it was changed
-        // Expect 2nd input to have been updated
-        // Expect 3rd input to have been removed
-        // Expect 4th input to have been added
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Input',
-            source: 'input-1-changed-value',
-            target: 'input-1-target'
-          },
-          {
-            $type: 'zeebe:Input',
-            source: 'input-2-new-value',
-            target: 'input-2-target'
-          },
-          {
-            $type: 'zeebe:Input',
-            source: 'input-4-new-value',
-            target: 'input-4-target'
-          }
-        ]);
+        expect(zeebeProperties).to.exist;
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(2);
 
-        // Expect 1st output to not have been overridden because it was changed
-        // Expect 2nd output to have been updated
-        // Expect 3rd output to have been removed
-        // Expect 4th output to have been added
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-changed-value'
-          },
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
           {
-            $type: 'zeebe:Output',
-            source: 'output-2-source',
-            target: 'output-2-new-value'
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-new-value',
           },
           {
-            $type: 'zeebe:Output',
-            source: 'output-4-source',
-            target: 'output-4-new-value'
+            $type: 'zeebe:Property',
+            name: 'property-2-name',
+            value: 'property-2-new-value',
           }
         ]);
       }));
 
-    });
-
-
-    describe('optional - zeebe:Input and zeebe:Output', function() {
 
-      beforeEach(bootstrap(require('./task.bpmn').default));
-
-
-      it('should create - optional -> non optional (no value)', inject(function(elementRegistry) {
+      it('complex', inject(function(elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        const serviceTask = elementRegistry.get('ServiceTask_NoProperties');
 
         const oldTemplate = createTemplate([
           {
-            optional: true,
+            value: 'property-1-old-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           },
           {
-            optional: true,
+            value: 'property-2-old-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-2-name'
+            }
+          },
+          {
+            value: 'property-3-old-value',
+            binding: {
+              type: 'zeebe:property',
+              name: 'property-3-name'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
+            value: 'property-1-new-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           },
           {
+            value: 'property-2-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-2-name'
+            }
+          },
+          {
+            value: 'property-4-new-value',
+            binding: {
+              type: 'zeebe:property',
+              name: 'property-4-name'
             }
           }
         ]);
 
-        changeTemplate('Task_1', oldTemplate);
+        changeTemplate('ServiceTask_NoProperties', oldTemplate);
 
-        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+        const zeebeProperty = getZeebeProperty(serviceTask, 'property-1-name');
 
-        // assume
-        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).to.be.empty;
+        updateBusinessObject('ServiceTask_NoProperties', zeebeProperty, {
+          value: 'property-1-changed-value'
+        });
 
         // when
-        changeTemplate(task, newTemplate, oldTemplate);
+        changeTemplate(serviceTask, newTemplate, oldTemplate);
 
         // then
-        ioMapping = findExtension(task, 'zeebe:IoMapping');
+        const zeebeProperties = findExtension(serviceTask, 'zeebe:Properties');
 
-        expect(ioMapping).to.exist;
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        expect(zeebeProperties).to.exist;
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(3);
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
+        // expect 1st zeebe:Property to not have been overridden because it was changed
+        // expect 2nd zeebe:Property to have been updated
+        // expect 3rd zeebe:Property to have been removed
+        // expect 4th zeebe:Property to have been added
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
           {
-            $type: 'zeebe:Input',
-            source: undefined,
-            target: 'input-1-target',
-          }
-        ]);
-
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-changed-value'
+          },
           {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: undefined
-          }
+            $type: 'zeebe:Property',
+            name: 'property-2-name',
+            value: 'property-2-new-value'
+          },
+          {
+            $type: 'zeebe:Property',
+            name: 'property-4-name',
+            value: 'property-4-new-value'
+          },
         ]);
       }));
 
+    });
+
+
+    describe('optional - zeebe:Property', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
 
       it('should create - optional -> non optional (value)', inject(function(elementRegistry) {
 
@@ -2609,146 +4398,107 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
           {
             optional: true,
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
-            value: 'input-1-new-value',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            value: 'output-1-new-value',
+            value: 'property-1-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         changeTemplate('Task_1', oldTemplate);
 
-        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+        let zeebeProperties = findExtension(task, 'zeebe:Properties');
 
         // assume
-        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).to.be.empty;
+        expect(zeebeProperties.get('zeebe:properties')).to.be.empty;
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        ioMapping = findExtension(task, 'zeebe:IoMapping');
-
-        expect(ioMapping).to.exist;
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Input',
-            source: 'input-1-new-value',
-            target: 'input-1-target'
-          }
-        ]);
+        expect(zeebeProperties).to.exist;
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
           {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-new-value'
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-value'
           }
         ]);
       }));
 
 
-      it('should remove - non optional (value) -> optional (no value)', inject(function(elementRegistry) {
+      it('should create - optional -> non optional (no value)', inject(function(elementRegistry) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
         const oldTemplate = createTemplate([
           {
-            value: 'input-1-source',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            value: 'output-2-source',
+            optional: true,
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
-            optional: true,
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         changeTemplate('Task_1', oldTemplate);
 
-        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+        let zeebeProperties = findExtension(task, 'zeebe:Properties');
 
         // assume
-        expect(ioMapping.get('zeebe:inputParameters')).not.to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).not.to.be.empty;
+        expect(zeebeProperties.get('zeebe:properties')).to.be.empty;
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        ioMapping = findExtension(task, 'zeebe:IoMapping');
+        zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).to.to.be.empty;
+        expect(zeebeProperties).to.exist;
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
+          {
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: ''
+          }
+        ]);
       }));
 
 
-      it('should remove - non optional (no value)  -> optional (no value)', inject(function(elementRegistry) {
+      it('should remove - non optional -> optional (empty value)', inject(function(elementRegistry) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
         const oldTemplate = createTemplate([
           {
+            value: 'property-1-value',
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
@@ -2757,109 +4507,75 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
           {
             optional: true,
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         changeTemplate('Task_1', oldTemplate);
 
-        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+        let zeebeProperties = findExtension(task, 'zeebe:Properties');
 
         // assume
-        expect(ioMapping.get('zeebe:inputParameters')).not.to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).not.to.be.empty;
+        expect(zeebeProperties.get('zeebe:properties')).not.to.be.empty;
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        ioMapping = findExtension(task, 'zeebe:IoMapping');
+        zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).to.to.be.empty;
+        expect(zeebeProperties.get('zeebe:properties')).to.be.empty;
       }));
 
 
-      it('should update - non optional -> optional (new value)', inject(function(elementRegistry) {
+      it('should keep - non optional -> optional (new value)', inject(function(elementRegistry) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
         const oldTemplate = createTemplate([
           {
-            value: 'input-1-source',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            value: 'input-2-source',
+            value: 'property-1-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
-            value: 'input-1-new-source',
-            optional: true,
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            value: 'output-1-new-target',
+            value: 'property-1-new-value',
             optional: true,
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
 
         changeTemplate('Task_1', oldTemplate);
 
-        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+        let zeebeProperties = findExtension(task, 'zeebe:Properties');
 
         // assume
-        expect(ioMapping.get('zeebe:inputParameters')).not.to.be.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).not.to.be.empty;
+        expect(zeebeProperties.get('zeebe:properties')).not.to.be.empty;
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        ioMapping = findExtension(task, 'zeebe:IoMapping');
-
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Input',
-            source: 'input-1-new-source',
-            target: 'input-1-target',
-          }
-        ]);
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
           {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-new-target'
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-new-value'
           }
         ]);
       }));
@@ -2873,18 +4589,10 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
         const oldTemplate = createTemplate([
           {
             optional: true,
-            value: 'input-1-old-source',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
-            value: 'output-1-old-target',
+            value: 'property-1-old-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
@@ -2892,18 +4600,10 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
         const newTemplate = createTemplate([
           {
             optional: true,
-            value: 'input-1-new-source',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
-            value: 'output-1-new-target',
+            value: 'property-1-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
@@ -2911,34 +4611,24 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
         changeTemplate('Task_1', oldTemplate);
 
         // assume
-        let ioMapping = findExtension(task, 'zeebe:IoMapping');
+        let zeebeProperties = findExtension(task, 'zeebe:Properties');
 
         // assume
-        expect(ioMapping.get('zeebe:inputParameters')).to.be.not.empty;
-        expect(ioMapping.get('zeebe:outputParameters')).to.be.not.empty;
+        expect(zeebeProperties.get('zeebe:properties')).to.be.not.empty;
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        ioMapping = findExtension(task, 'zeebe:IoMapping');
-
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Input',
-            source: 'input-1-new-source',
-            target: 'input-1-target',
-          }
-        ]);
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
           {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-new-target'
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-new-value',
           }
         ]);
       }));
@@ -2953,16 +4643,9 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
           const oldTemplate = createTemplate([
             {
               optional: true,
-              binding: {
-                type: 'zeebe:input',
-                name: 'input-1-target'
-              }
-            },
-            {
-              optional: true,
-              binding: {
-                type: 'zeebe:output',
-                source: 'output-1-source'
+              binding: {
+                type: 'zeebe:property',
+                name: 'property-1-name'
               }
             }
           ]);
@@ -2971,58 +4654,37 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
             {
               optional: true,
               binding: {
-                type: 'zeebe:input',
-                name: 'input-1-target'
-              }
-            },
-            {
-              optional: true,
-              binding: {
-                type: 'zeebe:output',
-                source: 'output-1-source'
+                type: 'zeebe:property',
+                name: 'property-1-name'
               }
             }
           ]);
 
           changeTemplate('Task_1', oldTemplate);
 
-          const input = createInputParameter({
-            name: 'input-1-target'
-          }, 'input-1-changed-source', bpmnFactory);
-
-          const output = createOutputParameter({
-            source: 'output-1-source'
-          }, 'output-1-changed-target', bpmnFactory);
+          const zeebeProperty = createZeebeProperty({
+            name: 'property-1-name'
+          }, 'property-1-changed-value', bpmnFactory);
 
-          let ioMapping = findExtension(task, 'zeebe:IoMapping');
+          let zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-          updateBusinessObject('Task_1', ioMapping, {
-            inputParameters: [ input ],
-            outputParameters: [ output ]
+          updateBusinessObject('Task_1', zeebeProperties, {
+            properties: [ zeebeProperty ]
           });
 
           // when
           changeTemplate(task, newTemplate, oldTemplate);
 
           // then
-          ioMapping = findExtension(task, 'zeebe:IoMapping');
-
-          expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-          expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+          zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-          expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-            {
-              $type: 'zeebe:Input',
-              source: 'input-1-changed-source',
-              target: 'input-1-target',
-            }
-          ]);
+          expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-          expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+          expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
             {
-              $type: 'zeebe:Output',
-              source: 'output-1-source',
-              target: 'output-1-changed-target'
+              $type: 'zeebe:Property',
+              name: 'property-1-name',
+              value: 'property-1-changed-value'
             }
           ]);
         })
@@ -3038,15 +4700,8 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
           {
             optional: true,
             binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
@@ -3054,18 +4709,10 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
         const newTemplate = createTemplate([
           {
             optional: true,
-            value: 'input-1-new-source',
-            binding: {
-              type: 'zeebe:input',
-              name: 'input-1-target'
-            }
-          },
-          {
-            optional: true,
-            value: 'output-1-new-target',
+            value: 'property-1-new-value',
             binding: {
-              type: 'zeebe:output',
-              source: 'output-1-source'
+              type: 'zeebe:property',
+              name: 'property-1-name'
             }
           }
         ]);
@@ -3076,24 +4723,15 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        const ioMapping = findExtension(task, 'zeebe:IoMapping');
-
-        expect(ioMapping.get('zeebe:inputParameters')).to.have.length(1);
-        expect(ioMapping.get('zeebe:outputParameters')).to.have.length(1);
+        const zeebeProperties = findExtension(task, 'zeebe:Properties');
 
-        expect(ioMapping.get('zeebe:inputParameters')).to.jsonEqual([
-          {
-            $type: 'zeebe:Input',
-            source: 'input-1-new-source',
-            target: 'input-1-target',
-          }
-        ]);
+        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-        expect(ioMapping.get('zeebe:outputParameters')).to.jsonEqual([
+        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
           {
-            $type: 'zeebe:Output',
-            source: 'output-1-source',
-            target: 'output-1-new-target'
+            $type: 'zeebe:Property',
+            name: 'property-1-name',
+            value: 'property-1-new-value'
           }
         ]);
       }));
@@ -3101,922 +4739,970 @@ describe('cloud-element-templates/cmd - ChangeElementTemplateHandler', function(
     });
 
 
-    describe('update zeebe:Header', function() {
+    describe('update zeebe:script', function() {
 
       beforeEach(bootstrap(require('./task.bpmn').default));
 
+      const oldTemplate = require('./script-task.json');
 
-      it('property changed', inject(function(elementRegistry) {
+
+      it('should keep changed result variable', inject(function(elementRegistry, modeling) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'header-1-old-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-1-key'
-            }
-          },
-          {
-            value: 'header-2-old-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-2-key'
-            }
-          }
-        ]);
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: oldTemplate.properties.map(property => {
+            return property.binding.property === 'expression' ? { ...property, value: '=a + b + c' } : property;
+          })
+        };
 
-        const newTemplate = createTemplate([
-          {
-            value: 'header-1-new-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-1-key'
+        changeTemplate(task, oldTemplate);
+
+        task = elementRegistry.get('Task_1');
+
+        modeling.updateModdleProperties(task, findExtension(task, 'zeebe:Script'), {
+          resultVariable: 'total'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        const script = findExtension(task, 'zeebe:Script');
+
+        expect(script).to.have.property('expression', '=a + b + c');
+        expect(script).to.have.property('resultVariable', 'total');
+      }));
+
+
+      it('should replace script with task definition', inject(function(elementRegistry) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              type: 'Hidden',
+              value: 'script-worker',
+              binding: {
+                type: 'zeebe:taskDefinition',
+                property: 'type'
+              }
             }
-          },
-          {
-            value: 'header-2-new-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-2-key'
+          ]
+        };
+
+        changeTemplate(task, oldTemplate);
+
+        task = elementRegistry.get('Task_1');
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        expect(findExtension(task, 'zeebe:Script')).not.to.exist;
+        expect(findExtension(task, 'zeebe:TaskDefinition')).to.have.property('type', 'script-worker');
+      }));
+
+    });
+
+
+    describe('update zeebe:userTask', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      const oldTemplate = require('./user-task.json');
+
+
+      it('should replace form definition property', inject(function(elementRegistry) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: oldTemplate.properties.map(property => {
+            if (property.binding.type !== 'zeebe:formDefinition') {
+              return property;
             }
-          }
-        ]);
 
-        changeTemplate('Task_1', oldTemplate);
+            return {
+              ...property,
+              value: 'https://example.com/forms/approval',
+              binding: {
+                type: 'zeebe:formDefinition',
+                property: 'externalReference'
+              }
+            };
+          })
+        };
 
-        const header = getTaskHeader(task, 'header-1-key');
+        changeTemplate(task, oldTemplate);
 
-        updateBusinessObject('Task_1', header, {
-          value: 'header-1-changed-value'
-        });
+        task = elementRegistry.get('Task_1');
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
+        const formDefinition = findExtension(task, 'zeebe:FormDefinition');
 
-        expect(taskHeaders).to.exist;
-        expect(taskHeaders.get('zeebe:values')).to.have.length(2);
+        expect(formDefinition.get('formId')).not.to.exist;
+        expect(formDefinition.get('externalReference')).to.equal('https://example.com/forms/approval');
+      }));
 
-        expect(taskHeaders.get('zeebe:values')).to.jsonEqual([
-          {
-            $type: 'zeebe:Header',
-            key: 'header-1-key',
-            value: 'header-1-changed-value',
-          },
-          {
-            $type: 'zeebe:Header',
-            key: 'header-2-key',
-            value: 'header-2-new-value',
-          }
-        ]);
+
+      it('should keep changed assignment', inject(function(elementRegistry, modeling) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2
+        };
+
+        changeTemplate(task, oldTemplate);
+
+        task = elementRegistry.get('Task_1');
+
+        modeling.updateModdleProperties(task, findExtension(task, 'zeebe:AssignmentDefinition'), {
+          candidateGroups: 'accounting'
+        });
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        expect(findExtension(task, 'zeebe:AssignmentDefinition')).to.have.property('candidateGroups', 'accounting');
       }));
 
 
-      it('property unchanged', inject(function(elementRegistry) {
+      it('should remove extension elements no longer templated', inject(function(elementRegistry) {
 
         // given
-        const task = elementRegistry.get('Task_1');
+        let task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'header-1-old-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-1-key'
-            }
-          },
-          {
-            value: 'header-2-old-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-2-key'
-            }
-          }
-        ]);
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: oldTemplate.properties.filter(property => property.binding.type === 'zeebe:formDefinition')
+        };
 
-        const newTemplate = createTemplate([
-          {
-            value: 'header-1-new-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-1-key'
-            }
-          },
-          {
-            value: 'header-2-new-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-2-key'
-            }
-          }
-        ]);
+        changeTemplate(task, oldTemplate);
 
-        changeTemplate('Task_1', oldTemplate);
+        task = elementRegistry.get('Task_1');
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
-        // then
-        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
+        // then
+        expect(findExtension(task, 'zeebe:FormDefinition')).to.exist;
+        expect(findExtension(task, 'zeebe:UserTask')).not.to.exist;
+        expect(findExtension(task, 'zeebe:AssignmentDefinition')).not.to.exist;
+        expect(findExtension(task, 'zeebe:TaskSchedule')).not.to.exist;
+      }));
+
+    });
+
 
-        expect(taskHeaders).to.exist;
-        expect(taskHeaders.get('zeebe:values')).to.have.length(2);
+    describe('update zeebe:executionListener', function() {
 
-        expect(taskHeaders.get('zeebe:values')).to.jsonEqual([
-          {
-            $type: 'zeebe:Header',
-            key: 'header-1-key',
-            value: 'header-1-new-value'
-          },
-          {
-            $type: 'zeebe:Header',
-            key: 'header-2-key',
-            value: 'header-2-new-value'
-          }
-        ]);
-      }));
+      beforeEach(bootstrap(require('./task.bpmn').default));
 
 
-      it('complex', inject(function(elementRegistry) {
+      it('should replace listeners of old template', inject(function(elementRegistry) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
         const oldTemplate = createTemplate([
           {
-            value: 'header-1-old-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-1-key'
-            }
-          },
-          {
-            value: 'header-2-old-value',
+            type: 'Hidden',
+            value: 'old-start',
             binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-2-key'
+              type: 'zeebe:executionListener',
+              eventType: 'start'
             }
           },
           {
-            value: 'header-3-old-value',
+            type: 'Hidden',
+            value: 'old-end',
             binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-3-key'
+              type: 'zeebe:executionListener',
+              eventType: 'end'
             }
           }
         ]);
 
         const newTemplate = createTemplate([
           {
-            value: 'header-1-new-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-1-key'
-            }
-          },
-          {
-            value: 'header-2-new-value',
+            type: 'Hidden',
+            value: 'new-end',
             binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-2-key'
+              type: 'zeebe:executionListener',
+              eventType: 'end',
+              retries: '3'
             }
-          },
+          }
+        ]);
+
+        changeTemplate(task, oldTemplate);
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        expect(getExecutionListeners(task)).to.jsonEqual([
           {
-            value: 'header-4-new-value',
-            binding: {
-              type: 'zeebe:taskHeader',
-              key: 'header-4-key'
-            }
+            $type: 'zeebe:ExecutionListener',
+            eventType: 'end',
+            type: 'new-end',
+            retries: '3'
           }
         ]);
+      }));
 
-        changeTemplate('Task_1', oldTemplate);
 
-        const header1 = getTaskHeader(task, 'header-1-key');
+      it('should keep listeners not bound by template', inject(function(bpmnFactory, elementRegistry, modeling) {
 
-        updateBusinessObject('Task_1', header1, {
-          value: 'header-1-changed-value'
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate({
+          type: 'Hidden',
+          value: 'old-start',
+          binding: {
+            type: 'zeebe:executionListener',
+            eventType: 'start'
+          }
+        });
+
+        const newTemplate = createTemplate({
+          type: 'Hidden',
+          value: 'new-start',
+          binding: {
+            type: 'zeebe:executionListener',
+            eventType: 'start'
+          }
+        });
+
+        changeTemplate(task, oldTemplate);
+
+        const executionListeners = findExtension(task, 'zeebe:ExecutionListeners');
+
+        modeling.updateModdleProperties(task, executionListeners, {
+          listeners: [
+            ...executionListeners.get('listeners'),
+            bpmnFactory.create('zeebe:ExecutionListener', { eventType: 'end', type: 'custom' })
+          ]
         });
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        const taskHeaders = findExtension(task, 'zeebe:TaskHeaders');
-
-        expect(taskHeaders).to.exist;
-        expect(taskHeaders.get('zeebe:values')).to.have.length(3);
-
-        // Expect 1st header to not have been overridden because it was changed
-        // Expect 2nd header to have been updated
-        // Expect 3rd header to have been removed
-        // Expect 4th header to have been added
-        expect(taskHeaders.get('zeebe:values')).to.jsonEqual([
-          {
-            $type: 'zeebe:Header',
-            key: 'header-1-key',
-            value: 'header-1-changed-value'
-          },
+        expect(getExecutionListeners(task)).to.jsonEqual([
           {
-            $type: 'zeebe:Header',
-            key: 'header-2-key',
-            value: 'header-2-new-value'
+            $type: 'zeebe:ExecutionListener',
+            eventType: 'end',
+            type: 'custom'
           },
           {
-            $type: 'zeebe:Header',
-            key: 'header-4-key',
-            value: 'header-4-new-value'
-          },
+            $type: 'zeebe:ExecutionListener',
+            eventType: 'start',
+            type: 'new-start'
+          }
         ]);
       }));
 
+
+      it('should remove listeners if none remain', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const oldTemplate = createTemplate({
+          type: 'Hidden',
+          value: 'old-start',
+          binding: {
+            type: 'zeebe:executionListener',
+            eventType: 'start'
+          }
+        });
+
+        const newTemplate = createTemplate([]);
+
+        changeTemplate(task, oldTemplate);
+
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        expect(findExtension(task, 'zeebe:ExecutionListeners')).not.to.exist;
+      }));
+
     });
 
 
-    describe('update task type', function() {
+    describe('update bpmn:Message', function() {
 
-      const oldTemplate = require('./task-template-elementType-1.json');
-      const newTemplate = require('./task-template-elementType-2.json');
+      beforeEach(bootstrap(require('./event.bpmn').default));
 
-      beforeEach(bootstrap(require('./task.bpmn').default, [ oldTemplate, newTemplate ]));
 
-      it('execute', inject(function(elementRegistry) {
+      it('should update zeebe:modelerTemplate', inject(function(elementRegistry) {
 
         // given
-        let task = elementRegistry.get('Task_1');
-        task = changeTemplate(task, oldTemplate);
+        const oldTemplate = require('./event-template-1.json'),
+              newTemplate = { ...oldTemplate, id: 'newId' };
+        let event = elementRegistry.get('Event_3');
 
         // when
-        task = changeTemplate(task, newTemplate);
+        event = changeTemplate(event, newTemplate, oldTemplate);
 
         // then
-        expectElementTemplate(task, 'element-type-template-new', 1);
-        expect(is(task, 'bpmn:ServiceTask')).to.be.true;
+        expectElementTemplate(event, newTemplate.id, 1);
+
+        const message = findMessage(getBusinessObject(event));
+        expect(message).to.exist;
+        expect(message.get('zeebe:modelerTemplate')).to.eql(newTemplate.id);
       }));
+    });
 
 
-      it('undo', inject(function(commandStack, elementRegistry) {
+    describe('update bpmn:Signal#property', function() {
+
+      beforeEach(bootstrap(require('./event.bpmn').default));
+
+      const oldTemplate = require('./signal-event.json');
+
+
+      it('should keep changed signal name', inject(function(elementRegistry, modeling) {
 
         // given
-        let task = elementRegistry.get('Task_1');
-        task = changeTemplate(task, oldTemplate);
+        let event = elementRegistry.get('Event_1');
+
+        const newTemplate = { ...oldTemplate, version: 2 };
+
+        event = changeTemplate(event, oldTemplate);
+
+        const signal = getEventDefinition(event).get('signalRef');
+
+        modeling.updateModdleProperties(event, signal, { name: 'orderChanged' });
 
         // when
-        changeTemplate('Task_1', newTemplate);
-        commandStack.undo();
+        event = changeTemplate(event, newTemplate, oldTemplate);
 
         // then
-        const currentTask = elementRegistry.get('Task_1');
-
-        expect(currentTask).to.eql(task);
-        expectElementTemplate(currentTask, 'element-type-template', 1);
-        expect(is(currentTask, 'bpmn:UserTask')).to.be.true;
+        expect(getEventDefinition(event).get('signalRef')).to.equal(signal);
+        expect(signal.get('name')).to.equal('orderChanged');
       }));
 
 
-      it('redo', inject(function(commandStack, elementRegistry) {
+      it('should update zeebe:modelerTemplate', inject(function(elementRegistry) {
 
         // given
-        let task = elementRegistry.get('Task_1');
-        task = changeTemplate(task, oldTemplate);
+        let event = elementRegistry.get('Event_1');
+
+        const newTemplate = { ...oldTemplate, id: 'newId' };
+
+        event = changeTemplate(event, oldTemplate);
 
         // when
-        task = changeTemplate('Task_1', newTemplate);
-        commandStack.undo();
-        commandStack.redo();
+        event = changeTemplate(event, newTemplate, oldTemplate);
 
         // then
-        const currentTask = elementRegistry.get('Task_1');
+        const signal = getEventDefinition(event).get('signalRef');
 
-        expect(currentTask).to.eql(task);
-        expectElementTemplate(currentTask, 'element-type-template-new', 1);
-        expect(is(currentTask, 'bpmn:ServiceTask')).to.be.true;
+        expect(getTemplateId(signal)).to.equal('newId');
+      }));
+
+
+      it('should remove signal no longer templated', inject(function(bpmnjs, elementRegistry) {
+
+        // given
+        let event = elementRegistry.get('Event_1');
+
+        const newTemplate = { ...oldTemplate, version: 2, properties: [] };
+
+        event = changeTemplate(event, oldTemplate);
+
+        const signal = getEventDefinition(event).get('signalRef');
+
+        // when
+        event = changeTemplate(event, newTemplate, oldTemplate);
+
+        // then
+        expect(getEventDefinition(event).get('signalRef')).not.to.exist;
+        expect(bpmnjs.getDefinitions().get('rootElements')).not.to.include(signal);
       }));
 
     });
 
 
-    describe('update zeebe:Property', function() {
+    describe('update bpmn:TimerEventDefinition#property', function() {
 
-      beforeEach(bootstrap(require('./zeebe-properties.bpmn').default));
+      beforeEach(bootstrap(require('./event.bpmn').default));
 
+      const oldTemplate = require('./timer-event.json');
 
-      it('property changed', inject(function(elementRegistry) {
+
+      it('should replace timer expression', inject(function(elementRegistry) {
 
         // given
-        const serviceTask = elementRegistry.get('ServiceTask_NoProperties');
+        let event = elementRegistry.get('Event_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'property-1-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          },
-          {
-            value: 'property-2-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-2-name'
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              type: 'Hidden',
+              value: 'R/PT1H',
+              binding: {
+                type: 'bpmn:TimerEventDefinition#property',
+                name: 'timeCycle'
+              }
             }
-          }
-        ]);
+          ]
+        };
 
-        const newTemplate = createTemplate([
-          {
-            value: 'property-1-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          },
-          {
-            value: 'property-2-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-2-name'
-            }
-          }
-        ]);
+        event = changeTemplate(event, oldTemplate);
+
+        // when
+        event = changeTemplate(event, newTemplate, oldTemplate);
+
+        // then
+        const timerEventDefinition = getEventDefinition(event);
+
+        expect(timerEventDefinition.get('timeDuration')).not.to.exist;
+        expect(timerEventDefinition.get('timeCycle').get('body')).to.equal('R/PT1H');
+      }));
+
+    });
+
+    describe('update zeebe:loopCharacteristics', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      const oldTemplate = require('./loop-characteristics.json');
+
+
+      it('should keep changed input collection', inject(function(elementRegistry, modeling) {
+
+        // given
+        let task = elementRegistry.get('Task_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2
+        };
+
+        task = changeTemplate(task, oldTemplate);
+
+        const zeebeLoopCharacteristics = findExtension(getLoopCharacteristics(task), 'zeebe:LoopCharacteristics');
+
+        modeling.updateModdleProperties(task, zeebeLoopCharacteristics, {
+          inputCollection: '=customers'
+        });
+
+        // when
+        task = changeTemplate(task, newTemplate, oldTemplate);
+
+        // then
+        expect(findExtension(getLoopCharacteristics(task), 'zeebe:LoopCharacteristics').get('inputCollection')).to.equal('=customers');
+      }));
+
+
+      it('should update loop characteristics', inject(function(elementRegistry) {
 
-        changeTemplate('ServiceTask_NoProperties', oldTemplate);
+        // given
+        let task = elementRegistry.get('Task_1');
 
-        const zeebeProperty = getZeebeProperty(serviceTask, 'property-1-name');
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              type: 'Hidden',
+              value: 'true',
+              binding: {
+                type: 'zeebe:loopCharacteristics',
+                property: 'isSequential'
+              }
+            },
+            {
+              type: 'Hidden',
+              value: '=recipients',
+              binding: {
+                type: 'zeebe:loopCharacteristics',
+                property: 'inputCollection'
+              }
+            }
+          ]
+        };
 
-        updateBusinessObject('ServiceTask_NoProperties', zeebeProperty, {
-          value: 'property-1-changed-value'
-        });
+        task = changeTemplate(task, oldTemplate);
 
         // when
-        changeTemplate(serviceTask, newTemplate, oldTemplate);
+        task = changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        const zeebeProperties = findExtension(serviceTask, 'zeebe:Properties');
+        const loopCharacteristics = getLoopCharacteristics(task);
 
-        expect(zeebeProperties).to.exist;
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(2);
+        expect(loopCharacteristics.get('isSequential')).to.be.true;
+        expect(loopCharacteristics.get('completionCondition')).not.to.exist;
 
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-changed-value',
-          },
-          {
-            $type: 'zeebe:Property',
-            name: 'property-2-name',
-            value: 'property-2-new-value',
-          }
-        ]);
+        expect(findExtension(loopCharacteristics, 'zeebe:LoopCharacteristics')).to.jsonEqual({
+          $type: 'zeebe:LoopCharacteristics',
+          inputCollection: '=recipients'
+        });
       }));
 
 
-      it('property unchanged', inject(function(elementRegistry) {
+      it('should remove loop characteristics no longer templated', inject(function(elementRegistry) {
 
         // given
-        const serviceTask = elementRegistry.get('ServiceTask_NoProperties');
-
-        const oldTemplate = createTemplate([
-          {
-            value: 'property-1-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          },
-          {
-            value: 'property-2-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-2-name'
-            }
-          }
-        ]);
+        let task = elementRegistry.get('Task_1');
 
-        const newTemplate = createTemplate([
-          {
-            value: 'property-1-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          },
-          {
-            value: 'property-2-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-2-name'
-            }
-          }
-        ]);
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: []
+        };
 
-        changeTemplate('ServiceTask_NoProperties', oldTemplate);
+        task = changeTemplate(task, oldTemplate);
 
         // when
-        changeTemplate(serviceTask, newTemplate, oldTemplate);
+        task = changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        const zeebeProperties = findExtension(serviceTask, 'zeebe:Properties');
+        expect(getLoopCharacteristics(task)).not.to.exist;
+      }));
 
-        expect(zeebeProperties).to.exist;
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(2);
+    });
 
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-new-value',
-          },
-          {
-            $type: 'zeebe:Property',
-            name: 'property-2-name',
-            value: 'property-2-new-value',
-          }
-        ]);
-      }));
+    describe('update conditionExpression', function() {
 
+      beforeEach(bootstrap(require('./sequence-flow.bpmn').default));
+
+      const oldTemplate = require('./sequence-flow.json');
 
-      it('complex', inject(function(elementRegistry) {
+
+      it('should update condition expression', inject(function(elementRegistry) {
 
         // given
-        const serviceTask = elementRegistry.get('ServiceTask_NoProperties');
+        const sequenceFlow = elementRegistry.get('SequenceFlow_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'property-1-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          },
-          {
-            value: 'property-2-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-2-name'
-            }
-          },
-          {
-            value: 'property-3-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-3-name'
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[0],
+              value: '=approved = true'
             }
-          }
-        ]);
+          ]
+        };
 
-        const newTemplate = createTemplate([
-          {
-            value: 'property-1-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          },
-          {
-            value: 'property-2-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-2-name'
-            }
-          },
-          {
-            value: 'property-4-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-4-name'
-            }
-          }
-        ]);
+        changeTemplate(sequenceFlow, oldTemplate);
 
-        changeTemplate('ServiceTask_NoProperties', oldTemplate);
+        // when
+        changeTemplate(sequenceFlow, newTemplate, oldTemplate);
 
-        const zeebeProperty = getZeebeProperty(serviceTask, 'property-1-name');
+        // then
+        expect(getBusinessObject(sequenceFlow).get('conditionExpression').get('body')).to.equal('=approved = true');
+      }));
 
-        updateBusinessObject('ServiceTask_NoProperties', zeebeProperty, {
-          value: 'property-1-changed-value'
+
+      it('should keep changed condition expression', inject(function(elementRegistry, modeling) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[0],
+              value: '=approved = true'
+            }
+          ]
+        };
+
+        changeTemplate(sequenceFlow, oldTemplate);
+
+        modeling.updateModdleProperties(sequenceFlow, getBusinessObject(sequenceFlow).get('conditionExpression'), {
+          body: '=score > 10'
         });
 
         // when
-        changeTemplate(serviceTask, newTemplate, oldTemplate);
+        changeTemplate(sequenceFlow, newTemplate, oldTemplate);
 
         // then
-        const zeebeProperties = findExtension(serviceTask, 'zeebe:Properties');
+        expect(getBusinessObject(sequenceFlow).get('conditionExpression').get('body')).to.equal('=score > 10');
+      }));
 
-        expect(zeebeProperties).to.exist;
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(3);
 
-        // expect 1st zeebe:Property to not have been overridden because it was changed
-        // expect 2nd zeebe:Property to have been updated
-        // expect 3rd zeebe:Property to have been removed
-        // expect 4th zeebe:Property to have been added
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-changed-value'
-          },
-          {
-            $type: 'zeebe:Property',
-            name: 'property-2-name',
-            value: 'property-2-new-value'
-          },
-          {
-            $type: 'zeebe:Property',
-            name: 'property-4-name',
-            value: 'property-4-new-value'
-          },
-        ]);
+      it('should remove condition expression no longer templated', inject(function(elementRegistry) {
+
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: []
+        };
+
+        changeTemplate(sequenceFlow, oldTemplate);
+
+        // when
+        changeTemplate(sequenceFlow, newTemplate, oldTemplate);
+
+        // then
+        expect(getBusinessObject(sequenceFlow).get('conditionExpression')).not.to.exist;
       }));
 
     });
 
 
-    describe('optional - zeebe:Property', function() {
+    describe('update list properties', function() {
 
       beforeEach(bootstrap(require('./task.bpmn').default));
 
+      const oldTemplate = require('./lists.json');
 
-      it('should create - optional -> non optional (value)', inject(function(elementRegistry) {
+      function getInputSource(element) {
+        const ioMapping = findExtension(getBusinessObject(element), 'zeebe:IoMapping');
 
-        // given
-        const task = elementRegistry.get('Task_1');
+        return findInputParameter(ioMapping, { name: 'recipients' }).get('source');
+      }
 
-        const oldTemplate = createTemplate([
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
+      function getHeaderValue(element) {
+        const taskHeaders = findExtension(getBusinessObject(element), 'zeebe:TaskHeaders');
 
-        const newTemplate = createTemplate([
-          {
-            value: 'property-1-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
+        return findTaskHeader(taskHeaders, { key: 'channels' }).get('value');
+      }
 
-        changeTemplate('Task_1', oldTemplate);
 
-        let zeebeProperties = findExtension(task, 'zeebe:Properties');
+      it('should replace unchanged list', inject(function(elementRegistry) {
 
-        // assume
-        expect(zeebeProperties.get('zeebe:properties')).to.be.empty;
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[ 0 ],
+              value: [ 'carol@example.com' ]
+            }
+          ]
+        };
+
+        changeTemplate(task, oldTemplate);
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        zeebeProperties = findExtension(task, 'zeebe:Properties');
-
-        expect(zeebeProperties).to.exist;
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
-
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-value'
-          }
-        ]);
+        expect(getInputSource(task)).to.equal('=["carol@example.com"]');
       }));
 
 
-      it('should create - optional -> non optional (no value)', inject(function(elementRegistry) {
+      it('should keep changed list', inject(function(elementRegistry, modeling) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
-
-        const newTemplate = createTemplate([
-          {
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[ 0 ],
+              value: [ 'carol@example.com' ]
             }
-          }
-        ]);
+          ]
+        };
 
-        changeTemplate('Task_1', oldTemplate);
+        changeTemplate(task, oldTemplate);
 
-        let zeebeProperties = findExtension(task, 'zeebe:Properties');
+        const ioMapping = findExtension(getBusinessObject(task), 'zeebe:IoMapping');
 
-        // assume
-        expect(zeebeProperties.get('zeebe:properties')).to.be.empty;
+        modeling.updateModdleProperties(task, findInputParameter(ioMapping, { name: 'recipients' }), {
+          source: '=["dave@example.com"]'
+        });
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        zeebeProperties = findExtension(task, 'zeebe:Properties');
-
-        expect(zeebeProperties).to.exist;
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: ''
-          }
-        ]);
+        expect(getInputSource(task)).to.equal('=["dave@example.com"]');
       }));
 
 
-      it('should remove - non optional -> optional (empty value)', inject(function(elementRegistry) {
+      it('should keep selection of valid choices', inject(function(elementRegistry) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'property-1-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[ 1 ],
+              value: [ 'sms' ]
             }
-          }
-        ]);
+          ]
+        };
 
-        const newTemplate = createTemplate([
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
+        changeTemplate(task, oldTemplate);
 
-        changeTemplate('Task_1', oldTemplate);
+        // when
+        changeTemplate(task, newTemplate, oldTemplate);
 
-        let zeebeProperties = findExtension(task, 'zeebe:Properties');
+        // then
+        expect(getHeaderValue(task)).to.equal('email,push');
+      }));
 
-        // assume
-        expect(zeebeProperties.get('zeebe:properties')).not.to.be.empty;
+
+      it('should not keep selection of invalid choices', inject(function(elementRegistry) {
+
+        // given
+        const task = elementRegistry.get('Task_1');
+
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[ 1 ],
+              choices: oldTemplate.properties[ 1 ].choices.slice(0, 2),
+              value: [ 'sms' ]
+            }
+          ]
+        };
+
+        changeTemplate(task, oldTemplate);
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        zeebeProperties = findExtension(task, 'zeebe:Properties');
-
-        expect(zeebeProperties.get('zeebe:properties')).to.be.empty;
+        expect(getHeaderValue(task)).to.equal('sms');
       }));
 
+    });
+
 
-      it('should keep - non optional -> optional (new value)', inject(function(elementRegistry) {
+    describe('update repeatable groups', function() {
+
+      beforeEach(bootstrap(require('./task.bpmn').default));
+
+      const oldTemplate = require('./repeatable-group.json');
+
+      function getInstances(element) {
+        const ioMapping = findExtension(getBusinessObject(element), 'zeebe:IoMapping'),
+              taskHeaders = findExtension(getBusinessObject(element), 'zeebe:TaskHeaders');
+
+        return ioMapping.get('inputParameters').map((input, index) => {
+          const header = findTaskHeader(taskHeaders, { key: `recipients[${ index }].kind` });
+
+          return [ input.get('target'), input.get('source'), header && header.get('value') ];
+        });
+      }
+
+      function addInstance(element) {
+        getBpmnJS().invoke(function(commandStack) {
+          commandStack.execute('propertiesPanel.zeebe.updateRepeatableGroup', {
+            element,
+            groupId: 'recipients',
+            instances: [ 0, -1 ]
+          });
+        });
+      }
+
+
+      it('should keep instances and changed values', inject(function(elementRegistry, modeling) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            value: 'property-1-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: [
+            {
+              ...oldTemplate.properties[ 0 ],
+              value: 'bob@example.com'
+            },
+            oldTemplate.properties[ 1 ]
+          ]
+        };
 
-        const newTemplate = createTemplate([
-          {
-            value: 'property-1-new-value',
-            optional: true,
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
+        changeTemplate(task, oldTemplate);
 
-        changeTemplate('Task_1', oldTemplate);
+        addInstance(task);
 
-        let zeebeProperties = findExtension(task, 'zeebe:Properties');
+        const ioMapping = findExtension(getBusinessObject(task), 'zeebe:IoMapping');
 
-        // assume
-        expect(zeebeProperties.get('zeebe:properties')).not.to.be.empty;
+        modeling.updateModdleProperties(task, findInputParameter(ioMapping, { name: 'recipients[1].address' }), {
+          source: 'carol@example.com'
+        });
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        zeebeProperties = findExtension(task, 'zeebe:Properties');
-
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
-
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-new-value'
-          }
+        expect(getInstances(task)).to.eql([
+          [ 'recipients[0].address', 'bob@example.com', 'to' ],
+          [ 'recipients[1].address', 'carol@example.com', 'to' ]
         ]);
       }));
 
 
-      it('should update - optional -> optional', inject(function(elementRegistry) {
+      it('should remove instances above maxInstances', inject(function(elementRegistry) {
 
         // given
         const task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            optional: true,
-            value: 'property-1-old-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
-
-        const newTemplate = createTemplate([
-          {
-            optional: true,
-            value: 'property-1-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          groups: [
+            {
+              ...oldTemplate.groups[ 0 ],
+              maxInstances: 1
             }
-          }
-        ]);
-
-        changeTemplate('Task_1', oldTemplate);
+          ]
+        };
 
-        // assume
-        let zeebeProperties = findExtension(task, 'zeebe:Properties');
+        changeTemplate(task, oldTemplate);
 
-        // assume
-        expect(zeebeProperties.get('zeebe:properties')).to.be.not.empty;
+        addInstance(task);
 
         // when
         changeTemplate(task, newTemplate, oldTemplate);
 
         // then
-        zeebeProperties = findExtension(task, 'zeebe:Properties');
+        expect(getInstances(task)).to.eql([
+          [ 'recipients[0].address', 'alice@example.com', 'to' ]
+        ]);
 
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
+        const taskHeaders = findExtension(getBusinessObject(task), 'zeebe:TaskHeaders');
 
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-new-value',
-          }
-        ]);
+        expect(taskHeaders.get('values')).to.have.length(1);
       }));
 
 
-      it('should keep - optional -> optional (changed)',
-        inject(function(elementRegistry, bpmnFactory) {
+      describe('should reject invalid instances', function() {
 
-          // given
-          const task = elementRegistry.get('Task_1');
+        function updateInstances(element, instances) {
+          getBpmnJS().invoke(function(commandStack) {
+            commandStack.execute('propertiesPanel.zeebe.updateRepeatableGroup', {
+              element,
+              groupId: 'recipients',
+              instances
+            });
+          });
+        }
 
-          const oldTemplate = createTemplate([
-            {
-              optional: true,
-              binding: {
-                type: 'zeebe:property',
-                name: 'property-1-name'
-              }
-            }
-          ]);
+        function expectRejected(instances, message) {
+          getBpmnJS().invoke(function(elementRegistry) {
 
-          const newTemplate = createTemplate([
-            {
-              optional: true,
-              binding: {
-                type: 'zeebe:property',
-                name: 'property-1-name'
-              }
-            }
-          ]);
+            // given
+            const task = elementRegistry.get('Task_1');
 
-          changeTemplate('Task_1', oldTemplate);
+            changeTemplate(task, oldTemplate);
 
-          const zeebeProperty = createZeebeProperty({
-            name: 'property-1-name'
-          }, 'property-1-changed-value', bpmnFactory);
+            addInstance(task);
 
-          let zeebeProperties = findExtension(task, 'zeebe:Properties');
+            // when
+            expect(() => updateInstances(task, instances)).to.throw(
+              `invalid instances for repeatable group <recipients>: ${ message }`
+            );
 
-          updateBusinessObject('Task_1', zeebeProperties, {
-            properties: [ zeebeProperty ]
+            // then
+            expect(getInstances(task)).to.eql([
+              [ 'recipients[0].address', 'alice@example.com', 'to' ],
+              [ 'recipients[1].address', 'alice@example.com', 'to' ]
+            ]);
           });
+        }
 
-          // when
-          changeTemplate(task, newTemplate, oldTemplate);
 
-          // then
-          zeebeProperties = findExtension(task, 'zeebe:Properties');
+        it('index out of range', function() {
+          expectRejected([ 0, 2 ], 'instance index <2> out of range');
+        });
 
-          expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-          expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-            {
-              $type: 'zeebe:Property',
-              name: 'property-1-name',
-              value: 'property-1-changed-value'
-            }
-          ]);
-        })
-      );
+        it('negative index', function() {
+          expectRejected([ 0, -2 ], 'instance index <-2> out of range');
+        });
 
 
-      it('should create - optional -> optional (new value)', inject(function(elementRegistry) {
+        it('duplicate index', function() {
+          expectRejected([ 0, 0 ], 'duplicate instance index <0>');
+        });
 
-        // given
-        const task = elementRegistry.get('Task_1');
 
-        const oldTemplate = createTemplate([
-          {
-            optional: true,
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
+        it('below minInstances', function() {
+          expectRejected([], 'at least <1> instances required');
+        });
 
-        const newTemplate = createTemplate([
-          {
-            optional: true,
-            value: 'property-1-new-value',
-            binding: {
-              type: 'zeebe:property',
-              name: 'property-1-name'
-            }
-          }
-        ]);
 
-        changeTemplate('Task_1', oldTemplate);
+        it('above maxInstances', function() {
+          expectRejected([ 0, 1, -1, -1 ], 'at most <3> instances allowed');
+        });
 
-        // when
-        changeTemplate(task, newTemplate, oldTemplate);
+      });
 
-        // then
-        const zeebeProperties = findExtension(task, 'zeebe:Properties');
+    });
 
-        expect(zeebeProperties.get('zeebe:properties')).to.have.length(1);
 
-        expect(zeebeProperties.get('zeebe:properties')).to.jsonEqual([
-          {
-            $type: 'zeebe:Property',
-            name: 'property-1-name',
-            value: 'property-1-new-value'
-          }
-        ]);
-      }));
+    describe('update bpmn:SequenceFlow#default', function() {
 
-    });
+      beforeEach(bootstrap(require('./sequence-flow.bpmn').default));
 
+      const oldTemplate = require('./default-flow.json');
 
-    describe('update bpmn:Message', function() {
 
-      beforeEach(bootstrap(require('./event.bpmn').default));
+      it('should remove default flow no longer templated', inject(function(elementRegistry) {
 
+        // given
+        const sequenceFlow = elementRegistry.get('SequenceFlow_2');
 
-      it('should update zeebe:modelerTemplate', inject(function(elementRegistry) {
+        const newTemplate = {
+          ...oldTemplate,
+          version: 2,
+          properties: []
+        };
 
-        // given
-        const oldTemplate = require('./event-template-1.json'),
-              newTemplate = { ...oldTemplate, id: 'newId' };
-        let event = elementRegistry.get('Event_3');
+        changeTemplate(sequenceFlow, oldTemplate);
 
         // when
-        event = changeTemplate(event, newTemplate, oldTemplate);
+        changeTemplate(sequenceFlow, newTemplate, oldTemplate);
 
         // then
-        expectElementTemplate(event, newTemplate.id, 1);
-
-        const message = findMessage(getBusinessObject(event));
-        expect(message).to.exist;
-        expect(message.get('zeebe:modelerTemplate')).to.eql(newTemplate.id);
+        expect(getDefaultFlow(sequenceFlow)).not.to.exist;
       }));
+
     });
 
+
+
   });
 
 
@@ -4330,6 +6016,24 @@ function getZeebeProperty(element, name) {
   });
 }
 
+function getEventDefinition(element) {
+  return getBusinessObject(element).get('eventDefinitions')[ 0 ];
+}
+
+function getLoopCharacteristics(element) {
+  return getBusinessObject(element).get('loopCharacteristics');
+}
+
+function getDefaultFlow(sequenceFlow) {
+  return getBusinessObject(sequenceFlow.source).get('default');
+}
+
+function getExecutionListeners(element) {
+  const executionListeners = findExtension(element, 'zeebe:ExecutionListeners');
+
+  return executionListeners ? executionListeners.get('listeners') : [];
+}
+
 function updateBusinessObject(element, businessObject, properties) {
   getBpmnJS().invoke(function(commandStack, elementRegistry) {
     if (isString(element)) {
@@ -8,7 +8,8 @@ import {
 import { find } from 'min-dash';
 
 import {
-  getBusinessObject
+  getBusinessObject,
+  is
 } from 'bpmn-js/lib/util/ModelUtil';
 
 import coreModule from 'bpmn-js/lib/core';
@@ -101,6 +102,22 @@ describe('provider/cloud-element-templates - TemplateElementFactory', function()
   }));
 
 
+  it('should create connection', inject(function(templateElementFactory) {
+
+    // given
+    const elementTemplate = findTemplate('example.camunda.SequenceFlow');
+
+    // when
+    const element = templateElementFactory.create(elementTemplate);
+
+    // then
+    expect(element.type).to.equal('bpmn:SequenceFlow');
+
+    // connections are not sized
+    expect(element.width).not.to.exist;
+  }));
+
+
   it('should apply <modelerTemplate> and <modelerTemplateVersion>', inject(function(templateElementFactory) {
 
     // given
@@ -202,6 +219,22 @@ describe('provider/cloud-element-templates - TemplateElementFactory', function()
     }));
 
 
+    it('should handle <property> (expression)', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.SequenceFlow');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      const conditionExpression = getBusinessObject(element).get('conditionExpression');
+
+      // then
+      expect(is(conditionExpression, 'bpmn:FormalExpression')).to.be.true;
+      expect(conditionExpression.get('body')).to.equal('=approved');
+    }));
+
+
     it('should handle <zeebe:property>', inject(function(templateElementFactory) {
 
       // given
@@ -486,6 +519,159 @@ describe('provider/cloud-element-templates - TemplateElementFactory', function()
         processId: 'paymentProcess'
       });
     }));
+
+
+    it('should handle <zeebe:executionListener>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.ExecutionListenerBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const executionListeners = findExtension(element, 'zeebe:ExecutionListeners');
+
+      expect(executionListeners).to.exist;
+      expect(executionListeners.get('listeners')).to.jsonEqual([
+        {
+          $type: 'zeebe:ExecutionListener',
+          eventType: 'start',
+          type: 'audit-start',
+          retries: '5'
+        },
+        {
+          $type: 'zeebe:ExecutionListener',
+          eventType: 'end',
+          type: 'audit-end'
+        }
+      ]);
+    }));
+
+
+    it('should handle <zeebe:userTask>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.UserTaskBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const extensionElements = getBusinessObject(element).get('extensionElements');
+
+      expect(extensionElements.get('values')).to.jsonEqual([
+        {
+          $type: 'zeebe:UserTask'
+        },
+        {
+          $type: 'zeebe:FormDefinition',
+          formId: 'approval-form'
+        },
+        {
+          $type: 'zeebe:AssignmentDefinition',
+          candidateGroups: 'managers'
+        }
+      ]);
+    }));
+
+
+    it('should handle <zeebe:script>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.ScriptBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const script = findExtension(element, 'zeebe:Script');
+
+      expect(is(element, 'bpmn:ScriptTask')).to.be.true;
+      expect(script).to.jsonEqual({
+        $type: 'zeebe:Script',
+        expression: '=a + b',
+        resultVariable: 'sum'
+      });
+    }));
+
+
+    it('should handle <zeebe:calledDecision>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.CalledDecisionBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const calledDecision = findExtension(element, 'zeebe:CalledDecision');
+
+      expect(is(element, 'bpmn:BusinessRuleTask')).to.be.true;
+      expect(calledDecision).to.jsonEqual({
+        $type: 'zeebe:CalledDecision',
+        decisionId: 'approve',
+        resultVariable: 'approved'
+      });
+    }));
+
+
+    it('should handle <bpmn:Signal#property>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.SignalBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const signal = getBusinessObject(element).get('eventDefinitions')[0].get('signalRef');
+
+      expect(signal).to.exist;
+      expect(signal.get('name')).to.equal('orderCancelled');
+      expect(signal.get('zeebe:modelerTemplate')).to.equal('example.camunda.SignalBinding');
+    }));
+
+
+    it('should handle <bpmn:TimerEventDefinition#property>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.TimerEventDefinitionBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const timeDuration = getBusinessObject(element).get('eventDefinitions')[0].get('timeDuration');
+
+      expect(is(timeDuration, 'bpmn:FormalExpression')).to.be.true;
+      expect(timeDuration.get('body')).to.equal('PT5M');
+    }));
+
+
+    it('should handle <zeebe:loopCharacteristics>', inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = findTemplate('example.camunda.LoopCharacteristicsBinding');
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+
+      // then
+      const loopCharacteristics = getBusinessObject(element).get('loopCharacteristics');
+
+      expect(is(loopCharacteristics, 'bpmn:MultiInstanceLoopCharacteristics')).to.be.true;
+      expect(loopCharacteristics.get('isSequential')).to.be.true;
+      expect(loopCharacteristics.get('completionCondition')).not.to.exist;
+
+      const zeebeLoopCharacteristics = findExtension(loopCharacteristics, 'zeebe:LoopCharacteristics');
+
+      expect(zeebeLoopCharacteristics).to.jsonEqual({
+        $type: 'zeebe:LoopCharacteristics',
+        inputCollection: '=items',
+        outputCollection: 'results'
+      });
+    }));
   });
 
 
@@ -545,6 +731,22 @@ describe('provider/cloud-element-templates - TemplateElementFactory', function()
       expectZeebePropertyValue(businessObject, 'bar');
     }));
 
+
+    it('should apply parent properties first - nested conditions' , inject(function(templateElementFactory) {
+
+      // given
+      const elementTemplate = conditionTemplates[2];
+
+      // when
+      const element = templateElementFactory.create(elementTemplate);
+      const businessObject = getBusinessObject(element);
+
+      // then
+      expect(businessObject.get('name')).to.eql('foo');
+      expectInputSource(businessObject, '2');
+      expectTaskDefinitionType(businessObject, 'foo');
+    }));
+
   });
 
 
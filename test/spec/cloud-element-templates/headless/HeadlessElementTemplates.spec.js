@@ -0,0 +1,377 @@
+import { HeadlessElementTemplates } from 'src/cloud-element-templates/headless';
+
+import {
+  findExtension,
+  getTemplateId,
+  getTemplateVersion
+} from 'src/cloud-element-templates/Helper';
+
+import {
+  createModdle,
+  createProcess
+} from '../../../TestHelper';
+
+import templates from './HeadlessElementTemplates.json';
+import conditionTemplate from '../fixtures/condition.json';
+
+const PROCESS = createProcess(`
+  <bpmn:startEvent id="StartEvent_1">
+    <bpmn:outgoing>Flow_1</bpmn:outgoing>
+  </bpmn:startEvent>
+  <bpmn:task id="Task_1" name="Call API">
+    <bpmn:incoming>Flow_1</bpmn:incoming>
+  </bpmn:task>
+  <bpmn:sequenceFlow id="Flow_1" sourceRef="StartEvent_1" targetRef="Task_1" />
+`, `
+  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
+    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Process_1">
+      <bpmndi:BPMNShape id="Task_1_di" bpmnElement="Task_1">
+        <dc:Bounds x="100" y="100" width="100" height="80" />
+      </bpmndi:BPMNShape>
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+`);
+
+
+describe('cloud-element-templates/headless - HeadlessElementTemplates', function() {
+
+  let elementTemplates, definitions, process;
+
+  beforeEach(async function() {
+    elementTemplates = new HeadlessElementTemplates(templates);
+
+    ({ root: definitions } = await createModdle(PROCESS));
+
+    process = definitions.get('rootElements')[ 0 ];
+  });
+
+
+  describe('templates', function() {
+
+    it('should get valid templates', function() {
+
+      // then
+      expect(elementTemplates.getAll()).to.have.length(3);
+      expect(elementTemplates.get('com.example.rest', 1)).to.exist;
+      expect(elementTemplates.getLatest('com.example.rest')[ 0 ].version).to.equal(2);
+    });
+
+
+    it('should report invalid templates', function() {
+
+      // then
+      expect(elementTemplates.getErrors()).to.have.length(1);
+      expect(elementTemplates.getErrors()[ 0 ].message).to.contain('missing $schema attribute');
+    });
+
+  });
+
+
+  describe('#applyTemplate', function() {
+
+    it('should apply template', function() {
+
+      // given
+      const task = getElement(process, 'Task_1');
+
+      // when
+      const serviceTask = elementTemplates.applyTemplate(task, elementTemplates.get('com.example.rest', 1));
+
+      // then
+      expect(getTemplateId(serviceTask)).to.equal('com.example.rest');
+      expect(getTemplateVersion(serviceTask)).to.equal(1);
+
+      expect(findExtension(serviceTask, 'zeebe:TaskDefinition').get('type')).to.equal('http:1');
+    });
+
+
+    it('should replace element changing the element type', function() {
+
+      // given
+      const task = getElement(process, 'Task_1');
+
+      // when
+      const serviceTask = elementTemplates.applyTemplate(task, elementTemplates.get('com.example.rest', 1));
+
+      // then
+      expect(serviceTask).not.to.equal(task);
+      expect(serviceTask.$type).to.equal('bpmn:ServiceTask');
+
+      expect(serviceTask.get('id')).to.equal('Task_1');
+      expect(serviceTask.get('name')).to.equal('Call API');
+      expect(serviceTask.$parent).to.equal(process);
+
+      expect(getElement(process, 'Task_1')).to.equal(serviceTask);
+      expect(getElement(process, 'Flow_1').get('targetRef')).to.equal(serviceTask);
+      expect(serviceTask.get('incoming')).to.eql([ getElement(process, 'Flow_1') ]);
+
+      const [ shape ] = definitions.get('diagrams')[ 0 ].get('plane').get('planeElement');
+
+      expect(shape.get('bpmnElement')).to.equal(serviceTask);
+    });
+
+
+    it('should unlink template', function() {
+
+      // given
+      const task = elementTemplates.applyTemplate(
+        getElement(process, 'Task_1'),
+        elementTemplates.get('com.example.rest', 1)
+      );
+
+      // when
+      elementTemplates.unlinkTemplate(task);
+
+      // then
+      expect(getTemplateId(task)).not.to.exist;
+      expect(getTemplateVersion(task)).not.to.exist;
+
+      expect(findExtension(task, 'zeebe:TaskDefinition')).to.exist;
+    });
+
+
+    it('should throw for element not part of definitions', function() {
+
+      // given
+      const task = definitions.$model.create('bpmn:Task', { id: 'Task_2' });
+
+      // then
+      expect(() => {
+        elementTemplates.applyTemplate(task, elementTemplates.get('com.example.rest', 1));
+      }).to.throw('element <Task_2> is not part of definitions');
+    });
+
+  });
+
+
+  describe('#applyTemplate - conditions', function() {
+
+    beforeEach(function() {
+      elementTemplates = new HeadlessElementTemplates([
+        conditionTemplate,
+        {
+          ...conditionTemplate,
+          id: 'example.com.condition.default',
+          properties: [
+            {
+              ...conditionTemplate.properties[ 0 ],
+              value: 'foo'
+            },
+            ...conditionTemplate.properties.slice(1)
+          ]
+        }
+      ]);
+    });
+
+
+    it('should not apply properties with unmet conditions', function() {
+
+      // given
+      const task = getElement(process, 'Task_1');
+
+      // when
+      elementTemplates.applyTemplate(task, elementTemplates.get('example.com.condition'));
+
+      // then
+      expect(task.get('customProperty')).not.to.exist;
+      expect(task.get('isActiveCondition')).not.to.exist;
+
+      expect(findExtension(task, 'zeebe:TaskDefinition')).not.to.exist;
+      expect(findExtension(task, 'zeebe:IoMapping')).not.to.exist;
+      expect(findExtension(task, 'zeebe:TaskHeaders')).not.to.exist;
+    });
+
+
+    it('should apply properties with met conditions', function() {
+
+      // given
+      const task = getElement(process, 'Task_1');
+
+      task.set('name', 'foo');
+
+      // when
+      elementTemplates.applyTemplate(task, elementTemplates.get('example.com.condition'));
+
+      // then
+      expect(task.get('customProperty')).to.equal('nameProp=foo');
+      expect(task.get('isActiveCondition')).to.equal('otherProperty visible');
+
+      expect(findExtension(task, 'zeebe:TaskDefinition').get('type')).to.equal('nameProp=foo');
+      expect(findExtension(task, 'zeebe:IoMapping').get('inputParameters')).to.have.length(1);
+    });
+
+
+    it('should apply properties with conditions met by default values', function() {
+
+      // given
+      const task = definitions.$model.create('bpmn:Task', { id: 'Task_2' });
+
+      process.get('flowElements').push(task);
+
+      task.$parent = process;
+
+      // when
+      elementTemplates.applyTemplate(task, elementTemplates.get('example.com.condition.default'));
+
+      // then
+      expect(task.get('name')).to.equal('foo');
+      expect(task.get('customProperty')).to.equal('nameProp=foo');
+      expect(task.get('isActiveCondition')).to.equal('otherProperty visible');
+
+      expect(findExtension(task, 'zeebe:TaskDefinition').get('type')).to.equal('nameProp=foo');
+    });
+
+  });
+
+
+  describe('#upgradeTemplate', function() {
+
+    it('should upgrade to latest version', function() {
+
+      // given
+      let task = elementTemplates.applyTemplate(
+        getElement(process, 'Task_1'),
+        elementTemplates.get('com.example.rest', 1)
+      );
+
+      // when
+      task = elementTemplates.upgradeTemplate(task);
+
+      // then
+      expect(getTemplateVersion(task)).to.equal(2);
+
+      expect(findExtension(task, 'zeebe:TaskDefinition').get('type')).to.equal('http:2');
+      expect(findExtension(task, 'zeebe:IoMapping').get('inputParameters')[ 0 ].get('source')).to.equal('https://example.com');
+    });
+
+
+    it('should keep latest version', function() {
+
+      // given
+      const task = elementTemplates.applyTemplate(
+        getElement(process, 'Task_1'),
+        elementTemplates.get('com.example.rest', 2)
+      );
+
+      // when
+      const upgradedTask = elementTemplates.upgradeTemplate(task);
+
+      // then
+      expect(upgradedTask).to.equal(task);
+      expect(getTemplateVersion(task)).to.equal(2);
+    });
+
+  });
+
+
+  describe('#createElement', function() {
+
+    it('should create element', function() {
+
+      // when
+      const event = elementTemplates.createElement(elementTemplates.get('com.example.message'), process);
+
+      // then
+      expect(event.$type).to.equal('bpmn:IntermediateCatchEvent');
+      expect(event.get('id')).to.match(/^Event_/);
+      expect(event.$parent).to.equal(process);
+      expect(process.get('flowElements')).to.include(event);
+
+      expect(getTemplateId(event)).to.equal('com.example.message');
+    });
+
+
+    it('should add referenced root elements', function() {
+
+      // when
+      const event = elementTemplates.createElement(elementTemplates.get('com.example.message'), process);
+
+      // then
+      const message = event.get('eventDefinitions')[ 0 ].get('messageRef');
+
+      expect(message.get('name')).to.equal('message');
+      expect(message.$parent).to.equal(definitions);
+      expect(definitions.get('rootElements')).to.include(message);
+    });
+
+
+    it('should throw for invalid container', function() {
+
+      // given
+      const task = getElement(process, 'Task_1');
+
+      // then
+      expect(() => {
+        elementTemplates.createElement(elementTemplates.get('com.example.message'), task);
+      }).to.throw('container must be a <bpmn:FlowElementsContainer>');
+    });
+
+  });
+
+
+  describe('#validateElement', function() {
+
+    it('should report properties violating constraints', function() {
+
+      // given
+      const task = elementTemplates.applyTemplate(
+        getElement(process, 'Task_1'),
+        elementTemplates.get('com.example.rest', 1)
+      );
+
+      // when
+      const errors = elementTemplates.validateElement(task);
+
+      // then
+      expect(errors).to.have.length(1);
+      expect(errors[ 0 ].message).to.equal('URL must not be empty.');
+      expect(errors[ 0 ].property.id).to.equal('url');
+    });
+
+
+    it('should report missing template', function() {
+
+      // given
+      const task = getElement(process, 'Task_1');
+
+      task.set('zeebe:modelerTemplate', 'com.example.missing');
+
+      // then
+      expect(elementTemplates.validateElement(task)).to.eql([
+        { message: 'Linked element template not found' }
+      ]);
+    });
+
+
+    it('should not report element without template', function() {
+
+      // then
+      expect(elementTemplates.validateElement(getElement(process, 'Task_1'))).to.be.empty;
+    });
+
+  });
+
+
+  it('should serialize changes', async function() {
+
+    // given
+    const task = getElement(process, 'Task_1');
+
+    elementTemplates.applyTemplate(task, elementTemplates.get('com.example.rest', 2));
+
+    // when
+    const { xml } = await definitions.$model.toXML(definitions);
+
+    // then
+    expect(xml).to.contain('<bpmn:serviceTask id="Task_1" name="Call API" zeebe:modelerTemplate="com.example.rest" zeebe:modelerTemplateVersion="2">');
+    expect(xml).to.contain('<zeebe:taskDefinition type="http:2" />');
+  });
+
+});
+
+
+// helpers //////////
+
+function getElement(process, id) {
+  return process.get('flowElements').find(element => element.get('id') === id);
+}
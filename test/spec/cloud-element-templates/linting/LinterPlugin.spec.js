@@ -1,6 +1,16 @@
 import RuleTester from 'bpmnlint/lib/testers/rule-tester';
 
-import { elementTemplateLintRule } from 'src/cloud-element-templates/linting';
+import {
+  deprecatedTemplateLintRule,
+  ElementTemplateLinterPlugin,
+  elementTemplateLintRule,
+  elementTypeLintRule,
+  hiddenValueLintRule,
+  invalidChoiceLintRule,
+  literalSecretLintRule,
+  outdatedTemplateLintRule,
+  staleExtensionElementsLintRule
+} from 'src/cloud-element-templates/linting';
 
 import {
   createDefinitions,
@@ -25,6 +35,20 @@ const valid = [
       templates
     }
   },
+  {
+    name: 'Conditional Template (operators) - property hidden',
+    moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" name="Abc" zeebe:modelerTemplate="constraints.conditional-operators" />')),
+    config: {
+      templates
+    }
+  },
+  {
+    name: 'Conditional Template (element) - property hidden',
+    moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" name="foo" zeebe:modelerTemplate="constraints.conditional-element" />')),
+    config: {
+      templates
+    }
+  },
   {
     name: 'No Template',
     moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" />')),
@@ -67,6 +91,19 @@ const invalid = [
       name: 'a'
     }
   },
+  {
+    name: 'Max Items',
+    moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" name="a,b,c" zeebe:modelerTemplate="constraints.maxItems" />')),
+    config: {
+      templates
+    },
+    report: {
+      id: 'Task_1',
+      message: 'Test Property must have at most 2 items.',
+      propertiesPanel: { entryIds: [ 'custom-entry-constraints.maxItems-0' ] },
+      name: 'a,b,c'
+    }
+  },
   {
     name: 'Max Length',
     moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" name="Very Long Name" zeebe:modelerTemplate="constraints.maxLength" />')),
@@ -128,9 +165,480 @@ const invalid = [
       propertiesPanel: { entryIds: [ 'custom-entry-constraints.conditional-1' ] },
       name: 'foo'
     }
+  },
+  {
+    name: 'Conditional Template (operators) - property shown',
+    moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" name="foo" zeebe:modelerTemplate="constraints.conditional-operators" />')),
+    config: {
+      templates
+    },
+    report: {
+      id: 'Task_1',
+      message: 'Test Property must match pattern A+B.',
+      propertiesPanel: { entryIds: [ 'custom-entry-constraints.conditional-operators-1' ] },
+      name: 'foo'
+    }
+  },
+  {
+    name: 'Conditional Template (element) - property shown',
+    moddleElement: createModdle(createProcess(
+      '<bpmn:task id="Task_1" name="foo" zeebe:modelerTemplate="constraints.conditional-element" />' +
+      '<bpmn:boundaryEvent id="BoundaryEvent_1" attachedToRef="Task_1" />'
+    )),
+    config: {
+      templates
+    },
+    report: {
+      id: 'Task_1',
+      message: 'Test Property must match pattern A+B.',
+      propertiesPanel: { entryIds: [ 'custom-entry-constraints.conditional-element-1' ] },
+      name: 'foo'
+    }
+  },
+  {
+    name: 'Secret - literal value',
+    moddleElement: createTaskWithHeader('secrets.secret', 'token', 'sk-proj-Ab3dEfGh1jKlMn0pQrStUv'),
+    config: {
+      templates
+    },
+    report: {
+      id: 'Task_1',
+      message: 'Token must reference a secret instead of containing its value.',
+      propertiesPanel: { entryIds: [ 'custom-entry-secrets.secret-0' ] }
+    }
   }
 ];
 
+const elementType = {
+  valid: [
+    {
+      name: 'Element Type',
+      moddleElement: createModdle(createProcess('<bpmn:serviceTask id="Task_1" zeebe:modelerTemplate="structure.elementType" />')),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Event Definition',
+      moddleElement: createModdle(createProcess(
+        '<bpmn:intermediateCatchEvent id="Event_1" zeebe:modelerTemplate="structure.eventDefinition">' +
+          '<bpmn:messageEventDefinition id="MessageEventDefinition_1" />' +
+        '</bpmn:intermediateCatchEvent>'
+      )),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Applies To',
+      moddleElement: createModdle(createProcess('<bpmn:sendTask id="Task_1" zeebe:modelerTemplate="structure.appliesTo" />')),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Template Not Found',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="missing-template" />')),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Element Type',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.elementType" />')),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Element type must be <bpmn:ServiceTask>'
+      }
+    },
+    {
+      name: 'Event Definition',
+      moddleElement: createModdle(createProcess(
+        '<bpmn:intermediateCatchEvent id="Event_1" zeebe:modelerTemplate="structure.eventDefinition">' +
+          '<bpmn:timerEventDefinition id="TimerEventDefinition_1" />' +
+        '</bpmn:intermediateCatchEvent>'
+      )),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Event_1',
+        message: 'Element must have event definition <bpmn:MessageEventDefinition>'
+      }
+    },
+    {
+      name: 'Applies To',
+      moddleElement: createModdle(createProcess('<bpmn:userTask id="Task_1" name="foo" zeebe:modelerTemplate="structure.appliesTo" />')),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Element type must be one of <bpmn:ServiceTask, bpmn:SendTask>',
+        name: 'foo'
+      }
+    }
+  ]
+};
+
+const hiddenValue = {
+  valid: [
+    {
+      name: 'Hidden Value',
+      moddleElement: createModdle(createProcess(`
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="structure.hidden">
+          <bpmn:extensionElements>
+            <zeebe:taskHeaders>
+              <zeebe:header key="hiddenHeader" value="foo" />
+            </zeebe:taskHeaders>
+            <zeebe:properties>
+              <zeebe:property name="generated" value="4f2b8c46" />
+            </zeebe:properties>
+          </bpmn:extensionElements>
+        </bpmn:task>
+      `)),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Hidden Value changed',
+      moddleElement: createModdle(createProcess(`
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="structure.hidden">
+          <bpmn:extensionElements>
+            <zeebe:taskHeaders>
+              <zeebe:header key="hiddenHeader" value="bar" />
+            </zeebe:taskHeaders>
+          </bpmn:extensionElements>
+        </bpmn:task>
+      `)),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Value of hidden property <hiddenHeader> differs from template value'
+      }
+    },
+    {
+      name: 'Hidden Value missing',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.hidden" />')),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Value of hidden property <hiddenHeader> differs from template value'
+      }
+    }
+  ]
+};
+
+const staleExtensionElements = {
+  valid: [
+    {
+      name: 'Extension Elements',
+      moddleElement: createModdle(createProcess(`
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="structure.extensionElements">
+          <bpmn:extensionElements>
+            <zeebe:ioMapping>
+              <zeebe:input source="foo" target="knownInput" />
+              <zeebe:output source="=knownOutput" target="foo" />
+            </zeebe:ioMapping>
+            <zeebe:taskHeaders>
+              <zeebe:header key="knownHeader" value="foo" />
+            </zeebe:taskHeaders>
+            <zeebe:properties>
+              <zeebe:property name="knownProperty" value="foo" />
+            </zeebe:properties>
+          </bpmn:extensionElements>
+        </bpmn:task>
+      `)),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Repeatable Groups',
+      moddleElement: createModdle(createProcess(`
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="structure.repeatableGroups">
+          <bpmn:extensionElements>
+            <zeebe:ioMapping>
+              <zeebe:input source="a@example.com" target="recipients[0].address" />
+              <zeebe:input source="b@example.com" target="recipients[1].address" />
+            </zeebe:ioMapping>
+            <zeebe:taskHeaders>
+              <zeebe:header key="recipients[0].kind" value="to" />
+              <zeebe:header key="recipients[1].kind" value="to" />
+            </zeebe:taskHeaders>
+          </bpmn:extensionElements>
+        </bpmn:task>
+      `)),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Stale Extension Elements',
+      moddleElement: createModdle(createProcess(`
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="structure.extensionElements">
+          <bpmn:extensionElements>
+            <zeebe:ioMapping>
+              <zeebe:input source="foo" target="knownInput" />
+              <zeebe:input source="foo" target="oldInput" />
+              <zeebe:output source="=oldOutput" target="foo" />
+            </zeebe:ioMapping>
+            <zeebe:taskHeaders>
+              <zeebe:header key="oldHeader" value="foo" />
+            </zeebe:taskHeaders>
+            <zeebe:properties>
+              <zeebe:property name="oldProperty" value="foo" />
+            </zeebe:properties>
+          </bpmn:extensionElements>
+        </bpmn:task>
+      `)),
+      config: {
+        templates
+      },
+      report: [
+        {
+          id: 'Task_1',
+          message: 'Input mapping <oldInput> is not defined by linked element template'
+        },
+        {
+          id: 'Task_1',
+          message: 'Output mapping <=oldOutput> is not defined by linked element template'
+        },
+        {
+          id: 'Task_1',
+          message: 'Task header <oldHeader> is not defined by linked element template'
+        },
+        {
+          id: 'Task_1',
+          message: 'Extension property <oldProperty> is not defined by linked element template'
+        }
+      ]
+    },
+    {
+      name: 'Repeatable Groups - Exceeding Instances',
+      moddleElement: createModdle(createProcess(`
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="structure.repeatableGroups">
+          <bpmn:extensionElements>
+            <zeebe:ioMapping>
+              <zeebe:input source="a@example.com" target="recipients[0].address" />
+              <zeebe:input source="c@example.com" target="recipients[2].address" />
+              <zeebe:input source="foo" target="address" />
+            </zeebe:ioMapping>
+          </bpmn:extensionElements>
+        </bpmn:task>
+      `)),
+      config: {
+        templates
+      },
+      report: [
+        {
+          id: 'Task_1',
+          message: 'Input mapping <recipients[2].address> is not defined by linked element template'
+        },
+        {
+          id: 'Task_1',
+          message: 'Input mapping <address> is not defined by linked element template'
+        }
+      ]
+    }
+  ]
+};
+
+const outdated = {
+  valid: [
+    {
+      name: 'Latest Version',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.versioned" zeebe:modelerTemplateVersion="2" />')),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Outdated Version',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.versioned" zeebe:modelerTemplateVersion="1" />')),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Linked element template is outdated, version <2> is available'
+      }
+    }
+  ]
+};
+
+const deprecated = {
+  valid: [
+    {
+      name: 'Not Deprecated',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.versioned" zeebe:modelerTemplateVersion="1" />')),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Deprecated',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.deprecated" />')),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Linked element template is deprecated'
+      }
+    },
+    {
+      name: 'Deprecated (message)',
+      moddleElement: createModdle(createProcess('<bpmn:task id="Task_1" zeebe:modelerTemplate="structure.deprecatedMessage" />')),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Linked element template is deprecated: Use <structure.versioned> instead'
+      }
+    }
+  ]
+};
+
+
+const choicesProvider = {
+  getChoices(choicesSource) {
+    return choicesSource.id === 'queues' ? [ { name: 'Orders', value: 'orders' } ] : [];
+  }
+};
+
+function createTaskWithHeader(template, key, value, xml = '') {
+  return createModdle(createDefinitions(`
+    ${ xml }
+    <bpmn:process id="Process_1" isExecutable="true">
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="${ template }">
+        <bpmn:extensionElements>
+          <zeebe:taskHeaders>
+            <zeebe:header key="${ key }" value="${ value }" />
+          </zeebe:taskHeaders>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    </bpmn:process>
+  `));
+}
+
+const invalidChoice = {
+  valid: [
+    {
+      name: 'Diagram Choice',
+      moddleElement: createTaskWithHeader('choices.messages', 'message', 'Order Received', '<bpmn:message id="Message_1" name="Order Received" />'),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Provider Choice',
+      moddleElement: createTaskWithHeader('choices.provider', 'queue', 'orders'),
+      config: {
+        templates,
+        choicesProvider
+      }
+    },
+    {
+      name: 'Provider Choice - no provider',
+      moddleElement: createTaskWithHeader('choices.provider', 'queue', 'unknown'),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Diagram Choice',
+      moddleElement: createTaskWithHeader('choices.messages', 'message', 'Order Shipped', '<bpmn:message id="Message_1" name="Order Received" />'),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Value <Order Shipped> of property <Message> is not one of the available choices'
+      }
+    },
+    {
+      name: 'Provider Choice',
+      moddleElement: createTaskWithHeader('choices.provider', 'queue', 'unknown'),
+      config: {
+        templates,
+        choicesProvider
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Value <unknown> of property <Queue> is not one of the available choices'
+      }
+    }
+  ]
+};
+
+const literalSecret = {
+  valid: [
+    {
+      name: 'Secret Reference',
+      moddleElement: createTaskWithHeader('secrets.plain', 'apiKey', '{{secrets.API_KEY}}'),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Literal',
+      moddleElement: createTaskWithHeader('secrets.plain', 'apiKey', 'application/json'),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Secret Like Value Of Other Property',
+      moddleElement: createTaskWithHeader('secrets.plain', 'connector', 'io.camunda:HttpJsonConnector20240101'),
+      config: {
+        templates
+      }
+    },
+    {
+      name: 'Secret Property',
+      moddleElement: createTaskWithHeader('secrets.secret', 'token', 'sk-proj-Ab3dEfGh1jKlMn0pQrStUv'),
+      config: {
+        templates
+      }
+    }
+  ],
+  invalid: [
+    {
+      name: 'Literal Secret',
+      moddleElement: createTaskWithHeader('secrets.plain', 'apiKey', 'sk-proj-Ab3dEfGh1jKlMn0pQrStUv'),
+      config: {
+        templates
+      },
+      report: {
+        id: 'Task_1',
+        message: 'Value of property <API key> looks like a secret, reference a secret instead, e.g. <{{secrets.NAME}}>'
+      }
+    }
+  ]
+};
+
 
 describe('element-templates Linting', function() {
 
@@ -147,4 +655,120 @@ describe('element-templates Linting', function() {
     invalid
   });
 
+  RuleTester.verify('element-templates/element-type', elementTypeLintRule, elementType);
+
+  RuleTester.verify('element-templates/hidden-value', hiddenValueLintRule, hiddenValue);
+
+  RuleTester.verify('element-templates/stale-extension-elements', staleExtensionElementsLintRule, staleExtensionElements);
+
+  RuleTester.verify('element-templates/outdated', outdatedTemplateLintRule, outdated);
+
+  RuleTester.verify('element-templates/deprecated', deprecatedTemplateLintRule, deprecated);
+
+  RuleTester.verify('element-templates/invalid-choice', invalidChoiceLintRule, invalidChoice);
+
+  RuleTester.verify('element-templates/literal-secret', literalSecretLintRule, literalSecret);
+
+
+  describe('plugin', function() {
+
+    function getSeverities(plugin) {
+      const { rules } = plugin.config;
+
+      return Object.keys(rules).reduce((severities, name) => {
+        severities[ name ] = rules[ name ][ 0 ];
+
+        return severities;
+      }, {});
+    }
+
+
+    it('should configure rules', function() {
+
+      // when
+      const plugin = ElementTemplateLinterPlugin(templates);
+
+      // then
+      expect(getSeverities(plugin)).to.eql({
+        'element-templates/validate': 'error',
+        'element-templates/element-type': 'error',
+        'element-templates/hidden-value': 'warn',
+        'element-templates/stale-extension-elements': 'warn',
+        'element-templates/outdated': 'info',
+        'element-templates/deprecated': 'warn',
+        'element-templates/invalid-choice': 'warn',
+        'element-templates/literal-secret': 'warn'
+      });
+
+      expect(plugin.config.rules[ 'element-templates/outdated' ][ 1 ]).to.include({
+        templates,
+        bindingTypeRegistry: undefined,
+        choicesProvider: undefined
+      });
+    });
+
+
+    it('should share validated templates between rules', function() {
+
+      // when
+      const plugin = ElementTemplateLinterPlugin(templates);
+
+      // then
+      const { rules } = plugin.config;
+
+      const { elementTemplates } = rules[ 'element-templates/validate' ][ 1 ];
+
+      expect(elementTemplates.getAll()).not.to.be.empty;
+
+      Object.keys(rules).forEach(name => {
+        expect(rules[ name ][ 1 ].elementTemplates).to.equal(elementTemplates);
+      });
+    });
+
+
+    it('should configure rule severity', function() {
+
+      // when
+      const plugin = ElementTemplateLinterPlugin(templates, {
+        rules: {
+          'hidden-value': 'error',
+          outdated: 'off'
+        }
+      });
+
+      // then
+      expect(getSeverities(plugin)).to.include({
+        'element-templates/hidden-value': 'error',
+        'element-templates/outdated': 'off'
+      });
+    });
+
+
+    it('should resolve rules', async function() {
+
+      // given
+      const plugin = ElementTemplateLinterPlugin(templates);
+
+      // when
+      const rules = await Promise.all(
+        Object.keys(plugin.config.rules).map(name => {
+          return plugin.resolver.resolveRule('bpmnlint-plugin-element-templates', name.split('/')[ 1 ]);
+        })
+      );
+
+      // then
+      expect(rules).to.eql([
+        elementTemplateLintRule,
+        elementTypeLintRule,
+        hiddenValueLintRule,
+        staleExtensionElementsLintRule,
+        outdatedTemplateLintRule,
+        deprecatedTemplateLintRule,
+        invalidChoiceLintRule,
+        literalSecretLintRule
+      ]);
+    });
+
+  });
+
 });
\ No newline at end of file
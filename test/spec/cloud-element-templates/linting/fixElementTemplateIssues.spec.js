@@ -0,0 +1,471 @@
+import { fixElementTemplateIssues } from 'src/cloud-element-templates/linting';
+
+import BindingTypeRegistry from 'src/cloud-element-templates/binding-types/BindingTypeRegistry';
+
+import {
+  findExtension,
+  getTemplateId,
+  getTemplateVersion
+} from 'src/cloud-element-templates/Helper';
+
+import {
+  createModdle,
+  createProcess
+} from '../../../TestHelper';
+
+import templates from './fixElementTemplateIssues.json';
+
+
+describe('cloud-element-templates/linting - fixElementTemplateIssues', function() {
+
+  it('should upgrade outdated template', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.outdated" zeebe:modelerTemplateVersion="1">
+        <bpmn:extensionElements>
+          <zeebe:taskHeaders>
+            <zeebe:header key="version" value="v1" />
+          </zeebe:taskHeaders>
+          <zeebe:properties>
+            <zeebe:property name="old" value="old" />
+          </zeebe:properties>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes, skipped } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'outdated', id: 'Task_1', message: 'Upgraded element template to version <2>' }
+    ]);
+
+    expect(skipped).to.be.empty;
+
+    expect(getTemplateId(element)).to.equal('fix.outdated');
+    expect(getTemplateVersion(element)).to.equal(2);
+
+    expect(getHeaders(element)).to.eql([ [ 'version', 'v2' ] ]);
+    expect(getProperties(element)).to.eql([ [ 'new', 'new' ] ]);
+  });
+
+
+  it('should not upgrade to deprecated template', async function() {
+
+    // given
+    const { root, element } = await fixture(
+      '<bpmn:task id="Task_1" zeebe:modelerTemplate="fix.deprecated" zeebe:modelerTemplateVersion="1" />'
+    );
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates, { rules: [ 'outdated' ] });
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'outdated', id: 'Task_1', message: 'Upgraded element template to version <2>' }
+    ]);
+
+    expect(getTemplateVersion(element)).to.equal(2);
+    expect(getHeaders(element)).to.eql([ [ 'version', 'v2' ] ]);
+  });
+
+
+  it('should skip upgrade changing element type', async function() {
+
+    // given
+    const { root, element } = await fixture(
+      '<bpmn:task id="Task_1" zeebe:modelerTemplate="fix.elementType" zeebe:modelerTemplateVersion="1" />'
+    );
+
+    // when
+    const { fixes, skipped } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.be.empty;
+
+    expect(skipped).to.eql([
+      { rule: 'outdated', id: 'Task_1', message: 'Cannot upgrade to version <2> changing the element type' }
+    ]);
+
+    expect(element.$type).to.equal('bpmn:Task');
+    expect(getTemplateVersion(element)).to.equal(1);
+  });
+
+
+  it('should apply hidden values', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.latest">
+        <bpmn:extensionElements>
+          <zeebe:ioMapping>
+            <zeebe:input source="https://example.com" target="url" />
+          </zeebe:ioMapping>
+          <zeebe:taskHeaders>
+            <zeebe:header key="hidden" value="changed" />
+          </zeebe:taskHeaders>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'hidden-value', id: 'Task_1', message: 'Applied value of hidden property <hidden>' }
+    ]);
+
+    expect(getHeaders(element)).to.eql([ [ 'hidden', 'hidden' ] ]);
+  });
+
+
+  it('should remove stale extension elements', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.latest">
+        <bpmn:extensionElements>
+          <zeebe:ioMapping>
+            <zeebe:input source="https://example.com" target="url" />
+            <zeebe:input source="stale" target="stale" />
+          </zeebe:ioMapping>
+          <zeebe:taskHeaders>
+            <zeebe:header key="hidden" value="hidden" />
+            <zeebe:header key="stale" value="stale" />
+          </zeebe:taskHeaders>
+          <zeebe:properties>
+            <zeebe:property name="stale" value="stale" />
+          </zeebe:properties>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'stale-extension-elements', id: 'Task_1', message: 'Removed input mapping <stale>' },
+      { rule: 'stale-extension-elements', id: 'Task_1', message: 'Removed task header <stale>' },
+      { rule: 'stale-extension-elements', id: 'Task_1', message: 'Removed extension property <stale>' }
+    ]);
+
+    expect(getHeaders(element)).to.eql([ [ 'hidden', 'hidden' ] ]);
+    expect(findExtension(element, 'zeebe:IoMapping').get('inputParameters')).to.have.length(1);
+
+    // empty container removed
+    expect(findExtension(element, 'zeebe:Properties')).not.to.exist;
+  });
+
+
+  it('should remove stale execution listeners', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.latest">
+        <bpmn:extensionElements>
+          <zeebe:ioMapping>
+            <zeebe:input source="https://example.com" target="url" />
+          </zeebe:ioMapping>
+          <zeebe:taskHeaders>
+            <zeebe:header key="hidden" value="hidden" />
+          </zeebe:taskHeaders>
+          <zeebe:executionListeners>
+            <zeebe:executionListener eventType="start" type="stale" />
+          </zeebe:executionListeners>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'stale-extension-elements', id: 'Task_1', message: 'Removed execution listener <start:stale>' }
+    ]);
+
+    // empty container removed
+    expect(findExtension(element, 'zeebe:ExecutionListeners')).not.to.exist;
+  });
+
+
+  it('should keep extension elements of repeatable groups', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.repeatableGroups">
+        <bpmn:extensionElements>
+          <zeebe:ioMapping>
+            <zeebe:input source="a@example.com" target="recipients[0].address" />
+            <zeebe:input source="b@example.com" target="recipients[1].address" />
+            <zeebe:input source="c@example.com" target="recipients[2].address" />
+          </zeebe:ioMapping>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates, {
+      rules: [ 'stale-extension-elements' ]
+    });
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'stale-extension-elements', id: 'Task_1', message: 'Removed input mapping <recipients[2].address>' }
+    ]);
+
+    const inputs = findExtension(element, 'zeebe:IoMapping').get('inputParameters');
+
+    expect(inputs.map(input => input.get('target'))).to.eql([
+      'recipients[0].address',
+      'recipients[1].address'
+    ]);
+  });
+
+
+  it('should remove stale entries of custom binding type', async function() {
+
+    // given
+    const bindingTypeRegistry = new BindingTypeRegistry().register('acme:linkedResource', {
+      get: () => '',
+      set: () => [],
+      unset: () => [],
+      extensionElements: [
+        {
+          type: 'zeebe:LinkedResources',
+          listName: 'values',
+          label: 'Linked resource',
+          getName: linkedResource => linkedResource.get('linkName'),
+          getBindingName: binding => binding.linkName
+        }
+      ]
+    });
+
+    const template = {
+      $schema: templates[ 0 ].$schema,
+      id: 'fix.custom',
+      name: 'Custom',
+      appliesTo: [ 'bpmn:Task' ],
+      properties: [
+        {
+          type: 'Hidden',
+          value: 'resource',
+          binding: {
+            type: 'acme:linkedResource',
+            linkName: 'resource'
+          }
+        }
+      ]
+    };
+
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.custom">
+        <bpmn:extensionElements>
+          <zeebe:linkedResources>
+            <zeebe:linkedResource linkName="resource" resourceId="resource" />
+            <zeebe:linkedResource linkName="stale" resourceId="stale" />
+          </zeebe:linkedResources>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, [ template ], {
+      bindingTypeRegistry,
+      rules: [ 'stale-extension-elements' ]
+    });
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'stale-extension-elements', id: 'Task_1', message: 'Removed linked resource <stale>' }
+    ]);
+
+    const linkedResources = findExtension(element, 'zeebe:LinkedResources').get('values');
+
+    expect(linkedResources.map(linkedResource => linkedResource.get('linkName'))).to.eql([ 'resource' ]);
+  });
+
+
+  it('should apply default value violating constraints', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.latest">
+        <bpmn:extensionElements>
+          <zeebe:ioMapping>
+            <zeebe:input source="" target="url" />
+          </zeebe:ioMapping>
+          <zeebe:taskHeaders>
+            <zeebe:header key="hidden" value="hidden" />
+          </zeebe:taskHeaders>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'validate', id: 'Task_1', message: 'Applied default value of property <url>' }
+    ]);
+
+    const [ input ] = findExtension(element, 'zeebe:IoMapping').get('inputParameters');
+
+    expect(input.get('source')).to.equal('https://example.com');
+  });
+
+
+  it('should unlink missing template', async function() {
+
+    // given
+    const { root, element } = await fixture(
+      '<bpmn:task id="Task_1" zeebe:modelerTemplate="fix.missing" zeebe:modelerTemplateVersion="1" />'
+    );
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'validate', id: 'Task_1', message: 'Unlinked missing element template <fix.missing>' }
+    ]);
+
+    expect(getTemplateId(element)).not.to.exist;
+    expect(getTemplateVersion(element)).not.to.exist;
+  });
+
+
+  it('should upgrade missing template version', async function() {
+
+    // given
+    const { root, element } = await fixture(
+      '<bpmn:task id="Task_1" zeebe:modelerTemplate="fix.outdated" zeebe:modelerTemplateVersion="1" />'
+    );
+
+    const newTemplates = templates.filter(({ id, version }) => id !== 'fix.outdated' || version !== 1);
+
+    // when
+    const { fixes, skipped } = fixElementTemplateIssues(root, newTemplates, { rules: [ 'validate' ] });
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'validate', id: 'Task_1', message: 'Upgraded missing version of element template <fix.outdated> to version <2>' }
+    ]);
+
+    expect(skipped).to.be.empty;
+
+    expect(getTemplateId(element)).to.equal('fix.outdated');
+    expect(getTemplateVersion(element)).to.equal(2);
+
+    expect(getHeaders(element)).to.eql([ [ 'version', 'v2' ] ]);
+  });
+
+
+  it('should skip missing template version with deprecated versions only', async function() {
+
+    // given
+    const { root, element } = await fixture(
+      '<bpmn:task id="Task_1" zeebe:modelerTemplate="fix.deprecated" zeebe:modelerTemplateVersion="1" />'
+    );
+
+    const newTemplates = templates.filter(({ id, version }) => id !== 'fix.deprecated' || version === 3);
+
+    // when
+    const { fixes, skipped } = fixElementTemplateIssues(root, newTemplates);
+
+    // then
+    expect(fixes).to.be.empty;
+
+    expect(skipped).to.eql([
+      { rule: 'validate', id: 'Task_1', message: 'Cannot upgrade missing version of element template <fix.deprecated>, only deprecated versions are known' }
+    ]);
+
+    expect(getTemplateId(element)).to.equal('fix.deprecated');
+    expect(getTemplateVersion(element)).to.equal(1);
+  });
+
+
+  it('should fix nested elements', async function() {
+
+    // given
+    const { root } = await createModdle(createProcess(`
+      <bpmn:subProcess id="SubProcess_1">
+        <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.missing" />
+      </bpmn:subProcess>
+    `));
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates);
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'validate', id: 'Task_1', message: 'Unlinked missing element template <fix.missing>' }
+    ]);
+  });
+
+
+  it('should only fix issues of given rules', async function() {
+
+    // given
+    const { root, element } = await fixture(`
+      <bpmn:task id="Task_1" zeebe:modelerTemplate="fix.latest">
+        <bpmn:extensionElements>
+          <zeebe:ioMapping>
+            <zeebe:input source="" target="url" />
+          </zeebe:ioMapping>
+          <zeebe:taskHeaders>
+            <zeebe:header key="hidden" value="changed" />
+          </zeebe:taskHeaders>
+        </bpmn:extensionElements>
+      </bpmn:task>
+    `);
+
+    // when
+    const { fixes } = fixElementTemplateIssues(root, templates, {
+      rules: [ 'hidden-value' ]
+    });
+
+    // then
+    expect(fixes).to.eql([
+      { rule: 'hidden-value', id: 'Task_1', message: 'Applied value of hidden property <hidden>' }
+    ]);
+
+    const [ input ] = findExtension(element, 'zeebe:IoMapping').get('inputParameters');
+
+    expect(input.get('source')).to.equal('');
+  });
+
+});
+
+
+// helpers //////////
+
+async function fixture(xml) {
+  const { root } = await createModdle(createProcess(xml));
+
+  const [ process ] = root.get('rootElements');
+
+  return {
+    root,
+    element: process.get('flowElements')[ 0 ]
+  };
+}
+
+function getHeaders(element) {
+  return findExtension(element, 'zeebe:TaskHeaders').get('values').map(header => [
+    header.get('key'),
+    header.get('value')
+  ]);
+}
+
+function getProperties(element) {
+  return findExtension(element, 'zeebe:Properties').get('properties').map(property => [
+    property.get('name'),
+    property.get('value')
+  ]);
+}
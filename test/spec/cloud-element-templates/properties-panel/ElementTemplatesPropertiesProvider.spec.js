@@ -36,6 +36,8 @@ import entriesVisibleTemplates from './ElementTemplatesPropertiesProvider.entrie
 import conditionTemplate from '../fixtures/condition.json';
 import multipleConditionTemplate from '../fixtures/multiple-conditions.json';
 import conditionXML from '../fixtures/condition.bpmn';
+import translationsTemplates from '../fixtures/translations.json';
+import translationsXML from '../fixtures/translations.bpmn';
 
 
 describe('provider/cloud-element-templates - ElementTemplatesPropertiesProvider', function() {
@@ -459,6 +461,53 @@ describe('provider/cloud-element-templates - ElementTemplatesPropertiesProvider'
 
   describe('template#update', function() {
 
+    it('should show update preview', inject(
+      async function(elementRegistry, selection, elementTemplates) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+        await act(() => selection.select(task));
+
+        // when
+        await updateTemplate(container);
+
+        // then
+        const preview = getUpdatePreview();
+
+        expect(preview).to.exist;
+        expect(domQuery('.bio-properties-panel-popup__title', preview).textContent).to.eql(
+          'Update to version 3'
+        );
+
+        const template = elementTemplates.get(task);
+
+        expect(template).to.have.property('version', 1);
+      })
+    );
+
+
+    it('should cancel update', inject(
+      async function(elementRegistry, selection, elementTemplates) {
+
+        // given
+        const task = elementRegistry.get('Task_2');
+        await act(() => selection.select(task));
+
+        await updateTemplate(container);
+
+        // when
+        await click(domQuery('.bio-properties-panel-template-update-preview__cancel', getUpdatePreview()));
+
+        // then
+        expect(getUpdatePreview()).not.to.exist;
+
+        const template = elementTemplates.get(task);
+
+        expect(template).to.have.property('version', 1);
+      })
+    );
+
+
     it('should update template', inject(
       async function(elementRegistry, selection, elementTemplates) {
 
@@ -469,7 +518,11 @@ describe('provider/cloud-element-templates - ElementTemplatesPropertiesProvider'
         // when
         await updateTemplate(container);
 
+        await click(domQuery('.bio-properties-panel-template-update-preview__update', getUpdatePreview()));
+
         // then
+        expect(getUpdatePreview()).not.to.exist;
+
         task = elementRegistry.get('Task_2');
         const template = elementTemplates.get(task);
 
@@ -741,6 +794,44 @@ describe('provider/cloud-element-templates - ElementTemplatesPropertiesProvider'
       })
     );
 
+
+    it('should NOT display multi-instance configuration bound by template', inject(
+      async function(elementRegistry, selection, elementTemplates) {
+
+        // given
+        const template = {
+          $schema: 'https://unpkg.com/@camunda/zeebe-element-templates-json-schema/resources/schema.json',
+          id: 'multiInstanceTemplate',
+          name: 'Multi-instance Template',
+          appliesTo: [ 'bpmn:Task' ],
+          properties: [
+            {
+              type: 'Hidden',
+              value: '=items',
+              binding: {
+                type: 'zeebe:loopCharacteristics',
+                property: 'inputCollection'
+              }
+            }
+          ]
+        };
+
+        elementTemplates.set([ ...templates, template ]);
+
+        const element = elementTemplates.applyTemplate(elementRegistry.get('Task_3'), template);
+
+        // when
+        await act(() => {
+          selection.select(element);
+        });
+
+        // then
+        const group = domQuery('[data-group-id="group-multiInstance"]', container);
+
+        expect(group).not.to.exist;
+      })
+    );
+
   });
 
 
@@ -766,6 +857,121 @@ describe('provider/cloud-element-templates - ElementTemplatesPropertiesProvider'
 
   });
 
+
+  describe('translations', function() {
+
+    beforeEach(bootstrapPropertiesPanel(translationsXML, {
+      container,
+      modules: [
+        BpmnPropertiesPanel,
+        coreModule,
+        elementTemplatesModule,
+        modelingModule
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      debounceInput: false,
+      elementTemplates: translationsTemplates,
+      elementTemplatesTranslator: {
+        locale: 'de-AT'
+      }
+    }));
+
+    const entryPrefix = 'custom-entry-example.com.translations-message';
+
+
+    it('should translate template name and description', inject(
+      async function(elementRegistry, selection) {
+
+        // when
+        await act(() => selection.select(elementRegistry.get('Task_1')));
+
+        // then
+        expect(getTextEntryContent(container, 'template-name')).to.eql('E-Mail senden');
+        expect(getTextEntryContent(container, 'template-description')).to.eql('Sendet eine E-Mail');
+      })
+    );
+
+
+    it('should translate group label', inject(
+      async function(elementRegistry, selection) {
+
+        // when
+        await act(() => selection.select(elementRegistry.get('Task_1')));
+
+        // then
+        const title = domQuery(
+          '[data-group-id="group-ElementTemplates__CustomProperties-message"] .bio-properties-panel-group-header-title',
+          container
+        );
+
+        expect(title.textContent).to.eql('Nachricht');
+      })
+    );
+
+
+    it('should translate property label and description', inject(
+      async function(elementRegistry, selection) {
+
+        // when
+        await act(() => selection.select(elementRegistry.get('Task_1')));
+
+        // then
+        const entry = domQuery(`[data-entry-id="${ entryPrefix }-0"]`, container);
+
+        expect(domQuery('.bio-properties-panel-label', entry).textContent).to.eql('Betreff (AT)');
+        expect(domQuery('.bio-properties-panel-description', entry).textContent).to.eql('Betreff der E-Mail');
+      })
+    );
+
+
+    it('should translate choices', inject(
+      async function(elementRegistry, selection) {
+
+        // when
+        await act(() => selection.select(elementRegistry.get('Task_1')));
+
+        // then
+        const select = domQuery(`[data-entry-id="${ entryPrefix }-1"] select`, container);
+
+        expect(asOptionNamesList(select)).to.eql([ 'Normal', 'Hoch' ]);
+      })
+    );
+
+
+    it('should keep untranslated text', inject(
+      async function(elementRegistry, selection) {
+
+        // when
+        await act(() => selection.select(elementRegistry.get('Task_1')));
+
+        // then
+        const entry = domQuery(`[data-entry-id="${ entryPrefix }-2"]`, container);
+
+        expect(domQuery('.bio-properties-panel-label', entry).textContent).to.eql('CC');
+      })
+    );
+
+
+    it('should update on locale change', inject(
+      async function(elementRegistry, elementTemplatesTranslator, selection) {
+
+        // given
+        await act(() => selection.select(elementRegistry.get('Task_1')));
+
+        // when
+        await act(() => elementTemplatesTranslator.setLocale('en'));
+
+        // then
+        const entry = domQuery(`[data-entry-id="${ entryPrefix }-0"]`, container);
+
+        expect(domQuery('.bio-properties-panel-label', entry).textContent).to.eql('Subject');
+      })
+    );
+
+  });
+
 });
 
 
@@ -800,6 +1006,13 @@ function updateTemplate(container) {
   return clickDropdownItemWhere(container, element => element.textContent === 'Update');
 }
 
+/**
+ * Get update preview dialog, rendered to the document body.
+ */
+function getUpdatePreview() {
+  return domQuery('.bio-properties-panel-template-update-preview', document.body);
+}
+
 /**
  * Click dropdown item matching the condition.
  *
@@ -859,6 +1072,12 @@ function withoutPrefix(groupId) {
   return groupId.slice(6);
 }
 
+function getTextEntryContent(container, id) {
+  const entry = domQuery(`[data-entry-id="${ id }"]`, container);
+
+  return domQuery('.bio-properties-panel-text-entry__content', entry).textContent;
+}
+
 function asOptionNamesList(select) {
   const names = [];
   const options = domQueryAll('option', select);
@@ -70,6 +70,9 @@ import groupsElementTemplates from './CustomProperties.groups.json';
 import textLanguageDiagramXML from './CustomProperties.text-language.bpmn';
 import textLanguageElementTemplates from './CustomProperties.text-language.json';
 
+import choicesSourceDiagramXML from './CustomProperties.choices-source.bpmn';
+import choicesSourceElementTemplates from './CustomProperties.choices-source.json';
+
 
 describe('provider/cloud-element-templates - CustomProperties', function() {
 
@@ -1114,6 +1117,95 @@ describe('provider/cloud-element-templates - CustomProperties', function() {
     });
 
 
+    describe('Dropdown (choices source)', function() {
+
+      const choicesProviderModule = {
+        elementTemplatesChoicesProvider: [ 'value', {
+          getChoices(choicesSource) {
+            return choicesSource.id === 'queues' ? [
+              { name: 'Orders', value: 'orders' },
+              { name: 'Default', value: 'default' }
+            ] : [];
+          }
+        } ]
+      };
+
+      beforeEach(bootstrapPropertiesPanel(choicesSourceDiagramXML, {
+        container,
+        debounceInput: false,
+        elementTemplates: choicesSourceElementTemplates,
+        moddleExtensions: {
+          zeebe: zeebeModdlePackage
+        },
+        modules: [
+          BpmnPropertiesPanel,
+          coreModule,
+          elementTemplatesModule,
+          modelingModule,
+          choicesProviderModule
+        ]
+      }));
+
+
+      it('should display options - diagram', async function() {
+
+        // when
+        await expectSelected('ChoicesSourceTask');
+
+        // then
+        const entry = findEntry('custom-entry-my.example.choices-source-0', container),
+              options = domQueryAll('select option', entry);
+
+        expect(Array.from(options).map(({ selected, value }) => {
+          return {
+            selected,
+            value
+          };
+        })).to.eql([
+          { value: 'Order Received', selected: true },
+          { value: 'Order Shipped', selected: false }
+        ]);
+      });
+
+
+      it('should display options - provider', async function() {
+
+        // when
+        await expectSelected('ChoicesSourceTask');
+
+        // then
+        const entry = findEntry('custom-entry-my.example.choices-source-1', container),
+              options = domQueryAll('select option', entry);
+
+        expect(Array.from(options).map(({ value }) => value)).to.eql([
+          'default',
+          'orders'
+        ]);
+      });
+
+
+      it('should change, updating binding', async function() {
+
+        // given
+        const task = await expectSelected('ChoicesSourceTask'),
+              businessObject = getBusinessObject(task);
+
+        const entry = findEntry('custom-entry-my.example.choices-source-0', container),
+              select = findSelect(entry);
+
+        // when
+        changeInput(select, 'Order Shipped');
+
+        // then
+        const taskHeaders = findExtension(businessObject, 'zeebe:TaskHeaders'),
+              header = findTaskHeader(taskHeaders, { key: 'message' });
+
+        expect(header.get('value')).to.equal('Order Shipped');
+      });
+
+    });
+
+
     describe('Text', function() {
 
       beforeEach(bootstrapPropertiesPanel(textLanguageDiagramXML, {
@@ -0,0 +1,229 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  bootstrapPropertiesPanel,
+  changeInput,
+  getBpmnJS,
+  inject
+} from 'test/TestHelper';
+
+import {
+  act
+} from '@testing-library/preact';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import {
+  findExtension,
+  findInputParameter
+} from 'src/cloud-element-templates/Helper';
+
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { BpmnPropertiesPanelModule as BpmnPropertiesPanel } from 'bpmn-js-properties-panel';
+import elementTemplatesModule from 'src/cloud-element-templates';
+
+import diagramXML from './KeyValueProperty.bpmn';
+import templates from './KeyValueProperty.json';
+
+
+describe('provider/cloud-element-templates - KeyValueProperty', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  beforeEach(bootstrapPropertiesPanel(diagramXML, {
+    container,
+    debounceInput: false,
+    elementTemplates: templates,
+    moddleExtensions: {
+      zeebe: zeebeModdlePackage
+    },
+    modules: [
+      BpmnPropertiesPanel,
+      coreModule,
+      elementTemplatesModule,
+      modelingModule
+    ]
+  }));
+
+
+  describe('context', function() {
+
+    let entry;
+
+    beforeEach(async function() {
+      await expectSelected('context');
+      entry = findEntry('custom-entry-keyValue.context-0', container);
+    });
+
+
+    it('should render entries', function() {
+
+      // then
+      expect(getEntries(entry)).to.eql([
+        { key: 'Accept', value: '*/*' },
+        { key: 'Content-Type', value: 'application/json' }
+      ]);
+    });
+
+
+    it('should change key', async function() {
+
+      // when
+      await act(() => changeInput(findInputs(entry, 'key')[ 0 ], 'Accept-Language'));
+
+      // then
+      expectInputParameter('context', 'headers', '={ "Accept-Language": "*/*", "Content-Type": "application/json" }');
+    });
+
+
+    it('should change value', async function() {
+
+      // when
+      await act(() => changeInput(findInputs(entry, 'value')[ 1 ], 'text/plain'));
+
+      // then
+      expectInputParameter('context', 'headers', '={ "Accept": "*/*", "Content-Type": "text/plain" }');
+    });
+
+
+    it('should add entry', async function() {
+
+      // when
+      await act(() => findButton(entry, 'add').click());
+
+      await act(() => changeInput(findInputs(entry, 'key')[ 2 ], 'X-Id'));
+      await act(() => changeInput(findInputs(entry, 'value')[ 2 ], '1'));
+
+      // then
+      expectInputParameter('context', 'headers', '={ "Accept": "*/*", "Content-Type": "application/json", "X-Id": "1" }');
+    });
+
+
+    it('should remove entry', async function() {
+
+      // when
+      await act(() => findButton(entry, 'remove').click());
+
+      // then
+      expect(getEntries(entry)).to.eql([
+        { key: 'Content-Type', value: 'application/json' }
+      ]);
+
+      expectInputParameter('context', 'headers', '={ "Content-Type": "application/json" }');
+    });
+
+
+    it('should update on undo', inject(async function(commandStack) {
+
+      // given
+      await act(() => changeInput(findInputs(entry, 'value')[ 1 ], 'text/plain'));
+
+      // when
+      await act(() => commandStack.undo());
+
+      // then
+      expect(getEntries(entry)).to.eql([
+        { key: 'Accept', value: '*/*' },
+        { key: 'Content-Type', value: 'application/json' }
+      ]);
+    }));
+
+
+    it('should validate', async function() {
+
+      // when
+      await act(() => changeInput(findInputs(entry, 'key')[ 1 ], 'Accept'));
+
+      // then
+      const error = domQuery('.bio-properties-panel-error', entry);
+
+      expect(error).to.exist;
+      expect(error.textContent).to.eql('Headers must not contain duplicate keys.');
+    });
+
+  });
+
+
+  describe('raw', function() {
+
+    it('should edit FEEL expression', async function() {
+
+      // when
+      await expectSelected('raw');
+
+      const entry = findEntry('custom-entry-keyValue.raw-0', container);
+
+      // then
+      expect(domQuery('.bio-properties-panel-feel-editor-container', entry)).to.exist;
+      expect(findInputs(entry, 'key')).to.be.empty;
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function expectInputParameter(id, target, source) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const ioMapping = findExtension(bo, 'zeebe:IoMapping'),
+          inputParameter = findInputParameter(ioMapping, { name: target });
+
+    expect(inputParameter).to.exist;
+    expect(inputParameter.source).to.eql(source);
+  });
+}
+
+function expectSelected(id) {
+  return getBpmnJS().invoke(async function(elementRegistry, selection) {
+    const element = elementRegistry.get(id);
+
+    await act(() => {
+      selection.select(element);
+    });
+
+    return element;
+  });
+}
+
+
+function findEntry(id, container) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`[data-entry-id='${ id }']`, container);
+}
+
+function findInputs(container, part) {
+  expect(container).to.not.be.null;
+
+  return Array.from(domQueryAll(`.bio-element-templates-key-value-property__${ part }`, container));
+}
+
+function findButton(container, action) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`.bio-element-templates-key-value-property__${ action }`, container);
+}
+
+function getEntries(container) {
+  const values = findInputs(container, 'value');
+
+  return findInputs(container, 'key').map(({ value: key }, index) => ({ key, value: values[ index ].value }));
+}
@@ -0,0 +1,247 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  bootstrapPropertiesPanel,
+  changeInput,
+  getBpmnJS,
+  inject
+} from 'test/TestHelper';
+
+import {
+  act
+} from '@testing-library/preact';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import {
+  findExtension,
+  findInputParameter,
+  findZeebeProperty
+} from 'src/cloud-element-templates/Helper';
+
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { BpmnPropertiesPanelModule as BpmnPropertiesPanel } from 'bpmn-js-properties-panel';
+import elementTemplatesModule from 'src/cloud-element-templates';
+
+import diagramXML from './ListProperty.bpmn';
+import templates from './ListProperty.json';
+
+
+describe('provider/cloud-element-templates - ListProperty', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  beforeEach(bootstrapPropertiesPanel(diagramXML, {
+    container,
+    debounceInput: false,
+    elementTemplates: templates,
+    moddleExtensions: {
+      zeebe: zeebeModdlePackage
+    },
+    modules: [
+      BpmnPropertiesPanel,
+      coreModule,
+      elementTemplatesModule,
+      modelingModule
+    ]
+  }));
+
+
+  describe('comma-separated', function() {
+
+    let entry;
+
+    beforeEach(async function() {
+      await expectSelected('csv');
+      entry = findEntry('custom-entry-list.csv-0', container);
+    });
+
+
+    it('should render items', function() {
+
+      // then
+      expect(getItems(entry)).to.eql([ 'x', 'y' ]);
+    });
+
+
+    it('should change item', async function() {
+
+      // when
+      await act(() => changeInput(findItems(entry)[ 1 ], 'z'));
+
+      // then
+      expectZeebeProperty('csv', 'recipients', 'x,z');
+    });
+
+
+    it('should add item', async function() {
+
+      // when
+      await act(() => findButton(entry, 'add').click());
+
+      await act(() => changeInput(findItems(entry)[ 2 ], 'z'));
+
+      // then
+      expectZeebeProperty('csv', 'recipients', 'x,y,z');
+    });
+
+
+    it('should remove item', async function() {
+
+      // when
+      await act(() => findButton(entry, 'remove').click());
+
+      // then
+      expect(getItems(entry)).to.eql([ 'y' ]);
+
+      expectZeebeProperty('csv', 'recipients', 'y');
+    });
+
+
+    it('should move item', async function() {
+
+      // when
+      await act(() => findButton(entry, 'move-down').click());
+
+      // then
+      expect(getItems(entry)).to.eql([ 'y', 'x' ]);
+
+      expectZeebeProperty('csv', 'recipients', 'y,x');
+    });
+
+
+    it('should update on undo', inject(async function(commandStack) {
+
+      // given
+      await act(() => changeInput(findItems(entry)[ 1 ], 'z'));
+
+      // when
+      await act(() => commandStack.undo());
+
+      // then
+      expect(getItems(entry)).to.eql([ 'x', 'y' ]);
+    }));
+
+
+    it('should validate', async function() {
+
+      // when
+      await act(() => changeInput(findItems(entry)[ 1 ], 'x'));
+
+      // then
+      const error = domQuery('.bio-properties-panel-error', entry);
+
+      expect(error).to.exist;
+      expect(error.textContent).to.eql('Recipients must not contain duplicate items.');
+    });
+
+  });
+
+
+  describe('FEEL', function() {
+
+    let entry;
+
+    beforeEach(async function() {
+      await expectSelected('feel');
+      entry = findEntry('custom-entry-list.feel-0', container);
+    });
+
+
+    it('should render items', function() {
+
+      // then
+      expect(getItems(entry)).to.eql([ 'x', 'y' ]);
+    });
+
+
+    it('should serialize to FEEL list', async function() {
+
+      // when
+      await act(() => changeInput(findItems(entry)[ 1 ], 'z'));
+
+      // then
+      expectInputParameter('feel', 'recipients', '=["x", "z"]');
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function expectZeebeProperty(id, name, value) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const zeebeProperties = findExtension(bo, 'zeebe:Properties'),
+          zeebeProperty = findZeebeProperty(zeebeProperties, { name });
+
+    expect(zeebeProperty).to.exist;
+    expect(zeebeProperty.value).to.eql(value);
+  });
+}
+
+function expectInputParameter(id, target, source) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const ioMapping = findExtension(bo, 'zeebe:IoMapping'),
+          inputParameter = findInputParameter(ioMapping, { name: target });
+
+    expect(inputParameter).to.exist;
+    expect(inputParameter.source).to.eql(source);
+  });
+}
+
+function expectSelected(id) {
+  return getBpmnJS().invoke(async function(elementRegistry, selection) {
+    const element = elementRegistry.get(id);
+
+    await act(() => {
+      selection.select(element);
+    });
+
+    return element;
+  });
+}
+
+
+function findEntry(id, container) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`[data-entry-id='${ id }']`, container);
+}
+
+function findItems(container) {
+  expect(container).to.not.be.null;
+
+  return Array.from(domQueryAll('input[type="text"]', container));
+}
+
+function findButton(container, action) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`.bio-element-templates-list-property__${ action }`, container);
+}
+
+function getItems(container) {
+  return findItems(container).map(({ value }) => value);
+}
@@ -0,0 +1,210 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  bootstrapPropertiesPanel,
+  getBpmnJS
+} from 'test/TestHelper';
+
+import {
+  act
+} from '@testing-library/preact';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import {
+  findExtension,
+  findInputParameter,
+  findZeebeProperty
+} from 'src/cloud-element-templates/Helper';
+
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { BpmnPropertiesPanelModule as BpmnPropertiesPanel } from 'bpmn-js-properties-panel';
+import elementTemplatesModule from 'src/cloud-element-templates';
+
+import diagramXML from './MultiSelectProperty.bpmn';
+import templates from './MultiSelectProperty.json';
+
+
+describe('provider/cloud-element-templates - MultiSelectProperty', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  beforeEach(bootstrapPropertiesPanel(diagramXML, {
+    container,
+    debounceInput: false,
+    elementTemplates: templates,
+    moddleExtensions: {
+      zeebe: zeebeModdlePackage
+    },
+    modules: [
+      BpmnPropertiesPanel,
+      coreModule,
+      elementTemplatesModule,
+      modelingModule
+    ]
+  }));
+
+
+  describe('comma-separated', function() {
+
+    let entry;
+
+    beforeEach(async function() {
+      await expectSelected('csv');
+      entry = findEntry('custom-entry-multiSelect.csv-0', container);
+    });
+
+
+    it('should render checkbox per choice', function() {
+
+      // then
+      expect(getCheckboxes(entry)).to.eql([
+        { value: 'a', checked: true },
+        { value: 'b', checked: false },
+        { value: 'c', checked: true }
+      ]);
+    });
+
+
+    it('should select', async function() {
+
+      // when
+      await findCheckbox(entry, 'b').click();
+
+      // then
+      expectZeebeProperty('csv', 'tags', 'a,b,c');
+    });
+
+
+    it('should deselect', async function() {
+
+      // when
+      await findCheckbox(entry, 'a').click();
+
+      // then
+      expectZeebeProperty('csv', 'tags', 'c');
+    });
+
+
+    it('should validate', async function() {
+
+      // when
+      await findCheckbox(entry, 'a').click();
+      await findCheckbox(entry, 'c').click();
+
+      // then
+      const error = domQuery('.bio-properties-panel-error', entry);
+
+      expect(error).to.exist;
+      expect(error.textContent).to.eql('Tags must have at least 1 items.');
+    });
+
+  });
+
+
+  describe('FEEL', function() {
+
+    let entry;
+
+    beforeEach(async function() {
+      await expectSelected('feel');
+      entry = findEntry('custom-entry-multiSelect.feel-0', container);
+    });
+
+
+    it('should serialize to FEEL list', async function() {
+
+      // when
+      await findCheckbox(entry, 'c').click();
+      await findCheckbox(entry, 'a').click();
+
+      // then
+      expectInputParameter('feel', 'tags', '=["a", "c"]');
+
+      expect(getCheckboxes(entry)).to.eql([
+        { value: 'a', checked: true },
+        { value: 'b', checked: false },
+        { value: 'c', checked: true }
+      ]);
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function expectZeebeProperty(id, name, value) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const zeebeProperties = findExtension(bo, 'zeebe:Properties'),
+          zeebeProperty = findZeebeProperty(zeebeProperties, { name });
+
+    expect(zeebeProperty).to.exist;
+    expect(zeebeProperty.value).to.eql(value);
+  });
+}
+
+function expectInputParameter(id, target, source) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const ioMapping = findExtension(bo, 'zeebe:IoMapping'),
+          inputParameter = findInputParameter(ioMapping, { name: target });
+
+    expect(inputParameter).to.exist;
+    expect(inputParameter.source).to.eql(source);
+  });
+}
+
+function expectSelected(id) {
+  return getBpmnJS().invoke(async function(elementRegistry, selection) {
+    const element = elementRegistry.get(id);
+
+    await act(() => {
+      selection.select(element);
+    });
+
+    return element;
+  });
+}
+
+
+function findEntry(id, container) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`[data-entry-id='${ id }']`, container);
+}
+
+function findCheckbox(container, value) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`input[type='checkbox'][value='${ value }']`, container);
+}
+
+function getCheckboxes(container) {
+  return Array.from(domQueryAll('input[type="checkbox"]', container)).map(({ checked, value }) => {
+    return {
+      value,
+      checked
+    };
+  });
+}
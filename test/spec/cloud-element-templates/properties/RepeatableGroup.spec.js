@@ -0,0 +1,245 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  bootstrapPropertiesPanel,
+  getBpmnJS,
+  inject
+} from 'test/TestHelper';
+
+import {
+  act
+} from '@testing-library/preact';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import {
+  findExtension,
+  findInputParameter,
+  findTaskHeader,
+  findZeebeProperty
+} from 'src/cloud-element-templates/Helper';
+
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { BpmnPropertiesPanelModule as BpmnPropertiesPanel } from 'bpmn-js-properties-panel';
+import elementTemplatesModule from 'src/cloud-element-templates';
+
+import diagramXML from './RepeatableGroup.bpmn';
+import templates from './RepeatableGroup.json';
+
+const GROUP_ID = 'ElementTemplates__CustomProperties-recipients';
+
+
+describe('provider/cloud-element-templates - RepeatableGroup', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  beforeEach(bootstrapPropertiesPanel(diagramXML, {
+    container,
+    debounceInput: false,
+    elementTemplates: templates,
+    moddleExtensions: {
+      zeebe: zeebeModdlePackage
+    },
+    modules: [
+      BpmnPropertiesPanel,
+      coreModule,
+      elementTemplatesModule,
+      modelingModule
+    ]
+  }));
+
+
+  it('should render instances', async function() {
+
+    // when
+    await expectSelected('instances');
+
+    // then
+    expect(getItemLabels(container)).to.eql([ 'Recipients 1', 'Recipients 2' ]);
+  });
+
+
+  it('should render group without instances', async function() {
+
+    // when
+    await expectSelected('empty');
+
+    // then
+    expect(getGroup(container)).to.exist;
+    expect(getItemLabels(container)).to.be.empty;
+  });
+
+
+  it('should evaluate conditions per instance', async function() {
+
+    // when
+    await expectSelected('instances');
+
+    // then
+    expect(findEntry('custom-entry-repeatable-recipients-0-2', container)).not.to.exist;
+    expect(findEntry('custom-entry-repeatable-recipients-1-2', container)).to.exist;
+  });
+
+
+  it('should add instance', async function() {
+
+    // given
+    await expectSelected('instances');
+
+    // when
+    await act(() => domQuery('.bio-properties-panel-add-entry', getGroup(container)).click());
+
+    // then
+    expect(getItemLabels(container)).to.have.length(3);
+
+    expectInstance('instances', 2, { address: '', kind: 'to' });
+  });
+
+
+  it('should add first instance', async function() {
+
+    // given
+    await expectSelected('empty');
+
+    // when
+    await act(() => domQuery('.bio-properties-panel-add-entry', getGroup(container)).click());
+
+    // then
+    expect(getItemLabels(container)).to.eql([ 'Recipients 1' ]);
+
+    expectInstance('empty', 0, { address: '', kind: 'to' });
+  });
+
+
+  it('should not add more than maxInstances', async function() {
+
+    // given
+    await expectSelected('instances');
+
+    // when
+    await act(() => domQuery('.bio-properties-panel-add-entry', getGroup(container)).click());
+
+    // then
+    expect(domQuery('.bio-properties-panel-add-entry', getGroup(container))).not.to.exist;
+  });
+
+
+  it('should remove instance', async function() {
+
+    // given
+    await expectSelected('instances');
+
+    // when
+    await act(() => domQueryAll('.bio-properties-panel-remove-entry', getGroup(container))[ 0 ].click());
+
+    // then
+    expect(getItemLabels(container)).to.eql([ 'Recipients 1' ]);
+
+    expectInstance('instances', 0, { address: 'bob@example.com', kind: 'cc', note: 'FYI' });
+    expectInstance('instances', 1, {});
+  });
+
+
+  it('should move instance', async function() {
+
+    // given
+    await expectSelected('instances');
+
+    // when
+    await act(() => domQuery('.bio-element-templates-group-instance-actions__move-down', getGroup(container)).click());
+
+    // then
+    expectInstance('instances', 0, { address: 'bob@example.com', kind: 'cc', note: 'FYI' });
+    expectInstance('instances', 1, { address: 'alice@example.com', kind: 'to' });
+  });
+
+
+  it('should undo in one step', inject(async function(commandStack) {
+
+    // given
+    await expectSelected('instances');
+
+    await act(() => domQueryAll('.bio-properties-panel-remove-entry', getGroup(container))[ 0 ].click());
+
+    // when
+    await act(() => commandStack.undo());
+
+    // then
+    expect(getItemLabels(container)).to.eql([ 'Recipients 1', 'Recipients 2' ]);
+
+    expectInstance('instances', 0, { address: 'alice@example.com', kind: 'to' });
+    expectInstance('instances', 1, { address: 'bob@example.com', kind: 'cc', note: 'FYI' });
+  }));
+
+});
+
+
+// helpers //////////
+
+/**
+ * Expect the values bound by an instance, `undefined` if not bound.
+ */
+function expectInstance(id, index, expected) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const ioMapping = findExtension(bo, 'zeebe:IoMapping'),
+          taskHeaders = findExtension(bo, 'zeebe:TaskHeaders'),
+          zeebeProperties = findExtension(bo, 'zeebe:Properties');
+
+    const input = ioMapping && findInputParameter(ioMapping, { name: `recipients[${ index }].address` }),
+          header = taskHeaders && findTaskHeader(taskHeaders, { key: `recipients[${ index }].kind` }),
+          property = zeebeProperties && findZeebeProperty(zeebeProperties, { name: `recipients[${ index }].note` });
+
+    expect({
+      address: input ? input.get('source') || '' : undefined,
+      kind: header ? header.get('value') : undefined,
+      note: property ? property.get('value') : undefined
+    }).to.eql({
+      address: undefined,
+      kind: undefined,
+      note: undefined,
+      ...expected
+    });
+  });
+}
+
+function expectSelected(id) {
+  return getBpmnJS().invoke(async function(elementRegistry, selection) {
+    const element = elementRegistry.get(id);
+
+    await act(() => {
+      selection.select(element);
+    });
+
+    return element;
+  });
+}
+
+function getGroup(container) {
+  return domQuery(`[data-group-id="group-${ GROUP_ID }"]`, container);
+}
+
+function getItemLabels(container) {
+  return Array.from(
+    domQueryAll('.bio-properties-panel-collapsible-entry-header-title', getGroup(container))
+  ).map(title => title.textContent);
+}
+
+function findEntry(id, container) {
+  return domQuery(`[data-entry-id='${ id }']`, container);
+}
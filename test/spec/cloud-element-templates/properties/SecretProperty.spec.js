@@ -0,0 +1,292 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  bootstrapPropertiesPanel,
+  changeInput,
+  getBpmnJS
+} from 'test/TestHelper';
+
+import {
+  act
+} from '@testing-library/preact';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import {
+  findExtension,
+  findInputParameter
+} from 'src/cloud-element-templates/Helper';
+
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import { BpmnPropertiesPanelModule as BpmnPropertiesPanel } from 'bpmn-js-properties-panel';
+import elementTemplatesModule from 'src/cloud-element-templates';
+
+import diagramXML from './SecretProperty.bpmn';
+import templates from './SecretProperty.json';
+
+const ENTRY_ID = 'custom-entry-secret-0';
+
+const LITERAL_ERROR = 'API key must reference a secret instead of containing its value.';
+
+
+describe('provider/cloud-element-templates - SecretProperty', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+
+  describe('with secrets provider', function() {
+
+    const secretsProviderModule = {
+      secretsProvider: [ 'value', {
+        getSecrets() {
+          return [
+            { name: 'API_KEY' },
+            { name: 'DB_PASSWORD' }
+          ];
+        }
+      } ]
+    };
+
+    beforeEach(bootstrapPropertiesPanel(diagramXML, {
+      container,
+      debounceInput: false,
+      elementTemplates: templates,
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      modules: [
+        BpmnPropertiesPanel,
+        coreModule,
+        elementTemplatesModule,
+        modelingModule,
+        secretsProviderModule
+      ]
+    }));
+
+
+    it('should display secrets', async function() {
+
+      // when
+      await expectSelected('reference');
+
+      // then
+      expect(getOptions(findEntry(ENTRY_ID, container))).to.eql([
+        { label: 'API_KEY', selected: true },
+        { label: 'DB_PASSWORD', selected: false }
+      ]);
+    });
+
+
+    it('should pick secret', async function() {
+
+      // given
+      await expectSelected('reference');
+
+      const select = domQuery('select', findEntry(ENTRY_ID, container));
+
+      // when
+      await act(() => changeInput(select, '{{secrets.DB_PASSWORD}}'));
+
+      // then
+      expectInputSource('reference', '{{secrets.DB_PASSWORD}}');
+    });
+
+
+    it('should mask literal value', async function() {
+
+      // when
+      await expectSelected('literal');
+
+      // then
+      const entry = findEntry(ENTRY_ID, container);
+
+      expect(getOptions(entry)).to.eql([
+        { label: '••••••••', selected: true },
+        { label: 'API_KEY', selected: false },
+        { label: 'DB_PASSWORD', selected: false }
+      ]);
+
+      expect(getError(entry)).to.eql(LITERAL_ERROR);
+    });
+
+  });
+
+
+  describe('with secrets provider not returning secrets', function() {
+
+    const secretsProviderModule = {
+      secretsProvider: [ 'value', {
+        getSecrets() {
+          return Promise.resolve([ { name: 'API_KEY' } ]);
+        }
+      } ]
+    };
+
+    beforeEach(bootstrapPropertiesPanel(diagramXML, {
+      container,
+      debounceInput: false,
+      elementTemplates: templates,
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      modules: [
+        BpmnPropertiesPanel,
+        coreModule,
+        elementTemplatesModule,
+        modelingModule,
+        secretsProviderModule
+      ]
+    }));
+
+
+    it('should display referenced secret only', async function() {
+
+      // when
+      await expectSelected('reference');
+
+      // then
+      expect(getOptions(findEntry(ENTRY_ID, container))).to.eql([
+        { label: 'API_KEY', selected: true }
+      ]);
+    });
+
+  });
+
+
+  describe('without secrets provider', function() {
+
+    beforeEach(bootstrapPropertiesPanel(diagramXML, {
+      container,
+      debounceInput: false,
+      elementTemplates: templates,
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      modules: [
+        BpmnPropertiesPanel,
+        coreModule,
+        elementTemplatesModule,
+        modelingModule
+      ]
+    }));
+
+
+    it('should display secret name', async function() {
+
+      // when
+      await expectSelected('reference');
+
+      // then
+      expect(domQuery('input', findEntry(ENTRY_ID, container)).value).to.eql('API_KEY');
+    });
+
+
+    it('should change secret name', async function() {
+
+      // given
+      await expectSelected('reference');
+
+      const input = domQuery('input', findEntry(ENTRY_ID, container));
+
+      // when
+      await act(() => changeInput(input, 'DB_PASSWORD'));
+
+      // then
+      expectInputSource('reference', '{{secrets.DB_PASSWORD}}');
+    });
+
+
+    it('should mask literal value', async function() {
+
+      // when
+      await expectSelected('literal');
+
+      // then
+      const entry = findEntry(ENTRY_ID, container);
+
+      expect(domQuery('input', entry).value).to.eql('••••••••');
+      expect(getError(entry)).to.eql(LITERAL_ERROR);
+    });
+
+
+    it('should not store literal secret', async function() {
+
+      // given
+      await expectSelected('reference');
+
+      const entry = findEntry(ENTRY_ID, container);
+
+      // when
+      await act(() => changeInput(domQuery('input', entry), 'sk-proj-Ab3dEfGh1jKlMn0pQrStUv'));
+
+      // then
+      expectInputSource('reference', '{{secrets.API_KEY}}');
+
+      expect(getError(entry)).to.eql(LITERAL_ERROR);
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function expectInputSource(id, source) {
+  return getBpmnJS().invoke(function(elementRegistry) {
+    const element = elementRegistry.get(id);
+
+    const bo = getBusinessObject(element);
+
+    const ioMapping = findExtension(bo, 'zeebe:IoMapping'),
+          inputParameter = findInputParameter(ioMapping, { name: 'apiKey' });
+
+    expect(inputParameter).to.exist;
+    expect(inputParameter.source).to.eql(source);
+  });
+}
+
+function expectSelected(id) {
+  return getBpmnJS().invoke(async function(elementRegistry, selection) {
+    const element = elementRegistry.get(id);
+
+    await act(() => {
+      selection.select(element);
+    });
+
+    return element;
+  });
+}
+
+function findEntry(id, container) {
+  expect(container).to.not.be.null;
+
+  return domQuery(`[data-entry-id='${ id }']`, container);
+}
+
+function getOptions(entry) {
+  return Array.from(domQueryAll('select option', entry)).map(({ selected, textContent }) => {
+    return {
+      label: textContent,
+      selected
+    };
+  });
+}
+
+function getError(entry) {
+  const error = domQuery('.bio-properties-panel-error', entry);
+
+  return error && error.textContent;
+}
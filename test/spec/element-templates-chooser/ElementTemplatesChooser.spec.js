@@ -0,0 +1,588 @@
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  act,
+  fireEvent
+} from '@testing-library/preact';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import { map } from 'min-dash';
+
+import {
+  bootstrapModeler,
+  changeInput,
+  clickInput as click,
+  inject
+} from 'test/TestHelper';
+
+import { getBusinessObject } from 'bpmn-js/lib/util/ModelUtil';
+
+import coreModule from 'bpmn-js/lib/core';
+import modelingModule from 'bpmn-js/lib/features/modeling';
+import elementTemplatesCoreModule from 'src/cloud-element-templates/core';
+import elementTemplatesChooserModule from 'src/element-templates-chooser';
+
+import zeebeModdlePackage from 'zeebe-bpmn-moddle/resources/zeebe';
+
+import diagramXML from './ElementTemplatesChooser.bpmn';
+import templates from './ElementTemplatesChooser.json';
+
+
+describe('element-templates-chooser - ElementTemplatesChooser', function() {
+
+  let container;
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  function bootstrap(config = {}) {
+    return bootstrapModeler(diagramXML, {
+      container,
+      modules: [
+        coreModule,
+        elementTemplatesCoreModule,
+        elementTemplatesChooserModule,
+        modelingModule
+      ],
+      moddleExtensions: {
+        zeebe: zeebeModdlePackage
+      },
+      elementTemplatesChooser: config
+    });
+  }
+
+
+  describe('open', function() {
+
+    beforeEach(bootstrap());
+
+    beforeEach(inject(function(elementTemplates) {
+      elementTemplates.set(templates);
+    }));
+
+
+    it('should open on <elementTemplates.select>', inject(
+      async function(elementRegistry, elementTemplatesChooser, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        // when
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        // then
+        expect(elementTemplatesChooser.isOpen()).to.be.true;
+        expect(getChooser()).to.exist;
+      }
+    ));
+
+
+    it('should fire events', inject(
+      async function(elementRegistry, elementTemplatesChooser, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        const openedSpy = sinon.spy(),
+              closedSpy = sinon.spy();
+
+        eventBus.on('elementTemplatesChooser.opened', openedSpy);
+        eventBus.on('elementTemplatesChooser.closed', closedSpy);
+
+        // when
+        const promise = openChooser(elementTemplatesChooser, element);
+
+        await act(() => elementTemplatesChooser.close());
+
+        await promise.catch(() => {});
+
+        // then
+        expect(openedSpy).to.have.been.calledOnceWith(sinon.match({ element }));
+        expect(closedSpy).to.have.been.calledOnceWith(sinon.match({ element }));
+      }
+    ));
+
+
+    it('should list applicable templates by category', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        // when
+        openChooser(elementTemplatesChooser, element);
+
+        // then
+        const categories = domQueryAll('.bio-element-templates-chooser__category-name', getChooser());
+
+        expect(map(categories, category => category.textContent)).to.eql([
+          'Connectors',
+          'Other templates'
+        ]);
+
+        expect(getEntryIds()).to.eql([
+          'io.camunda.connectors.rest',
+          'io.camunda.connectors.mail',
+          'com.example.audit'
+        ]);
+      }
+    ));
+
+
+    it('should display icon and description', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        // when
+        openChooser(elementTemplatesChooser, element);
+
+        // then
+        const entry = getEntry('io.camunda.connectors.rest');
+
+        expect(domQuery('img.bio-element-templates-chooser__icon', entry)).to.exist;
+        expect(domQuery('.bio-element-templates-chooser__entry-description', entry).textContent).to.eql(
+          'Invoke a REST API'
+        );
+      }
+    ));
+
+
+    it('should display deprecated badge', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        // when
+        openChooser(elementTemplatesChooser, element);
+
+        // then
+        expect(domQuery('.bio-element-templates-chooser__deprecated', getEntry('io.camunda.connectors.mail'))).to.exist;
+        expect(domQuery('.bio-element-templates-chooser__deprecated', getEntry('com.example.audit'))).not.to.exist;
+      }
+    ));
+
+
+    it('should display version selector', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        // when
+        openChooser(elementTemplatesChooser, element);
+
+        // then
+        const select = domQuery('.bio-element-templates-chooser__version', getEntry('io.camunda.connectors.rest'));
+
+        expect(select).to.exist;
+        expect(map(select.options, option => option.textContent)).to.eql([ '2', '1' ]);
+
+        expect(domQuery('.bio-element-templates-chooser__version', getEntry('com.example.audit'))).not.to.exist;
+      }
+    ));
+
+  });
+
+
+  describe('search', function() {
+
+    beforeEach(bootstrap());
+
+    beforeEach(inject(function(elementTemplates) {
+      elementTemplates.set(templates);
+    }));
+
+
+    it('should filter by name', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => changeInput(getSearch(), 'audit'));
+
+        // then
+        expect(getEntryIds()).to.eql([ 'com.example.audit' ]);
+      }
+    ));
+
+
+    it('should filter by description and keywords', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => changeInput(getSearch(), 'http api'));
+
+        // then
+        expect(getEntryIds()).to.eql([ 'io.camunda.connectors.rest' ]);
+      }
+    ));
+
+
+    it('should filter by category', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => changeInput(getSearch(), 'connectors'));
+
+        // then
+        expect(getEntryIds()).to.eql([
+          'io.camunda.connectors.rest',
+          'io.camunda.connectors.mail'
+        ]);
+      }
+    ));
+
+
+    it('should display empty state', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => changeInput(getSearch(), 'foobar'));
+
+        // then
+        expect(getEntryIds()).to.be.empty;
+        expect(domQuery('.bio-element-templates-chooser__empty', getChooser())).to.exist;
+        expect(domQuery('.bio-element-templates-chooser__apply', getChooser()).disabled).to.be.true;
+      }
+    ));
+
+  });
+
+
+  describe('keyboard navigation', function() {
+
+    beforeEach(bootstrap());
+
+    beforeEach(inject(function(elementTemplates) {
+      elementTemplates.set(templates);
+    }));
+
+
+    it('should select first entry per default', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // when
+        openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // then
+        expect(getSelectedId()).to.eql('io.camunda.connectors.rest');
+      }
+    ));
+
+
+    it('should move selection with arrow keys', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => keyDown(getSearch(), 'ArrowDown'));
+        await act(() => keyDown(getSearch(), 'ArrowDown'));
+
+        // then
+        expect(getSelectedId()).to.eql('com.example.audit');
+
+        // when
+        await act(() => keyDown(getSearch(), 'ArrowUp'));
+
+        // then
+        expect(getSelectedId()).to.eql('io.camunda.connectors.mail');
+      }
+    ));
+
+
+    it('should apply selected template on <Enter>', inject(
+      async function(elementRegistry, elementTemplates, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        await act(() => keyDown(getSearch(), 'ArrowDown'));
+        await act(() => keyDown(getSearch(), 'ArrowDown'));
+
+        // when
+        await act(() => keyDown(getSearch(), 'Enter'));
+
+        // then
+        const task = elementRegistry.get('Task_1');
+
+        expect(elementTemplates.get(task).id).to.eql('com.example.audit');
+        expect(getBusinessObject(task).get('name')).to.eql('Audit');
+        expect(getChooser()).not.to.exist;
+      }
+    ));
+
+  });
+
+
+  describe('apply', function() {
+
+    beforeEach(bootstrap());
+
+    beforeEach(inject(function(elementTemplates) {
+      elementTemplates.set(templates);
+    }));
+
+
+    it('should apply latest version', inject(
+      async function(elementRegistry, elementTemplates, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        // when
+        await act(() => click(domQuery('.bio-element-templates-chooser__apply', getChooser())));
+
+        // then
+        const task = elementRegistry.get('Task_1');
+
+        expect(elementTemplates.get(task).version).to.eql(2);
+        expect(getBusinessObject(task).get('name')).to.eql('REST v2');
+      }
+    ));
+
+
+    it('should apply chosen version', inject(
+      async function(elementRegistry, elementTemplates, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        const select = domQuery('.bio-element-templates-chooser__version', getEntry('io.camunda.connectors.rest'));
+
+        await act(() => fireEvent.change(select, { target: { value: '1' } }));
+
+        // when
+        await act(() => click(domQuery('.bio-element-templates-chooser__apply', getChooser())));
+
+        // then
+        const task = elementRegistry.get('Task_1');
+
+        expect(elementTemplates.get(task).version).to.eql(1);
+        expect(getBusinessObject(task).get('name')).to.eql('REST v1');
+      }
+    ));
+
+
+    it('should resolve with chosen template', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        const promise = openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => click(getEntry('com.example.audit')));
+        await act(() => click(domQuery('.bio-element-templates-chooser__apply', getChooser())));
+
+        // then
+        const template = await promise;
+
+        expect(template.id).to.eql('com.example.audit');
+      }
+    ));
+
+
+    it('should reject on cancel', inject(
+      async function(elementRegistry, elementTemplatesChooser) {
+
+        // given
+        const promise = openChooser(elementTemplatesChooser, elementRegistry.get('Task_1'));
+
+        // when
+        await act(() => click(domQuery('.bio-element-templates-chooser__cancel', getChooser())));
+
+        // then
+        let error;
+
+        try {
+          await promise;
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.eql('user-canceled');
+        expect(elementTemplatesChooser.isOpen()).to.be.false;
+        expect(getChooser()).not.to.exist;
+      }
+    ));
+
+
+    it('should not apply on cancel', inject(
+      async function(elementRegistry, elementTemplates, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        // when
+        await act(() => click(domQuery('.bio-element-templates-chooser__cancel', getChooser())));
+
+        // then
+        expect(elementTemplates.get(elementRegistry.get('Task_1'))).to.be.null;
+      }
+    ));
+
+
+    it('should fire <elementTemplatesChooser.error> on error', inject(
+      async function(elementRegistry, elementTemplates, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        const error = new Error('failed to apply');
+
+        sinon.stub(elementTemplates, 'applyTemplate').throws(error);
+
+        const errorSpy = sinon.spy();
+
+        eventBus.on('elementTemplatesChooser.error', errorSpy);
+
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        // when
+        await act(() => click(domQuery('.bio-element-templates-chooser__apply', getChooser())));
+
+        // then
+        expect(errorSpy).to.have.been.calledOnceWith(sinon.match({ element, error }));
+      }
+    ));
+
+
+    it('should not fire <elementTemplatesChooser.error> on cancel', inject(
+      async function(elementRegistry, eventBus) {
+
+        // given
+        const element = elementRegistry.get('Task_1');
+
+        const errorSpy = sinon.spy();
+
+        eventBus.on('elementTemplatesChooser.error', errorSpy);
+
+        await act(() => {
+          eventBus.fire('elementTemplates.select', { element });
+        });
+
+        // when
+        await act(() => click(domQuery('.bio-element-templates-chooser__cancel', getChooser())));
+
+        // then
+        expect(errorSpy).not.to.have.been.called;
+      }
+    ));
+
+  });
+
+
+  describe('config', function() {
+
+    describe('enabled: false', function() {
+
+      beforeEach(bootstrap({ enabled: false }));
+
+
+      it('should not open on <elementTemplates.select>', inject(
+        async function(elementRegistry, elementTemplatesChooser, eventBus) {
+
+          // given
+          const element = elementRegistry.get('Task_1');
+
+          // when
+          await act(() => {
+            eventBus.fire('elementTemplates.select', { element });
+          });
+
+          // then
+          expect(elementTemplatesChooser.isOpen()).to.be.false;
+          expect(getChooser()).not.to.exist;
+        }
+      ));
+
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function openChooser(elementTemplatesChooser, element) {
+  let promise;
+
+  act(() => {
+    promise = elementTemplatesChooser.open(element);
+  });
+
+  // chooser may be left open and gets canceled on destroy
+  promise.catch(() => {});
+
+  return promise;
+}
+
+function getChooser() {
+  return domQuery('.bio-element-templates-chooser');
+}
+
+function getSearch() {
+  return domQuery('.bio-element-templates-chooser__search', getChooser());
+}
+
+function getEntry(id) {
+  return domQuery(`.bio-element-templates-chooser__entry[data-template-id="${ id }"]`, getChooser());
+}
+
+function getEntryIds() {
+  return map(
+    domQueryAll('.bio-element-templates-chooser__entry', getChooser()),
+    entry => entry.dataset.templateId
+  );
+}
+
+function getSelectedId() {
+  const entry = domQuery('.bio-element-templates-chooser__entry--selected', getChooser());
+
+  return entry && entry.dataset.templateId;
+}
+
+function keyDown(element, key) {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
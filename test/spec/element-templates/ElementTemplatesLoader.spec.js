@@ -206,6 +206,469 @@ describe('provider/element-templates - ElementTemplatesLoader', function() {
 
   });
 
+
+  describe('init with Promise', function() {
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: () => Promise.resolve(templateDescriptors)
+    }));
+
+
+    it('should configure elementTemplates service', inject(
+      async function(elementTemplates, elementTemplatesLoader) {
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.getAll()).to.eql(templateDescriptors);
+      }
+    ));
+
+
+    it('should emit <elementTemplates.loading> and <elementTemplates.loaded> events', inject(
+      async function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const loadingListener = sinon.spy(),
+              loadedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.loading', loadingListener);
+        eventBus.on('elementTemplates.loaded', loadedListener);
+
+        // when
+        const promise = elementTemplatesLoader.reload();
+
+        // then
+        expect(loadingListener).to.have.been.calledOnce;
+        expect(loadedListener).not.to.have.been.called;
+
+        await promise;
+
+        expect(loadedListener).to.have.been.calledOnce;
+        expect(loadedListener.getCall(0).args[0].templates).to.eql(templateDescriptors);
+        expect(loadedListener.getCall(0).args[0].errors).to.be.empty;
+      }
+    ));
+
+  });
+
+
+  describe('init with function returning templates', function() {
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: () => templateDescriptors
+    }));
+
+
+    it('should configure elementTemplates service', inject(
+      async function(elementTemplates, elementTemplatesLoader) {
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.getAll()).to.eql(templateDescriptors);
+      }
+    ));
+
+
+    it('should emit <elementTemplates.loaded> event', inject(
+      async function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const loadedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.loaded', loadedListener);
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(loadedListener).to.have.been.calledOnce;
+        expect(loadedListener.getCall(0).args[0].templates).to.eql(templateDescriptors);
+      }
+    ));
+
+  });
+
+
+  describe('init with throwing function', function() {
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: () => {
+        throw new Error('foo');
+      }
+    }));
+
+
+    it('should handle templates load errors', inject(
+      async function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const errorListener = sinon.spy(),
+              loadedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.errors', errorListener);
+        eventBus.on('elementTemplates.loaded', loadedListener);
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(messages(errorListener.getCall(0).args[0].errors)).to.eql([ 'foo' ]);
+
+        expect(loadedListener).to.have.been.calledOnce;
+        expect(messages(loadedListener.getCall(0).args[0].errors)).to.eql([ 'foo' ]);
+      }
+    ));
+
+  });
+
+
+  describe('init with async node style callback', function() {
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: async function(done) {
+        await Promise.resolve();
+
+        done(null, templateDescriptors);
+      }
+    }));
+
+
+    it('should configure elementTemplates service', inject(
+      async function(elementTemplates, elementTemplatesLoader) {
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.getAll()).to.eql(templateDescriptors);
+      }
+    ));
+
+
+    it('should ignore returned promise', inject(
+      async function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const errorListener = sinon.spy(),
+              reconciledListener = sinon.spy(),
+              loadedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.errors', errorListener);
+        eventBus.on('elementTemplates.reconciled', reconciledListener);
+        eventBus.on('elementTemplates.loaded', loadedListener);
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(errorListener).not.to.have.been.called;
+        expect(reconciledListener).to.have.been.calledOnce;
+        expect(loadedListener).to.have.been.calledOnce;
+        expect(loadedListener.getCall(0).args[0].templates).to.eql(templateDescriptors);
+      }
+    ));
+
+  });
+
+
+  describe('init with async iterable', function() {
+
+    const [ template ] = templateDescriptors;
+
+    const templateV1 = { ...template, version: 1 },
+          templateV2 = { ...template, version: 2 };
+
+    let pages;
+
+    async function* loadPages() {
+      for (const page of pages) {
+        yield page;
+      }
+    }
+
+    beforeEach(function() {
+      pages = [ [ templateV1 ], [ templateV2 ] ];
+    });
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: () => loadPages()
+    }));
+
+
+    it('should configure elementTemplates service', inject(
+      async function(elementTemplates, elementTemplatesLoader) {
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.getAll()).to.eql([ templateV1, templateV2 ]);
+        expect(elementTemplates.getLatest(template.id)).to.eql([ templateV2 ]);
+      }
+    ));
+
+
+    it('should emit <elementTemplates.changed> per page', inject(
+      async function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const changedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.changed', changedListener);
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(changedListener).to.have.been.calledTwice;
+      }
+    ));
+
+
+    it('should validate pages against templates loaded before', inject(
+      async function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+        // given
+        const errorListener = sinon.spy();
+
+        eventBus.on('elementTemplates.errors', errorListener);
+
+        pages = [ [ templateV1 ], [ { ...templateV1 } ] ];
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(errorListener).to.have.been.calledOnce;
+        expect(messages(errorListener.getCall(0).args[0].errors)).to.eql([
+          `template(id: <${ template.id }>, name: <${ template.name }>): template id <${ template.id }> and version <1> already used`
+        ]);
+
+        expect(elementTemplates.getAll()).to.eql([ templateV1 ]);
+      }
+    ));
+
+  });
+
+
+  describe('init with named sources', function() {
+
+    const [ template ] = templateDescriptors;
+
+    const localTemplate = { ...template, name: 'Local' },
+          remoteTemplate = { ...template, name: 'Remote' },
+          remoteTemplateV2 = { ...template, name: 'Remote', version: 2 };
+
+    let remoteSource;
+
+    beforeEach(function() {
+      remoteSource = () => Promise.resolve([ remoteTemplate, remoteTemplateV2 ]);
+    });
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: {
+        sources: [
+          { name: 'local', templates: [ localTemplate ] },
+          { name: 'remote', templates: (...args) => remoteSource(...args) }
+        ]
+      }
+    }));
+
+
+    it('should merge sources', inject(
+      async function(elementTemplates, elementTemplatesLoader) {
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.getAll()).to.have.members([ localTemplate, remoteTemplateV2 ]);
+      }
+    ));
+
+
+    it('should give precedence to source listed first', inject(
+      async function(elementTemplates, elementTemplatesLoader) {
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(elementTemplates.get(template.id)).to.equal(localTemplate);
+      }
+    ));
+
+
+    it('should emit source names', inject(
+      async function(elementTemplatesLoader, eventBus) {
+
+        // given
+        const loadingListener = sinon.spy();
+
+        eventBus.on('elementTemplates.loading', loadingListener);
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(loadingListener).to.have.been.calledOnceWith(sinon.match({
+          sources: [ 'local', 'remote' ]
+        }));
+      }
+    ));
+
+
+    it('should load other sources if source fails', inject(
+      async function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+        // given
+        const errorListener = sinon.spy();
+
+        eventBus.on('elementTemplates.errors', errorListener);
+
+        remoteSource = () => Promise.reject(new Error('offline'));
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(messages(errorListener.getCall(0).args[0].errors)).to.eql([ 'offline' ]);
+        expect(elementTemplates.getAll()).to.eql([ localTemplate ]);
+      }
+    ));
+
+
+    it('should load other sources if source throws', inject(
+      async function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+        // given
+        const errorListener = sinon.spy(),
+              loadedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.errors', errorListener);
+        eventBus.on('elementTemplates.loaded', loadedListener);
+
+        remoteSource = () => {
+          throw new Error('offline');
+        };
+
+        // when
+        await elementTemplatesLoader.reload();
+
+        // then
+        expect(messages(errorListener.getCall(0).args[0].errors)).to.eql([ 'offline' ]);
+        expect(loadedListener).to.have.been.calledOnce;
+        expect(elementTemplates.getAll()).to.eql([ localTemplate ]);
+      }
+    ));
+
+  });
+
+
+  describe('cancellation', function() {
+
+    const [ template ] = templateDescriptors;
+
+    let resolvers, signals;
+
+    beforeEach(function() {
+      resolvers = [];
+      signals = [];
+    });
+
+    beforeEach(bootstrapModeler(diagramXML, {
+      container: container,
+      modules,
+      moddleExtensions: {
+        camunda: camundaModdlePackage
+      },
+      elementTemplates: (done, { signal }) => {
+        signals.push(signal);
+
+        return new Promise(resolve => resolvers.push(resolve));
+      }
+    }));
+
+
+    it('should ignore stale load', inject(
+      async function(elementTemplates, elementTemplatesLoader, eventBus) {
+
+        // given
+        const loadedListener = sinon.spy();
+
+        eventBus.on('elementTemplates.loaded', loadedListener);
+
+        const staleTemplate = { ...template, name: 'Stale' };
+
+        const stale = elementTemplatesLoader.reload();
+        const current = elementTemplatesLoader.reload();
+
+        // when
+        resolvers[ resolvers.length - 1 ]([ template ]);
+        resolvers[ resolvers.length - 2 ]([ staleTemplate ]);
+
+        await Promise.all([ stale, current ]);
+
+        // then
+        expect(elementTemplates.getAll()).to.eql([ template ]);
+        expect(loadedListener).to.have.been.calledOnce;
+      }
+    ));
+
+
+    it('should abort stale load', inject(
+      function(elementTemplatesLoader) {
+
+        // given
+        elementTemplatesLoader.reload();
+
+        const staleSignal = signals[ signals.length - 1 ];
+
+        // when
+        elementTemplatesLoader.reload();
+
+        // then
+        expect(staleSignal.aborted).to.be.true;
+        expect(signals[ signals.length - 1 ].aborted).to.be.false;
+      }
+    ));
+
+  });
+
 });
 
 